@@ -0,0 +1,61 @@
+import { createClient } from 'redis';
+import dotenv from 'dotenv';
+import logger from '../middleware/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// After a failed connection, wait this long before trying Redis again
+const RETRY_AFTER_MS = 30 * 1000;
+
+let client = null;
+let connecting = null;
+let unavailableUntil = 0;
+
+/**
+ * Shared Redis client, connected on first use.
+ * Returns null when REDIS_URL is not set or Redis cannot be reached, so callers can fall back
+ * to in-process storage instead of failing the request.
+ * @returns {Promise<import('redis').RedisClientType|null>}
+ */
+export const getRedisClient = async () => {
+    if (!process.env.REDIS_URL) return null;
+    if (client?.isReady) return client;
+    if (Date.now() < unavailableUntil) return null;
+
+    if (!connecting) {
+        connecting = (async () => {
+            const redis = createClient({
+                url: process.env.REDIS_URL,
+                socket: {
+                    connectTimeout: 5000,
+                    // give up quickly; the next call retries after RETRY_AFTER_MS
+                    reconnectStrategy: (retries) => (retries > 2 ? false : 200 * (retries + 1))
+                }
+            });
+            redis.on('error', (error) => logger.error(`Redis error: ${error.message}`));
+
+            try {
+                await redis.connect();
+                logger.info('Connected to Redis successfully');
+                client = redis;
+                return redis;
+            } catch (error) {
+                logger.error(`Failed to connect to Redis, using in-memory fallback: ${error.message}`);
+                unavailableUntil = Date.now() + RETRY_AFTER_MS;
+                redis.disconnect().catch(() => {});
+                return null;
+            } finally {
+                connecting = null;
+            }
+        })();
+    }
+    return connecting;
+};
+
+export const closeRedisClient = async () => {
+    if (client) {
+        await client.quit();
+        client = null;
+    }
+};
@@ -1,12 +1,13 @@
 import logger from '../middleware/logger.js';
 import { SuccessResponse } from '../middleware/responses.js';
+import { ValidationError } from '../middleware/errors.js';
 import alertsServices from '../services/alerts.services.js';
 
 class AlertsController {
     static async getFarmAlerts(req, res, next) {
         try {
             const { farmId } = req.params;
-            const user = await alertsServices.getFarmAlerts(farmId, req.body);
+            const user = await alertsServices.getFarmAlerts(farmId, req.farm?.timezone);
             return SuccessResponse(res, 201, 'Alerts loaded successfully', user)
         } catch (error) {
             logger.error(`Loading error: ${error.message}`);
@@ -27,13 +28,74 @@ class AlertsController {
     static async getFarmCalendarAlerts(req, res, next) {
         try {
             const { farmId } = req.params;
-            const user = await alertsServices.getFarmCalendarAlerts(farmId);
+            const user = await alertsServices.getFarmCalendarAlerts(farmId, req.farm?.timezone);
             return SuccessResponse(res, 201, 'Alerts loaded successfully', user)
         } catch (error) {
             logger.error(`Loading error: ${error.message}`);
             next(error);
         }
     }
+
+    static async getSmsStatus(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const status = await alertsServices.smsService.getStatus(farmId);
+            return SuccessResponse(res, 200, 'SMS quota loaded successfully', status);
+        } catch (error) {
+            logger.error(`SMS status error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getSmsLogs(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const logs = await alertsServices.smsService.getLogs(farmId, req.query);
+            return SuccessResponse(res, 200, 'SMS logs loaded successfully', logs);
+        } catch (error) {
+            logger.error(`SMS logs error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async sendTestSms(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { id, phone } = req.user;
+            if (!phone) {
+                throw new ValidationError('Add a phone number to your profile to receive SMS alerts');
+            }
+            const result = await alertsServices.smsService.sendSms({
+                to: phone,
+                body: 'Pig Farm Management: SMS alerts are set up for your farm.',
+                user_id: id,
+                farm_id: farmId,
+            });
+            if (!result.success) {
+                throw new ValidationError(`SMS not sent: ${result.message}`);
+            }
+            return SuccessResponse(res, 200, 'Test SMS sent successfully', result.log);
+        } catch (error) {
+            logger.error(`Test SMS error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async smsStatusCallback(req, res, next) {
+        try {
+            const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+            await alertsServices.smsService.updateDeliveryStatus({
+                provider_message_id: MessageSid,
+                status: MessageStatus,
+                error_code: ErrorCode,
+                error_message: ErrorMessage,
+            });
+            return SuccessResponse(res, 200, 'SMS status recorded');
+        } catch (error) {
+            logger.error(`SMS status callback error: ${error.message}`);
+            next(error);
+        }
+    }
 }
 
 export default AlertsController;
\ No newline at end of file
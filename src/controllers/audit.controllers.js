@@ -0,0 +1,54 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { validate as isUuid } from 'uuid';
+import AuditService, { AUDIT_ACTIONS } from '../services/audit.services.js';
+
+// YYYY-MM-DD naming a real calendar day
+const isIsoDate = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+class AuditController {
+    static async getAuditTrail(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { entity_type, entity_id, user_id, action, date_from, date_to, limit, offset } = req.query;
+            if (!farmId) {
+                throw new ValidationError('Missing farmId');
+            }
+            if (action && !AUDIT_ACTIONS.includes(action)) {
+                throw new ValidationError(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+            }
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && (isNaN(parsedLimit) || parsedLimit < 1)) || (offset && (isNaN(parsedOffset) || parsedOffset < 0))) {
+                throw new ValidationError('Limit and offset must be valid positive integers');
+            }
+            if (user_id && !isUuid(user_id)) {
+                throw new ValidationError('user_id must be a valid UUID');
+            }
+            for (const [name, value] of Object.entries({ date_from, date_to })) {
+                if (value && !isIsoDate(value)) {
+                    throw new ValidationError(`${name} must be a date in YYYY-MM-DD format`);
+                }
+            }
+            const filters = {
+                entity_type: entity_type || undefined,
+                entity_id: entity_id || undefined,
+                user_id: user_id || undefined,
+                action: action || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const trail = await AuditService.getAuditTrail(farmId, req.user.id, filters);
+            return SuccessResponse(res, 200, 'Audit trail retrieved successfully', trail);
+        } catch (error) {
+            logger.error(`Get audit trail error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default AuditController;
@@ -3,13 +3,20 @@ import logger from '../middleware/logger.js';
 import { SuccessResponse } from '../middleware/responses.js';
 import { ValidationError } from '../middleware/errors.js';
 import { pool } from '../config/database.js';
+import SessionsService from '../services/sessions.services.js';
+import TwoFactorService from '../services/twoFactor.services.js';
+import PasswordPolicyService from '../services/passwordPolicy.services.js';
 import fs from 'fs';
 import path from 'path';
 
+// The signing-in device, shown in the session list
+const clientInfo = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
 class AuthController {
     static async register(req, res, next) {
         try {
-            const user = await AuthService.register(req.body);
+            // farms are joined through invitations, never by naming a farm_id at sign-up
+            const user = await AuthService.register({ ...req.body, farm_id: undefined });
             return SuccessResponse(res, 201, 'Registration successful! Please check your email to verify your account.', user);
         } catch (error) {
             logger.error(`Register error: ${error.message}`);
@@ -20,7 +27,10 @@ class AuthController {
     static async login(req, res, next) {
         try {
             const { email, password } = req.body;
-            const result = await AuthService.login({ email, password });
+            const result = await AuthService.login({ email, password }, clientInfo(req));
+            if (result.two_factor_required) {
+                return SuccessResponse(res, 200, 'Enter the code from your authenticator app to finish logging in', result);
+            }
 
             // Check if email verification is required
             const message = !result.user.email_verified
@@ -156,10 +166,128 @@ class AuthController {
         }
     }
 
+    static async getPasswordPolicy(req, res, next) {
+        try {
+            return SuccessResponse(res, 200, 'Password policy retrieved successfully', PasswordPolicyService.policy);
+        } catch (error) {
+            logger.error(`Get password policy error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async verifyTwoFactorLogin(req, res, next) {
+        try {
+            const { two_factor_token, code } = req.body;
+            const result = await AuthService.verifyTwoFactorLogin({ two_factor_token, code }, clientInfo(req));
+            return SuccessResponse(res, 200, 'Login successful', result);
+        } catch (error) {
+            logger.error(`Two-factor login error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getTwoFactorStatus(req, res, next) {
+        try {
+            const status = await TwoFactorService.getStatus(req.user.id);
+            return SuccessResponse(res, 200, 'Two-factor status retrieved successfully', status);
+        } catch (error) {
+            logger.error(`Get two-factor status error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async setupTwoFactor(req, res, next) {
+        try {
+            const result = await TwoFactorService.setup(req.user);
+            return SuccessResponse(res, 200, 'Scan the QR code with your authenticator app, then confirm with a code', result);
+        } catch (error) {
+            logger.error(`Two-factor setup error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async enableTwoFactor(req, res, next) {
+        try {
+            const result = await TwoFactorService.enable(req.user.id, req.body.code);
+            return SuccessResponse(res, 200, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.', result);
+        } catch (error) {
+            logger.error(`Enable two-factor error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async disableTwoFactor(req, res, next) {
+        try {
+            const result = await TwoFactorService.disable(req.user.id, req.body.code);
+            return SuccessResponse(res, 200, 'Two-factor authentication disabled', result);
+        } catch (error) {
+            logger.error(`Disable two-factor error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async regenerateRecoveryCodes(req, res, next) {
+        try {
+            const result = await TwoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+            return SuccessResponse(res, 200, 'Recovery codes regenerated. Your old codes no longer work.', result);
+        } catch (error) {
+            logger.error(`Regenerate recovery codes error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async refreshToken(req, res, next) {
+        try {
+            const { refresh_token } = req.body;
+            const result = await SessionsService.refreshSession(refresh_token, clientInfo(req));
+            return SuccessResponse(res, 200, 'Token refreshed successfully', result);
+        } catch (error) {
+            logger.error(`Refresh token error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getSessions(req, res, next) {
+        try {
+            const sessions = await SessionsService.getSessions(req.user.id, req.sessionId);
+            return SuccessResponse(res, 200, 'Sessions retrieved successfully', sessions);
+        } catch (error) {
+            logger.error(`Get sessions error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async revokeSession(req, res, next) {
+        try {
+            const { sessionId } = req.params;
+            const result = await SessionsService.revokeSession(req.user.id, sessionId);
+            return SuccessResponse(res, 200, 'Session revoked successfully', result);
+        } catch (error) {
+            logger.error(`Revoke session error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async revokeOtherSessions(req, res, next) {
+        try {
+            if (!req.sessionId) {
+                throw new ValidationError('Log in again to manage your sessions');
+            }
+            const result = await SessionsService.revokeAllSessions(req.user.id, { exceptSessionId: req.sessionId });
+            return SuccessResponse(res, 200, 'Other sessions revoked successfully', result);
+        } catch (error) {
+            logger.error(`Revoke other sessions error: ${error.message}`);
+            next(error);
+        }
+    }
+
     static async ssoAuth(req, res, next) {
         try {
             const { email, name, image_url, provider } = req.body;
-            const result = await AuthService.ssoAuth({ email, name, image_url, provider });
+            const result = await AuthService.ssoAuth({ email, name, image_url, provider }, clientInfo(req));
+            if (result.two_factor_required) {
+                return SuccessResponse(res, 200, 'Enter the code from your authenticator app to finish logging in', result);
+            }
 
             const message = result.user.farm_id 
             ? 'SSO authentication successful' 
@@ -6,7 +6,12 @@ import EarningsService from '../services/earnings.services.js';
 class EarningsController {
     static async createEarnings(req, res, next) {
         try {
-            const earningsData = { ...req.body, farm_id: req.body.farm_id };
+            const earningsData = {
+                ...req.body,
+                farm_id: req.params.farmId || req.body.farm_id,
+                // records default to the farm's currency
+                currency: req.body.currency || req.farm?.currency
+            };
             const userId = req.user?.id;
             if (!userId) {
                 throw new ValidationError('User not authenticated');
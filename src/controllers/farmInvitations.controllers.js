@@ -0,0 +1,82 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import FarmInvitationsService from '../services/farmInvitations.services.js';
+
+class FarmInvitationsController {
+    static async createInvitation(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const invitation = await FarmInvitationsService.createInvitation(farmId, req.body, req.farmMembership);
+            return SuccessResponse(res, 201, 'Invitation sent successfully', invitation);
+        } catch (error) {
+            logger.error(`Create invitation error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInvitations(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { status } = req.query;
+            const invitations = await FarmInvitationsService.getInvitations(farmId, { status: status || undefined });
+            return SuccessResponse(res, 200, 'Invitations retrieved successfully', invitations);
+        } catch (error) {
+            logger.error(`Get invitations error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async resendInvitation(req, res, next) {
+        try {
+            const { farmId, invitationId } = req.params;
+            const invitation = await FarmInvitationsService.resendInvitation(farmId, invitationId, req.farmMembership);
+            return SuccessResponse(res, 200, 'Invitation resent successfully', invitation);
+        } catch (error) {
+            logger.error(`Resend invitation error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async revokeInvitation(req, res, next) {
+        try {
+            const { farmId, invitationId } = req.params;
+            const invitation = await FarmInvitationsService.revokeInvitation(farmId, invitationId, req.farmMembership);
+            return SuccessResponse(res, 200, 'Invitation revoked successfully', invitation);
+        } catch (error) {
+            logger.error(`Revoke invitation error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInvitationByToken(req, res, next) {
+        try {
+            const invitation = await FarmInvitationsService.getInvitationByToken(req.params.token);
+            return SuccessResponse(res, 200, 'Invitation retrieved successfully', invitation);
+        } catch (error) {
+            logger.error(`Get invitation by token error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async acceptInvitation(req, res, next) {
+        try {
+            const result = await FarmInvitationsService.acceptInvitation(req.params.token, req.user);
+            return SuccessResponse(res, 200, `You have joined ${result.farm_name}`, result);
+        } catch (error) {
+            logger.error(`Accept invitation error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async registerWithInvitation(req, res, next) {
+        try {
+            const result = await FarmInvitationsService.registerWithInvitation(req.params.token, req.body);
+            return SuccessResponse(res, 201, `Registration successful! You have joined ${result.farm_name}`, result);
+        } catch (error) {
+            logger.error(`Register with invitation error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default FarmInvitationsController;
@@ -0,0 +1,51 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import FarmMembersService from '../services/farmMembers.services.js';
+
+class FarmMembersController {
+    static async getMembers(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const members = await FarmMembersService.getMembers(farmId);
+            return SuccessResponse(res, 200, 'Farm members retrieved successfully', members);
+        } catch (error) {
+            logger.error(`Get farm members error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async addMember(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const member = await FarmMembersService.addMember(farmId, req.body, req.farmMembership);
+            return SuccessResponse(res, 201, 'Member added successfully', member);
+        } catch (error) {
+            logger.error(`Add farm member error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateMemberRole(req, res, next) {
+        try {
+            const { farmId, userId } = req.params;
+            const member = await FarmMembersService.updateMemberRole(farmId, userId, req.body.role, req.farmMembership);
+            return SuccessResponse(res, 200, 'Member role updated successfully', member);
+        } catch (error) {
+            logger.error(`Update farm member role error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async removeMember(req, res, next) {
+        try {
+            const { farmId, userId } = req.params;
+            const member = await FarmMembersService.removeMember(farmId, userId, req.farmMembership);
+            return SuccessResponse(res, 200, 'Member removed successfully', member);
+        } catch (error) {
+            logger.error(`Remove farm member error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default FarmMembersController;
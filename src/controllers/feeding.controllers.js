@@ -128,6 +128,88 @@ class FeedingController {
             next(error);
         }
     }
+
+    // inventory
+    static async createInventory(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) throw new ValidationError('User not authenticated');
+            const item = await FeedingService.createFeedInventory(farmId, req.body, userId);
+            return SuccessResponse(res, 201, 'Feed inventory created successfully', item);
+        } catch (error) {
+            logger.error(`Create feed inventory error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInventory(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { feed_type, include_empty, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+
+            const items = await FeedingService.getFeedInventory(farmId, {
+                feed_type,
+                include_empty: include_empty === 'true',
+                limit: parsedLimit,
+                offset: parsedOffset,
+            });
+            return SuccessResponse(res, 200, 'Feed inventory retrieved successfully', items);
+        } catch (error) {
+            logger.error(`Get feed inventory error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInventoryItem(req, res, next) {
+        try {
+            const { farmId, id } = req.params;
+            const item = await FeedingService.getFeedInventoryById(farmId, id);
+            return SuccessResponse(res, 200, 'Feed inventory item retrieved successfully', item);
+        } catch (error) {
+            logger.error(`Get feed inventory item error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateInventory(req, res, next) {
+        try {
+            const { farmId, id } = req.params;
+            const userId = req.user?.id;
+            if (!userId) throw new ValidationError('User not authenticated');
+            const item = await FeedingService.updateFeedInventory(farmId, id, req.body, userId);
+            return SuccessResponse(res, 200, 'Feed inventory updated successfully', item);
+        } catch (error) {
+            logger.error(`Update feed inventory error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteInventory(req, res, next) {
+        try {
+            const { farmId, id } = req.params;
+            const userId = req.user?.id;
+            if (!userId) throw new ValidationError('User not authenticated');
+            const item = await FeedingService.deleteFeedInventory(farmId, id, userId);
+            return SuccessResponse(res, 200, 'Feed inventory deleted successfully', item);
+        } catch (error) {
+            logger.error(`Delete feed inventory error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async checkStockAlerts(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const alerts = await FeedingService.checkFeedStockAlerts(farmId);
+            return SuccessResponse(res, 200, 'Feed stock alerts checked successfully', alerts);
+        } catch (error) {
+            logger.error(`Check feed stock alerts error: ${error.message}`);
+            next(error);
+        }
+    }
 }
 
 export default FeedingController;
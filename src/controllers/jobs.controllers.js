@@ -0,0 +1,22 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import SchedulerService from '../services/scheduler.services.js';
+
+class JobsController {
+    static async runJobs(req, res, next) {
+        try {
+            const { job, farmId, force } = { ...req.query, ...req.body };
+            const results = await SchedulerService.runDueJobs({
+                job: job || undefined,
+                farmId: farmId || undefined,
+                force: force === true || force === 'true',
+            });
+            return SuccessResponse(res, 200, 'Scheduled jobs processed successfully', results);
+        } catch (error) {
+            logger.error(`Run jobs error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default JobsController;
@@ -0,0 +1,17 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import EntitlementsService from '../services/entitlements.services.js';
+
+class MeController {
+    static async getUsage(req, res, next) {
+        try {
+            const usage = await EntitlementsService.getUserUsage(req.user);
+            return SuccessResponse(res, 200, 'Usage retrieved successfully', usage);
+        } catch (error) {
+            logger.error(`Get usage error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default MeController;
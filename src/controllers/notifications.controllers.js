@@ -0,0 +1,60 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import NotificationsService from '../services/notifications.services.js';
+
+class NotificationsController {
+    static async getNotifications(req, res, next) {
+        try {
+            const { is_read, type, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && (isNaN(parsedLimit) || parsedLimit < 1)) || (offset && (isNaN(parsedOffset) || parsedOffset < 0))) {
+                throw new ValidationError('Limit and offset must be valid positive integers');
+            }
+            const inbox = await NotificationsService.getNotifications(req.user.id, {
+                is_read: is_read === undefined ? undefined : is_read === 'true',
+                type: type || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            });
+            return SuccessResponse(res, 200, 'Notifications retrieved successfully', inbox);
+        } catch (error) {
+            logger.error(`Get notifications error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getUnreadCount(req, res, next) {
+        try {
+            const unread = await NotificationsService.getUnreadCount(req.user.id);
+            return SuccessResponse(res, 200, 'Unread count retrieved successfully', { unread });
+        } catch (error) {
+            logger.error(`Get unread count error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async markAsRead(req, res, next) {
+        try {
+            const { id } = req.params;
+            const notification = await NotificationsService.markAsRead(req.user.id, id);
+            return SuccessResponse(res, 200, 'Notification marked as read', notification);
+        } catch (error) {
+            logger.error(`Mark notification read error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async markAllAsRead(req, res, next) {
+        try {
+            const result = await NotificationsService.markAllAsRead(req.user.id);
+            return SuccessResponse(res, 200, 'All notifications marked as read', result);
+        } catch (error) {
+            logger.error(`Mark all notifications read error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default NotificationsController;
@@ -1,5 +1,8 @@
 // controllers/payments.controller.js
 import PaymentService from '../services/payment.service.js';
+import PlansService, { PLAN_CURRENCIES } from '../services/plans.services.js';
+import ReceiptsService from '../services/receipts.services.js';
+import { ValidationError } from '../middleware/errors.js';
 import { SuccessResponse } from '../middleware/responses.js';
 import logger from '../middleware/logger.js';
 
@@ -10,20 +13,34 @@ class PaymentsController {
       const userId = req.user.id;
       const farmId = req.user.farm_id; // Assuming farm_id from user context
       const payment = await PaymentService.createPayment(paymentData, userId, farmId);
-      return SuccessResponse(res, 201, 'Payment initiated successfully', payment);
+      return SuccessResponse(res, 201, 'Payment initiated successfully', PaymentService.toPayerView(payment));
     } catch (error) {
       logger.error(`Create payment error: ${error.message}`);
       next(error);
     }
   }
 
+  static async getPlans(req, res, next) {
+    try {
+      const { currency } = req.query;
+      if (currency && !PLAN_CURRENCIES.includes(currency)) {
+        throw new ValidationError(`Currency must be one of ${PLAN_CURRENCIES.join(', ')}`);
+      }
+      const plans = await PlansService.getPlans({ currency });
+      return SuccessResponse(res, 200, 'Plans retrieved successfully', plans);
+    } catch (error) {
+      logger.error(`Get plans error: ${error.message}`);
+      next(error);
+    }
+  }
+
   static async getPayments(req, res, next) {
     try {
       const userId = req.user.id;
       const farmId = req.query.farm_id || req.user.farm_id;
       const { limit = 50, offset = 0 } = req.query;
       const payments = await PaymentService.getPaymentsByUser(userId, farmId, parseInt(limit), parseInt(offset));
-      return SuccessResponse(res, 200, 'Payments retrieved successfully', payments);
+      return SuccessResponse(res, 200, 'Payments retrieved successfully', payments.map(PaymentService.toPayerView));
     } catch (error) {
       logger.error(`Get payments error: ${error.message}`);
       next(error);
@@ -35,36 +52,118 @@ class PaymentsController {
       const { paymentId } = req.params;
       const userId = req.user.id;
       const payment = await PaymentService.getPaymentById(paymentId, userId);
-      return SuccessResponse(res, 200, 'Payment retrieved successfully', payment);
+      return SuccessResponse(res, 200, 'Payment retrieved successfully', PaymentService.toPayerView(payment));
     } catch (error) {
       logger.error(`Get payment error: ${error.message}`);
       next(error);
     }
   }
 
+  static async getReceipt(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+      const { filename, content } = await ReceiptsService.generateReceipt(paymentId, req.user.id);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': String(content.length)
+      });
+      return res.send(content);
+    } catch (error) {
+      logger.error(`Get receipt error: ${error.message}`);
+      next(error);
+    }
+  }
+
   static async updatePaymentStatus(req, res, next) {
     try {
       const { paymentId } = req.params;
       const { status, metadata } = req.body;
       const userId = req.user.id;
       const payment = await PaymentService.updatePaymentStatus(paymentId, status, userId, metadata);
-      return SuccessResponse(res, 200, 'Payment status updated successfully', payment);
+      return SuccessResponse(res, 200, 'Payment status updated successfully', PaymentService.toPayerView(payment));
     } catch (error) {
       logger.error(`Update payment status error: ${error.message}`);
       next(error);
     }
   }
 
+  static async refundPayment(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+      const result = await PaymentService.refundPayment(paymentId, req.body, req.user);
+      const message = result.refund.status === 'succeeded'
+        ? 'Payment refunded successfully'
+        : 'Refund requested; it completes when the provider confirms it';
+      return SuccessResponse(res, 200, message, result);
+    } catch (error) {
+      logger.error(`Refund payment error: ${error.message}`);
+      next(error);
+    }
+  }
+
   static async mpesaCallback(req, res, next) {
     try {
       const callbackData = req.body;
-      await PaymentService.handleMpesaCallback(callbackData);
+      const result = await PaymentService.handleMpesaCallback(callbackData, {
+        token: req.params.token,
+        sourceIp: req.ip
+      });
+      if (result.rejected) {
+        return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+      }
       res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
     } catch (error) {
       logger.error(`M-Pesa callback error: ${error.message}`);
       res.status(500).json({ ResultCode: 1, ResultDesc: 'Failed' });
     }
   }
+
+  static async stripeWebhook(req, res, next) {
+    try {
+      const result = await PaymentService.handleStripeWebhook(req.rawBody, req.get('stripe-signature'), { sourceIp: req.ip });
+      if (result.rejected) {
+        return res.status(400).json({ received: false, error: result.message });
+      }
+      res.status(200).json({ received: true });
+    } catch (error) {
+      logger.error(`Stripe webhook error: ${error.message}`);
+      // a 5xx makes Stripe retry the delivery
+      res.status(500).json({ received: false });
+    }
+  }
+
+  static async mpesaReversalResult(req, res, next) {
+    try {
+      const result = await PaymentService.handleReversalResult(req.body, {
+        token: req.params.token,
+        sourceIp: req.ip
+      });
+      if (result.rejected) {
+        return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+      }
+      res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (error) {
+      logger.error(`M-Pesa reversal result error: ${error.message}`);
+      res.status(500).json({ ResultCode: 1, ResultDesc: 'Failed' });
+    }
+  }
+
+  static async mpesaTransactionStatusResult(req, res, next) {
+    try {
+      const result = await PaymentService.handleTransactionStatusResult(req.body, {
+        token: req.params.token,
+        sourceIp: req.ip
+      });
+      if (result.rejected) {
+        return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+      }
+      res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (error) {
+      logger.error(`M-Pesa transaction status result error: ${error.message}`);
+      res.status(500).json({ ResultCode: 1, ResultDesc: 'Failed' });
+    }
+  }
 }
 
 export default PaymentsController;
\ No newline at end of file
@@ -0,0 +1,32 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import ReportsService from '../services/reports.services.js';
+
+class ReportsController {
+    static async getProfitAndLoss(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { from, to, range, fiscal_year, group_by } = req.query;
+            if (!farmId) {
+                throw new ValidationError('Missing farmId');
+            }
+            if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+                throw new ValidationError('from and to must be valid dates');
+            }
+            const report = await ReportsService.getProfitAndLoss(farmId, {
+                from: from || undefined,
+                to: to || undefined,
+                range: range || undefined,
+                fiscal_year: fiscal_year || undefined,
+                group_by: group_by || undefined,
+            });
+            return SuccessResponse(res, 200, 'Profit and loss report generated successfully', report);
+        } catch (error) {
+            logger.error(`Get profit and loss report error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default ReportsController;
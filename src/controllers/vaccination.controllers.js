@@ -0,0 +1,95 @@
+import VaccinationService from '../services/vaccination.services.js';
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+
+class VaccinationController {
+  static async createSchedule(req, res, next) {
+    try {
+      const { farmId } = req.params;
+      const userId = req.user?.id;
+      if (!userId) throw new ValidationError('User not authenticated');
+
+      const schedule = await VaccinationService.createSchedule(farmId, req.body, userId);
+      return SuccessResponse(res, 201, 'Vaccination schedule created successfully', schedule);
+    } catch (err) {
+      logger.error(`Create vaccination schedule error: ${err.message}`);
+      next(err);
+    }
+  }
+
+  static async getSchedules(req, res, next) {
+    try {
+      const { farmId } = req.params;
+      const { is_active } = req.query;
+      const schedules = await VaccinationService.getSchedules(farmId, {
+        is_active: is_active === undefined ? undefined : is_active === 'true',
+      });
+      return SuccessResponse(res, 200, 'Vaccination schedules retrieved successfully', schedules);
+    } catch (err) {
+      logger.error(`Get vaccination schedules error: ${err.message}`);
+      next(err);
+    }
+  }
+
+  static async getSchedule(req, res, next) {
+    try {
+      const { farmId, id } = req.params;
+      const schedule = await VaccinationService.getScheduleById(farmId, id);
+      return SuccessResponse(res, 200, 'Vaccination schedule retrieved successfully', schedule);
+    } catch (err) {
+      logger.error(`Get vaccination schedule error: ${err.message}`);
+      next(err);
+    }
+  }
+
+  static async updateSchedule(req, res, next) {
+    try {
+      const { farmId, id } = req.params;
+      const userId = req.user?.id;
+      if (!userId) throw new ValidationError('User not authenticated');
+      const schedule = await VaccinationService.updateSchedule(farmId, id, req.body, userId);
+      return SuccessResponse(res, 200, 'Vaccination schedule updated successfully', schedule);
+    } catch (err) {
+      logger.error(`Update vaccination schedule error: ${err.message}`);
+      next(err);
+    }
+  }
+
+  static async deleteSchedule(req, res, next) {
+    try {
+      const { farmId, id } = req.params;
+      const userId = req.user?.id;
+      if (!userId) throw new ValidationError('User not authenticated');
+      const schedule = await VaccinationService.deleteSchedule(farmId, id, userId);
+      return SuccessResponse(res, 200, 'Vaccination schedule deleted successfully', schedule);
+    } catch (err) {
+      logger.error(`Delete vaccination schedule error: ${err.message}`);
+      next(err);
+    }
+  }
+
+  static async getDue(req, res, next) {
+    try {
+      const { farmId } = req.params;
+      const due = await VaccinationService.getDueVaccinations(farmId, new Date(), req.farm?.timezone);
+      return SuccessResponse(res, 200, 'Due vaccinations retrieved successfully', due);
+    } catch (err) {
+      logger.error(`Get due vaccinations error: ${err.message}`);
+      next(err);
+    }
+  }
+
+  static async processDue(req, res, next) {
+    try {
+      const { farmId } = req.params;
+      const created = await VaccinationService.processDueVaccinations(farmId);
+      return SuccessResponse(res, 200, 'Due vaccinations processed successfully', created);
+    } catch (err) {
+      logger.error(`Process due vaccinations error: ${err.message}`);
+      next(err);
+    }
+  }
+}
+
+export default VaccinationController;
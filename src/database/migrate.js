@@ -1047,6 +1047,623 @@ const migrations = [
       DROP TABLE IF EXISTS pig_transfer_history CASCADE;
     `,
   },
+  {
+    version: 13,
+    name: "add_recurring_expenses",
+    up: `
+      -- Link generated occurrences back to the recurring expense they came from
+      ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_parent_id UUID REFERENCES expenses(id) ON DELETE SET NULL;
+
+      -- Restrict recurring_frequency to the schedules the generator understands
+      ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_recurring_frequency_check;
+      ALTER TABLE expenses ADD CONSTRAINT expenses_recurring_frequency_check CHECK (
+        recurring_frequency IS NULL OR recurring_frequency IN ('daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'yearly')
+      );
+
+      -- Create indexes for expenses
+      CREATE INDEX IF NOT EXISTS idx_expenses_farm_id_date ON expenses(farm_id, date) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category) WHERE is_deleted = 0;
+      -- Deleted occurrences keep their slot so the generator does not recreate them
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_occurrence ON expenses(recurring_parent_id, date);
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_expenses_recurring_occurrence;
+      DROP INDEX IF EXISTS idx_expenses_category;
+      DROP INDEX IF EXISTS idx_expenses_farm_id_date;
+
+      -- Drop constraint and column
+      ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_recurring_frequency_check;
+      ALTER TABLE expenses DROP COLUMN IF EXISTS recurring_parent_id;
+    `,
+  },
+  {
+    version: 14,
+    name: "link_health_records_to_vaccination_schedules",
+    up: `
+      -- Link vaccination health records to the programme that produced them
+      ALTER TABLE health_records ADD COLUMN IF NOT EXISTS vaccination_schedule_id UUID REFERENCES vaccination_schedules(id) ON DELETE SET NULL;
+
+      -- Create indexes for vaccination lookups
+      CREATE INDEX IF NOT EXISTS idx_health_records_pig_schedule ON health_records(pig_id, vaccination_schedule_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_vaccination_schedules_farm_id ON vaccination_schedules(farm_id) WHERE is_deleted = 0;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_vaccination_schedules_farm_id;
+      DROP INDEX IF EXISTS idx_health_records_pig_schedule;
+
+      -- Drop column
+      ALTER TABLE health_records DROP COLUMN IF EXISTS vaccination_schedule_id;
+    `,
+  },
+  {
+    version: 15,
+    name: "create_scheduled_job_runs_table",
+    up: `
+      -- Lease rows for scheduled jobs: one row per job, farm and local run date.
+      -- Whichever instance inserts the row owns that run, so jobs are not repeated across instances.
+      CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        job_name VARCHAR(50) NOT NULL,
+        farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        run_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+        locked_by VARCHAR(100),
+        attempts INTEGER NOT NULL DEFAULT 1,
+        result JSONB,
+        error TEXT,
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(job_name, farm_id, run_date)
+      );
+
+      -- Create indexes for scheduled_job_runs
+      CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_run_date ON scheduled_job_runs(run_date);
+
+      -- Create trigger for updated_at
+      CREATE TRIGGER update_scheduled_job_runs_updated_at
+      BEFORE UPDATE ON scheduled_job_runs
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop trigger
+      DROP TRIGGER IF EXISTS update_scheduled_job_runs_updated_at ON scheduled_job_runs;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_scheduled_job_runs_run_date;
+
+      -- Drop table
+      DROP TABLE IF EXISTS scheduled_job_runs CASCADE;
+    `,
+  },
+  {
+    version: 16,
+    name: "create_sms_logs_table",
+    up: `
+      -- One row per SMS handed to the provider; status is updated from the provider's delivery callbacks
+      CREATE TABLE IF NOT EXISTS sms_logs (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        farm_id UUID REFERENCES farms(id) ON DELETE SET NULL,
+        alert_id UUID REFERENCES alerts(id) ON DELETE SET NULL,
+        to_phone VARCHAR(20) NOT NULL,
+        message TEXT NOT NULL,
+        provider VARCHAR(20) NOT NULL DEFAULT 'twilio',
+        provider_message_id VARCHAR(64),
+        status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'delivered', 'undelivered', 'failed')),
+        error_code VARCHAR(20),
+        error_message TEXT,
+        date DATE NOT NULL,
+        delivered_at TIMESTAMP WITH TIME ZONE,
+        is_active INTEGER DEFAULT 1 CHECK (is_active IN (0, 1)),
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Create indexes for sms_logs
+      CREATE INDEX IF NOT EXISTS idx_sms_logs_farm_date ON sms_logs(farm_id, date) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_sms_logs_user_id ON sms_logs(user_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_sms_logs_alert_id ON sms_logs(alert_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_logs_provider_message_id ON sms_logs(provider, provider_message_id) WHERE provider_message_id IS NOT NULL;
+
+      -- Create trigger for updated_at
+      CREATE TRIGGER update_sms_logs_updated_at
+      BEFORE UPDATE ON sms_logs
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop trigger
+      DROP TRIGGER IF EXISTS update_sms_logs_updated_at ON sms_logs;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_sms_logs_farm_date;
+      DROP INDEX IF EXISTS idx_sms_logs_user_id;
+      DROP INDEX IF EXISTS idx_sms_logs_alert_id;
+      DROP INDEX IF EXISTS idx_sms_logs_provider_message_id;
+
+      -- Drop table
+      DROP TABLE IF EXISTS sms_logs CASCADE;
+    `,
+  },
+  {
+    version: 17,
+    name: "add_notifications_inbox_indexes",
+    up: `
+      -- Inbox listing (newest first) and unread badge count per user
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE is_deleted = 0 AND is_read = false;
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_notifications_user_created;
+      DROP INDEX IF EXISTS idx_notifications_user_unread;
+    `,
+  },
+  {
+    version: 18,
+    name: "add_activity_logs_audit_indexes",
+    up: `
+      -- Farm audit trail (newest first) and history of a single record
+      CREATE INDEX IF NOT EXISTS idx_activity_logs_farm_created ON activity_logs(farm_id, created_at DESC) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_activity_logs_farm_entity ON activity_logs(farm_id, entity_type, entity_id) WHERE is_deleted = 0;
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_activity_logs_farm_created;
+      DROP INDEX IF EXISTS idx_activity_logs_farm_entity;
+    `,
+  },
+  {
+    version: 19,
+    name: "create_farm_members_table",
+    up: `
+      -- Per-farm roles; users.farm_id stays as the user's default farm
+      CREATE TABLE IF NOT EXISTS farm_members (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        farm_id UUID NOT NULL REFERENCES farms(id),
+        user_id UUID NOT NULL REFERENCES users(id),
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'worker', 'vet', 'accountant', 'viewer')),
+        added_by UUID REFERENCES users(id),
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_farm_members_farm_user ON farm_members(farm_id, user_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_farm_members_user_id ON farm_members(user_id) WHERE is_deleted = 0;
+
+      CREATE TRIGGER update_farm_members_updated_at BEFORE UPDATE ON farm_members FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+      -- Farm creators become owners
+      INSERT INTO farm_members (farm_id, user_id, role, added_by)
+      SELECT f.id, f.created_by, 'owner', f.created_by
+      FROM farms f
+      WHERE f.is_deleted = 0 AND f.created_by IS NOT NULL
+      ON CONFLICT DO NOTHING;
+
+      -- Users already attached to someone else's farm keep access as workers
+      INSERT INTO farm_members (farm_id, user_id, role, added_by)
+      SELECT u.farm_id, u.id, 'worker', f.created_by
+      FROM users u
+      JOIN farms f ON u.farm_id = f.id AND f.is_deleted = 0
+      WHERE u.is_deleted = 0
+        AND NOT EXISTS (
+          SELECT 1 FROM farm_members fm WHERE fm.farm_id = u.farm_id AND fm.user_id = u.id AND fm.is_deleted = 0
+        );
+    `,
+    down: `
+      DROP TRIGGER IF EXISTS update_farm_members_updated_at ON farm_members;
+      DROP TABLE IF EXISTS farm_members CASCADE;
+    `,
+  },
+  {
+    version: 20,
+    name: "create_farm_invitations_table",
+    up: `
+      -- Email invitations to join a farm. token_nonce is embedded in the signed invite token
+      -- and rotated on resend, so only the latest link works.
+      CREATE TABLE IF NOT EXISTS farm_invitations (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        farm_id UUID NOT NULL REFERENCES farms(id),
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'worker', 'vet', 'accountant', 'viewer')),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+        token_nonce VARCHAR(64) NOT NULL,
+        invited_by UUID REFERENCES users(id),
+        accepted_by UUID REFERENCES users(id),
+        accepted_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        send_count INTEGER NOT NULL DEFAULT 1,
+        last_sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_farm_invitations_pending_email ON farm_invitations(farm_id, LOWER(email)) WHERE status = 'pending' AND is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_farm_invitations_farm_id ON farm_invitations(farm_id, created_at DESC) WHERE is_deleted = 0;
+
+      CREATE TRIGGER update_farm_invitations_updated_at BEFORE UPDATE ON farm_invitations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      DROP TRIGGER IF EXISTS update_farm_invitations_updated_at ON farm_invitations;
+      DROP TABLE IF EXISTS farm_invitations CASCADE;
+    `,
+  },
+  {
+    version: 21,
+    name: "create_user_sessions_tables",
+    up: `
+      -- One row per signed-in device. Access tokens carry the session id, so revoking
+      -- the session signs that device out on its next request.
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        revoked_reason VARCHAR(30),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Refresh tokens are single use: each refresh marks the token used and issues the next one
+      -- in the same session. Presenting a used token again revokes the whole session.
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id, last_seen_at DESC) WHERE revoked_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_token_blacklist_token ON token_blacklist(token);
+      CREATE INDEX IF NOT EXISTS idx_token_blacklist_expires_at ON token_blacklist(expires_at);
+
+      CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_token_blacklist_expires_at;
+      DROP INDEX IF EXISTS idx_token_blacklist_token;
+      DROP TRIGGER IF EXISTS update_user_sessions_updated_at ON user_sessions;
+      DROP TABLE IF EXISTS refresh_tokens CASCADE;
+      DROP TABLE IF EXISTS user_sessions CASCADE;
+    `,
+  },
+  {
+    version: 22,
+    name: "create_two_factor_tables",
+    up: `
+      -- TOTP two-factor authentication. The row is created at enrollment and enabled once the
+      -- first code is verified. secret is encrypted with TWO_FACTOR_ENCRYPTION_KEY.
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        secret TEXT NOT NULL,
+        is_enabled BOOLEAN NOT NULL DEFAULT false,
+        enabled_at TIMESTAMP WITH TIME ZONE,
+        -- last accepted time step, so a code cannot be used twice
+        last_used_step BIGINT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id) WHERE used_at IS NULL;
+
+      CREATE TRIGGER update_user_two_factor_updated_at BEFORE UPDATE ON user_two_factor FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      DROP TRIGGER IF EXISTS update_user_two_factor_updated_at ON user_two_factor;
+      DROP TABLE IF EXISTS two_factor_recovery_codes CASCADE;
+      DROP TABLE IF EXISTS user_two_factor CASCADE;
+    `,
+  },
+  {
+    version: 23,
+    name: "add_account_lockout_and_password_history",
+    up: `
+      -- Failed login tracking. lockout_count makes each lockout longer until the next successful login.
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0;
+
+      -- Previous password hashes, so a password cannot be reused
+      CREATE TABLE IF NOT EXISTS password_history (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id, created_at DESC);
+
+      -- The current password is the first entry of every history
+      INSERT INTO password_history (id, user_id, password_hash, created_at)
+      SELECT uuid_generate_v4(), id, password_hash, CURRENT_TIMESTAMP
+      FROM users
+      WHERE password_hash IS NOT NULL AND is_deleted = 0;
+    `,
+    down: `
+      DROP TABLE IF EXISTS password_history CASCADE;
+      ALTER TABLE users DROP COLUMN IF EXISTS lockout_count;
+      ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+      ALTER TABLE users DROP COLUMN IF EXISTS last_failed_login_at;
+      ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts;
+    `,
+  },
+  {
+    version: 24,
+    name: "create_subscription_plans",
+    up: `
+      -- Server-owned plan catalogue; payments are priced from here, never from the client
+      CREATE TABLE IF NOT EXISTS subscription_plans (
+        id VARCHAR(50) PRIMARY KEY,
+        tier VARCHAR(50) NOT NULL CHECK (tier IN ('standard', 'advanced')),
+        name VARCHAR(100) NOT NULL,
+        billing_period VARCHAR(10) NOT NULL CHECK (billing_period IN ('monthly', 'annual')),
+        -- Price per currency in major units, e.g. {"KES": 1000, "USD": 8}
+        prices JSONB NOT NULL DEFAULT '{}',
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TRIGGER update_subscription_plans_updated_at
+      BEFORE UPDATE ON subscription_plans
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+
+      INSERT INTO subscription_plans (id, tier, name, billing_period, prices) VALUES
+        ('standard_monthly', 'standard', 'Standard (monthly)', 'monthly', '{"KES": 1000, "USD": 8, "UGX": 30000}'),
+        ('standard_annual', 'standard', 'Standard (annual)', 'annual', '{"KES": 10000, "USD": 80, "UGX": 300000}'),
+        ('advanced_monthly', 'advanced', 'Advanced (monthly)', 'monthly', '{"KES": 2500, "USD": 20, "UGX": 75000}'),
+        ('advanced_annual', 'advanced', 'Advanced (annual)', 'annual', '{"KES": 25000, "USD": 200, "UGX": 750000}')
+      ON CONFLICT (id) DO NOTHING;
+
+      -- Plan paid for and the subscription period the payment bought
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_id VARCHAR(50) REFERENCES subscription_plans(id);
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS period_start TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS period_end TIMESTAMP WITH TIME ZONE;
+    `,
+    down: `
+      ALTER TABLE payments DROP COLUMN IF EXISTS period_end;
+      ALTER TABLE payments DROP COLUMN IF EXISTS period_start;
+      ALTER TABLE payments DROP COLUMN IF EXISTS plan_id;
+      DROP TRIGGER IF EXISTS update_subscription_plans_updated_at ON subscription_plans;
+      DROP TABLE IF EXISTS subscription_plans CASCADE;
+    `,
+  },
+  {
+    version: 25,
+    name: "create_subscription_reminders",
+    up: `
+      -- One row per reminder sent, so each reminder goes out once per subscription or trial end
+      CREATE TABLE IF NOT EXISTS subscription_reminders (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('subscription', 'trial')),
+        period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+        days_before INTEGER NOT NULL,
+        sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, kind, period_end, days_before)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS subscription_reminders CASCADE;
+    `,
+  },
+  {
+    version: 26,
+    name: "index_pending_mpesa_payments",
+    up: `
+      -- Pending STK payments are polled by the M-Pesa reconciliation job
+      CREATE INDEX IF NOT EXISTS idx_payments_pending_mpesa ON payments(created_at)
+        WHERE status = 'pending' AND payment_mode = 'mpesa' AND is_deleted = 0;
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_payments_pending_mpesa;
+    `,
+  },
+  {
+    version: 27,
+    name: "harden_payment_callbacks",
+    up: `
+      -- SHA-256 of the secret token embedded in the payment's callback URL
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS callback_token_hash VARCHAR(64);
+
+      -- Every raw provider delivery (callbacks, status results) and what became of it
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+        source VARCHAR(50) NOT NULL,
+        transaction_id VARCHAR(255),
+        outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('confirmed', 'failed', 'duplicate', 'mismatch', 'rejected', 'not_found', 'unresolved', 'error')),
+        detail TEXT,
+        source_ip VARCHAR(45),
+        payload JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_payment_events_payment_id ON payment_events(payment_id);
+      CREATE INDEX IF NOT EXISTS idx_payment_events_transaction_id ON payment_events(transaction_id);
+      CREATE INDEX IF NOT EXISTS idx_payment_events_created_at ON payment_events(created_at);
+    `,
+    down: `
+      DROP TABLE IF EXISTS payment_events CASCADE;
+      ALTER TABLE payments DROP COLUMN IF EXISTS callback_token_hash;
+    `,
+  },
+  {
+    version: 28,
+    name: "add_ignored_payment_event_outcome",
+    up: `
+      -- Webhook event types the API does not act on are kept as 'ignored'
+      ALTER TABLE payment_events DROP CONSTRAINT IF EXISTS payment_events_outcome_check;
+      ALTER TABLE payment_events ADD CONSTRAINT payment_events_outcome_check
+        CHECK (outcome IN ('confirmed', 'failed', 'duplicate', 'mismatch', 'rejected', 'not_found', 'unresolved', 'ignored', 'error'));
+    `,
+    down: `
+      ALTER TABLE payment_events DROP CONSTRAINT IF EXISTS payment_events_outcome_check;
+      ALTER TABLE payment_events ADD CONSTRAINT payment_events_outcome_check
+        CHECK (outcome IN ('confirmed', 'failed', 'duplicate', 'mismatch', 'rejected', 'not_found', 'unresolved', 'error'));
+    `,
+  },
+  {
+    version: 29,
+    name: "create_payment_refunds",
+    up: `
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0);
+      ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+      ALTER TABLE payments ADD CONSTRAINT payments_status_check
+        CHECK (status IN ('pending', 'success', 'failed', 'partially_refunded', 'refunded'));
+
+      -- One row per refund request; provider_reference is the Stripe refund id or the M-Pesa reversal's OriginatorConversationID
+      CREATE TABLE IF NOT EXISTS payment_refunds (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) NOT NULL,
+        reason TEXT,
+        provider VARCHAR(20) NOT NULL CHECK (provider IN ('stripe', 'mpesa', 'simulated')),
+        provider_reference VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        failure_reason TEXT,
+        requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment_id ON payment_refunds(payment_id);
+      CREATE INDEX IF NOT EXISTS idx_payment_refunds_provider_reference ON payment_refunds(provider_reference);
+    `,
+    down: `
+      DROP TABLE IF EXISTS payment_refunds CASCADE;
+      ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+      ALTER TABLE payments ADD CONSTRAINT payments_status_check
+        CHECK (status IN ('pending', 'success', 'failed', 'refunded'));
+      ALTER TABLE payments DROP COLUMN IF EXISTS refunded_amount;
+    `,
+  },
+  {
+    version: 30,
+    name: "add_payment_invoices",
+    up: `
+      -- Invoice numbers are issued in sequence when a payment completes, e.g. INV-2026-000042
+      CREATE SEQUENCE IF NOT EXISTS invoice_number_seq;
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(30) UNIQUE;
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS invoice_issued_at TIMESTAMP WITH TIME ZONE;
+      -- VAT rate (percent) in force when the invoice was issued
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS vat_rate DECIMAL(5,2);
+    `,
+    down: `
+      ALTER TABLE payments DROP COLUMN IF EXISTS vat_rate;
+      ALTER TABLE payments DROP COLUMN IF EXISTS invoice_issued_at;
+      ALTER TABLE payments DROP COLUMN IF EXISTS invoice_number;
+      DROP SEQUENCE IF EXISTS invoice_number_seq;
+    `,
+  },
+  {
+    version: 31,
+    name: "track_feeding_record_drawdown",
+    up: `
+      -- Batches and quantities each feeding record drew from feed_inventory, so deleting or
+      -- correcting the record can put the stock back
+      ALTER TABLE feeding_records ADD COLUMN IF NOT EXISTS inventory_drawdown JSONB;
+      ALTER TABLE feeding_records ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+    `,
+    down: `
+      ALTER TABLE feeding_records DROP COLUMN IF EXISTS updated_at;
+      ALTER TABLE feeding_records DROP COLUMN IF EXISTS inventory_drawdown;
+    `,
+  },
+  {
+    version: 32,
+    name: "create_sms_daily_usage",
+    up: `
+      -- SMS taken from each farm's daily quota (per farm-local date); a slot is reserved before sending
+      CREATE TABLE IF NOT EXISTS sms_daily_usage (
+        farm_id UUID NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        used INTEGER NOT NULL DEFAULT 0 CHECK (used >= 0),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (farm_id, date)
+      );
+
+      INSERT INTO sms_daily_usage (farm_id, date, used)
+      SELECT farm_id, date, COUNT(*)
+      FROM sms_logs
+      WHERE farm_id IS NOT NULL AND provider_message_id IS NOT NULL AND is_deleted = 0
+      GROUP BY farm_id, date
+      ON CONFLICT (farm_id, date) DO NOTHING;
+    `,
+    down: `
+      DROP TABLE IF EXISTS sms_daily_usage CASCADE;
+    `,
+  },
+  {
+    version: 33,
+    name: "widen_activity_logs_entity_id",
+    up: `
+      -- Pigs are audited by pig_id, which is VARCHAR(200)
+      ALTER TABLE activity_logs ALTER COLUMN entity_id TYPE VARCHAR(200);
+    `,
+    down: `
+      ALTER TABLE activity_logs ALTER COLUMN entity_id TYPE VARCHAR(50);
+    `,
+  },
+  {
+    version: 34,
+    name: "add_mpesa_result_tokens",
+    up: `
+      -- SHA-256 of the secret token embedded in the ResultURL of a transaction status query or reversal
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS status_query_token_hash VARCHAR(64);
+      ALTER TABLE payment_refunds ADD COLUMN IF NOT EXISTS result_token_hash VARCHAR(64);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_status_query_token_hash ON payments(status_query_token_hash)
+        WHERE status_query_token_hash IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_refunds_result_token_hash ON payment_refunds(result_token_hash)
+        WHERE result_token_hash IS NOT NULL;
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_payment_refunds_result_token_hash;
+      DROP INDEX IF EXISTS idx_payments_status_query_token_hash;
+      ALTER TABLE payment_refunds DROP COLUMN IF EXISTS result_token_hash;
+      ALTER TABLE payments DROP COLUMN IF EXISTS status_query_token_hash;
+    `,
+  },
+  {
+    version: 35,
+    name: "unique_pending_payment_refund",
+    up: `
+      -- At most one refund per payment may be awaiting its provider
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_refunds_one_pending ON payment_refunds(payment_id)
+        WHERE status = 'pending';
+    `,
+    down: `
+      DROP INDEX IF EXISTS idx_payment_refunds_one_pending;
+    `,
+  },
 ];
 
 async function runMigrations() {
@@ -8,6 +8,7 @@ import dotenv from "dotenv";
 import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
 import logger from "./middleware/logger.js";
+import { CacheRateLimitStore } from "./middleware/rate-limit.middleware.js";
 import rowsRoutes from "./routes/rows.routes.js";
 import pensRoutes from "./routes/pens.routes.js";
 import pigsRoutes from "./routes/pigs.routes.js";
@@ -19,7 +20,17 @@ import alertRoutes from "./routes/alerts.routes.js";
 import healthRoutes from "./routes/health.routes.js";
 import feedingRoutes from "./routes/feeding.routes.js";
 import paymentRoutes from "./routes/payments.routes.js";
+import expensesRoutes from "./routes/expenses.routes.js";
+import reportsRoutes from "./routes/reports.routes.js";
+import vaccinationRoutes from "./routes/vaccination.routes.js";
+import jobsRoutes from "./routes/jobs.routes.js";
+import notificationsRoutes from "./routes/notifications.routes.js";
+import auditRoutes from "./routes/audit.routes.js";
+import invitationsRoutes from "./routes/invitations.routes.js";
+import meRoutes from "./routes/me.routes.js";
+import SchedulerService from "./services/scheduler.services.js";
 import { errorHandler } from "./middleware/errorHandler.js";
+import requestContextMiddleware from "./middleware/requestContext.middleware.js";
 import { runSetUp } from "./database/runSetup.js";
 import bodyParser from "body-parser";
 
@@ -88,12 +99,14 @@ app.use(
       "https://pigmaster.vercel.app",
     ],
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   }),
 );
 
-app.use(bodyParser.json());
+app.use(requestContextMiddleware);
+// keep the raw body too: webhook signatures (Stripe) are computed over the exact bytes received
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -106,6 +119,7 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: new CacheRateLimitStore(),
 });
 
 app.use("/api/", limiter);
@@ -137,6 +151,14 @@ apiRouter.use("/alerts", alertRoutes);
 apiRouter.use("/health", healthRoutes);
 apiRouter.use("/feeding", feedingRoutes);
 apiRouter.use("/payments", paymentRoutes);
+apiRouter.use("/expenses", expensesRoutes);
+apiRouter.use("/reports", reportsRoutes);
+apiRouter.use("/vaccinations", vaccinationRoutes);
+apiRouter.use("/jobs", jobsRoutes);
+apiRouter.use("/notifications", notificationsRoutes);
+apiRouter.use("/audit", auditRoutes);
+apiRouter.use("/invitations", invitationsRoutes);
+apiRouter.use("/me", meRoutes);
 
 app.use("/api/v1", apiRouter);
 
@@ -181,6 +203,8 @@ async function startServer() {
       logger.info(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       logger.info(`🌍 Environment: ${process.env.NODE_ENV}`);
     });
+    // Daily alert/vaccination/expense jobs (skipped on Vercel, which uses /api/v1/jobs/run)
+    SchedulerService.start();
   } catch (error) {
     logger.error("Failed to start server:", error);
     process.exit(1);
@@ -2,12 +2,9 @@ import jwt from 'jsonwebtoken';
 import { pool } from '../config/database.js';
 import logger from './logger.js';
 import { UnauthorizedError } from './errors.js';
-
-const DAY_IN_MS = 24 * 60 * 60 * 1000;
-const parseTrialPeriod = () => {
-    const parsed = Number.parseInt(process.env.TRIAL_PERIOD ?? '30', 10);
-    return Number.isNaN(parsed) ? 30 : Math.max(parsed, 1);
-};
+import { setRequestContext } from './requestContext.middleware.js';
+import SessionsService from '../services/sessions.services.js';
+import SubscriptionsService from '../services/subscriptions.services.js';
 
 const authMiddleware = async (req, res, next) => {
     try {
@@ -17,17 +14,23 @@ const authMiddleware = async (req, res, next) => {
         }
 
         const token = authHeader.split(' ')[1];
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-        // Check if token is blacklisted
-        const blacklistResult = await pool.query(
-            'SELECT 1 FROM token_blacklist WHERE token = $1 AND expires_at > CURRENT_TIMESTAMP AND is_deleted = 0',
-            [token]
-        );
-        if (blacklistResult.rows.length > 0) {
-            throw new UnauthorizedError('Token is blacklisted');
+        // other signed tokens (e.g. farm invitations) are not access tokens
+        if (decoded.type && decoded.type !== 'access') {
+            throw new UnauthorizedError('Invalid token');
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Tokens issued before sessions existed have no sid and are revoked through the blacklist
+        if (!decoded.sid) {
+            const blacklistResult = await pool.query(
+                'SELECT 1 FROM token_blacklist WHERE token = $1 AND expires_at > CURRENT_TIMESTAMP AND is_deleted = 0',
+                [token]
+            );
+            if (blacklistResult.rows.length > 0) {
+                throw new UnauthorizedError('Token is blacklisted');
+            }
+        }
 
         // Fetch user with role, permissions, subscription and farm data
         const userResult = await pool.query(
@@ -35,61 +38,47 @@ const authMiddleware = async (req, res, next) => {
                 u.id,
                 u.email,
                 u.name,
+                u.phone,
                 u.role_id,
                 u.subscription_start,
                 u.subscription_end,
                 u.farm_id,
                 r.name AS role_name,
                 r.permissions,
-                f.created_at AS farm_created_at
+                f.created_at AS farm_created_at,
+                s.id AS session_id,
+                s.last_seen_at AS session_last_seen_at
              FROM users u
              JOIN roles r ON u.role_id = r.id
              LEFT JOIN farms f ON u.farm_id = f.id
+             LEFT JOIN user_sessions s ON s.id = $2::uuid
+               AND s.user_id = u.id
+               AND s.revoked_at IS NULL
+               AND s.expires_at > CURRENT_TIMESTAMP
              WHERE u.id = $1 
                AND u.is_deleted = 0 
                AND u.is_active = 1
                AND r.is_deleted = 0 
                AND r.is_active = 1`,
-            [decoded.userId]
+            [decoded.userId, decoded.sid || null]
         );
 
         if (userResult.rows.length === 0) {
             throw new UnauthorizedError('User not found or inactive');
         }
 
-        const user = userResult.rows[0];
-        const trialPeriodDays = parseTrialPeriod();
-        const now = new Date();
-
-        let trialEndsAt = null;
-        let isTrialActive = false;
-
-        if (user.farm_created_at) {
-            const farmCreatedAt = new Date(user.farm_created_at);
-            if (!Number.isNaN(farmCreatedAt.getTime())) {
-                trialEndsAt = new Date(farmCreatedAt.getTime() + trialPeriodDays * DAY_IN_MS);
-                isTrialActive = now.getTime() <= trialEndsAt.getTime();
-            }
-        } else {
-            // No farm yet; allow access while they set up
-            isTrialActive = true;
+        const { session_id: sessionId, session_last_seen_at: sessionLastSeenAt, ...user } = userResult.rows[0];
+        if (decoded.sid && !sessionId) {
+            throw new UnauthorizedError('Session has expired or was revoked');
         }
-
-        let hasActiveSubscription = false;
-        if (user.subscription_end) {
-            const subscriptionEndDate = new Date(user.subscription_end);
-            if (!Number.isNaN(subscriptionEndDate.getTime())) {
-                hasActiveSubscription = subscriptionEndDate.getTime() >= now.getTime();
-            }
-        }
-
         req.user = user;
-        req.accessControl = {
-            trialPeriodDays,
-            trialEndsAt: trialEndsAt ? trialEndsAt.toISOString() : null,
-            isTrialActive,
-            hasActiveSubscription,
-        };
+        req.sessionId = sessionId || null;
+        setRequestContext({ user_id: user.id });
+        if (sessionId) {
+            SessionsService.touchSession({ id: sessionId, last_seen_at: sessionLastSeenAt }, req.ip)
+                .catch(error => logger.error(`Failed to update session ${sessionId}: ${error.message}`));
+        }
+        req.accessControl = SubscriptionsService.getAccessControl(user);
 
         next();
     } catch (error) {
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+import { UnauthorizedError } from './errors.js';
+import logger from './logger.js';
+
+/**
+ * Protects job endpoints with the shared CRON_SECRET.
+ * Vercel Cron sends it as "Authorization: Bearer <CRON_SECRET>".
+ */
+const cronMiddleware = (req, res, next) => {
+    try {
+        const secret = process.env.CRON_SECRET;
+        if (!secret) {
+            throw new UnauthorizedError('Job endpoint is not configured');
+        }
+
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        const expected = Buffer.from(secret);
+        const provided = Buffer.from(token);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            throw new UnauthorizedError('Invalid job token');
+        }
+
+        next();
+    } catch (error) {
+        logger.error(`Cron middleware error: ${error.message}`);
+        next(error);
+    }
+};
+
+export default cronMiddleware;
@@ -9,6 +9,7 @@ export const errorHandler = (err, req, res, next) => {
     res.status(statusCode).json({
         success: false,
         message,
+        ...(err.isOperational && err.errors?.length && { errors: err.errors }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     });
 };
\ No newline at end of file
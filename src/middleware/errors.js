@@ -48,6 +48,15 @@ class ForbiddenError extends CustomError {
     }
 }
 
+/**
+ * Error class for plan limits that need an upgrade
+ */
+class PaymentRequiredError extends CustomError {
+    constructor(message, errors = []) {
+        super(message, 402, errors);
+    }
+}
+
 /**
  * Error class for rate limit exceeded
  */
@@ -57,6 +66,15 @@ class RateLimitError extends CustomError {
     }
 }
 
+/**
+ * Error class for accounts locked after too many failed logins
+ */
+class AccountLockedError extends CustomError {
+    constructor(message, errors = []) {
+        super(message, 423, errors);
+    }
+}
+
 /**
  * Error handler middleware
  */
@@ -70,4 +88,4 @@ const errorHandler = (error, req, res, next) => {
     res.status(statusCode).json(response);
 };
 
-export { CustomError, ValidationError, NotFoundError, UnauthorizedError, ForbiddenError, RateLimitError, errorHandler };
\ No newline at end of file
+export { CustomError, ValidationError, NotFoundError, UnauthorizedError, ForbiddenError, PaymentRequiredError, RateLimitError, AccountLockedError, errorHandler };
\ No newline at end of file
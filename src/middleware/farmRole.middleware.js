@@ -0,0 +1,114 @@
+import { DatabaseHelper } from '../config/database.js';
+import { ForbiddenError, UnauthorizedError, ValidationError } from './errors.js';
+import logger from './logger.js';
+import FarmMembersService from '../services/farmMembers.services.js';
+import { resolveTimezone } from '../utils/timezone.js';
+
+// Records addressed by their own id in the URL, with the query that finds their farm
+const RESOURCE_FARM_QUERIES = {
+    pig: {
+        label: 'Pig',
+        query: 'SELECT farm_id FROM pigs WHERE pig_id = $1 AND is_deleted = 0'
+    },
+    piglet: {
+        label: 'Piglet record',
+        query: 'SELECT farm_id FROM piglet_records WHERE id = $1 AND is_deleted = 0'
+    },
+    health_record: {
+        label: 'Health record',
+        query: `SELECT p.farm_id FROM health_records hr
+                JOIN pigs p ON hr.pig_id = p.pig_id
+                WHERE hr.id = $1 AND hr.is_deleted = 0`
+    },
+    feeding_record: {
+        label: 'Feeding record',
+        query: 'SELECT farm_id FROM feeding_records WHERE id = $1 AND is_deleted = 0'
+    },
+    feeding_schedule: {
+        label: 'Feeding schedule',
+        query: `SELECT p.farm_id FROM feeding_schedules fs
+                JOIN pigs p ON fs.pig_id = p.pig_id
+                WHERE fs.id = $1 AND fs.is_deleted = 0`
+    }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The farm a request is about: the resource's farm when `resource` is given,
+ * otherwise :farmId from the URL, otherwise farm_id from the body.
+ */
+const resolveFarmId = async (req, { resource, param = 'id' }) => {
+    if (resource) {
+        const { label, query } = RESOURCE_FARM_QUERIES[resource];
+        const id = req.params[param];
+        // pigs are addressed by their tag, every other record by UUID
+        if (!id || (resource !== 'pig' && !UUID_PATTERN.test(id))) {
+            throw new ValidationError(`${label} not found`);
+        }
+        const result = await DatabaseHelper.executeQuery(query, [id]);
+        if (result.rows.length === 0) {
+            throw new ValidationError(`${label} not found`);
+        }
+        return result.rows[0].farm_id;
+    }
+    return req.params.farmId || req.body?.farm_id;
+};
+
+/**
+ * Allows the request only when req.user is a member of the request's farm with one of the
+ * given roles (any role when none are given). A farm_id in the body must be that farm.
+ * Attaches req.farmMembership and req.farm ({ id, name, timezone, currency, role }).
+ * @param {string[]} allowedRoles - Farm roles, see FARM_ACCESS in utils/constants.js
+ * @param {Object} [options] - { resource, param } to find the farm from a record id in req.params[param];
+ *   resource is one of pig, piglet, health_record, feeding_record, feeding_schedule
+ */
+const requireFarmRole = (allowedRoles = [], options = {}) => {
+    if (options.resource && !RESOURCE_FARM_QUERIES[options.resource]) {
+        throw new Error(`Unknown farm resource: ${options.resource}`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                throw new UnauthorizedError('Authentication required');
+            }
+
+            const farmId = await resolveFarmId(req, options);
+            if (!farmId) {
+                throw new ValidationError('Missing farmId');
+            }
+            if (!UUID_PATTERN.test(farmId)) {
+                throw new ValidationError('Invalid farmId');
+            }
+            // create handlers read farm_id from the body, so it must be the farm that was checked
+            if (req.body?.farm_id && req.body.farm_id !== farmId) {
+                throw new ValidationError('farm_id in the request body does not match the farm in the URL');
+            }
+
+            const access = await FarmMembersService.getFarmAccess(farmId, req.user.id);
+            if (!access) {
+                throw new ForbiddenError('You are not a member of this farm');
+            }
+            const { farm, membership } = access;
+            if (allowedRoles.length > 0 && !allowedRoles.includes(membership.role)) {
+                throw new ForbiddenError(`Your ${membership.role} role on this farm does not allow this action`);
+            }
+
+            req.farmMembership = membership;
+            req.farm = {
+                id: farm.id,
+                name: farm.name,
+                timezone: resolveTimezone(farm.timezone),
+                currency: farm.currency || 'USD',
+                role: membership.role
+            };
+            next();
+        } catch (error) {
+            logger.error(`Farm role middleware error: ${error.message}`);
+            next(error);
+        }
+    };
+};
+
+export default requireFarmRole;
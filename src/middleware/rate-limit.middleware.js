@@ -1,42 +1,67 @@
 import { RateLimitError } from './errors.js';
 import logger from './logger.js';
+import CacheService from '../services/cache.services.js';
 
-const rateLimitMiddleware = (limit, windowMs) => {
-    const requests = new Map();
+/**
+ * Limit requests per client within a fixed window. Counters live in Redis when REDIS_URL is set,
+ * so the limit holds across instances, and in process memory otherwise.
+ * Clients are identified by user id once authMiddleware has run, by IP address before that.
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {string} [group] - Routes sharing a group share one counter; defaults to the route itself
+ */
+const rateLimitMiddleware = (limit, windowMs, group) => {
+    return async (req, res, next) => {
+        const routeGroup = group || `${req.baseUrl}${req.route?.path || ''}`;
+        const client = req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
 
-    return (req, res, next) => {
+        let hits;
         try {
-            const ip = req.ip;
-            const now = Date.now();
-
-            if (!requests.has(ip)) {
-                requests.set(ip, { count: 1, startTime: now });
-            } else {
-                const data = requests.get(ip);
-                if (now - data.startTime > windowMs) {
-                    // Reset window
-                    requests.set(ip, { count: 1, startTime: now });
-                } else {
-                    data.count += 1;
-                    if (data.count > limit) {
-                        throw new RateLimitError('Too many requests, please try again later');
-                    }
-                }
-            }
-
-            // Clean up old entries
-            for (const [key, value] of requests) {
-                if (now - value.startTime > windowMs) {
-                    requests.delete(key);
-                }
-            }
-
-            next();
+            hits = await CacheService.increment(`ratelimit:${routeGroup}:${client}`, windowMs);
         } catch (error) {
+            // the limiter must not take the API down with it
             logger.error(`Rate limit middleware error: ${error.message}`);
-            next(error);
+            return next();
         }
+
+        const resetSeconds = Math.ceil(hits.resetMs / 1000);
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(limit - hits.count, 0)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (hits.count > limit) {
+            res.set('Retry-After', String(resetSeconds));
+            return next(new RateLimitError('Too many requests, please try again later'));
+        }
+        next();
     };
 };
 
-export default rateLimitMiddleware;
\ No newline at end of file
+/**
+ * express-rate-limit store backed by CacheService, so the global API limit is shared across instances
+ */
+export class CacheRateLimitStore {
+    constructor(prefix = 'ratelimit:api:') {
+        this.prefix = prefix;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const hits = await CacheService.increment(this.prefix + key, this.windowMs);
+        return { totalHits: hits.count, resetTime: new Date(Date.now() + hits.resetMs) };
+    }
+
+    // only called with the skipSuccessfulRequests / skipFailedRequests options, which are not used
+    async decrement() {}
+
+    async resetKey(key) {
+        await CacheService.del(this.prefix + key);
+    }
+}
+
+export default rateLimitMiddleware;
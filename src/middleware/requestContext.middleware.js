@@ -0,0 +1,36 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import net from 'net';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Keeps per-request details (client IP, user agent and, once authenticated, the user)
+ * available to services without threading them through every call, e.g. for the audit trail.
+ */
+const requestContextMiddleware = (req, res, next) => {
+    // req.ip honours "trust proxy", so a client cannot pick its own address with X-Forwarded-For
+    const ip = req.ip || req.socket?.remoteAddress || null;
+    storage.run(
+        {
+            ip_address: ip && net.isIP(ip) ? ip : null,
+            user_agent: req.headers['user-agent'] || null,
+            user_id: null,
+        },
+        next
+    );
+};
+
+/**
+ * Current request context, or an empty object outside a request (scheduler, scripts)
+ */
+export const getRequestContext = () => storage.getStore() || {};
+
+/**
+ * Add values to the current request context (no-op outside a request)
+ */
+export const setRequestContext = (values) => {
+    const store = storage.getStore();
+    if (store) Object.assign(store, values);
+};
+
+export default requestContextMiddleware;
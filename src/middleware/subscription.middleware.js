@@ -1,4 +1,7 @@
-import { ForbiddenError, UnauthorizedError } from './errors.js';
+import { ForbiddenError, PaymentRequiredError, UnauthorizedError } from './errors.js';
+
+// Requests that only read data and stay available during the grace period
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 const formatDate = (date) => {
     if (!date) return 'your trial period';
@@ -13,6 +16,7 @@ export const requireActiveSubscription = (options = {}) => {
     const {
         allowRoles = ['admin', 'superadmin'],
         allowDuringTrial = true,
+        allowDuringGrace = true,
         customMessage,
     } = options;
 
@@ -34,6 +38,21 @@ export const requireActiveSubscription = (options = {}) => {
             return next();
         }
 
+        // After the subscription or trial ends the account stays readable for SUBSCRIPTION_GRACE_DAYS
+        if (allowDuringGrace && accessControl.isInGracePeriod) {
+            if (READ_ONLY_METHODS.includes(req.method)) {
+                return next();
+            }
+            return next(new PaymentRequiredError(
+                `Your ${accessControl.accessEndsAt === accessControl.trialEndsAt ? 'trial' : 'subscription'} ended on ${formatDate(
+                    accessControl.accessEndsAt
+                )}. Your account is read-only until ${formatDate(
+                    accessControl.graceEndsAt
+                )}. Please upgrade your plan to make changes.`,
+                [{ reason: 'grace_period', access_ends_at: accessControl.accessEndsAt, grace_ends_at: accessControl.graceEndsAt }]
+            ));
+        }
+
         const message =
             customMessage ||
             `Your trial expired on ${formatDate(
@@ -45,4 +64,3 @@ export const requireActiveSubscription = (options = {}) => {
 };
 
 export default requireActiveSubscription;
-
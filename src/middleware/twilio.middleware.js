@@ -0,0 +1,37 @@
+import twilio from 'twilio';
+import { UnauthorizedError } from './errors.js';
+import logger from './logger.js';
+import SmsService from '../services/sms.services.js';
+
+/**
+ * Verifies the X-Twilio-Signature header on Twilio webhooks (SMS status callbacks).
+ * The signature covers the exact callback URL Twilio was given, so the configured callback URL
+ * is preferred over the URL the request arrived on (which changes behind proxies).
+ */
+const twilioWebhookMiddleware = (req, res, next) => {
+    try {
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        if (!authToken) {
+            throw new UnauthorizedError('Twilio webhook is not configured');
+        }
+
+        const signature = req.headers['x-twilio-signature'];
+        if (!signature) {
+            throw new UnauthorizedError('Missing Twilio signature');
+        }
+
+        const url = process.env.SMS_STATUS_CALLBACK_URL
+            || SmsService.defaultStatusCallbackUrl()
+            || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+        if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+            throw new UnauthorizedError('Invalid Twilio signature');
+        }
+
+        next();
+    } catch (error) {
+        logger.error(`Twilio webhook middleware error: ${error.message}`);
+        next(error);
+    }
+};
+
+export default twilioWebhookMiddleware;
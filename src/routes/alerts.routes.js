@@ -1,15 +1,28 @@
 import express from 'express';
 import AlertsController from '../controllers/alerts.controller.js';
 import authMiddleware from '../middleware/auth.middleware.js';
+import requireFarmRole from '../middleware/farmRole.middleware.js';
+import { FARM_ACCESS } from '../utils/constants.js';
 import { requireActiveSubscription } from '../middleware/subscription.middleware.js';
+import permissionMiddleware from '../middleware/permission.middleware.js';
+import twilioWebhookMiddleware from '../middleware/twilio.middleware.js';
 
 const router = express.Router();
+const requireSmsAlerts = permissionMiddleware('sms_alerts');
+
+// SMS channel (advanced tier). Twilio posts delivery updates to /sms/status.
+router.post('/sms/status', twilioWebhookMiddleware, AlertsController.smsStatusCallback);
+router.get('/sms/:farmId/status', authMiddleware, requireFarmRole(FARM_ACCESS.view), requireSmsAlerts, AlertsController.getSmsStatus);
+router.get('/sms/:farmId/logs', authMiddleware, requireFarmRole(FARM_ACCESS.view), requireSmsAlerts, AlertsController.getSmsLogs);
+router.post('/sms/:farmId/test', authMiddleware, requireFarmRole(FARM_ACCESS.manage), requireSmsAlerts, AlertsController.sendTestSms);
 
-router.get('/:farmId', AlertsController.getFarmAlerts);
-router.get('/calendar/:farmId', AlertsController.getFarmCalendarAlerts);
-router.get('/mail/:farmId', AlertsController.getFarmAlerts);
 const enforceActivePlan = requireActiveSubscription();
 
+// Declared before /:farmId, which would otherwise take "active" as a farm id
 router.get('/active', authMiddleware, enforceActivePlan, AlertsController.getActiveFarm);
 
+router.get('/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.view), AlertsController.getFarmAlerts);
+router.get('/calendar/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.view), AlertsController.getFarmCalendarAlerts);
+router.get('/mail/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.view), AlertsController.getFarmAlerts);
+
 export default router;
\ No newline at end of file
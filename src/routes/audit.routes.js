@@ -0,0 +1,170 @@
+import express from "express";
+import AuditController from "../controllers/audit.controllers.js";
+import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, transfer]
+ *         entity_type:
+ *           type: string
+ *           description: pig, pen, row, breeding_record, piglet, earning, feeding_record, feeding_schedule, feed_inventory, health_record, farm_member, farm_invitation
+ *         entity_id:
+ *           type: string
+ *         old_values:
+ *           type: object
+ *           nullable: true
+ *           description: Snapshot before the change (null for creates)
+ *         new_values:
+ *           type: object
+ *           nullable: true
+ *           description: Snapshot after the change (null when a record was removed outright)
+ *         changed_fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *         ip_address:
+ *           type: string
+ *           nullable: true
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         user_name:
+ *           type: string
+ *         user_email:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 9c1f2a7e-3b4d-4e5f-8a6b-7c8d9e0f1a2b
+ *         action: transfer
+ *         entity_type: pig
+ *         entity_id: SOW-012
+ *         old_values:
+ *           pen_id: 2f6c1d3e-4a5b-4c6d-8e7f-9a0b1c2d3e4f
+ *         new_values:
+ *           pen_id: 7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c0d
+ *         changed_fields: [pen_id]
+ *         ip_address: 197.232.10.4
+ *         user_agent: Mozilla/5.0
+ *         user_id: 123e4567-e89b-12d3-a456-426614174000
+ *         user_name: Jane Wanjiku
+ *         user_email: jane@example.com
+ *         created_at: 2025-06-19T06:00:00Z
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit/{farmId}:
+ *   get:
+ *     summary: Audit trail of changes made on a farm, newest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *         description: Only changes to this kind of record
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *         description: Only changes to this record
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only changes made by this user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, transfer]
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditEntry'
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filters or farm not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only farm owners and managers can read the audit trail
+ */
+router.get(
+  "/:farmId",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.manage),
+  AuditController.getAuditTrail
+);
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import AuthController from '../controllers/auth.controllers.js';
 import { validateRequest } from '../middleware/validateRequest.js';
-import { registerSchema, loginSchema, forgotPasswordSchema, resetPasswordSchema } from '../utils/auth.validator.js';
+import { registerSchema, loginSchema, forgotPasswordSchema, resetPasswordSchema, refreshTokenSchema, twoFactorCodeSchema, twoFactorLoginSchema } from '../utils/auth.validator.js';
 import rateLimitMiddleware from '../middleware/rate-limit.middleware.js';
 import authMiddleware from '../middleware/auth.middleware.js';
 import { resendVerificationSchema } from '../utils/validator.js';
@@ -38,8 +38,56 @@ const router = express.Router();
  *       properties:
  *         token:
  *           type: string
+ *           description: Short-lived access token (ACCESS_TOKEN_EXPIRY, 15 minutes by default)
+ *         refresh_token:
+ *           type: string
+ *           description: Single-use token for POST /auth/refresh
  *         user:
  *           $ref: '#/components/schemas/User'
+ *     TwoFactorChallenge:
+ *       type: object
+ *       description: Returned by login and SSO instead of tokens when the account has two-factor authentication
+ *       properties:
+ *         two_factor_required:
+ *           type: boolean
+ *           example: true
+ *         two_factor_token:
+ *           type: string
+ *           description: Send to POST /auth/login/2fa with the code, within 5 minutes
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             email:
+ *               type: string
+ *             name:
+ *               type: string
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *         ip_address:
+ *           type: string
+ *           nullable: true
+ *         last_seen_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         is_current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -136,15 +184,99 @@ router.post('/register', AuthController.register);
  *                 message:
  *                   type: string
  *                 data:
- *                   $ref: '#/components/schemas/LoginResponse'
+ *                   oneOf:
+ *                     - $ref: '#/components/schemas/LoginResponse'
+ *                     - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         description: Invalid input
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/login', rateLimitMiddleware(5, 60 * 1000, 'auth:login'), validateRequest(loginSchema), AuthController.login);
+
+/**
+ * @swagger
+ * /api/v1/auth/login/2fa:
+ *   post:
+ *     summary: Finish a login with a two-factor code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [two_factor_token, code]
+ *             properties:
+ *               two_factor_token:
+ *                 type: string
+ *                 description: From the login or SSO response
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app, or an unused recovery code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Invalid code, or the login challenge expired
+ *       423:
+ *         description: Account locked after too many failed attempts
  *       429:
  *         description: Too many requests
  */
-router.post('/login', rateLimitMiddleware(5, 60 * 1000), validateRequest(loginSchema), AuthController.login);
+router.post('/login/2fa', rateLimitMiddleware(5, 60 * 1000, 'auth:login-2fa'), validateRequest(twoFactorLoginSchema), AuthController.verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/password-policy:
+ *   get:
+ *     summary: Rules new passwords must follow
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     min_length:
+ *                       type: integer
+ *                     require_uppercase:
+ *                       type: boolean
+ *                     require_lowercase:
+ *                       type: boolean
+ *                     require_number:
+ *                       type: boolean
+ *                     require_symbol:
+ *                       type: boolean
+ *                     history_count:
+ *                       type: integer
+ *                       description: Number of recent passwords that cannot be reused
+ */
+router.get('/password-policy', AuthController.getPasswordPolicy);
 
 /**
  * @swagger
@@ -188,7 +320,7 @@ router.post('/login', rateLimitMiddleware(5, 60 * 1000), validateRequest(loginSc
  *       429:
  *         description: Too many requests
  */
-router.post('/forgot-password', rateLimitMiddleware(3, 60 * 1000), validateRequest(forgotPasswordSchema), AuthController.forgotPassword);
+router.post('/forgot-password', rateLimitMiddleware(3, 60 * 1000, 'auth:email'), validateRequest(forgotPasswordSchema), AuthController.forgotPassword);
 
 /**
  * @swagger
@@ -315,8 +447,290 @@ router.get('/verify-email/:token', AuthController.verifyEmail);
  *       429:
  *         description: Too many requests
  */
-router.post('/resend-verification', rateLimitMiddleware(3, 60 * 1000), validateRequest(resendVerificationSchema), AuthController.resendVerificationEmail);
+router.post('/resend-verification', rateLimitMiddleware(3, 60 * 1000, 'auth:email'), validateRequest(resendVerificationSchema), AuthController.resendVerificationEmail);
 
 router.post('/sso', AuthController.ssoAuth); 
 
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Refresh tokens are single use. Presenting one that was already used revokes its session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refresh_token:
+ *                       type: string
+ *                     session_id:
+ *                       type: string
+ *                       format: uuid
+ *       401:
+ *         description: Invalid, expired, reused or revoked refresh token
+ */
+router.post('/refresh', rateLimitMiddleware(30, 60 * 1000, 'auth:refresh'), validateRequest(refreshTokenSchema), AuthController.refreshToken);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List the devices signed in to this account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Sign out every other device
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authMiddleware, AuthController.getSessions);
+router.delete('/sessions', authMiddleware, AuthController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one device
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       400:
+ *         description: Session not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions/:sessionId', authMiddleware, AuthController.revokeSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa:
+ *   get:
+ *     summary: Two-factor authentication status of the signed-in user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabled_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     recovery_codes_remaining:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', authMiddleware, AuthController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and its otpauth:// provisioning URI to show as a QR code. Works for password and SSO accounts.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret created, waiting for the first code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauth_url:
+ *                       type: string
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', authMiddleware, AuthController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm enrollment with the first code and enable two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled. The recovery codes are only shown this once.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid code, or setup was not started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/verify', authMiddleware, rateLimitMiddleware(5, 60 * 1000, 'auth:2fa'), validateRequest(twoFactorCodeSchema), AuthController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or a recovery code
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Invalid code, or two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/disable', authMiddleware, rateLimitMiddleware(5, 60 * 1000, 'auth:2fa'), validateRequest(twoFactorCodeSchema), AuthController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones stop working
+ *       400:
+ *         description: Invalid code, or two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/recovery-codes', authMiddleware, rateLimitMiddleware(5, 60 * 1000, 'auth:2fa'), validateRequest(twoFactorCodeSchema), AuthController.regenerateRecoveryCodes);
+
 export default router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import express from "express";
 import BreedingController from "../controllers/breed.controllers.js";
 import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
 import { requireActiveSubscription } from "../middleware/subscription.middleware.js";
 import { validateRequest } from "../middleware/validateRequest.js";
 import {
@@ -205,6 +207,7 @@ const enforceActivePlan = requireActiveSubscription();
 router.post(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   validateRequest(breedingSchema),
   BreedingController.createBreedingRecord
@@ -249,6 +252,7 @@ router.post(
 router.get(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   enforceActivePlan,
   BreedingController.getAllBreedingRecords
 );
@@ -299,6 +303,7 @@ router.get(
 router.get(
   "/:farmId/:recordId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   enforceActivePlan,
   BreedingController.getBreedingRecordById
 );
@@ -366,6 +371,7 @@ router.get(
 router.put(
   "/:farmId/:recordId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   validateRequest(breedingUpdateSchema),
   BreedingController.updateBreedingRecord
@@ -421,6 +427,7 @@ router.put(
 router.delete(
   "/:farmId/:recordId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   BreedingController.deleteBreedingRecord
 );
@@ -470,6 +477,7 @@ router.delete(
 router.post(
   "/piglets/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   BreedingController.createPigletRecord
 );
@@ -530,6 +538,7 @@ router.post(
 router.put(
   "/piglets/:pigletId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock, { resource: "piglet", param: "pigletId" }),
   enforceActivePlan,
   validateRequest(pigletUpdateSchema),
   BreedingController.updatePigletRecord
@@ -539,6 +548,7 @@ router.put(
 router.get(
   "/history/:farmId/:pigId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   enforceActivePlan,
   BreedingController.getBreedingHistoryByPigId
 );
@@ -3,6 +3,8 @@ import EarningsController from "../controllers/earnings.controllers.js";
 import { validateRequest } from "../middleware/validateRequest.js";
 import { earningsSchema, earningsUpdateSchema } from "../utils/validator.js";
 import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
 import { requireActiveSubscription } from "../middleware/subscription.middleware.js";
 
 const router = express.Router();
@@ -150,6 +152,7 @@ const enforceActivePlan = requireActiveSubscription();
 router.post(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance),
   enforceActivePlan,
   validateRequest(earningsSchema),
   EarningsController.createEarnings
@@ -198,6 +201,7 @@ router.post(
 router.get(
   "/:farmId/:id",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance_view),
   enforceActivePlan,
   EarningsController.getEarnings
 );
@@ -262,6 +266,7 @@ router.get(
 router.get(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance_view),
   enforceActivePlan,
   EarningsController.getAllEarnings
 );
@@ -353,6 +358,7 @@ router.get(
 router.put(
   "/:farmId/:id",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance),
   enforceActivePlan,
   validateRequest(earningsUpdateSchema),
   EarningsController.updateEarnings
@@ -401,6 +407,7 @@ router.put(
 router.delete(
   "/:farmId/:id",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance),
   enforceActivePlan,
   EarningsController.deleteEarnings
 );
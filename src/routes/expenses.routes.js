@@ -0,0 +1,432 @@
+import express from "express";
+import ExpensesController from "../controllers/expenses.controllers.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+import { expenseSchema, expenseUpdateSchema } from "../utils/validator.js";
+import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
+import { requireActiveSubscription } from "../middleware/subscription.middleware.js";
+
+const router = express.Router();
+const enforceActivePlan = requireActiveSubscription();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Expense:
+ *       type: object
+ *       required:
+ *         - category
+ *         - description
+ *         - amount
+ *         - date
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The unique ID of the expense record
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           description: The ID of the farm
+ *         category:
+ *           type: string
+ *           description: Expense category (e.g., feed, labour, rent, veterinary)
+ *         description:
+ *           type: string
+ *           description: What the expense was for
+ *         amount:
+ *           type: number
+ *           format: float
+ *           description: The amount spent
+ *         currency:
+ *           type: string
+ *           description: The currency code (e.g., USD)
+ *           default: USD
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: The date of the expense
+ *         vendor:
+ *           type: string
+ *           description: Who was paid (optional)
+ *           nullable: true
+ *         payment_method:
+ *           type: string
+ *           description: How it was paid, e.g. cash, mpesa, bank_transfer (optional)
+ *           nullable: true
+ *         receipt_url:
+ *           type: string
+ *           description: Link to a scanned receipt (optional)
+ *           nullable: true
+ *         is_recurring:
+ *           type: boolean
+ *           description: Whether this expense repeats on a schedule
+ *           default: false
+ *         recurring_frequency:
+ *           type: string
+ *           enum: [daily, weekly, biweekly, monthly, quarterly, yearly]
+ *           description: Schedule for recurring expenses (required when is_recurring is true)
+ *           nullable: true
+ *         recurring_parent_id:
+ *           type: string
+ *           format: uuid
+ *           description: The recurring expense this occurrence was generated from
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           description: Additional notes (optional)
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *       example:
+ *         id: 6f1c2a9e-3b1d-4e0a-9a57-0c4c1d2e8b11
+ *         farm_id: 123e4567-e89b-12d3-a456-426614174000
+ *         category: rent
+ *         description: Monthly land lease
+ *         amount: 15000.00
+ *         currency: KES
+ *         date: 2025-06-01
+ *         vendor: Kamau Holdings
+ *         payment_method: mpesa
+ *         is_recurring: true
+ *         recurring_frequency: monthly
+ *         created_at: 2025-06-01T08:00:00Z
+ *         updated_at: 2025-06-01T08:00:00Z
+ */
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}:
+ *   post:
+ *     summary: Create a new expense record
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Expense'
+ *     responses:
+ *       201:
+ *         description: Expense record created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/:farmId",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance),
+  enforceActivePlan,
+  validateRequest(expenseSchema),
+  ExpensesController.createExpense
+);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}/recurring/generate:
+ *   post:
+ *     summary: Materialise due occurrences of the farm's recurring expenses
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *     responses:
+ *       200:
+ *         description: Newly created expense occurrences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/:farmId/recurring/generate",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance),
+  enforceActivePlan,
+  ExpensesController.generateRecurring
+);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}/{id}:
+ *   get:
+ *     summary: Get an expense record by ID
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the expense record
+ *     responses:
+ *       200:
+ *         description: Expense record retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       404:
+ *         description: Expense record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/:farmId/:id",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance_view),
+  enforceActivePlan,
+  ExpensesController.getExpense
+);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}:
+ *   get:
+ *     summary: Get all expense records for a farm
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by expense category
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by start date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by end date
+ *       - in: query
+ *         name: is_recurring
+ *         schema:
+ *           type: boolean
+ *         description: Only recurring (true) or only one-off (false) expenses
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of records to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *         description: Number of records to skip
+ *     responses:
+ *       200:
+ *         description: Expense records retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/:farmId",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance_view),
+  enforceActivePlan,
+  ExpensesController.getAllExpenses
+);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}/{id}:
+ *   put:
+ *     summary: Update an expense record
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the expense record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Expense'
+ *     responses:
+ *       200:
+ *         description: Expense record updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Expense record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  "/:farmId/:id",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance),
+  enforceActivePlan,
+  validateRequest(expenseUpdateSchema),
+  ExpensesController.updateExpense
+);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete an expense record
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the expense record
+ *     responses:
+ *       200:
+ *         description: Expense record deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       404:
+ *         description: Expense record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  "/:farmId/:id",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance),
+  enforceActivePlan,
+  ExpensesController.deleteExpense
+);
+
+export default router;
@@ -1,8 +1,12 @@
 import express from 'express';
 import FarmsController from '../controllers/farms.controllers.js';
 import { validateRequest } from '../middleware/validateRequest.js';
-import { farmSchema, farmUpdateSchema } from '../utils/validator.js';
+import { farmSchema, farmUpdateSchema, farmMemberSchema, farmMemberRoleSchema } from '../utils/validator.js';
 import authMiddleware from '../middleware/auth.middleware.js';
+import requireFarmRole from '../middleware/farmRole.middleware.js';
+import FarmMembersController from '../controllers/farmMembers.controllers.js';
+import FarmInvitationsController from '../controllers/farmInvitations.controllers.js';
+import { FARM_ACCESS } from '../utils/constants.js';
 
 const router = express.Router();
 
@@ -50,6 +54,10 @@ const router = express.Router();
  *           type: string
  *           format: uuid
  *           description: The ID of the user who created the farm
+ *         member_role:
+ *           type: string
+ *           enum: [owner, manager, worker, vet, accountant, viewer]
+ *           description: The requesting user's role on the farm
  *         created_at:
  *           type: string
  *           format: date-time
@@ -72,6 +80,7 @@ const router = express.Router();
  *         description: Main pig breeding farm
  *         timezone: America/New_York
  *         created_by: 987fcdeb-4321-56ef-1234-567890abcdef
+ *         member_role: owner
  *         created_at: 2025-01-01T00:00:00Z
  *         updated_at: 2025-01-01T00:05:00Z
  *         is_deleted: 0
@@ -158,7 +167,7 @@ router.post('/', authMiddleware, validateRequest(farmSchema), FarmsController.cr
  *       401:
  *         description: Unauthorized
  */
-router.get('/:farmId', authMiddleware, FarmsController.getFarmById);
+router.get('/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.view), FarmsController.getFarmById);
 
 /**
  * @swagger
@@ -271,7 +280,7 @@ router.get('/', authMiddleware, FarmsController.getAllFarms);
  *       401:
  *         description: Unauthorized
  */
-router.put('/:farmId', authMiddleware, validateRequest(farmUpdateSchema), FarmsController.updateFarm);
+router.put('/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.manage), validateRequest(farmUpdateSchema), FarmsController.updateFarm);
 
 /**
  * @swagger
@@ -310,6 +319,389 @@ router.put('/:farmId', authMiddleware, validateRequest(farmUpdateSchema), FarmsC
  *       401:
  *         description: Unauthorized
  */
-router.delete('/:farmId', authMiddleware, FarmsController.deleteFarm);
+router.delete('/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.owner), FarmsController.deleteFarm);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FarmMember:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         role:
+ *           type: string
+ *           enum: [owner, manager, worker, vet, accountant, viewer]
+ *         added_by:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 5b0e6c1a-2f4d-4a8e-bc31-7d9f0e2a6b44
+ *         farm_id: 123e4567-e89b-12d3-a456-426614174000
+ *         user_id: 987fcdeb-4321-56ef-1234-567890abcdef
+ *         role: vet
+ *         added_by: 0d7b7f5e-8a51-4c3e-9f0a-2b1d6c9e4a10
+ *         name: Dr. Otieno
+ *         email: otieno@example.com
+ *         phone: "+254712345678"
+ *         created_at: 2025-06-19T06:00:00Z
+ */
+
+/**
+ * @swagger
+ * /api/v1/farms/{farmId}/members:
+ *   get:
+ *     summary: List the members of a farm and their roles
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Farm members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FarmMember'
+ *       403:
+ *         description: Not a member of this farm
+ *   post:
+ *     summary: Add a registered user to the farm with a role
+ *     description: Owners can grant any role. Managers can add workers, vets, accountants and viewers.
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, worker, vet, accountant, viewer]
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       400:
+ *         description: No account for this email, or already a member
+ *       402:
+ *         description: The farm's plan allows no more users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LimitExceeded'
+ *       403:
+ *         description: Role not allowed to add this member
+ */
+router.get('/:farmId/members', authMiddleware, requireFarmRole(FARM_ACCESS.view), FarmMembersController.getMembers);
+router.post('/:farmId/members', authMiddleware, requireFarmRole(FARM_ACCESS.manage), validateRequest(farmMemberSchema), FarmMembersController.addMember);
+
+/**
+ * @swagger
+ * /api/v1/farms/{farmId}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, worker, vet, accountant, viewer]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Member not found, or the farm would be left without an owner
+ *       403:
+ *         description: Role not allowed to change this member
+ *   delete:
+ *     summary: Remove a member from the farm (members can also remove themselves)
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: Member not found, or the farm would be left without an owner
+ *       403:
+ *         description: Role not allowed to remove this member
+ */
+router.put('/:farmId/members/:userId', authMiddleware, requireFarmRole(FARM_ACCESS.manage), validateRequest(farmMemberRoleSchema), FarmMembersController.updateMemberRole);
+router.delete('/:farmId/members/:userId', authMiddleware, requireFarmRole(FARM_ACCESS.view), FarmMembersController.removeMember);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FarmInvitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, manager, worker, vet, accountant, viewer]
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         invited_by:
+ *           type: string
+ *           format: uuid
+ *         invited_by_name:
+ *           type: string
+ *         accepted_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         send_count:
+ *           type: integer
+ *         last_sent_at:
+ *           type: string
+ *           format: date-time
+ *         email_status:
+ *           type: string
+ *           description: Outcome of sending the email (create and resend only)
+ *       example:
+ *         id: 3c9d2e1f-7a6b-4c5d-9e8f-1a2b3c4d5e6f
+ *         farm_id: 123e4567-e89b-12d3-a456-426614174000
+ *         email: herdsman@example.com
+ *         role: worker
+ *         status: pending
+ *         invited_by: 987fcdeb-4321-56ef-1234-567890abcdef
+ *         expires_at: 2025-06-26T06:00:00Z
+ *         send_count: 1
+ *         last_sent_at: 2025-06-19T06:00:00Z
+ */
+
+/**
+ * @swagger
+ * /api/v1/farms/{farmId}/invitations:
+ *   get:
+ *     summary: List the farm's invitations
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FarmInvitation'
+ *       403:
+ *         description: Only owners and managers can manage invitations
+ *   post:
+ *     summary: Invite a person by email to join the farm
+ *     description: Sends an email with a signed link that expires after INVITATION_EXPIRY_DAYS (default 7).
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, worker, vet, accountant, viewer]
+ *     responses:
+ *       201:
+ *         description: Invitation created and emailed
+ *       400:
+ *         description: Already a member, or an invitation is already pending
+ *       402:
+ *         description: The farm's plan allows no more users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LimitExceeded'
+ *       403:
+ *         description: Role not allowed to invite with this role
+ */
+router.get('/:farmId/invitations', authMiddleware, requireFarmRole(FARM_ACCESS.manage), FarmInvitationsController.getInvitations);
+router.post('/:farmId/invitations', authMiddleware, requireFarmRole(FARM_ACCESS.manage), validateRequest(farmMemberSchema), FarmInvitationsController.createInvitation);
+
+/**
+ * @swagger
+ * /api/v1/farms/{farmId}/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Email a pending or expired invitation again with a fresh link
+ *     description: Earlier links for the invitation stop working.
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation not found or no longer pending
+ */
+router.post('/:farmId/invitations/:invitationId/resend', authMiddleware, requireFarmRole(FARM_ACCESS.manage), FarmInvitationsController.resendInvitation);
+
+/**
+ * @swagger
+ * /api/v1/farms/{farmId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Farms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation not found or no longer pending
+ */
+router.delete('/:farmId/invitations/:invitationId', authMiddleware, requireFarmRole(FARM_ACCESS.manage), FarmInvitationsController.revokeInvitation);
 
 export default router;
\ No newline at end of file
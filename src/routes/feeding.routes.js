@@ -1,24 +1,34 @@
 import express from 'express';
 import FeedingController from '../controllers/feeding.controllers.js';
 import authMiddleware from '../middleware/auth.middleware.js';
+import requireFarmRole from '../middleware/farmRole.middleware.js';
+import { FARM_ACCESS } from '../utils/constants.js';
 import { requireActiveSubscription } from '../middleware/subscription.middleware.js';
 import { validateRequest } from '../middleware/validateRequest.js';
-import { feedingRecordSchema, feedingRecordUpdateSchema, feedingScheduleSchema, feedingScheduleUpdateSchema } from '../utils/validator.js';
+import { feedingRecordSchema, feedingRecordUpdateSchema, feedingScheduleSchema, feedingScheduleUpdateSchema, feedInventorySchema, feedInventoryUpdateSchema } from '../utils/validator.js';
 
 const router = express.Router();
 const enforceActivePlan = requireActiveSubscription();
 
 // Feeding records
-router.post('/record/:farmId', authMiddleware, enforceActivePlan, validateRequest(feedingRecordSchema), FeedingController.createRecord);
-router.get('/record/:id', authMiddleware, enforceActivePlan, FeedingController.getRecord);
-router.get('/record/pig/:pigId', authMiddleware, enforceActivePlan, FeedingController.getByPig);
-router.delete('/record/:id', authMiddleware, enforceActivePlan, FeedingController.deleteRecord);
-router.put('/record/:id', authMiddleware, enforceActivePlan, validateRequest(feedingRecordUpdateSchema), FeedingController.updateRecord);
+router.post('/record/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.livestock), enforceActivePlan, validateRequest(feedingRecordSchema), FeedingController.createRecord);
+router.get('/record/:id', authMiddleware, requireFarmRole(FARM_ACCESS.view, { resource: 'feeding_record' }), enforceActivePlan, FeedingController.getRecord);
+router.get('/record/pig/:pigId', authMiddleware, requireFarmRole(FARM_ACCESS.view, { resource: 'pig', param: 'pigId' }), enforceActivePlan, FeedingController.getByPig);
+router.delete('/record/:id', authMiddleware, requireFarmRole(FARM_ACCESS.livestock, { resource: 'feeding_record' }), enforceActivePlan, FeedingController.deleteRecord);
+router.put('/record/:id', authMiddleware, requireFarmRole(FARM_ACCESS.livestock, { resource: 'feeding_record' }), enforceActivePlan, validateRequest(feedingRecordUpdateSchema), FeedingController.updateRecord);
 
 // Feeding schedules
-router.post('/schedule/:farmId', authMiddleware, enforceActivePlan, validateRequest(feedingScheduleSchema), FeedingController.createSchedule);
-router.get('/schedule/pig/:pigId', authMiddleware, enforceActivePlan, FeedingController.getScheduleForPig);
-router.put('/schedule/:id', authMiddleware, enforceActivePlan, validateRequest(feedingScheduleUpdateSchema), FeedingController.updateSchedule);
-router.delete('/schedule/:id', authMiddleware, enforceActivePlan, FeedingController.deleteSchedule);
+router.post('/schedule/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.livestock), enforceActivePlan, validateRequest(feedingScheduleSchema), FeedingController.createSchedule);
+router.get('/schedule/pig/:pigId', authMiddleware, requireFarmRole(FARM_ACCESS.view, { resource: 'pig', param: 'pigId' }), enforceActivePlan, FeedingController.getScheduleForPig);
+router.put('/schedule/:id', authMiddleware, requireFarmRole(FARM_ACCESS.livestock, { resource: 'feeding_schedule' }), enforceActivePlan, validateRequest(feedingScheduleUpdateSchema), FeedingController.updateSchedule);
+router.delete('/schedule/:id', authMiddleware, requireFarmRole(FARM_ACCESS.livestock, { resource: 'feeding_schedule' }), enforceActivePlan, FeedingController.deleteSchedule);
+
+// Feed inventory
+router.post('/inventory/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.livestock), enforceActivePlan, validateRequest(feedInventorySchema), FeedingController.createInventory);
+router.post('/inventory/:farmId/alerts/check', authMiddleware, requireFarmRole(FARM_ACCESS.livestock), enforceActivePlan, FeedingController.checkStockAlerts);
+router.get('/inventory/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.view), enforceActivePlan, FeedingController.getInventory);
+router.get('/inventory/:farmId/:id', authMiddleware, requireFarmRole(FARM_ACCESS.view), enforceActivePlan, FeedingController.getInventoryItem);
+router.put('/inventory/:farmId/:id', authMiddleware, requireFarmRole(FARM_ACCESS.livestock), enforceActivePlan, validateRequest(feedInventoryUpdateSchema), FeedingController.updateInventory);
+router.delete('/inventory/:farmId/:id', authMiddleware, requireFarmRole(FARM_ACCESS.livestock), enforceActivePlan, FeedingController.deleteInventory);
 
 export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import HealthController from '../controllers/health.controllers.js';
 import authMiddleware from '../middleware/auth.middleware.js';
+import requireFarmRole from '../middleware/farmRole.middleware.js';
+import { FARM_ACCESS } from '../utils/constants.js';
 import { requireActiveSubscription } from '../middleware/subscription.middleware.js';
 import { validateRequest } from '../middleware/validateRequest.js';
 import { healthSchema, healthUpdateSchema } from '../utils/validator.js';
@@ -8,10 +10,10 @@ import { healthSchema, healthUpdateSchema } from '../utils/validator.js';
 const router = express.Router();
 const enforceActivePlan = requireActiveSubscription();
 
-router.post('/:farmId', authMiddleware, enforceActivePlan, validateRequest(healthSchema), HealthController.createRecord);
-router.get('/:id', authMiddleware, enforceActivePlan, HealthController.getRecord);
-router.get('/pig/:pigId', authMiddleware, enforceActivePlan, HealthController.getForPig);
-router.put('/:id', authMiddleware, enforceActivePlan, validateRequest(healthUpdateSchema), HealthController.updateRecord);
-router.delete('/:id', authMiddleware, enforceActivePlan, HealthController.deleteRecord);
+router.post('/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.health), enforceActivePlan, validateRequest(healthSchema), HealthController.createRecord);
+router.get('/:id', authMiddleware, requireFarmRole(FARM_ACCESS.view, { resource: 'health_record' }), enforceActivePlan, HealthController.getRecord);
+router.get('/pig/:pigId', authMiddleware, requireFarmRole(FARM_ACCESS.view, { resource: 'pig', param: 'pigId' }), enforceActivePlan, HealthController.getForPig);
+router.put('/:id', authMiddleware, requireFarmRole(FARM_ACCESS.health, { resource: 'health_record' }), enforceActivePlan, validateRequest(healthUpdateSchema), HealthController.updateRecord);
+router.delete('/:id', authMiddleware, requireFarmRole(FARM_ACCESS.health, { resource: 'health_record' }), enforceActivePlan, HealthController.deleteRecord);
 
 export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import FarmInvitationsController from '../controllers/farmInvitations.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { invitationRegisterSchema } from '../utils/auth.validator.js';
+import rateLimitMiddleware from '../middleware/rate-limit.middleware.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/invitations/{token}:
+ *   get:
+ *     summary: Show what a farm invitation link is for
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed invitation token from the email link
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                     farm_id:
+ *                       type: string
+ *                       format: uuid
+ *                     farm_name:
+ *                       type: string
+ *                     invited_by_name:
+ *                       type: string
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     has_account:
+ *                       type: boolean
+ *                       description: Whether to offer sign-in (true) or sign-up (false)
+ *       400:
+ *         description: Invalid, expired, revoked or already accepted invitation
+ */
+router.get('/:token', rateLimitMiddleware(10, 60 * 1000, 'invitations:lookup'), FarmInvitationsController.getInvitationByToken);
+
+/**
+ * @swagger
+ * /api/v1/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept a farm invitation with the signed-in account
+ *     description: The account email must match the invited email.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined the farm
+ *       400:
+ *         description: Invalid invitation, or it was sent to a different email address
+ *       402:
+ *         description: The farm's plan no longer has a free seat
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:token/accept', authMiddleware, FarmInvitationsController.acceptInvitation);
+
+/**
+ * @swagger
+ * /api/v1/invitations/{token}/register:
+ *   post:
+ *     summary: Create an account for the invited email and join the farm
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, phone, password]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       201:
+ *         description: Account created, email verified and farm joined
+ *       400:
+ *         description: Invalid invitation or email already registered
+ *       402:
+ *         description: The farm's plan no longer has a free seat
+ */
+router.post('/:token/register', rateLimitMiddleware(5, 60 * 1000, 'invitations:register'), validateRequest(invitationRegisterSchema), FarmInvitationsController.registerWithInvitation);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import JobsController from '../controllers/jobs.controllers.js';
+import cronMiddleware from '../middleware/cron.middleware.js';
+
+const router = express.Router();
+
+// Vercel Cron issues GET requests; POST is kept for manual/CI triggers
+router.get('/run', cronMiddleware, JobsController.runJobs);
+router.post('/run', cronMiddleware, JobsController.runJobs);
+
+export default router;
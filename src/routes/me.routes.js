@@ -0,0 +1,144 @@
+import express from "express";
+import MeController from "../controllers/me.controllers.js";
+import authMiddleware from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LimitUsage:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           nullable: true
+ *           description: Allowed by the plan; null when unlimited
+ *         used:
+ *           type: integer
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *     FarmUsage:
+ *       type: object
+ *       properties:
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *         farm_name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           description: The user's role on the farm
+ *         tier:
+ *           type: string
+ *           enum: [free, standard, advanced, admin, superadmin]
+ *           description: The farm's plan, which is its owner's tier
+ *         features:
+ *           type: array
+ *           items:
+ *             type: string
+ *         limits:
+ *           type: object
+ *           properties:
+ *             max_pigs:
+ *               $ref: '#/components/schemas/LimitUsage'
+ *             max_rows:
+ *               $ref: '#/components/schemas/LimitUsage'
+ *             max_pens:
+ *               $ref: '#/components/schemas/LimitUsage'
+ *             max_users:
+ *               $ref: '#/components/schemas/LimitUsage'
+ *             alerts_per_month:
+ *               $ref: '#/components/schemas/LimitUsage'
+ *         usage:
+ *           type: object
+ *           properties:
+ *             pigs:
+ *               type: integer
+ *             rows:
+ *               type: integer
+ *             pens:
+ *               type: integer
+ *             users:
+ *               type: integer
+ *               description: Members plus pending invitations
+ *             members:
+ *               type: integer
+ *             pending_invitations:
+ *               type: integer
+ *             alerts_this_month:
+ *               type: integer
+ *     LimitExceeded:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *           example: Your free plan allows up to 50 pigs per farm. Upgrade your plan to add more.
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: string
+ *                 example: max_pigs
+ *               tier:
+ *                 type: string
+ *                 example: free
+ *               allowed:
+ *                 type: integer
+ *                 example: 50
+ *               current:
+ *                 type: integer
+ *                 example: 50
+ *               requested:
+ *                 type: integer
+ *                 example: 1
+ */
+
+/**
+ * @swagger
+ * /api/v1/me/usage:
+ *   get:
+ *     summary: Plan limits and current consumption of every farm the signed-in user belongs to
+ *     description: Creating pigs, rows, pens, members or invitations beyond a limit returns 402 with a LimitExceeded body.
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usage against plan limits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tier:
+ *                       type: string
+ *                       description: The signed-in user's own tier
+ *                     features:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     farms:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FarmUsage'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/usage", authMiddleware, MeController.getUsage);
+
+export default router;
@@ -0,0 +1,213 @@
+import express from "express";
+import NotificationsController from "../controllers/notifications.controllers.js";
+import authMiddleware from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           description: Source of the notification (alert, payment_confirmation, culling_alert)
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: Ids of the related records (alert_id, payment_id, sow_id, farm_id)
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         is_read:
+ *           type: boolean
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 0d7b7f5e-8a51-4c3e-9f0a-2b1d6c9e4a10
+ *         type: alert
+ *         title: Add Nesting Box for SOW-012
+ *         message: Add nesting box for pig SOW-012 on pen P3 by June 20, 2025
+ *         data:
+ *           alert_id: 5b0e6c1a-2f4d-4a8e-bc31-7d9f0e2a6b44
+ *           farm_id: 123e4567-e89b-12d3-a456-426614174000
+ *         priority: high
+ *         is_read: false
+ *         read_at: null
+ *         expires_at: null
+ *         created_at: 2025-06-19T06:00:00Z
+ */
+
+/**
+ * @swagger
+ * /api/v1/notifications:
+ *   get:
+ *     summary: List the signed-in user's in-app notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_read
+ *         schema:
+ *           type: boolean
+ *         description: Only read (true) or unread (false) notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by notification type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Page size
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of notifications to skip
+ *     responses:
+ *       200:
+ *         description: A page of notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     total:
+ *                       type: integer
+ *                     unread:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", authMiddleware, NotificationsController.getNotifications);
+
+/**
+ * @swagger
+ * /api/v1/notifications/unread-count:
+ *   get:
+ *     summary: Count the signed-in user's unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unread:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/unread-count",
+  authMiddleware,
+  NotificationsController.getUnreadCount
+);
+
+/**
+ * @swagger
+ * /api/v1/notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the signed-in user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch(
+  "/read-all",
+  authMiddleware,
+  NotificationsController.markAllAsRead
+);
+
+/**
+ * @swagger
+ * /api/v1/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the notification
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Notification not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch("/:id/read", authMiddleware, NotificationsController.markAsRead);
+
+export default router;
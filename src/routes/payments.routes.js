@@ -2,18 +2,36 @@
 import express from 'express';
 import PaymentsController from '../controllers/payments.controller.js';
 import { validateRequest } from '../middleware/validateRequest.js';
-import { paymentSchema } from '../utils/validator.js'; 
+import { paymentSchema, paymentStatusSchema, refundSchema } from '../utils/validator.js'; 
 import authMiddleware from '../middleware/auth.middleware.js';
+import permissionMiddleware from '../middleware/permission.middleware.js';
 
 const router = express.Router();
 
+// Plan catalogue, public so pricing pages can show it before sign-in
+router.get('/plans', PaymentsController.getPlans);
+
 // Protected routes
 router.post('/', authMiddleware, validateRequest(paymentSchema), PaymentsController.createPayment);
 router.get('/', authMiddleware, PaymentsController.getPayments);
 router.get('/:paymentId', authMiddleware, PaymentsController.getPaymentById);
-router.patch('/:paymentId/status', authMiddleware, PaymentsController.updatePaymentStatus);
+router.get('/:paymentId/receipt.pdf', authMiddleware, PaymentsController.getReceipt);
+router.patch('/:paymentId/status', authMiddleware, validateRequest(paymentStatusSchema), PaymentsController.updatePaymentStatus);
+
+// Admin only: admin and superadmin roles hold the 'all' permission
+router.post('/:paymentId/refund', authMiddleware, permissionMiddleware('manage_payments'), validateRequest(refundSchema), PaymentsController.refundPayment);
+
+// Public webhook for M-Pesa callback. Each payment's CallbackURL ends in a per-payment token.
+router.post('/mpesa/callback/:token', PaymentsController.mpesaCallback);
+// Public webhook for Stripe PaymentIntent and refund events, verified with STRIPE_WEBHOOK_SECRET
+router.post('/stripe/webhook', PaymentsController.stripeWebhook);
+
+// Public webhook for M-Pesa reversal (refund) results and timeouts (MPESA_REVERSAL_RESULT_URL).
+// Each reversal's ResultURL ends in a per-refund token.
+router.post('/mpesa/reversal/result/:token', PaymentsController.mpesaReversalResult);
 
-// Public webhook for M-Pesa callback
-router.post('/mpesa/callback', PaymentsController.mpesaCallback);
+// Public webhook for M-Pesa transaction status results and timeouts (MPESA_TRANSACTION_STATUS_RESULT_URL).
+// Each query's ResultURL ends in a per-payment token.
+router.post('/mpesa/transaction-status/result/:token', PaymentsController.mpesaTransactionStatusResult);
 
 export default router;
\ No newline at end of file
@@ -4,6 +4,8 @@ import PensController from "../controllers/pens.controllers.js";
 import { validateRequest } from "../middleware/validateRequest.js";
 import { penSchema, penUpdateSchema } from "../utils/validator.js";
 import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
 import { requireActiveSubscription } from "../middleware/subscription.middleware.js";
 
 const router = express.Router();
@@ -198,6 +200,12 @@ const enforceActivePlan = requireActiveSubscription();
  *         description: Invalid input
  *       409:
  *         description: Pen already exists
+ *       402:
+ *         description: The farm's plan allows no more pens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LimitExceeded'
  *       401:
  *         description: Unauthorized
  */
@@ -205,6 +213,7 @@ const enforceActivePlan = requireActiveSubscription();
 router.post(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   PensController.createPen
 );
@@ -255,6 +264,7 @@ router.post(
 router.get(
   "/:farmId/:id",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   // enforceActivePlan,
   PensController.getPen
 );
@@ -325,6 +335,7 @@ router.get(
 router.get(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   // enforceActivePlan,
   PensController.getAllPens
 );
@@ -427,6 +438,7 @@ router.get(
 router.put(
   "/:farmId/:id",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   validateRequest(penUpdateSchema),
   PensController.updatePen
@@ -478,6 +490,7 @@ router.put(
 router.delete(
   "/:farmId/:id",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   PensController.deletePen
 );
@@ -573,6 +586,7 @@ router.delete(
 router.get(
   "/:farmId/:penId/history",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   // enforceActivePlan,
   PensController.getPenRemovedPigHistory
 );
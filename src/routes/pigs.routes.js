@@ -1,6 +1,8 @@
 import express from "express";
 import PigsController from "../controllers/pigs.controllers.js";
 import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
 import { validateRequest } from "../middleware/validateRequest.js";
 import {
   pigSchema,
@@ -218,6 +220,12 @@ const enforceActivePlan = requireActiveSubscription();
  *         description: Invalid input
  *       409:
  *         description: Pig ID already exists
+ *       402:
+ *         description: The farm's plan allows no more pigs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LimitExceeded'
  *       401:
  *         description: Unauthorized
  *       404:
@@ -226,6 +234,7 @@ const enforceActivePlan = requireActiveSubscription();
 router.post(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   validateRequest(pigSchema),
   PigsController.createPig
@@ -277,6 +286,7 @@ router.post(
 router.get(
   "/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   // enforceActivePlan,
   PigsController.getAllPigs
 );
@@ -328,6 +338,7 @@ router.get(
 router.get(
   "/:farmId/:pigId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   // enforceActivePlan,
   PigsController.getPigById
 );
@@ -387,6 +398,7 @@ router.get(
 router.put(
   "/:farmId/:pigId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   validateRequest(pigUpdateSchema),
   PigsController.updatePig
@@ -447,6 +459,7 @@ router.put(
 router.post(
   "/pig_removals/:farmId/:pigId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   validateRequest(pigDeleteSchema),
   PigsController.deletePig
@@ -455,6 +468,7 @@ router.post(
 router.all(
   "/:farmId/details",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   // enforceActivePlan,
   PigsController.getAllPigDetails
 );
@@ -534,7 +548,7 @@ router.all(
  *       401:
  *         description: Unauthorized
  */
-router.post("/:farmId/:pigId/transfer",  authMiddleware,  enforceActivePlan,  PigsController.transferPig);
+router.post("/:farmId/:pigId/transfer",  authMiddleware, requireFarmRole(FARM_ACCESS.livestock),  enforceActivePlan,  PigsController.transferPig);
 
 /**
  * @swagger
@@ -601,6 +615,6 @@ router.post("/:farmId/:pigId/transfer",  authMiddleware,  enforceActivePlan,  Pi
  *       401:
  *         description: Unauthorized
  */
-router.get("/:farmId/:pigId/transfer-history",  authMiddleware, PigsController.getPigTransferHistory);
+router.get("/:farmId/:pigId/transfer-history",  authMiddleware, requireFarmRole(FARM_ACCESS.view), PigsController.getPigTransferHistory);
 
 export default router;
@@ -0,0 +1,164 @@
+import express from "express";
+import ReportsController from "../controllers/reports.controllers.js";
+import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
+import { requireActiveSubscription } from "../middleware/subscription.middleware.js";
+
+const router = express.Router();
+const enforceActivePlan = requireActiveSubscription();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProfitAndLossLine:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Group key (YYYY-MM, FY quarter, pen ID, row ID or "unallocated")
+ *         label:
+ *           type: string
+ *           description: Human readable group name
+ *         revenue:
+ *           type: number
+ *           description: Sum of earnings records
+ *         feed_cost:
+ *           type: number
+ *           description: Feed consumed, priced at feed inventory cost_per_unit
+ *         acquisition_cost:
+ *           type: number
+ *           description: Purchase cost of pigs acquired in the period
+ *         cost_of_sales:
+ *           type: number
+ *           description: feed_cost + acquisition_cost
+ *         gross_profit:
+ *           type: number
+ *           description: revenue - cost_of_sales
+ *         gross_margin:
+ *           type: number
+ *           nullable: true
+ *           description: Gross profit as a percentage of revenue (null when there is no revenue)
+ *         operating_expenses:
+ *           type: number
+ *           description: Expenses other than feed purchases
+ *         net_profit:
+ *           type: number
+ *           description: gross_profit - operating_expenses
+ *     ProfitAndLossReport:
+ *       type: object
+ *       properties:
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *         currency:
+ *           type: string
+ *         period:
+ *           type: object
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date
+ *             to:
+ *               type: string
+ *               format: date
+ *             fiscal_year:
+ *               type: integer
+ *         group_by:
+ *           type: string
+ *           enum: [month, quarter, pen, row]
+ *         lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProfitAndLossLine'
+ *         totals:
+ *           $ref: '#/components/schemas/ProfitAndLossLine'
+ *         expenses_by_category:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *         excluded_feed_purchases:
+ *           type: number
+ *           description: Expenses in the "feed" category, left out because feed is costed from consumption
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/reports/{farmId}/pnl:
+ *   get:
+ *     summary: Profit-and-loss statement for a farm
+ *     description: Nets earnings against feed cost, pig acquisition cost and expenses. Defaults to the current fiscal year (FISCAL_YEAR_START_MONTH) when no period is given.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: The ID of the farm
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the period (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period (inclusive)
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           enum: [week, month, quarter, year, all]
+ *         description: Rolling period ending today, used when from/to are not given
+ *       - in: query
+ *         name: fiscal_year
+ *         schema:
+ *           type: integer
+ *         description: Fiscal year to report on, used when neither from/to nor range are given
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [month, quarter, pen, row]
+ *           default: month
+ *         description: How to split the report; quarters are fiscal quarters
+ *     responses:
+ *       200:
+ *         description: Profit and loss report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProfitAndLossReport'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/:farmId/pnl",
+  authMiddleware,
+  requireFarmRole(FARM_ACCESS.finance_view),
+  enforceActivePlan,
+  ReportsController.getProfitAndLoss
+);
+
+export default router;
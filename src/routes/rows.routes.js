@@ -7,6 +7,8 @@ import {
   rowExpandSchema,
 } from "../utils/validator.js";
 import authMiddleware from "../middleware/auth.middleware.js";
+import requireFarmRole from "../middleware/farmRole.middleware.js";
+import { FARM_ACCESS } from "../utils/constants.js";
 import { requireActiveSubscription } from "../middleware/subscription.middleware.js";
 
 const router = express.Router();
@@ -124,12 +126,19 @@ const enforceActivePlan = requireActiveSubscription();
  *         description: Invalid input
  *       409:
  *         description: Row already exists
+ *       402:
+ *         description: The farm's plan allows no more rows or pens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LimitExceeded'
  *       401:
  *         description: Unauthorized
  */
 router.post(
   "/create/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   RowsController.createRow
 );
@@ -174,6 +183,7 @@ router.post(
 router.get(
   "/list/:farmId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   RowsController.getAllRows
 );
 
@@ -223,6 +233,7 @@ router.get(
 router.get(
   "/list/:farmId/:rowId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.view),
   RowsController.getRowByName
 );
 
@@ -287,6 +298,7 @@ router.get(
 router.put(
   "/update/:farmId/:rowId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   // enforceActivePlan,
   RowsController.updateRow
 );
@@ -337,6 +349,7 @@ router.put(
 router.delete(
   "/delete/:farmId/:rowId",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   RowsController.deleteRow
 );
@@ -382,6 +395,7 @@ router.delete(
 router.post(
   "/expand",
   authMiddleware,
+  requireFarmRole(FARM_ACCESS.livestock),
   enforceActivePlan,
   RowsController.expandRowCapacity
 );
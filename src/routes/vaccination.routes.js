@@ -0,0 +1,25 @@
+import express from 'express';
+import VaccinationController from '../controllers/vaccination.controllers.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import requireFarmRole from '../middleware/farmRole.middleware.js';
+import { FARM_ACCESS } from '../utils/constants.js';
+import { requireActiveSubscription } from '../middleware/subscription.middleware.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { vaccinationScheduleSchema, vaccinationScheduleUpdateSchema } from '../utils/validator.js';
+
+const router = express.Router();
+const enforceActivePlan = requireActiveSubscription();
+
+// Vaccination programmes
+router.post('/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.health), enforceActivePlan, validateRequest(vaccinationScheduleSchema), VaccinationController.createSchedule);
+router.get('/:farmId', authMiddleware, requireFarmRole(FARM_ACCESS.view), enforceActivePlan, VaccinationController.getSchedules);
+
+// Due pigs (preview) and manual run of the daily job
+router.get('/:farmId/due', authMiddleware, requireFarmRole(FARM_ACCESS.view), enforceActivePlan, VaccinationController.getDue);
+router.post('/:farmId/process', authMiddleware, requireFarmRole(FARM_ACCESS.health), enforceActivePlan, VaccinationController.processDue);
+
+router.get('/:farmId/:id', authMiddleware, requireFarmRole(FARM_ACCESS.view), enforceActivePlan, VaccinationController.getSchedule);
+router.put('/:farmId/:id', authMiddleware, requireFarmRole(FARM_ACCESS.health), enforceActivePlan, validateRequest(vaccinationScheduleUpdateSchema), VaccinationController.updateSchedule);
+router.delete('/:farmId/:id', authMiddleware, requireFarmRole(FARM_ACCESS.health), enforceActivePlan, VaccinationController.deleteSchedule);
+
+export default router;
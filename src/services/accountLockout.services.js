@@ -0,0 +1,116 @@
+import { DatabaseHelper } from '../config/database.js';
+import EmailService from './email.services.js';
+import logger from '../middleware/logger.js';
+import { AccountLockedError } from '../middleware/errors.js';
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || 5);
+// Failures further apart than this start a new count
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15);
+// First lockout length; each further lockout before a successful login doubles it, up to the maximum
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES || 24 * 60);
+
+const lockoutMinutes = (lockoutCount) =>
+    Math.min(LOCKOUT_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+
+class AccountLockoutService {
+    /**
+     * @param {Object} user - users row with locked_until
+     * @throws {AccountLockedError} - While the account is locked
+     */
+    static assertNotLocked(user) {
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            const minutes = Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 60000);
+            throw new AccountLockedError(
+                `Account is locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`
+            );
+        }
+    }
+
+    /**
+     * Count a failed password or two-factor code. Locks the account when the count reaches
+     * LOGIN_MAX_ATTEMPTS and emails the owner.
+     * @param {Object} user - { id, email, name }
+     * @throws {AccountLockedError} - When this failure locked the account
+     */
+    static async recordFailure(user) {
+        let lockedUntil = null;
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE users
+                 SET failed_login_attempts = CASE
+                        WHEN last_failed_login_at IS NULL
+                          OR last_failed_login_at < CURRENT_TIMESTAMP - ($2 || ' minutes')::interval
+                        THEN 1
+                        ELSE failed_login_attempts + 1
+                     END,
+                     last_failed_login_at = CURRENT_TIMESTAMP
+                 WHERE id = $1
+                 RETURNING failed_login_attempts, lockout_count`,
+                [user.id, String(ATTEMPT_WINDOW_MINUTES)]
+            );
+            const { failed_login_attempts: attempts, lockout_count: lockoutCount } = result.rows[0];
+            if (attempts < MAX_FAILED_ATTEMPTS) return;
+
+            const minutes = lockoutMinutes(lockoutCount);
+            const locked = await DatabaseHelper.executeQuery(
+                `UPDATE users
+                 SET locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval,
+                     lockout_count = lockout_count + 1,
+                     failed_login_attempts = 0
+                 WHERE id = $1 AND failed_login_attempts >= $3
+                 RETURNING locked_until`,
+                [user.id, String(minutes), MAX_FAILED_ATTEMPTS]
+            );
+            if (locked.rows.length === 0) return;
+
+            logger.warn(`Account ${user.email} locked for ${minutes} minutes after ${attempts} failed login attempts`);
+            await AccountLockoutService.sendLockoutEmail(user, locked.rows[0].locked_until);
+            lockedUntil = locked.rows[0].locked_until;
+        } catch (error) {
+            logger.error(`Error recording failed login for user ${user.id}: ${error.message}`);
+            throw error;
+        }
+        AccountLockoutService.assertNotLocked({ locked_until: lockedUntil });
+    }
+
+    /**
+     * Clear the failure count and lockout history after a complete login or a password reset
+     */
+    static async reset(userId) {
+        await DatabaseHelper.executeQuery(
+            `UPDATE users
+             SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL, last_failed_login_at = NULL
+             WHERE id = $1 AND (failed_login_attempts > 0 OR lockout_count > 0 OR locked_until IS NOT NULL)`,
+            [userId]
+        );
+    }
+
+    static async sendLockoutEmail(user, lockedUntil) {
+        try {
+            const clientUrl = process.env.NODE_ENV === 'production' ? process.env.PROD_CLIENT_BASE_URL : process.env.DEV_CLIENT_BASE_URL;
+            const resetUrl = `${clientUrl}/forgot-password`;
+            const lockedUntilText = new Date(lockedUntil).toUTCString();
+            const emailService = new EmailService({}, logger);
+            const emailResult = await emailService.sendEmail({
+                to: user.email,
+                subject: 'Your account has been locked - Pig Farm',
+                text: `We locked your account until ${lockedUntilText} after several failed login attempts. If this was not you, reset your password: ${resetUrl}`,
+                templatePath: 'src/templates/account-locked.html',
+                appName: 'Pig Farm',
+                name: user.name || 'there',
+                lockedUntil: lockedUntilText,
+                resetUrl,
+                user_id: user.id
+            }, 'account_locked');
+
+            if (!emailResult.success) {
+                logger.warn(`Failed to send lockout email to ${user.email}: ${emailResult.message}`);
+            }
+        } catch (error) {
+            logger.warn(`Email service error for ${user.email}: ${error.message}`);
+        }
+    }
+}
+
+export default AccountLockoutService;
@@ -3,42 +3,52 @@ import logger from "../middleware/logger.js";
 import { ValidationError } from "../middleware/errors.js";
 import { v4 as uuidv4 } from "uuid";
 import EmailService from "./email.services.js";
+import SmsService from "./sms.services.js";
+import NotificationsService from "./notifications.services.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import dayjs from "dayjs";
-import utc from "dayjs/plugin/utc.js";
-import timezone from "dayjs/plugin/timezone.js";
-
-dayjs.extend(utc);
-dayjs.extend(timezone);
+import FarmsService from "./farms.services.js";
+import EntitlementsService from "./entitlements.services.js";
+import {
+  getUTCDateString,
+  getLocalDateString,
+  resolveTimezone,
+} from "../utils/timezone.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Utility function to get UTC date as YYYY-MM-DD
-function getUTCDateString(date) {
-  return dayjs(date).utc().format("YYYY-MM-DD");
-}
-
-// Utility function to get local date as YYYY-MM-DD (default Africa/Nairobi)
-function getLocalDateString(date, timezone = "Africa/Nairobi") {
-  return dayjs(date).tz(timezone).format("YYYY-MM-DD");
-}
-
-// Utility function to format date for display (default Africa/Nairobi)
-function formatLocalDate(date, timezone = "Africa/Nairobi") {
-  return dayjs(date).tz(timezone).format("MMMM D, YYYY");
+// notify_on comes back from pg as Date objects built from the stored calendar day
+function toCalendarDate(value) {
+  return typeof value === "string"
+    ? value.slice(0, 10)
+    : dayjs(value).format("YYYY-MM-DD");
 }
 
 class AlertService {
   constructor() {
     this.emailService = new EmailService();
+    this.smsService = new SmsService({}, logger);
+  }
+
+  /**
+   * SMS alerts are an advanced-tier feature ('sms_alerts' permission) and need a phone number.
+   * Users can opt out with preferences.sms_alerts = false.
+   * @param {Object} user - Row with phone, preferences and role permissions
+   * @returns {boolean}
+   */
+  canReceiveSms(user) {
+    if (!user?.phone || user.preferences?.sms_alerts === false) return false;
+    const permissions = Array.isArray(user.permissions) ? user.permissions : [];
+    return permissions.includes("sms_alerts") || permissions.includes("all");
   }
 
   /**
    * Create a new alert
    * @param {Object} alertData - Alert data including required fields
-   * @returns {Promise<Object>} - Created alert
+   * @returns {Promise<Object|null>} - Created alert, or null when the farm has used up its
+   *   monthly alert allowance (alerts_per_month in TIER_ENTITLEMENTS)
    */
   async createAlert(alertData) {
     const {
@@ -54,6 +64,7 @@ class AlertService {
       message,
       status = "pending",
       notify_on,
+      timezone,
     } = alertData;
 
     if (
@@ -101,6 +112,17 @@ class AlertService {
     ];
 
     try {
+      // alerts come from other records being saved, so running out skips the alert instead of failing the save
+      const [exceeded] = await EntitlementsService.checkLimits(farm_id, {
+        alerts_per_month: 1,
+      });
+      if (exceeded) {
+        logger.warn(
+          `Alert "${name}" not created for farm ${farm_id}: the ${exceeded.tier} plan allows ${exceeded.allowed} alerts per month`
+        );
+        return null;
+      }
+
       const result = await DatabaseHelper.executeQuery(
         `INSERT INTO alerts (
                     id, name, alert_start_date, alert_end_date, alert_type, severity, message, status,
@@ -127,14 +149,15 @@ class AlertService {
       const alert = result.rows[0];
       logger.info(`Alert ${alert.id} created for farm ${farm_id}`);
 
-      // Send notification if current local date (Africa/Nairobi) is in notify_on
-      const currentLocalDate = getLocalDateString(new Date(), "Africa/Nairobi");
-      const currentDate = dayjs(currentLocalDate, "YYYY-MM-DD", true);
+      // Send notification if today in the farm's timezone is in notify_on
+      const farmTimezone = timezone
+        ? resolveTimezone(timezone)
+        : await FarmsService.getFarmTimezone(farm_id);
+      const currentLocalDate = getLocalDateString(new Date(), farmTimezone);
 
-      const shouldNotify = alert.notify_on.some(notifyDate => {
-        const alertDate = dayjs(notifyDate).tz("Africa/Nairobi");
-        return currentDate.isSame(alertDate, "day");
-      });
+      const shouldNotify = alert.notify_on.some(
+        notifyDate => toCalendarDate(notifyDate) === currentLocalDate
+      );
 
       if (shouldNotify) {
         await this.sendAlertNotification(alert);
@@ -149,19 +172,26 @@ class AlertService {
 
   /**
    * Get due alerts for processing
+   * @param {string} [farmId] - Limit to one farm's alerts
+   * @param {string} [timezone] - Timezone used to decide which day "today" is
    * @returns {Promise<Array>} - List of due alerts
    */
-  async getDueAlerts() {
+  async getDueAlerts(farmId = null, timezone = null) {
     try {
-      const currentDate = getUTCDateString(new Date());
-      const result = await DatabaseHelper.executeQuery(
-        `SELECT * FROM alerts
+      const farmTimezone =
+        timezone || (farmId ? await FarmsService.getFarmTimezone(farmId) : null);
+      const currentDate = getLocalDateString(new Date(), farmTimezone || "UTC");
+      let query = `SELECT * FROM alerts
                  WHERE $1::date = ANY(notify_on)
                  AND status = 'pending'
                  AND is_active = true
-                 AND is_deleted = false`,
-        [currentDate]
-      );
+                 AND is_deleted = false`;
+      const params = [currentDate];
+      if (farmId) {
+        query += " AND farm_id = $2";
+        params.push(farmId);
+      }
+      const result = await DatabaseHelper.executeQuery(query, params);
       return result.rows;
     } catch (error) {
       logger.error(`Error fetching due alerts: ${error.message}`);
@@ -176,12 +206,16 @@ class AlertService {
    */
   async sendAlertNotification(alert) {
     try {
-      // Get user email
+      // Get user email, phone and SMS entitlement
       const userResult = await DatabaseHelper.executeQuery(
-        "SELECT email FROM users WHERE id = $1 AND is_deleted = 0",
+        `SELECT u.email, u.phone, u.preferences, r.permissions
+                 FROM users u
+                 LEFT JOIN roles r ON u.role_id = r.id AND r.is_deleted = 0 AND r.is_active = 1
+                 WHERE u.id = $1 AND u.is_deleted = 0`,
         [alert.user_id]
       );
-      const userEmail = userResult.rows[0]?.email;
+      const user = userResult.rows[0];
+      const userEmail = user?.email;
       const templatePath = path.join(
         __dirname,
         "../templates/alert_notification.html"
@@ -203,6 +237,23 @@ class AlertService {
         }
       }
 
+      // SMS is an extra channel: a failed or over-quota SMS does not fail the alert
+      let smsResult = null;
+      if (this.canReceiveSms(user)) {
+        smsResult = await this.smsService.sendSms({
+          to: user.phone,
+          body: `${alert.name}: ${alert.message}`,
+          user_id: alert.user_id,
+          farm_id: alert.farm_id,
+          alert_id: alert.id,
+        });
+        if (!smsResult.success) {
+          logger.warn(
+            `SMS for alert ${alert.id} not sent (${smsResult.status}): ${smsResult.message}`
+          );
+        }
+      }
+
       // Update alert status
       await DatabaseHelper.executeQuery(
         `UPDATE alerts SET status = 'sent', updated_on = CURRENT_TIMESTAMP
@@ -210,7 +261,36 @@ class AlertService {
         [alert.id]
       );
       logger.info(`Notification sent for alert ${alert.id}`);
-      return { success: true, message: "Notification sent successfully" };
+
+      // Mirror the alert into the user's in-app inbox
+      if (alert.user_id) {
+        try {
+          await NotificationsService.createNotification({
+            user_id: alert.user_id,
+            type: "alert",
+            title: alert.name,
+            message: alert.message,
+            data: {
+              alert_id: alert.id,
+              alert_type: alert.alert_type,
+              farm_id: alert.farm_id,
+              pig_id: alert.pig_id,
+              pen_id: alert.pen_id,
+            },
+            priority: alert.severity,
+            expires_at: alert.alert_end_date || null,
+          });
+        } catch (error) {
+          logger.warn(
+            `Inbox notification for alert ${alert.id} not created: ${error.message}`
+          );
+        }
+      }
+      return {
+        success: true,
+        message: "Notification sent successfully",
+        sms: smsResult ? { success: smsResult.success, status: smsResult.status } : null,
+      };
     } catch (error) {
       logger.error(
         `Error sending alert notification ${alert.id}: ${error.message}`
@@ -221,15 +301,27 @@ class AlertService {
 
   /**
    * Process due alerts (called by scheduler)
+   * @param {string} farmId - Farm UUID
+   * @param {string} [timezone] - The farm's timezone
+   * @returns {Promise<Array>} - Per-alert send results
    */
-  async processDueAlerts() {
+  async processDueAlerts(farmId, timezone = null) {
     try {
-      const dueAlerts = await this.getDueAlerts(farmId);
+      const dueAlerts = await this.getDueAlerts(farmId, timezone);
       const results = [];
 
       for (const alert of dueAlerts) {
-        const result = await this.sendAlertNotification(alert);
-        results.push({ alertId: alert.id, ...result });
+        // one failed email should not stop the rest of the farm's alerts
+        try {
+          const result = await this.sendAlertNotification(alert);
+          results.push({ alertId: alert.id, ...result });
+        } catch (error) {
+          results.push({
+            alertId: alert.id,
+            success: false,
+            message: error.message,
+          });
+        }
       }
 
       return results;
@@ -240,12 +332,16 @@ class AlertService {
   }
 
   /**
-   * Get alerts for a farm where notify_on matches today's date in Africa/Nairobi
+   * Get alerts for a farm where notify_on matches today's date in the farm's timezone
    * @param {string} farmId - Farm UUID
+   * @param {string} [timezone] - The farm's timezone, looked up when not given
    * @returns {Promise<Array>} - List of alerts
    */
-  async getFarmAlerts(farmId) {
-    const currentLocalDate = getLocalDateString(new Date(), "Africa/Nairobi");
+  async getFarmAlerts(farmId, timezone = null) {
+    const farmTimezone = timezone
+      ? resolveTimezone(timezone)
+      : await FarmsService.getFarmTimezone(farmId);
+    const currentLocalDate = getLocalDateString(new Date(), farmTimezone);
     const query = `
             SELECT * FROM alerts
             WHERE farm_id = $1
@@ -331,11 +427,13 @@ class AlertService {
   }
 
   /**
-   * Get alerts for a farm where notify_on matches today's date in Africa/Nairobi
+   * Get all active alerts for a farm's calendar, flagging the ones due today
+   * in the farm's timezone
    * @param {string} farmId - Farm UUID
+   * @param {string} [timezone] - The farm's timezone, looked up when not given
    * @returns {Promise<Array>} - List of alerts
    */
-  async getFarmCalendarAlerts(farmId) {
+  async getFarmCalendarAlerts(farmId, timezone = null) {
     const query = `
             SELECT * FROM alerts
             WHERE farm_id = $1
@@ -345,8 +443,18 @@ class AlertService {
         `;
     const params = [farmId];
     try {
+      const farmTimezone = timezone
+        ? resolveTimezone(timezone)
+        : await FarmsService.getFarmTimezone(farmId);
+      const currentLocalDate = getLocalDateString(new Date(), farmTimezone);
       const result = await DatabaseHelper.executeQuery(query, params);
-      return result.rows;
+      return result.rows.map(alert => ({
+        ...alert,
+        timezone: farmTimezone,
+        is_due_today: (alert.notify_on || []).some(
+          notifyDate => toCalendarDate(notifyDate) === currentLocalDate
+        ),
+      }));
     } catch (error) {
       logger.error(
         `Error fetching alerts for farm ${farmId}: ${error.message}`
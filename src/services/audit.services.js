@@ -0,0 +1,148 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+import { getRequestContext } from "../middleware/requestContext.middleware.js";
+import FarmsService from "./farms.services.js";
+
+export const AUDIT_ACTIONS = ["create", "update", "delete", "transfer"];
+
+// Bookkeeping columns that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ["updated_at", "updated_on", "created_at"];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Field names whose value differs between two snapshots
+ */
+const getChangedFields = (oldValues, newValues) => {
+  if (!oldValues || !newValues) return [];
+  const keys = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+  return [...keys].filter(
+    (key) =>
+      !IGNORED_FIELDS.includes(key) &&
+      JSON.stringify(oldValues[key] ?? null) !== JSON.stringify(newValues[key] ?? null)
+  );
+};
+
+class AuditService {
+  /**
+   * Write an activity_logs row. The acting user, IP and user agent come from the request
+   * context unless given. Audit failures are logged and never break the change being audited.
+   * Call it after the change is committed: inside an open transaction a failed audit insert
+   * would abort the change itself.
+   * @param {Object} entry - farm_id, action, entity_type, entity_id, old_values, new_values, user_id
+   * @returns {Promise<Object|null>} - Created log row
+   */
+  static async record({
+    farm_id,
+    action,
+    entity_type,
+    entity_id,
+    old_values = null,
+    new_values = null,
+    user_id,
+  }) {
+    try {
+      if (!AUDIT_ACTIONS.includes(action)) {
+        throw new ValidationError(`Invalid audit action: ${action}`);
+      }
+      const context = getRequestContext();
+      const result = await DatabaseHelper.executeQuery(
+        `INSERT INTO activity_logs (
+                    id, user_id, farm_id, action, entity_type, entity_id, old_values, new_values,
+                    ip_address, user_agent, is_deleted, created_at
+                ) VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, $6, $7, $8, $9, 0, CURRENT_TIMESTAMP)
+                RETURNING *`,
+        [
+          user_id || context.user_id || null,
+          farm_id || null,
+          action,
+          entity_type,
+          entity_id ? String(entity_id) : null,
+          old_values ? JSON.stringify(old_values) : null,
+          new_values ? JSON.stringify(new_values) : null,
+          context.ip_address || null,
+          context.user_agent || null,
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.warn(
+        `Audit log for ${action} ${entity_type} ${entity_id} not written: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Audit trail for a farm, newest first. Only members of the farm can read it.
+   * @param {string} farmId - Farm UUID
+   * @param {string} userId - Requesting user
+   * @param {Object} filters - entity_type, entity_id, user_id, action, date_from, date_to, limit, offset
+   * @returns {Promise<Object>} - { entries, total, limit, offset }
+   */
+  static async getAuditTrail(
+    farmId,
+    userId,
+    { entity_type, entity_id, user_id, action, date_from, date_to, limit, offset } = {}
+  ) {
+    const pageSize = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const skip = offset || 0;
+
+    try {
+      await FarmsService.getFarmById(farmId, userId);
+
+      let where = "WHERE al.farm_id = $1 AND al.is_deleted = 0";
+      const params = [farmId];
+      const filters = { entity_type, entity_id, user_id, action };
+      for (const [field, value] of Object.entries(filters)) {
+        if (value) {
+          params.push(value);
+          where += ` AND al.${field} = $${params.length}`;
+        }
+      }
+      if (date_from) {
+        params.push(date_from);
+        where += ` AND al.created_at >= $${params.length}::date`;
+      }
+      if (date_to) {
+        params.push(date_to);
+        where += ` AND al.created_at < $${params.length}::date + INTERVAL '1 day'`;
+      }
+
+      const countResult = await DatabaseHelper.executeQuery(
+        `SELECT COUNT(*) AS total FROM activity_logs al ${where}`,
+        params
+      );
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT al.id, al.action, al.entity_type, al.entity_id, al.old_values, al.new_values,
+                    al.ip_address, al.user_agent, al.created_at,
+                    al.user_id, u.name AS user_name, u.email AS user_email
+                 FROM activity_logs al
+                 LEFT JOIN users u ON al.user_id = u.id
+                 ${where}
+                 ORDER BY al.created_at DESC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, pageSize, skip]
+      );
+
+      return {
+        entries: result.rows.map((entry) => ({
+          ...entry,
+          changed_fields: getChangedFields(entry.old_values, entry.new_values),
+        })),
+        total: parseInt(countResult.rows[0].total, 10),
+        limit: pageSize,
+        offset: skip,
+      };
+    } catch (error) {
+      logger.error(
+        `Error fetching audit trail for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+}
+
+export default AuditService;
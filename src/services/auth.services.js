@@ -3,6 +3,10 @@ import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import { DatabaseHelper } from '../config/database.js';
 import EmailService from './email.services.js';
+import SessionsService from './sessions.services.js';
+import TwoFactorService from './twoFactor.services.js';
+import PasswordPolicyService from './passwordPolicy.services.js';
+import AccountLockoutService from './accountLockout.services.js';
 import logger from '../middleware/logger.js';
 import { ValidationError, NotFoundError, UnauthorizedError } from '../middleware/errors.js';
 
@@ -138,6 +142,7 @@ class AuthService {
             if (!password) {
                 throw new ValidationError('Password is required for non-SSO registration');
             }
+            PasswordPolicyService.assertStrong(password, { email, name });
             if (password) {
                 passwordHash = await bcrypt.hash(password, 12);
             }
@@ -158,25 +163,28 @@ class AuthService {
             );
 
             const newUser = userResult.rows[0];
+            await PasswordPolicyService.recordPassword(newUser.id, passwordHash);
 
-            // Send verification email
+            // Send verification email, unless the address is already verified (e.g. an emailed farm invitation)
             const verifyUrl = `${process.env.PROD_BASE_URL}/api/v1/auth/verify-email/${verificationToken}`;
             const emailService = new EmailService({}, logger);
-            try {
-                const emailResult = await emailService.sendEmail({
-                    to: email,
-                    subject: 'Verify Your Email - Pig Farm',
-                    text: `Please verify your email by clicking: ${verifyUrl}`,
-                    templatePath: 'src/templates/email-verification.html',
-                    appName: farmDetails?.name ?? 'Pig Farm',
-                    verifyUrl
-                }, 'email_verification');
-
-                if (!emailResult.success) {
-                    logger.warn(`Failed to send verification email to ${email}: ${emailResult.message}`);
+            if (!email_verified) {
+                try {
+                    const emailResult = await emailService.sendEmail({
+                        to: email,
+                        subject: 'Verify Your Email - Pig Farm',
+                        text: `Please verify your email by clicking: ${verifyUrl}`,
+                        templatePath: 'src/templates/email-verification.html',
+                        appName: farmDetails?.name ?? 'Pig Farm',
+                        verifyUrl
+                    }, 'email_verification');
+
+                    if (!emailResult.success) {
+                        logger.warn(`Failed to send verification email to ${email}: ${emailResult.message}`);
+                    }
+                } catch (emailError) {
+                    logger.warn(`Email service error for ${email}: ${emailError.message}`);
                 }
-            } catch (emailError) {
-                logger.warn(`Email service error for ${email}: ${emailError.message}`);
             }
 
             // Log successful registration
@@ -205,10 +213,15 @@ class AuthService {
         }
     }
 
-    static async login({ email, password }) {
+    /**
+     * @param {Object} credentials - { email, password }
+     * @param {Object} [client] - { userAgent, ip } of the device, shown in the session list
+     */
+    static async login({ email, password }, client = {}) {
         try {
             const userResult = await DatabaseHelper.executeQuery(
-                `SELECT u.id, u.email, u.password_hash, u.name, u.role_id, u.farm_id, u.provider, r.permissions, u.login_count, u.email_verified, u.created_at
+                `SELECT u.id, u.email, u.password_hash, u.name, u.role_id, u.farm_id, u.provider, r.permissions, u.login_count, u.email_verified, u.created_at,
+                    u.locked_until
                 FROM users u
                 JOIN roles r ON u.role_id = r.id
                 WHERE u.email = $1 AND u.is_deleted = 0 AND u.is_active = 1
@@ -232,16 +245,20 @@ class AuthService {
                 throw new UnauthorizedError('No password set for this account');
             }
 
+            AccountLockoutService.assertNotLocked(user);
             const isValidPassword = await bcrypt.compare(password, user.password_hash);
             if (!isValidPassword) {
+                await AccountLockoutService.recordFailure(user);
                 throw new UnauthorizedError('Invalid email or password');
             }
 
-            const token = jwt.sign(
-                { userId: user.id, roleId: user.role_id },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            if (await TwoFactorService.isEnabled(user.id)) {
+                logger.info(`Password accepted for ${email}, waiting for two-factor code`);
+                return AuthService.twoFactorChallenge(user);
+            }
+
+            await AccountLockoutService.reset(user.id);
+            const session = await SessionsService.createSession(user, client);
 
             // Update login_count and last_login
             await DatabaseHelper.executeQuery(
@@ -253,7 +270,8 @@ class AuthService {
 
             logger.info(`User logged in: ${email}`);
             return {
-                token,
+                token: session.token,
+                refresh_token: session.refresh_token,
                 user: {
                     id: user.id,
                     email: user.email,
@@ -477,7 +495,7 @@ class AuthService {
             const userId = resetResult.rows[0].user_id;
 
             const userResult = await DatabaseHelper.executeQuery(
-                `SELECT password_hash
+                `SELECT email, name, password_hash
                  FROM users
                  WHERE id = $1 AND is_deleted = 0 AND is_active = 1`,
                 [userId]
@@ -487,6 +505,10 @@ class AuthService {
                 throw new NotFoundError('User not found');
             }
 
+            const { email, name } = userResult.rows[0];
+            PasswordPolicyService.assertStrong(password, { email, name });
+            await PasswordPolicyService.assertNotReused(userId, password);
+
             const passwordHash = await bcrypt.hash(password, 12);
 
             await DatabaseHelper.executeQuery(
@@ -503,6 +525,12 @@ class AuthService {
                 [token]
             );
 
+            await PasswordPolicyService.recordPassword(userId, passwordHash);
+            // the emailed link proves ownership, so the reset also lifts a lockout
+            await AccountLockoutService.reset(userId);
+            // a reset usually means the password was lost or stolen, so sign out every device
+            await SessionsService.revokeAllSessions(userId, { reason: 'password_reset' });
+
             logger.info(`Password reset for user: ${userId}`);
             return { message: 'Password reset successfully' };
         } catch (error) {
@@ -511,9 +539,87 @@ class AuthService {
         }
     }
 
+    static twoFactorChallenge(user) {
+        return {
+            two_factor_required: true,
+            two_factor_token: TwoFactorService.signChallenge(user.id),
+            user: { id: user.id, email: user.email, name: user.name }
+        };
+    }
+
+    /**
+     * Second step of a login for users with two-factor authentication
+     * @param {Object} data - { two_factor_token, code } where code is from the authenticator app or a recovery code
+     * @param {Object} [client] - { userAgent, ip } of the device
+     */
+    static async verifyTwoFactorLogin({ two_factor_token, code }, client = {}) {
+        try {
+            const userId = TwoFactorService.verifyChallenge(two_factor_token);
+
+            const userResult = await DatabaseHelper.executeQuery(
+                `SELECT u.id, u.email, u.name, u.role_id, u.farm_id, r.permissions, u.email_verified, u.avatar_url, u.created_at,
+                    u.locked_until
+                FROM users u
+                JOIN roles r ON u.role_id = r.id
+                WHERE u.id = $1 AND u.is_deleted = 0 AND u.is_active = 1
+                AND r.is_deleted = 0 AND r.is_active = 1`,
+                [userId]
+            );
+            if (userResult.rows.length === 0) {
+                throw new UnauthorizedError('User not found or inactive');
+            }
+            const user = userResult.rows[0];
+
+            AccountLockoutService.assertNotLocked(user);
+            const method = await TwoFactorService.verify(user.id, code);
+            if (!method) {
+                await AccountLockoutService.recordFailure(user);
+                throw new UnauthorizedError('Invalid authentication code');
+            }
+
+            await AccountLockoutService.reset(user.id);
+            const session = await SessionsService.createSession(user, client);
+            await DatabaseHelper.executeQuery(
+                `UPDATE users
+                SET login_count = login_count + 1, last_login = CURRENT_TIMESTAMP
+                WHERE id = $1`,
+                [user.id]
+            );
+
+            logger.info(`User logged in with two-factor (${method}): ${user.email}`);
+            return {
+                token: session.token,
+                refresh_token: session.refresh_token,
+                two_factor_method: method,
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    name: user.name,
+                    role_id: user.role_id,
+                    farm_id: user.farm_id,
+                    permissions: user.permissions,
+                    email_verified: user.email_verified,
+                    avatar_url: user.avatar_url,
+                    created_at: user.created_at
+                }
+            };
+        } catch (error) {
+            logger.error(`Two-factor login error: ${error.message}`);
+            throw error;
+        }
+    }
+
     static async logout(token) {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            // session tokens are signed out by revoking their session
+            if (decoded.sid) {
+                await SessionsService.revokeSessionById(decoded.sid, 'logout');
+                logger.info(`User logged out: ${decoded.userId}`);
+                return { message: 'Logged out successfully' };
+            }
+
             const expiresAt = new Date(decoded.exp * 1000);
 
             await DatabaseHelper.executeQuery(
@@ -530,7 +636,7 @@ class AuthService {
         }
     }
 
-    static async ssoAuth({ email, name, image_url, provider }) {
+    static async ssoAuth({ email, name, image_url, provider }, client = {}) {
         try {
             // Input validation
             if (!email || !name) {
@@ -597,12 +703,12 @@ class AuthService {
                 user.login_count = 0;
             }
 
-            // Generate JWT
-            const token = jwt.sign(
-                { userId: user.id, roleId: user.role_id },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            if (!isNewUser && await TwoFactorService.isEnabled(user.id)) {
+                logger.info(`SSO accepted for ${email}, waiting for two-factor code`);
+                return AuthService.twoFactorChallenge(user);
+            }
+
+            const session = await SessionsService.createSession(user, client);
 
             // Update login info
             await DatabaseHelper.executeQuery(
@@ -620,7 +726,8 @@ class AuthService {
             }
 
             return {
-                token,
+                token: session.token,
+                refresh_token: session.refresh_token,
                 user: {
                     id: user.id,
                     email: user.email,
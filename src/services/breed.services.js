@@ -4,27 +4,17 @@ import { ValidationError } from "../middleware/errors.js";
 import { v4 as uuidv4 } from "uuid";
 import { pool } from "../config/database.js";
 import AlertService from "./alerts.services.js";
+import FarmsService from "./farms.services.js";
+import NotificationsService from "./notifications.services.js";
+import AuditService from "./audit.services.js";
+import CacheService from "./cache.services.js";
 import dayjs from "dayjs";
-import utc from "dayjs/plugin/utc.js";
-import timezone from "dayjs/plugin/timezone.js";
-
-dayjs.extend(utc);
-dayjs.extend(timezone);
-
-// Utility function to get UTC date as YYYY-MM-DD
-function getUTCDateString(date) {
-  return dayjs(date).utc().format("YYYY-MM-DD");
-}
-
-// Utility function to get local date as YYYY-MM-DD (default Africa/Nairobi)
-function getLocalDateString(date, timezone = "Africa/Nairobi") {
-  return dayjs(date).tz(timezone).format("YYYY-MM-DD");
-}
-
-// Utility function to format date for display (default Africa/Nairobi)
-function formatLocalDate(date, timezone = "Africa/Nairobi") {
-  return dayjs(date).tz(timezone).format("MMMM D, YYYY");
-}
+import {
+  getLocalDateString,
+  formatLocalDate,
+  addLocalDays,
+  toAlertStartDate,
+} from "../utils/timezone.js";
 
 class BreedingService {
   static async createBreedingRecord(breedingData, userId) {
@@ -70,12 +60,13 @@ class BreedingService {
         "Invalid immediate_notify_date format; must be YYYY-MM-DD"
       );
     }
-    // Convert to UTC and format as YYYY-MM-DD[T00:00:00Z]
-    notifyOnDate = notifyOnDate
-      ? dayjs(notifyOnDate).utc().format("YYYY-MM-DD") + "T00:00:00Z"
-      : getUTCDateString(matingDateUTC) + "T00:00:00Z";
 
     try {
+      // Alert days are calendar days in the farm's timezone
+      const timezone = await FarmsService.getFarmTimezone(farm_id);
+      const matingDay = getLocalDateString(mating_date, timezone);
+      notifyOnDate = notifyOnDate || matingDay;
+
       // Validate sow and boar
       const sowResult = await DatabaseHelper.executeQuery(
         "SELECT 1 FROM pigs WHERE pig_id = $1 AND farm_id = $2 AND gender = $3 AND is_deleted = 0",
@@ -159,10 +150,10 @@ class BreedingService {
       // Create immediate breeding success alert
       const defaultMessage = `Breeding recorded for sow ${sow_id} and boar ${boar_id} on ${formatLocalDate(
         mating_date,
-        "Africa/Nairobi"
+        timezone
       )}. Expected birth date: ${formatLocalDate(
         expected_birth_date,
-        "Africa/Nairobi"
+        timezone
       )}`;
       await AlertService.createAlert({
         farm_id,
@@ -170,11 +161,12 @@ class BreedingService {
         pig_id: sow_id,
         pen_id,
         name: `Breeding Success for ${sow_id} and ${boar_id}`,
-        alert_start_date: getUTCDateString(matingDateUTC) + "T00:00:00Z",
+        alert_start_date: toAlertStartDate(matingDay),
         alert_type: "breeding",
         severity: "medium",
         message: alert_message || defaultMessage,
         notify_on: [notifyOnDate],
+        timezone,
       });
 
       // Create scheduled alerts (trigger day before and on the date)
@@ -182,43 +174,34 @@ class BreedingService {
       const alerts = [
         {
           name: `Add Nesting Box for ${sow_id}`,
-          alert_start_date:
-            getUTCDateString(matingDateUTC.add(110, "day").toDate()) +
-            "T00:00:00Z",
+          alert_start_date: toAlertStartDate(addLocalDays(matingDay, 110, timezone)),
           alert_type: "breeding",
           severity: "high",
           message: `Add nesting box for pig ${sow_id} on pen ${
             pen_id || "unknown"
-          } by ${formatLocalDate(
-            matingDateUTC.add(110, "day"),
-            "Africa/Nairobi"
-          )}`,
+          } by ${formatLocalDate(addLocalDays(matingDay, 110, timezone), timezone)}`,
           notify_on: [
-            getUTCDateString(matingDateUTC.add(109, "day").toDate()) +
-              "T00:00:00Z",
-            getUTCDateString(matingDateUTC.add(110, "day").toDate()) +
-              "T00:00:00Z",
+            addLocalDays(matingDay, 109, timezone),
+            addLocalDays(matingDay, 110, timezone),
           ],
         },
         // Birth check alerts (days 110-114) - pig gestation period
         ...Array.from({ length: 5 }, (_, i) => ({
           name: `Check Birth for ${sow_id}`,
-          alert_start_date:
-            getUTCDateString(matingDateUTC.add(110 + i, "day").toDate()) +
-            "T00:00:00Z",
+          alert_start_date: toAlertStartDate(
+            addLocalDays(matingDay, 110 + i, timezone)
+          ),
           alert_type: "birth",
           severity: "high",
           message: `Check for birth of pig ${sow_id} on pen ${
             pen_id || "unknown"
           } on ${formatLocalDate(
-            matingDateUTC.add(110 + i, "day"),
-            "Africa/Nairobi"
+            addLocalDays(matingDay, 110 + i, timezone),
+            timezone
           )}`,
           notify_on: [
-            getUTCDateString(matingDateUTC.add(109 + i, "day").toDate()) +
-              "T00:00:00Z",
-            getUTCDateString(matingDateUTC.add(110 + i, "day").toDate()) +
-              "T00:00:00Z",
+            addLocalDays(matingDay, 109 + i, timezone),
+            addLocalDays(matingDay, 110 + i, timezone),
           ],
         })),
       ];
@@ -229,9 +212,20 @@ class BreedingService {
           user_id: userId,
           pig_id: sow_id,
           pen_id,
+          timezone,
           ...alert,
         });
       }
+      await AuditService.record({
+        farm_id,
+        action: "create",
+        entity_type: "breeding_record",
+        entity_id: breedingRecord.id,
+        new_values: breedingRecord,
+        user_id: userId,
+      });
+      // breeder boar and pregnancy counts depend on breeding records
+      await CacheService.invalidateFarm(farm_id, "pigStats");
       logger.info(
         `Breeding record created for sow ${sow_id} by user ${userId}`
       );
@@ -355,38 +349,34 @@ class BreedingService {
           .map(r => r.number_of_piglets || 0)
           .filter(n => n > 0);
         if (litters.length >= 3 && litters.every(n => n < 5)) {
-          const notificationId = uuidv4();
-          await DatabaseHelper.executeQuery(
-            `INSERT INTO notifications (id, user_id, type, title, message, data, priority, created_at, is_deleted)
-                         VALUES ($1, $2, 'culling_alert', 'Sow Culling Alert', $3, $4, 'high', CURRENT_TIMESTAMP, 0)`,
-            [
-              notificationId,
-              userId,
-              `Sow ${breedingRecord.sow_id} recommended for culling due to low litter size (<5) over 3 generations.`,
-              JSON.stringify({
-                sow_id: breedingRecord.sow_id,
-                farm_id: farmId,
-              }),
-            ]
-          );
+          await NotificationsService.createNotification({
+            user_id: userId,
+            type: "culling_alert",
+            title: "Sow Culling Alert",
+            message: `Sow ${breedingRecord.sow_id} recommended for culling due to low litter size (<5) over 3 generations.`,
+            data: {
+              sow_id: breedingRecord.sow_id,
+              farm_id: farmId,
+              breeding_record_id: recordId,
+            },
+            priority: "high",
+          });
           logger.info(
             `Sow ${breedingRecord.sow_id} marked for culling due to low litter size over 3 generations`
           );
         } else if (number_of_piglets < 5 || number_of_piglets > 10) {
-          const notificationId = uuidv4();
-          await DatabaseHelper.executeQuery(
-            `INSERT INTO notifications (id, user_id, type, title, message, data, priority, created_at, is_deleted)
-                         VALUES ($1, $2, 'culling_alert', 'Sow Culling Alert', $3, $4, 'high', CURRENT_TIMESTAMP, 0)`,
-            [
-              notificationId,
-              userId,
-              `Sow ${breedingRecord.sow_id} recommended for culling due to litter size ${number_of_piglets}.`,
-              JSON.stringify({
-                sow_id: breedingRecord.sow_id,
-                farm_id: farmId,
-              }),
-            ]
-          );
+          await NotificationsService.createNotification({
+            user_id: userId,
+            type: "culling_alert",
+            title: "Sow Culling Alert",
+            message: `Sow ${breedingRecord.sow_id} recommended for culling due to litter size ${number_of_piglets}.`,
+            data: {
+              sow_id: breedingRecord.sow_id,
+              farm_id: farmId,
+              breeding_record_id: recordId,
+            },
+            priority: "high",
+          });
           logger.info(
             `Sow ${breedingRecord.sow_id} marked for culling due to litter size ${number_of_piglets}`
           );
@@ -413,61 +403,62 @@ class BreedingService {
         );
         const pen_id = penResult.rows[0]?.pen_id;
 
-        // Create scheduled post-birth alerts
-        const actualBirthDateUTC = dayjs(actual_birth_date).utc();
+        // Create scheduled post-birth alerts on the farm's local calendar
+        const timezone = await FarmsService.getFarmTimezone(farmId);
+        const birthDay = getLocalDateString(actual_birth_date, timezone);
         const alerts = [
           {
             name: `Fostering Check for ${breedingRecord.sow_id}`,
-            alert_start_date:
-              getUTCDateString(actualBirthDateUTC.add(4, "day").toDate()) +
-              "T00:00:00Z",
+            alert_start_date: toAlertStartDate(
+              addLocalDays(birthDay, 4, timezone)
+            ),
             alert_type: "birth",
             severity: "medium",
             message: `Check fostering needs for pig ${
               breedingRecord.sow_id
             } on pen ${pen_id || "unknown"} by ${formatLocalDate(
-              actualBirthDateUTC.add(4, "day"),
-              "Africa/Nairobi"
+              addLocalDays(birthDay, 4, timezone),
+              timezone
             )}`,
             notify_on: [
-              getUTCDateString(actualBirthDateUTC.add(3, "day").toDate()),
-              getUTCDateString(actualBirthDateUTC.add(4, "day").toDate()),
+              addLocalDays(birthDay, 3, timezone),
+              addLocalDays(birthDay, 4, timezone),
             ],
           },
           {
             name: `Remove Nesting Box for ${breedingRecord.sow_id}`,
-            alert_start_date:
-              getUTCDateString(actualBirthDateUTC.add(20, "day").toDate()) +
-              "T00:00:00Z",
+            alert_start_date: toAlertStartDate(
+              addLocalDays(birthDay, 20, timezone)
+            ),
             alert_type: "birth",
             severity: "medium",
             message: `Remove nesting box for pig ${
               breedingRecord.sow_id
             } on pen ${pen_id || "unknown"} by ${formatLocalDate(
-              actualBirthDateUTC.add(20, "day"),
-              "Africa/Nairobi"
+              addLocalDays(birthDay, 20, timezone),
+              timezone
             )}`,
             notify_on: [
-              getUTCDateString(actualBirthDateUTC.add(19, "day").toDate()),
-              getUTCDateString(actualBirthDateUTC.add(20, "day").toDate()),
+              addLocalDays(birthDay, 19, timezone),
+              addLocalDays(birthDay, 20, timezone),
             ],
           },
           {
             name: `Wean Piglets for ${breedingRecord.sow_id}`,
-            alert_start_date:
-              getUTCDateString(actualBirthDateUTC.add(42, "day").toDate()) +
-              "T00:00:00Z",
+            alert_start_date: toAlertStartDate(
+              addLocalDays(birthDay, 42, timezone)
+            ),
             alert_type: "birth",
             severity: "high",
             message: `Wean piglets for pig ${breedingRecord.sow_id} on pen ${
               pen_id || "unknown"
             } by ${formatLocalDate(
-              actualBirthDateUTC.add(42, "day"),
-              "Africa/Nairobi"
+              addLocalDays(birthDay, 42, timezone),
+              timezone
             )}`,
             notify_on: [
-              getUTCDateString(actualBirthDateUTC.add(41, "day").toDate()),
-              getUTCDateString(actualBirthDateUTC.add(42, "day").toDate()),
+              addLocalDays(birthDay, 41, timezone),
+              addLocalDays(birthDay, 42, timezone),
             ],
           },
         ];
@@ -478,6 +469,7 @@ class BreedingService {
             user_id: userId,
             pig_id: breedingRecord.sow_id,
             pen_id,
+            timezone,
             ...alert,
           });
         }
@@ -496,6 +488,16 @@ class BreedingService {
         ]
       );
       const updatedRecord = updatedRecordResult.rows[0];
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "breeding_record",
+        entity_id: recordId,
+        old_values: breedingRecord,
+        new_values: updatedRecord,
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farmId, "pigStats");
       logger.info(`Breeding record ${recordId} updated by user ${userId}`);
       return updatedRecord;
     } catch (error) {
@@ -509,7 +511,7 @@ class BreedingService {
   static async deleteBreedingRecord(recordId, farmId, userId) {
     try {
       const recordResult = await DatabaseHelper.executeQuery(
-        "SELECT sow_id, actual_birth_date FROM breeding_records WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
+        "SELECT * FROM breeding_records WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
         [recordId, farmId]
       );
       if (recordResult.rows.length === 0) {
@@ -518,8 +520,8 @@ class BreedingService {
       const breedingRecord = recordResult.rows[0];
 
       // Soft delete breeding record
-      await DatabaseHelper.executeQuery(
-        "UPDATE breeding_records SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
+      const deletedResult = await DatabaseHelper.executeQuery(
+        "UPDATE breeding_records SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND farm_id = $2 AND is_deleted = 0 RETURNING *",
         [recordId, farmId]
       );
 
@@ -544,6 +546,16 @@ class BreedingService {
           [breedingRecord.sow_id]
         );
       }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "delete",
+        entity_type: "breeding_record",
+        entity_id: recordId,
+        old_values: breedingRecord,
+        new_values: deletedResult.rows[0],
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farmId, "pigStats");
       logger.info(`Breeding record ${recordId} soft deleted by user ${userId}`);
       return { id: recordId };
     } catch (error) {
@@ -749,7 +761,7 @@ class BreedingService {
                    id, breeding_record_id, farm_id, piglet_number, birth_weight, gender, color, status,
                    weaning_date, parent_male_id, parent_female_id, notes, created_at, updated_at, is_deleted
                  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
-                 RETURNING id, piglet_number`,
+                 RETURNING *`,
           [
             uuidv4(),
             breeding_record_id,
@@ -765,12 +777,28 @@ class BreedingService {
             notes || null,
           ]
         );
-        insertedPiglets.push(result.rows[0]);
+        const createdPiglet = result.rows[0];
+        await AuditService.record({
+          farm_id,
+          action: "create",
+          entity_type: "piglet",
+          entity_id: createdPiglet.id,
+          new_values: createdPiglet,
+          user_id: userId,
+        });
+        insertedPiglets.push({
+          id: createdPiglet.id,
+          piglet_number: createdPiglet.piglet_number,
+        });
       }
 
       // Create alert for relocating piglets post-weaning
-      const actualBirthDateUTC = dayjs(pigletz[0].actual_birth_date).utc();
-      const weaningDate = actualBirthDateUTC.add(42, "day").toDate();
+      const timezone = await FarmsService.getFarmTimezone(farm_id);
+      const weaningDay = addLocalDays(
+        getLocalDateString(pigletz[0].actual_birth_date, timezone),
+        42,
+        timezone
+      );
       const penResult = await DatabaseHelper.executeQuery(
         "SELECT pen_id FROM pigs WHERE pig_id = $1 AND farm_id = $2 AND is_deleted = 0",
         [pigletz[0].parent_female_id, farm_id]
@@ -783,19 +811,14 @@ class BreedingService {
         pig_id: pigletz[0].parent_female_id,
         pen_id,
         name: `Relocate Piglets for ${pigletz[0].parent_female_id}`,
-        alert_start_date: getUTCDateString(weaningDate) + "T00:00:00Z",
+        alert_start_date: toAlertStartDate(weaningDay),
         alert_type: "birth",
         severity: "medium",
         message: `Relocate piglets for pig ${
           pigletz[0].parent_female_id
-        } to individual pens by ${formatLocalDate(
-          weaningDate,
-          "Africa/Nairobi"
-        )}`,
-        notify_on: [
-          getUTCDateString(dayjs(weaningDate).subtract(1, "day").toDate()),
-          getUTCDateString(weaningDate),
-        ],
+        } to individual pens by ${formatLocalDate(weaningDay, timezone)}`,
+        notify_on: [addLocalDays(weaningDay, -1, timezone), weaningDay],
+        timezone,
       });
       logger.info(
         `Created ${insertedPiglets.length} piglets for farm ${farm_id} by user ${userId}`
@@ -830,7 +853,7 @@ class BreedingService {
 
     try {
       const pigletResult = await DatabaseHelper.executeQuery(
-        "SELECT piglet_number, breeding_record_id, farm_id FROM piglet_records WHERE id = $1 AND is_deleted = 0",
+        "SELECT * FROM piglet_records WHERE id = $1 AND is_deleted = 0",
         [pigletId]
       );
       if (pigletResult.rows.length === 0) {
@@ -910,6 +933,15 @@ class BreedingService {
       }
 
       const updatedPiglet = updatedPigletResult.rows[0];
+      await AuditService.record({
+        farm_id: pigletRecord.farm_id,
+        action: "update",
+        entity_type: "piglet",
+        entity_id: pigletId,
+        old_values: pigletRecord,
+        new_values: updatedPiglet,
+        user_id: userId,
+      });
       logger.info(`Piglet record ${pigletId} updated by user ${userId}`);
       return updatedPiglet;
     } catch (error) {
@@ -0,0 +1,181 @@
+import { getRedisClient } from '../config/redis.js';
+import logger from '../middleware/logger.js';
+
+const KEY_PREFIX = process.env.CACHE_PREFIX || 'pigfarm:';
+const DEFAULT_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS || 300);
+// Upper bound for the in-memory fallback so a long-running process cannot grow without limit
+const MEMORY_MAX_ENTRIES = 5000;
+
+/**
+ * Per-process stand-in for Redis, used when REDIS_URL is not set (local development and tests)
+ * or Redis is unreachable. Entries expire like Redis keys.
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    read(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    write(key, value, ttlMs) {
+        if (this.entries.size >= MEMORY_MAX_ENTRIES) {
+            const now = Date.now();
+            for (const [entryKey, entry] of this.entries) {
+                if (entry.expiresAt <= now) this.entries.delete(entryKey);
+            }
+            // still full: drop the oldest entry
+            if (this.entries.size >= MEMORY_MAX_ENTRIES) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+        const entry = { value, expiresAt: Date.now() + ttlMs };
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    get(key) {
+        return this.read(key)?.value ?? null;
+    }
+
+    set(key, value, ttlMs) {
+        this.write(key, value, ttlMs);
+    }
+
+    del(keys) {
+        keys.forEach(key => this.entries.delete(key));
+    }
+
+    increment(key, windowMs) {
+        const entry = this.read(key);
+        if (!entry) {
+            this.write(key, 1, windowMs);
+            return { count: 1, resetMs: windowMs };
+        }
+        entry.value += 1;
+        return { count: entry.value, resetMs: entry.expiresAt - Date.now() };
+    }
+}
+
+const memoryStore = new MemoryStore();
+
+/**
+ * Keys of cached read models, per farm. Invalidate them from every mutation that changes the data.
+ */
+export const CACHE_KEYS = {
+    pigStats: (farmId) => `farm:${farmId}:pig_stats`,
+    rows: (farmId) => `farm:${farmId}:rows`
+};
+
+class CacheService {
+    /**
+     * @returns {Promise<*>} - The cached value, or null on a miss
+     */
+    static async get(key) {
+        try {
+            // both stores hold JSON strings, so every read returns a fresh copy
+            const redis = await getRedisClient();
+            const raw = redis
+                ? await redis.get(KEY_PREFIX + key)
+                : memoryStore.get(KEY_PREFIX + key);
+            return raw === null ? null : JSON.parse(raw);
+        } catch (error) {
+            logger.error(`Cache read failed for ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    static async set(key, value, ttlSeconds = DEFAULT_TTL_SECONDS) {
+        try {
+            const redis = await getRedisClient();
+            if (!redis) {
+                memoryStore.set(KEY_PREFIX + key, JSON.stringify(value), ttlSeconds * 1000);
+                return;
+            }
+            await redis.set(KEY_PREFIX + key, JSON.stringify(value), { EX: ttlSeconds });
+        } catch (error) {
+            logger.error(`Cache write failed for ${key}: ${error.message}`);
+        }
+    }
+
+    static async del(...keys) {
+        if (keys.length === 0) return;
+        const prefixed = keys.map(key => KEY_PREFIX + key);
+        try {
+            const redis = await getRedisClient();
+            if (!redis) {
+                memoryStore.del(prefixed);
+                return;
+            }
+            await redis.del(prefixed);
+        } catch (error) {
+            logger.error(`Cache invalidation failed for ${keys.join(', ')}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read-through cache: return the cached value, or load, cache and return it
+     * @param {string} key - Cache key, see CACHE_KEYS
+     * @param {Function} loader - Async function producing the value on a miss
+     * @param {number} [ttlSeconds] - Time to live, CACHE_TTL_SECONDS by default
+     */
+    static async remember(key, loader, ttlSeconds = DEFAULT_TTL_SECONDS) {
+        const cached = await CacheService.get(key);
+        if (cached !== null) return cached;
+
+        const value = await loader();
+        if (value !== undefined && value !== null) {
+            await CacheService.set(key, value, ttlSeconds);
+        }
+        return value;
+    }
+
+    /**
+     * Drop every cached read model of a farm that a mutation may have changed
+     * @param {string} farmId - Farm UUID
+     * @param {...string} names - CACHE_KEYS names, e.g. 'pigStats'
+     */
+    static async invalidateFarm(farmId, ...names) {
+        if (!farmId) return;
+        await CacheService.del(...names.map(name => CACHE_KEYS[name](farmId)));
+    }
+
+    /**
+     * Count a hit in a fixed window, shared across instances when Redis is configured
+     * @returns {Promise<Object>} - { count, resetMs } hits so far and time until the window resets
+     */
+    static async increment(key, windowMs) {
+        const redis = await getRedisClient();
+        if (!redis) return memoryStore.increment(KEY_PREFIX + key, windowMs);
+
+        try {
+            // the first hit of a window creates the key with its expiry in the same transaction,
+            // so a counter can never be left without one
+            const [, count, ttl] = await redis
+                .multi()
+                .set(KEY_PREFIX + key, '0', { PX: windowMs, NX: true })
+                .incr(KEY_PREFIX + key)
+                .pTTL(KEY_PREFIX + key)
+                .exec();
+            if (ttl < 0) {
+                // counter written without an expiry by an earlier version
+                await redis.pExpire(KEY_PREFIX + key, windowMs);
+                return { count: Number(count), resetMs: windowMs };
+            }
+            return { count: Number(count), resetMs: Number(ttl) };
+        } catch (error) {
+            // keep limiting per instance rather than letting every request through
+            logger.error(`Rate limit counter failed for ${key}, counting in memory: ${error.message}`);
+            return memoryStore.increment(KEY_PREFIX + key, windowMs);
+        }
+    }
+}
+
+export default CacheService;
@@ -1,30 +1,177 @@
-// services/card.service.js (Example for a generic Card/Stripe service; mocked for now, expand as needed)
-import { v4 as uuidv4 } from 'uuid';
+// services/card.service.js - Card payments through Stripe PaymentIntents
+import crypto from 'crypto';
+import axios from 'axios';
 import dotenv from 'dotenv';
 import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
 
 dotenv.config();
 
+// Currencies Stripe takes in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+// Oldest webhook signature timestamp accepted, to limit replays
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Stripe takes form-encoded bodies with nested keys, e.g. metadata[payment_id]=...
+const encodeForm = (params, prefix = '') => {
+  const pairs = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      pairs.push(encodeForm(value, name));
+    } else {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    }
+  }
+  return pairs.filter(Boolean).join('&');
+};
+
 class CardService {
-  static async processPayment(cardDetails, amount, currency, reference, description) {
-    // In real implementation, integrate with Stripe or other card processor
-    // For example, using Stripe SDK: const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    // Then create payment intent: await stripe.paymentIntents.create({ amount, currency, ... });
-    
-    // For now, mock as in original
-    if (!process.env.STRIPE_SECRET_KEY) {
-      logger.info('Card processing in mock mode');
-      return `SIM_CARD_${uuidv4()}`;
+  static isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  }
+
+  /**
+   * Stripe API root. STRIPE_API_BASE_URL points the service at another host, e.g. stripe-mock.
+   */
+  static baseUrl() {
+    return (process.env.STRIPE_API_BASE_URL || 'https://api.stripe.com').replace(/\/+$/, '');
+  }
+
+  static toMinorUnits(amount, currency) {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? 1 : 100;
+    return Math.round(Number(amount) * factor);
+  }
+
+  static async stripeRequest(method, path, params = {}, { idempotencyKey } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Stripe is not configured');
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl()}/v1${path}`,
+        data: method === 'get' ? undefined : encodeForm(params),
+        headers: {
+          Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+        },
+        timeout: 30000
+      });
+      return response.data;
+    } catch (error) {
+      const stripeError = error.response?.data?.error;
+      logger.error(`Stripe ${method.toUpperCase()} ${path} failed: ${stripeError?.message || error.message} - Status: ${error.response?.status}`);
+      if (stripeError?.type === 'card_error' || stripeError?.type === 'invalid_request_error') {
+        throw new ValidationError(stripeError.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start a card payment. Card details never reach this API: the client confirms the
+   * PaymentIntent with Stripe using the returned client_secret, and the webhook reports the outcome.
+   * @param {Object} params - { amount, currency, reference, description, metadata }
+   * @returns {Promise<Object>} - { id, client_secret, status }
+   */
+  static async createPaymentIntent({ amount, currency, reference, description, metadata = {} }) {
+    const intent = await this.stripeRequest(
+      'post',
+      '/payment_intents',
+      {
+        amount: this.toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        description,
+        metadata: { reference, ...metadata },
+        automatic_payment_methods: { enabled: true }
+      },
+      // retrying the same payment never creates a second intent
+      { idempotencyKey: reference }
+    );
+
+    logger.info(`Stripe PaymentIntent ${intent.id} created for ${reference}`);
+    return { id: intent.id, client_secret: intent.client_secret, status: intent.status };
+  }
+
+  /**
+   * Refund a PaymentIntent, in full unless an amount is given
+   * @param {string} transactionId - PaymentIntent id (payments.transaction_id)
+   * @param {number} [amount] - Amount to refund in major units, e.g. 8.00
+   * @param {string} [currency] - Currency of the amount; required with amount
+   * @param {Object} [metadata] - Stored on the refund and sent back with its webhooks
+   * @returns {Promise<Object>} - Stripe refund object
+   */
+  static async refundPayment(transactionId, amount, currency, metadata = {}) {
+    if (amount !== undefined && amount !== null && !currency) {
+      throw new Error('currency is required for a partial refund');
+    }
+
+    const refund = await this.stripeRequest(
+      'post',
+      '/refunds',
+      {
+        payment_intent: transactionId,
+        amount: amount !== undefined && amount !== null ? this.toMinorUnits(amount, currency) : undefined,
+        metadata
+      }
+    );
+
+    logger.info(`Stripe refund ${refund.id} (${refund.status}) created for ${transactionId}`);
+    return refund;
+  }
+
+  /**
+   * Verify a webhook delivery against STRIPE_WEBHOOK_SECRET and parse it
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {string} signatureHeader - Stripe-Signature header, "t=<timestamp>,v1=<signature>[,v1=...]"
+   * @throws {ValidationError} - When the signature is missing, wrong or too old
+   */
+  static constructWebhookEvent(rawBody, signatureHeader, secret = process.env.STRIPE_WEBHOOK_SECRET, now = Date.now()) {
+    if (!secret) {
+      throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+    }
+    if (!rawBody || !signatureHeader) {
+      throw new ValidationError('Missing Stripe signature or body');
+    }
+
+    const parts = signatureHeader.split(',').map(part => part.trim().split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) {
+      throw new ValidationError('Malformed Stripe signature');
+    }
+
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')
+    );
+    const matches = signatures.some(signature => {
+      const provided = Buffer.from(signature);
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+    if (!matches) {
+      throw new ValidationError('Invalid Stripe signature');
+    }
+    if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new ValidationError('Stripe signature timestamp is outside the tolerance');
     }
 
-    // Placeholder for real integration
-    throw new Error('Real card processing not implemented yet');
+    return JSON.parse(payload);
   }
 
-  // Future methods, e.g., for refunds, subscriptions, etc.
-  static async refundPayment(transactionId, amount) {
-    // Implement refund logic
-    throw new Error('Refund method not implemented yet');
+  /**
+   * Stripe-Signature header for a payload, for webhook fixtures and local testing
+   */
+  static generateWebhookSignature(payload, secret = process.env.STRIPE_WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
   }
 
   static async createSubscription(/* params */) {
@@ -33,4 +180,4 @@ class CardService {
   }
 }
 
-export default CardService;
\ No newline at end of file
+export default CardService;
@@ -1,6 +1,7 @@
 import { DatabaseHelper } from "../config/database.js";
 import logger from "../middleware/logger.js";
 import { ValidationError } from "../middleware/errors.js";
+import AuditService from "./audit.services.js";
 
 class EarningsService {
   static async createEarnings(earningsData, userId) {
@@ -78,6 +79,14 @@ class EarningsService {
           pen_id || null,
         ]
       );
+      await AuditService.record({
+        farm_id,
+        action: "create",
+        entity_type: "earnings",
+        entity_id: result.rows[0].id,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(`Earnings record created by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -212,6 +221,14 @@ class EarningsService {
         }
       }
 
+      const currentResult = await DatabaseHelper.executeQuery(
+        "SELECT * FROM earnings_records WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
+        [id, farmId]
+      );
+      if (currentResult.rows.length === 0) {
+        throw new ValidationError("Not found earnings record");
+      }
+
       const result = await DatabaseHelper.executeQuery(
         `UPDATE earnings_records
                 SET type = COALESCE($3, type),
@@ -249,6 +266,15 @@ class EarningsService {
       if (result.rows.length === 0) {
         throw new ValidationError("Not found earnings record");
       }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "earnings",
+        entity_id: id,
+        old_values: currentResult.rows[0],
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(`Earnings record ${id} updated by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -269,6 +295,15 @@ class EarningsService {
       if (result.rows.length === 0) {
         throw new ValidationError("Earnings record not found");
       }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "delete",
+        entity_type: "earnings",
+        entity_id: id,
+        old_values: { ...result.rows[0], is_deleted: 0 },
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(`Earnings record ${id} soft deleted by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -0,0 +1,168 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { PaymentRequiredError } from "../middleware/errors.js";
+import { TIER_ENTITLEMENTS, TIER_ORDER } from "../utils/constants.js";
+
+// How each limit is counted and described
+const LIMITS = {
+  max_pigs: { usage: "pigs", label: "pigs per farm" },
+  max_rows: { usage: "rows", label: "rows per farm" },
+  max_pens: { usage: "pens", label: "pens per farm" },
+  // invited people hold a seat until the invitation is accepted, revoked or expires
+  max_users: { usage: "users", label: "users per farm" },
+  alerts_per_month: { usage: "alerts_this_month", label: "alerts per month" },
+};
+
+const resolveTier = (roleNames) => {
+  const known = roleNames.filter((name) => TIER_ENTITLEMENTS[name]);
+  if (known.length === 0) return "free";
+  return known.reduce((best, name) =>
+    TIER_ORDER.indexOf(name) > TIER_ORDER.indexOf(best) ? name : best
+  );
+};
+
+class EntitlementsService {
+  /**
+   * The tier a farm is on: its owner's subscription tier
+   * @returns {Promise<string>} - Key of TIER_ENTITLEMENTS
+   */
+  static async getFarmTier(farmId) {
+    const result = await DatabaseHelper.executeQuery(
+      `SELECT r.name FROM farm_members fm
+             JOIN users u ON fm.user_id = u.id AND u.is_deleted = 0
+             JOIN roles r ON u.role_id = r.id
+             WHERE fm.farm_id = $1 AND fm.role = 'owner' AND fm.is_deleted = 0`,
+      [farmId]
+    );
+    return resolveTier(result.rows.map((row) => row.name));
+  }
+
+  /**
+   * Current consumption of everything a limit applies to
+   */
+  static async getFarmUsage(farmId) {
+    const result = await DatabaseHelper.executeQuery(
+      `SELECT
+                (SELECT COUNT(*) FROM pigs WHERE farm_id = $1 AND is_deleted = 0) AS pigs,
+                (SELECT COUNT(*) FROM rows WHERE farm_id = $1 AND is_deleted = 0) AS rows,
+                (SELECT COUNT(*) FROM pens WHERE farm_id = $1 AND is_deleted = 0) AS pens,
+                (SELECT COUNT(*) FROM farm_members WHERE farm_id = $1 AND is_deleted = 0) AS members,
+                (SELECT COUNT(*) FROM farm_invitations
+                   WHERE farm_id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP AND is_deleted = 0) AS pending_invitations,
+                (SELECT COUNT(*) FROM alerts
+                   WHERE farm_id = $1 AND created_on >= date_trunc('month', CURRENT_TIMESTAMP)) AS alerts_this_month`,
+      [farmId]
+    );
+    const row = result.rows[0];
+    const members = parseInt(row.members, 10);
+    const pendingInvitations = parseInt(row.pending_invitations, 10);
+    return {
+      pigs: parseInt(row.pigs, 10),
+      rows: parseInt(row.rows, 10),
+      pens: parseInt(row.pens, 10),
+      users: members + pendingInvitations,
+      members,
+      pending_invitations: pendingInvitations,
+      alerts_this_month: parseInt(row.alerts_this_month, 10),
+    };
+  }
+
+  /**
+   * Tier, limits, features and usage of a farm
+   * @returns {Promise<Object>} - { tier, features, limits: { <limit>: { limit, used, remaining } }, usage }
+   */
+  static async getFarmEntitlements(farmId) {
+    try {
+      const tier = await EntitlementsService.getFarmTier(farmId);
+      const usage = await EntitlementsService.getFarmUsage(farmId);
+      const { limits, features } = TIER_ENTITLEMENTS[tier];
+
+      const consumption = {};
+      for (const [name, { usage: usageKey }] of Object.entries(LIMITS)) {
+        const limit = limits[name];
+        consumption[name] = {
+          limit,
+          used: usage[usageKey],
+          remaining: limit === null ? null : Math.max(limit - usage[usageKey], 0),
+        };
+      }
+      return { tier, features, limits: consumption, usage };
+    } catch (error) {
+      logger.error(`Error fetching entitlements of farm ${farmId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Limits that adding the requested amounts would exceed
+   * @param {string} farmId - Farm UUID
+   * @param {Object} requested - Amount being added per limit, e.g. { max_rows: 1, max_pens: 12 }
+   * @returns {Promise<Object[]>} - { limit, tier, allowed, current, requested } per exceeded limit; empty when within limits
+   */
+  static async checkLimits(farmId, requested) {
+    const tier = await EntitlementsService.getFarmTier(farmId);
+    const { limits } = TIER_ENTITLEMENTS[tier];
+    const names = Object.keys(requested).filter((name) => limits[name] !== null);
+    if (names.length === 0) return [];
+
+    const usage = await EntitlementsService.getFarmUsage(farmId);
+    return names
+      .filter((name) => usage[LIMITS[name].usage] + requested[name] > limits[name])
+      .map((name) => ({
+        limit: name,
+        tier,
+        allowed: limits[name],
+        current: usage[LIMITS[name].usage],
+        requested: requested[name],
+      }));
+  }
+
+  /**
+   * @throws {PaymentRequiredError} - Naming each limit the request would exceed
+   */
+  static async assertWithinLimits(farmId, requested) {
+    const exceeded = await EntitlementsService.checkLimits(farmId, requested);
+    if (exceeded.length === 0) return;
+
+    const [first] = exceeded;
+    logger.warn(
+      `Farm ${farmId} on the ${first.tier} plan hit ${exceeded.map((item) => item.limit).join(", ")}`
+    );
+    throw new PaymentRequiredError(
+      `Your ${first.tier} plan allows up to ${exceeded
+        .map((item) => `${item.allowed} ${LIMITS[item.limit].label}`)
+        .join(" and ")}. Upgrade your plan to add more.`,
+      exceeded
+    );
+  }
+
+  /**
+   * Entitlements of every farm the user belongs to
+   * @param {Object} user - req.user
+   */
+  static async getUserUsage(user) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT f.id, f.name, fm.role FROM farm_members fm
+                 JOIN farms f ON fm.farm_id = f.id AND f.is_deleted = 0
+                 WHERE fm.user_id = $1 AND fm.is_deleted = 0
+                 ORDER BY f.created_at`,
+        [user.id]
+      );
+
+      const farms = [];
+      for (const farm of result.rows) {
+        const entitlements = await EntitlementsService.getFarmEntitlements(farm.id);
+        farms.push({ farm_id: farm.id, farm_name: farm.name, role: farm.role, ...entitlements });
+      }
+
+      const tier = resolveTier([user.role_name]);
+      return { tier, features: TIER_ENTITLEMENTS[tier].features, farms };
+    } catch (error) {
+      logger.error(`Error fetching usage of user ${user.id}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+export default EntitlementsService;
@@ -0,0 +1,331 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+import { EXPENSE_RECURRING_FREQUENCIES } from "../utils/constants.js";
+import dayjs from "dayjs";
+
+class ExpensesService {
+  static async createExpense(expenseData, userId) {
+    const {
+      farm_id,
+      category,
+      description,
+      amount,
+      currency = "USD",
+      date,
+      vendor,
+      payment_method,
+      receipt_url,
+      is_recurring = false,
+      recurring_frequency,
+      notes,
+    } = expenseData;
+
+    if (!farm_id || !category || !description || amount === undefined || !date) {
+      throw new ValidationError("Missing required expense fields");
+    }
+    if (currency && !/^[A-Z]{3}$/.test(currency)) {
+      throw new ValidationError("Currency must be a valid 3-letter code");
+    }
+    if (amount < 0) {
+      throw new ValidationError("Amount cannot be negative");
+    }
+    if (is_recurring && !EXPENSE_RECURRING_FREQUENCIES[recurring_frequency]) {
+      throw new ValidationError(
+        `Recurring frequency must be one of ${Object.keys(
+          EXPENSE_RECURRING_FREQUENCIES
+        ).join(", ")}`
+      );
+    }
+
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `INSERT INTO expenses (
+                    farm_id, category, description, amount, currency, date, vendor, payment_method,
+                    receipt_url, is_recurring, recurring_frequency, notes,
+                    created_at, updated_at, is_deleted
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+        [
+          farm_id,
+          category,
+          description,
+          amount,
+          currency,
+          date,
+          vendor || null,
+          payment_method || null,
+          receipt_url || null,
+          is_recurring,
+          is_recurring ? recurring_frequency : null,
+          notes || null,
+        ]
+      );
+      logger.info(`Expense record created by user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating expense: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async getExpenseById(id, farmId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT * FROM expenses
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0`,
+        [id, farmId]
+      );
+      if (result.rows.length === 0) {
+        throw new ValidationError("Expense record not found");
+      }
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error getting expense ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async getAllExpenses(
+    farmId,
+    { category, date_from, date_to, is_recurring, limit, offset }
+  ) {
+    try {
+      let query = `
+                SELECT * FROM expenses
+                WHERE farm_id = $1 AND is_deleted = 0`;
+      const params = [farmId];
+      let paramIndex = 2;
+
+      if (category) {
+        query += ` AND category = $${paramIndex}`;
+        params.push(category);
+        paramIndex++;
+      }
+      if (date_from) {
+        query += ` AND date >= $${paramIndex}`;
+        params.push(date_from);
+        paramIndex++;
+      }
+      if (date_to) {
+        query += ` AND date <= $${paramIndex}`;
+        params.push(date_to);
+        paramIndex++;
+      }
+      if (is_recurring !== undefined) {
+        query += ` AND is_recurring = $${paramIndex}`;
+        params.push(is_recurring);
+        paramIndex++;
+      }
+
+      query += " ORDER BY date DESC";
+
+      if (limit !== undefined) {
+        query += ` LIMIT $${paramIndex}`;
+        params.push(limit);
+        paramIndex++;
+      }
+      if (offset !== undefined) {
+        query += ` OFFSET $${paramIndex}`;
+        params.push(offset);
+      }
+
+      const result = await DatabaseHelper.executeQuery(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error(
+        `Error getting expenses for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  static async updateExpense(id, farmId, expenseData, userId) {
+    const {
+      category,
+      description,
+      amount,
+      currency,
+      date,
+      vendor,
+      payment_method,
+      receipt_url,
+      is_recurring,
+      recurring_frequency,
+      notes,
+    } = expenseData;
+
+    try {
+      if (currency && !/^[A-Z]{3}$/.test(currency)) {
+        throw new ValidationError("Currency must be a valid 3-letter code");
+      }
+      if (
+        recurring_frequency &&
+        !EXPENSE_RECURRING_FREQUENCIES[recurring_frequency]
+      ) {
+        throw new ValidationError(
+          `Recurring frequency must be one of ${Object.keys(
+            EXPENSE_RECURRING_FREQUENCIES
+          ).join(", ")}`
+        );
+      }
+
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE expenses
+                SET category = COALESCE($3, category),
+                    description = COALESCE($4, description),
+                    amount = COALESCE($5, amount),
+                    currency = COALESCE($6, currency),
+                    date = COALESCE($7, date),
+                    vendor = COALESCE($8, vendor),
+                    payment_method = COALESCE($9, payment_method),
+                    receipt_url = COALESCE($10, receipt_url),
+                    is_recurring = COALESCE($11, is_recurring),
+                    recurring_frequency = CASE WHEN COALESCE($11, is_recurring)
+                        THEN COALESCE($12, recurring_frequency) ELSE NULL END,
+                    notes = COALESCE($13, notes),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+        [
+          id,
+          farmId,
+          category || null,
+          description || null,
+          amount ?? null,
+          currency || null,
+          date || null,
+          vendor || null,
+          payment_method || null,
+          receipt_url || null,
+          is_recurring ?? null,
+          recurring_frequency || null,
+          notes || null,
+        ]
+      );
+      if (result.rows.length === 0) {
+        throw new ValidationError("Expense record not found");
+      }
+      logger.info(`Expense record ${id} updated by user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error updating expense ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async deleteExpense(id, farmId, userId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE expenses
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+        [id, farmId]
+      );
+      if (result.rows.length === 0) {
+        throw new ValidationError("Expense record not found");
+      }
+      logger.info(`Expense record ${id} soft deleted by user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error deleting expense ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Materialise occurrences of recurring expenses up to a given date.
+   * A recurring expense acts as the template and its own first occurrence; each later
+   * occurrence is inserted as a plain expense linked through recurring_parent_id.
+   * Each run continues after the latest occurrence already generated (deleted ones included), and
+   * re-runs are safe: existing occurrences are skipped by the unique (recurring_parent_id, date) index.
+   * @param {string|null} farmId - Limit to one farm, or null for every farm
+   * @param {Date|string} asOf - Generate occurrences dated on or before this day
+   * @returns {Promise<Array>} - Newly created expense occurrences
+   */
+  static async generateRecurringExpenses(farmId = null, asOf = new Date()) {
+    try {
+      const until = dayjs(asOf).format("YYYY-MM-DD");
+      let query = `
+                SELECT e.*,
+                    (SELECT MAX(o.date) FROM expenses o WHERE o.recurring_parent_id = e.id) AS last_occurrence
+                FROM expenses e
+                WHERE e.is_recurring = true AND e.recurring_parent_id IS NULL
+                AND e.is_deleted = 0 AND e.date <= $1`;
+      const params = [until];
+      if (farmId) {
+        query += " AND e.farm_id = $2";
+        params.push(farmId);
+      }
+      const templates = await DatabaseHelper.executeQuery(query, params);
+
+      const created = [];
+      for (const template of templates.rows) {
+        const step = EXPENSE_RECURRING_FREQUENCIES[template.recurring_frequency];
+        if (!step) {
+          logger.warn(
+            `Skipping recurring expense ${template.id} with unknown frequency ${template.recurring_frequency}`
+          );
+          continue;
+        }
+
+        // step from the original date so month-end dates do not drift
+        const start = dayjs(template.date);
+        const occurrenceAt = (n) =>
+          start.add(n * step.amount, step.unit).format("YYYY-MM-DD");
+
+        let n = 1;
+        if (template.last_occurrence) {
+          const last = dayjs(template.last_occurrence).format("YYYY-MM-DD");
+          // diff rounds down, so this lands on or just before the first step after the last occurrence
+          n = Math.max(
+            1,
+            Math.floor(dayjs(last).diff(start, step.unit) / step.amount)
+          );
+          while (occurrenceAt(n) <= last) n++;
+        }
+
+        for (; occurrenceAt(n) <= until; n++) {
+          const occurrence = occurrenceAt(n);
+
+          const result = await DatabaseHelper.executeQuery(
+            `INSERT INTO expenses (
+                        farm_id, category, description, amount, currency, date, vendor, payment_method,
+                        is_recurring, recurring_parent_id, notes, created_at, updated_at, is_deleted
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, false, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                    ON CONFLICT (recurring_parent_id, date) DO NOTHING
+                    RETURNING *`,
+            [
+              template.farm_id,
+              template.category,
+              template.description,
+              template.amount,
+              template.currency,
+              occurrence,
+              template.vendor,
+              template.payment_method,
+              template.id,
+              template.notes,
+            ]
+          );
+          if (result.rows.length > 0) created.push(result.rows[0]);
+        }
+      }
+
+      logger.info(
+        `Generated ${created.length} recurring expense occurrences${
+          farmId ? ` for farm ${farmId}` : ""
+        }`
+      );
+      return created;
+    } catch (error) {
+      logger.error(`Error generating recurring expenses: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+export default ExpensesService;
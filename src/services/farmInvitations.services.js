@@ -0,0 +1,472 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+import EmailService from "./email.services.js";
+import AuthService from "./auth.services.js";
+import FarmMembersService from "./farmMembers.services.js";
+import AuditService from "./audit.services.js";
+import EntitlementsService from "./entitlements.services.js";
+
+const TOKEN_TYPE = "farm_invitation";
+
+const getExpiryDays = () => {
+  const parsed = Number.parseInt(process.env.INVITATION_EXPIRY_DAYS ?? "7", 10);
+  return Number.isNaN(parsed) ? 7 : Math.max(parsed, 1);
+};
+
+// Pending invitations past expires_at are reported as expired
+const withEffectiveStatus = (invitation) => {
+  const { token_nonce, ...rest } = invitation;
+  const expired =
+    rest.status === "pending" && new Date(rest.expires_at).getTime() < Date.now();
+  return { ...rest, status: expired ? "expired" : rest.status };
+};
+
+class FarmInvitationsService {
+  /**
+   * Signed invite token. It names the invitation and carries its current nonce,
+   * so resending (new nonce) or revoking makes older links unusable.
+   */
+  static signToken(invitation) {
+    const expiresIn = Math.max(
+      Math.floor((new Date(invitation.expires_at).getTime() - Date.now()) / 1000),
+      1
+    );
+    return jwt.sign(
+      { type: TOKEN_TYPE, nonce: invitation.token_nonce },
+      process.env.JWT_SECRET,
+      { subject: invitation.id, expiresIn }
+    );
+  }
+
+  /**
+   * Resolve a token to its pending invitation, joined with the farm
+   */
+  static async verifyToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ValidationError(
+        error.name === "TokenExpiredError"
+          ? "Invitation has expired"
+          : "Invalid invitation link"
+      );
+    }
+    if (decoded.type !== TOKEN_TYPE || !decoded.sub) {
+      throw new ValidationError("Invalid invitation link");
+    }
+
+    const result = await DatabaseHelper.executeQuery(
+      `SELECT fi.*, f.name AS farm_name, u.name AS invited_by_name
+             FROM farm_invitations fi
+             JOIN farms f ON fi.farm_id = f.id AND f.is_deleted = 0
+             LEFT JOIN users u ON fi.invited_by = u.id
+             WHERE fi.id = $1 AND fi.is_deleted = 0`,
+      [decoded.sub]
+    );
+    const invitation = result.rows[0];
+    if (!invitation || invitation.token_nonce !== decoded.nonce) {
+      throw new ValidationError("Invalid invitation link");
+    }
+    if (invitation.status !== "pending") {
+      throw new ValidationError(`Invitation has already been ${invitation.status}`);
+    }
+    if (new Date(invitation.expires_at).getTime() < Date.now()) {
+      throw new ValidationError("Invitation has expired");
+    }
+    return invitation;
+  }
+
+  static async sendInvitationEmail(invitation, farmName, inviterName) {
+    const token = FarmInvitationsService.signToken(invitation);
+    const clientUrl =
+      process.env.NODE_ENV === "production"
+        ? process.env.PROD_CLIENT_BASE_URL
+        : process.env.DEV_CLIENT_BASE_URL;
+    const inviteUrl = `${clientUrl}/invitations/${token}`;
+    const expiresOn = new Date(invitation.expires_at).toDateString();
+
+    const emailService = new EmailService({}, logger);
+    const emailResult = await emailService.sendEmail(
+      {
+        to: invitation.email,
+        subject: `You're invited to join ${farmName} - Pig Farm`,
+        text: `${inviterName || "A farm owner"} invited you to join ${farmName} as ${invitation.role}. Accept the invitation: ${inviteUrl}\nThis link expires on ${expiresOn}.`,
+        templatePath: "src/templates/farm-invitation.html",
+        appName: "Pig Farm",
+        farm_id: invitation.farm_id,
+        farmName,
+        inviterName: inviterName || "A farm owner",
+        role: invitation.role,
+        inviteUrl,
+        expiresOn,
+      },
+      "farm_invitation"
+    );
+    if (!emailResult.success) {
+      logger.warn(
+        `Failed to send invitation ${invitation.id} to ${invitation.email}: ${emailResult.message}`
+      );
+    }
+    return emailResult;
+  }
+
+  /**
+   * Invite a person by email to join the farm with a role
+   * @param {string} farmId - Farm UUID
+   * @param {Object} data - { email, role }
+   * @param {Object} actor - Membership of the inviting user
+   */
+  static async createInvitation(farmId, { email, role }, actor) {
+    if (!email || !role) {
+      throw new ValidationError("Email and role are required");
+    }
+    FarmMembersService.assertCanGrant(actor, role);
+    const normalizedEmail = email.trim().toLowerCase();
+
+    try {
+      const memberResult = await DatabaseHelper.executeQuery(
+        `SELECT 1 FROM farm_members fm
+                 JOIN users u ON fm.user_id = u.id AND u.is_deleted = 0
+                 WHERE fm.farm_id = $1 AND LOWER(u.email) = $2 AND fm.is_deleted = 0`,
+        [farmId, normalizedEmail]
+      );
+      if (memberResult.rows.length > 0) {
+        throw new ValidationError("This person is already a member of the farm");
+      }
+
+      const pendingResult = await DatabaseHelper.executeQuery(
+        "SELECT 1 FROM farm_invitations WHERE farm_id = $1 AND LOWER(email) = $2 AND status = 'pending' AND is_deleted = 0",
+        [farmId, normalizedEmail]
+      );
+      if (pendingResult.rows.length > 0) {
+        throw new ValidationError(
+          "An invitation is already pending for this email; resend it instead"
+        );
+      }
+      await EntitlementsService.assertWithinLimits(farmId, { max_users: 1 });
+
+      const result = await DatabaseHelper.executeQuery(
+        `INSERT INTO farm_invitations (
+                    id, farm_id, email, role, status, token_nonce, invited_by, expires_at,
+                    send_count, last_sent_at, is_deleted, created_at, updated_at
+                ) VALUES (
+                    uuid_generate_v4(), $1, $2, $3, 'pending', $4, $5,
+                    CURRENT_TIMESTAMP + ($6 || ' days')::INTERVAL,
+                    1, CURRENT_TIMESTAMP, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+                ) RETURNING *`,
+        [
+          farmId,
+          normalizedEmail,
+          role,
+          crypto.randomBytes(16).toString("hex"),
+          actor.user_id,
+          String(getExpiryDays()),
+        ]
+      );
+      const invitation = result.rows[0];
+
+      const farm = await FarmInvitationsService.getFarmAndInviter(farmId, actor.user_id);
+      const emailResult = await FarmInvitationsService.sendInvitationEmail(
+        invitation,
+        farm.farm_name,
+        farm.inviter_name
+      );
+      await AuditService.record({
+        farm_id: farmId,
+        action: "create",
+        entity_type: "farm_invitation",
+        entity_id: invitation.id,
+        new_values: withEffectiveStatus(invitation),
+        user_id: actor.user_id,
+      });
+      logger.info(
+        `Invitation ${invitation.id} to ${normalizedEmail} for farm ${farmId} created by user ${actor.user_id}`
+      );
+      return { ...withEffectiveStatus(invitation), email_status: emailResult.status };
+    } catch (error) {
+      logger.error(`Error inviting ${email} to farm ${farmId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async getFarmAndInviter(farmId, userId) {
+    const result = await DatabaseHelper.executeQuery(
+      `SELECT f.name AS farm_name, u.name AS inviter_name
+             FROM farms f LEFT JOIN users u ON u.id = $2
+             WHERE f.id = $1`,
+      [farmId, userId]
+    );
+    return result.rows[0] || {};
+  }
+
+  static async getInvitations(farmId, { status } = {}) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT fi.*, u.name AS invited_by_name
+                 FROM farm_invitations fi
+                 LEFT JOIN users u ON fi.invited_by = u.id
+                 WHERE fi.farm_id = $1 AND fi.is_deleted = 0
+                 ORDER BY fi.created_at DESC`,
+        [farmId]
+      );
+      const invitations = result.rows.map(withEffectiveStatus);
+      return status
+        ? invitations.filter((invitation) => invitation.status === status)
+        : invitations;
+    } catch (error) {
+      logger.error(
+        `Error fetching invitations for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  static async getInvitationById(farmId, invitationId) {
+    const result = await DatabaseHelper.executeQuery(
+      "SELECT * FROM farm_invitations WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
+      [invitationId, farmId]
+    );
+    if (result.rows.length === 0) {
+      throw new ValidationError("Invitation not found");
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Send the invitation again with a fresh link and expiry. Expired invitations can be resent.
+   */
+  static async resendInvitation(farmId, invitationId, actor) {
+    try {
+      const current = await FarmInvitationsService.getInvitationById(farmId, invitationId);
+      if (current.status !== "pending") {
+        throw new ValidationError(`Invitation has already been ${current.status}`);
+      }
+      FarmMembersService.assertCanGrant(actor, current.role);
+
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE farm_invitations SET
+                    token_nonce = $3,
+                    expires_at = CURRENT_TIMESTAMP + ($4 || ' days')::INTERVAL,
+                    send_count = send_count + 1,
+                    last_sent_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND farm_id = $2 AND status = 'pending' AND is_deleted = 0
+                 RETURNING *`,
+        [
+          invitationId,
+          farmId,
+          crypto.randomBytes(16).toString("hex"),
+          String(getExpiryDays()),
+        ]
+      );
+      if (result.rows.length === 0) {
+        throw new ValidationError("Invitation is no longer pending");
+      }
+      const invitation = result.rows[0];
+
+      const farm = await FarmInvitationsService.getFarmAndInviter(farmId, actor.user_id);
+      const emailResult = await FarmInvitationsService.sendInvitationEmail(
+        invitation,
+        farm.farm_name,
+        farm.inviter_name
+      );
+      logger.info(
+        `Invitation ${invitationId} resent by user ${actor.user_id} (send #${invitation.send_count})`
+      );
+      return { ...withEffectiveStatus(invitation), email_status: emailResult.status };
+    } catch (error) {
+      logger.error(`Error resending invitation ${invitationId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async revokeInvitation(farmId, invitationId, actor) {
+    try {
+      const current = await FarmInvitationsService.getInvitationById(farmId, invitationId);
+      if (current.status !== "pending") {
+        throw new ValidationError(`Invitation has already been ${current.status}`);
+      }
+      FarmMembersService.assertCanGrant(actor, current.role);
+
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE farm_invitations SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND farm_id = $2 AND status = 'pending' AND is_deleted = 0
+                 RETURNING *`,
+        [invitationId, farmId]
+      );
+      if (result.rows.length === 0) {
+        throw new ValidationError("Invitation is no longer pending");
+      }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "farm_invitation",
+        entity_id: invitationId,
+        old_values: withEffectiveStatus(current),
+        new_values: withEffectiveStatus(result.rows[0]),
+        user_id: actor.user_id,
+      });
+      logger.info(`Invitation ${invitationId} revoked by user ${actor.user_id}`);
+      return withEffectiveStatus(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error revoking invitation ${invitationId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * What the invite link is for, so the client can show the farm and offer sign-in or sign-up
+   */
+  static async getInvitationByToken(token) {
+    try {
+      const invitation = await FarmInvitationsService.verifyToken(token);
+      const userResult = await DatabaseHelper.executeQuery(
+        "SELECT 1 FROM users WHERE LOWER(email) = LOWER($1) AND is_deleted = 0",
+        [invitation.email]
+      );
+      return {
+        email: invitation.email,
+        role: invitation.role,
+        farm_id: invitation.farm_id,
+        farm_name: invitation.farm_name,
+        invited_by_name: invitation.invited_by_name,
+        expires_at: invitation.expires_at,
+        has_account: userResult.rows.length > 0,
+      };
+    } catch (error) {
+      logger.error(`Error reading invitation token: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * The pending invitation already holds a seat, so accepting it fits unless the farm's plan
+   * was downgraded since it was sent
+   */
+  static async assertSeatAvailable(invitation) {
+    await EntitlementsService.assertWithinLimits(invitation.farm_id, { max_users: 0 });
+  }
+
+  /**
+   * Mark the invitation accepted. The status update doubles as a claim, so a link can only be
+   * used once; userId may be left out when the account does not exist yet.
+   * @throws {ValidationError} - When the invitation was accepted, revoked or resent meanwhile
+   */
+  static async reserveInvitation(invitation, userId = null) {
+    const result = await DatabaseHelper.executeQuery(
+      `UPDATE farm_invitations SET status = 'accepted', accepted_by = $2, accepted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'pending' AND token_nonce = $3 AND is_deleted = 0
+             RETURNING *`,
+      [invitation.id, userId, invitation.token_nonce]
+    );
+    if (result.rows.length === 0) {
+      throw new ValidationError("Invitation is no longer pending");
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Add the user who accepted the invitation to the farm with the invited role
+   */
+  static async addInvitedMember(invitation, userId) {
+    let member = await FarmMembersService.getMembership(invitation.farm_id, userId);
+    if (!member) {
+      member = await FarmMembersService.addMembership(
+        invitation.farm_id,
+        userId,
+        invitation.role,
+        invitation.invited_by
+      );
+      await AuditService.record({
+        farm_id: invitation.farm_id,
+        action: "create",
+        entity_type: "farm_member",
+        entity_id: member.id,
+        new_values: member,
+        user_id: userId,
+      });
+    }
+    logger.info(
+      `Invitation ${invitation.id} accepted by user ${userId} for farm ${invitation.farm_id}`
+    );
+    return { farm_id: invitation.farm_id, farm_name: invitation.farm_name, member };
+  }
+
+  /**
+   * Mark the invitation accepted by the user and add them to the farm
+   */
+  static async claimInvitation(invitation, userId) {
+    await FarmInvitationsService.reserveInvitation(invitation, userId);
+    return FarmInvitationsService.addInvitedMember(invitation, userId);
+  }
+
+  /**
+   * Accept an invitation with the signed-in account. The account email must be the invited one.
+   */
+  static async acceptInvitation(token, user) {
+    try {
+      const invitation = await FarmInvitationsService.verifyToken(token);
+      if (invitation.email.toLowerCase() !== user.email.toLowerCase()) {
+        throw new ValidationError(
+          "This invitation was sent to a different email address"
+        );
+      }
+      await FarmInvitationsService.assertSeatAvailable(invitation);
+      return await FarmInvitationsService.claimInvitation(invitation, user.id);
+    } catch (error) {
+      logger.error(`Error accepting invitation for user ${user.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an account for the invited email and accept the invitation with it.
+   * Following the emailed link proves the address, so the account starts verified.
+   * @param {string} token - Invite token
+   * @param {Object} data - { name, phone, password }
+   */
+  static async registerWithInvitation(token, { name, phone, password }) {
+    try {
+      const invitation = await FarmInvitationsService.verifyToken(token);
+      await FarmInvitationsService.assertSeatAvailable(invitation);
+      // claim the invitation before creating the account, so losing a race to a revoke or
+      // resend never leaves a verified account attached to no farm
+      await FarmInvitationsService.reserveInvitation(invitation);
+
+      let user;
+      try {
+        user = await AuthService.register({
+          email: invitation.email,
+          name,
+          phone,
+          password,
+          email_verified: true,
+        });
+      } catch (error) {
+        await DatabaseHelper.executeQuery(
+          `UPDATE farm_invitations SET status = 'pending', accepted_at = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'accepted' AND accepted_by IS NULL`,
+          [invitation.id]
+        );
+        throw error;
+      }
+
+      await DatabaseHelper.executeQuery(
+        "UPDATE farm_invitations SET accepted_by = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [invitation.id, user.id]
+      );
+      // the membership also makes the invited farm the user's default farm
+      const accepted = await FarmInvitationsService.addInvitedMember(invitation, user.id);
+      return { user: { ...user, farm_id: invitation.farm_id }, ...accepted };
+    } catch (error) {
+      logger.error(`Error registering with invitation: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+export default FarmInvitationsService;
@@ -0,0 +1,287 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError, ForbiddenError } from "../middleware/errors.js";
+import { FARM_ROLES, FARM_ACCESS } from "../utils/constants.js";
+import AuditService from "./audit.services.js";
+import EntitlementsService from "./entitlements.services.js";
+
+class FarmMembersService {
+  /**
+   * The user's membership on a farm
+   * @returns {Promise<Object|null>} - farm_members row, or null when the user is not a member
+   */
+  static async getMembership(farmId, userId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT fm.* FROM farm_members fm
+                 JOIN farms f ON fm.farm_id = f.id AND f.is_deleted = 0
+                 WHERE fm.farm_id = $1 AND fm.user_id = $2 AND fm.is_deleted = 0`,
+        [farmId, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(
+        `Error fetching membership of user ${userId} on farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * The user's membership on a farm together with the farm fields requests need
+   * @returns {Promise<Object|null>} - { membership, farm }, or null when the user is not a member
+   */
+  static async getFarmAccess(farmId, userId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT fm.*, f.name AS farm_name, f.timezone AS farm_timezone, f.currency AS farm_currency
+                 FROM farm_members fm
+                 JOIN farms f ON fm.farm_id = f.id AND f.is_deleted = 0
+                 WHERE fm.farm_id = $1 AND fm.user_id = $2 AND fm.is_deleted = 0`,
+        [farmId, userId]
+      );
+      if (result.rows.length === 0) return null;
+      const { farm_name, farm_timezone, farm_currency, ...membership } = result.rows[0];
+      return {
+        membership,
+        farm: {
+          id: membership.farm_id,
+          name: farm_name,
+          timezone: farm_timezone,
+          currency: farm_currency,
+        },
+      };
+    } catch (error) {
+      logger.error(
+        `Error fetching access of user ${userId} to farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Add the user to a farm with a role. Used when a farm is created and when a member is invited.
+   * Also makes it the user's default farm when they have none yet.
+   */
+  static async addMembership(farmId, userId, role, addedBy) {
+    const result = await DatabaseHelper.executeQuery(
+      `INSERT INTO farm_members (id, farm_id, user_id, role, added_by, is_deleted, created_at, updated_at)
+             VALUES (uuid_generate_v4(), $1, $2, $3, $4, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+             RETURNING *`,
+      [farmId, userId, role, addedBy || null]
+    );
+    await DatabaseHelper.executeQuery(
+      "UPDATE users SET farm_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND farm_id IS NULL",
+      [farmId, userId]
+    );
+    return result.rows[0];
+  }
+
+  static async getMembers(farmId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT fm.id, fm.farm_id, fm.user_id, fm.role, fm.added_by, fm.created_at, fm.updated_at,
+                    u.name, u.email, u.phone
+                 FROM farm_members fm
+                 JOIN users u ON fm.user_id = u.id AND u.is_deleted = 0
+                 WHERE fm.farm_id = $1 AND fm.is_deleted = 0
+                 ORDER BY array_position($2::text[], fm.role::text), u.name`,
+        [farmId, FARM_ROLES]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error(
+        `Error fetching members of farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Add a registered user to the farm by email
+   * @param {string} farmId - Farm UUID
+   * @param {Object} data - { email, role }
+   * @param {Object} actor - Membership of the user making the change
+   */
+  static async addMember(farmId, { email, role }, actor) {
+    if (!email || !role) {
+      throw new ValidationError("Email and role are required");
+    }
+    FarmMembersService.assertCanGrant(actor, role);
+
+    try {
+      const userResult = await DatabaseHelper.executeQuery(
+        "SELECT id, name, email, phone FROM users WHERE LOWER(email) = LOWER($1) AND is_deleted = 0 AND is_active = 1",
+        [email]
+      );
+      if (userResult.rows.length === 0) {
+        throw new ValidationError("No active account found for this email");
+      }
+      const user = userResult.rows[0];
+
+      const existing = await FarmMembersService.getMembership(farmId, user.id);
+      if (existing) {
+        throw new ValidationError("User is already a member of this farm");
+      }
+      await EntitlementsService.assertWithinLimits(farmId, { max_users: 1 });
+
+      const member = await FarmMembersService.addMembership(
+        farmId,
+        user.id,
+        role,
+        actor.user_id
+      );
+      await AuditService.record({
+        farm_id: farmId,
+        action: "create",
+        entity_type: "farm_member",
+        entity_id: member.id,
+        new_values: member,
+        user_id: actor.user_id,
+      });
+      logger.info(
+        `User ${user.id} added to farm ${farmId} as ${role} by user ${actor.user_id}`
+      );
+      return { ...member, name: user.name, email: user.email, phone: user.phone };
+    } catch (error) {
+      logger.error(`Error adding member to farm ${farmId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async updateMemberRole(farmId, memberUserId, role, actor) {
+    if (!role) {
+      throw new ValidationError("Role is required");
+    }
+
+    try {
+      const member = await FarmMembersService.getMembership(farmId, memberUserId);
+      if (!member) {
+        throw new ValidationError("Member not found");
+      }
+      FarmMembersService.assertCanManage(actor, member);
+      FarmMembersService.assertCanGrant(actor, role);
+      if (member.role === "owner" && role !== "owner") {
+        await FarmMembersService.assertNotLastOwner(farmId);
+      }
+
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE farm_members SET role = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE farm_id = $1 AND user_id = $2 AND is_deleted = 0
+                 RETURNING *`,
+        [farmId, memberUserId, role]
+      );
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "farm_member",
+        entity_id: member.id,
+        old_values: member,
+        new_values: result.rows[0],
+        user_id: actor.user_id,
+      });
+      logger.info(
+        `Role of user ${memberUserId} on farm ${farmId} changed to ${role} by user ${actor.user_id}`
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error(
+        `Error updating role of user ${memberUserId} on farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from the farm. Members can always remove themselves (leave the farm),
+   * as long as the farm keeps an owner.
+   */
+  static async removeMember(farmId, memberUserId, actor) {
+    try {
+      const member = await FarmMembersService.getMembership(farmId, memberUserId);
+      if (!member) {
+        throw new ValidationError("Member not found");
+      }
+      if (member.user_id !== actor.user_id) {
+        FarmMembersService.assertCanManage(actor, member);
+      }
+      if (member.role === "owner") {
+        await FarmMembersService.assertNotLastOwner(farmId);
+      }
+
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE farm_members SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                 WHERE farm_id = $1 AND user_id = $2 AND is_deleted = 0
+                 RETURNING *`,
+        [farmId, memberUserId]
+      );
+
+      // move the user's default farm to another membership, if any
+      await DatabaseHelper.executeQuery(
+        `UPDATE users SET farm_id = (
+                    SELECT fm.farm_id FROM farm_members fm
+                    JOIN farms f ON fm.farm_id = f.id AND f.is_deleted = 0
+                    WHERE fm.user_id = $2 AND fm.is_deleted = 0
+                    ORDER BY fm.created_at ASC LIMIT 1
+                ), updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $2 AND farm_id = $1`,
+        [farmId, memberUserId]
+      );
+      await AuditService.record({
+        farm_id: farmId,
+        action: "delete",
+        entity_type: "farm_member",
+        entity_id: member.id,
+        old_values: member,
+        new_values: result.rows[0],
+        user_id: actor.user_id,
+      });
+      logger.info(
+        `User ${memberUserId} removed from farm ${farmId} by user ${actor.user_id}`
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error(
+        `Error removing user ${memberUserId} from farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Owners can grant any role; managers can grant any role except owner and manager
+   */
+  static assertCanGrant(actor, role) {
+    if (!FARM_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${FARM_ROLES.join(", ")}`);
+    }
+    if (actor.role !== "owner" && ["owner", "manager"].includes(role)) {
+      throw new ForbiddenError(`Only an owner can assign the ${role} role`);
+    }
+  }
+
+  /**
+   * Only owners and managers manage members, and managers cannot change or remove owners
+   * and other managers
+   */
+  static assertCanManage(actor, member) {
+    if (!FARM_ACCESS.manage.includes(actor.role)) {
+      throw new ForbiddenError("Only owners and managers can manage farm members");
+    }
+    if (actor.role !== "owner" && ["owner", "manager"].includes(member.role)) {
+      throw new ForbiddenError(`Only an owner can change a ${member.role}`);
+    }
+  }
+
+  static async assertNotLastOwner(farmId) {
+    const result = await DatabaseHelper.executeQuery(
+      "SELECT COUNT(*) AS owners FROM farm_members WHERE farm_id = $1 AND role = 'owner' AND is_deleted = 0",
+      [farmId]
+    );
+    if (parseInt(result.rows[0].owners, 10) <= 1) {
+      throw new ValidationError("A farm must keep at least one owner");
+    }
+  }
+}
+
+export default FarmMembersService;
@@ -2,6 +2,9 @@ import { DatabaseHelper } from "../config/database.js";
 import logger from "../middleware/logger.js";
 import { ValidationError } from "../middleware/errors.js";
 import { v4 as uuidv4 } from "uuid";
+import { resolveTimezone } from "../utils/timezone.js";
+import FarmMembersService from "./farmMembers.services.js";
+import CacheService from "./cache.services.js";
 
 class FarmsService {
   static async createFarm(farmData, userId) {
@@ -55,17 +58,8 @@ class FarmsService {
         ]
       );
 
-      // Update user's farm_id if none exists (optional, for default farm)
-      const userFarmCheck = await DatabaseHelper.executeQuery(
-        "SELECT farm_id FROM users WHERE id = $1 AND is_deleted = 0",
-        [userId]
-      );
-      if (!userFarmCheck.rows[0]?.farm_id) {
-        await DatabaseHelper.executeQuery(
-          "UPDATE users SET farm_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
-          [farmId, userId]
-        );
-      }
+      // The creator owns the farm; it also becomes their default farm if they have none
+      await FarmMembersService.addMembership(farmId, userId, "owner", userId);
       logger.info(`Farm ${name} (ID: ${farmId}) created by user ${userId}`);
       return farmResult.rows[0];
     } catch (error) {
@@ -77,7 +71,9 @@ class FarmsService {
   static async getFarmById(farmId, userId) {
     try {
       const result = await DatabaseHelper.executeQuery(
-        "SELECT * FROM farms WHERE id = $1 AND created_by = $2 AND is_deleted = 0",
+        `SELECT f.*, fm.role AS member_role FROM farms f
+                 JOIN farm_members fm ON fm.farm_id = f.id AND fm.user_id = $2 AND fm.is_deleted = 0
+                 WHERE f.id = $1 AND f.is_deleted = 0`,
         [farmId, userId]
       );
       if (result.rows.length === 0) {
@@ -90,10 +86,33 @@ class FarmsService {
     }
   }
 
+  /**
+   * Timezone used for a farm's alert calendar.
+   * Falls back to DEFAULT_TIMEZONE when the farm has none stored or it is not a valid IANA name.
+   */
+  static async getFarmTimezone(farmId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        "SELECT timezone FROM farms WHERE id = $1",
+        [farmId]
+      );
+      return resolveTimezone(result.rows[0]?.timezone);
+    } catch (error) {
+      logger.error(
+        `Error fetching timezone for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
   static async getAllFarms(userId) {
     try {
       const result = await DatabaseHelper.executeQuery(
-        "SELECT * FROM farms WHERE is_deleted = 0 ORDER BY created_at DESC"
+        `SELECT f.*, fm.role AS member_role FROM farms f
+                 JOIN farm_members fm ON fm.farm_id = f.id AND fm.user_id = $1 AND fm.is_deleted = 0
+                 WHERE f.is_deleted = 0
+                 ORDER BY f.created_at DESC`,
+        [userId]
       );
       return result.rows;
     } catch (error) {
@@ -113,6 +132,7 @@ class FarmsService {
       timezone,
       breeds,
       colors,
+      settings,
     } = farmData;
     try {
       let query = `UPDATE farms SET
@@ -156,8 +176,17 @@ class FarmsService {
         query += `, colors = $${paramIndex++}`;
         params.push(JSON.stringify(colors));
       }
+      if (settings !== undefined) {
+        // merge so a partial update does not wipe other settings keys
+        query += `, settings = COALESCE(settings, '{}'::jsonb) || $${paramIndex++}::jsonb`;
+        params.push(JSON.stringify(settings));
+      }
 
-      query += ` WHERE id = $${paramIndex++} AND created_by = $${paramIndex++} AND is_deleted = 0 RETURNING *`;
+      query += ` WHERE id = $${paramIndex++} AND is_deleted = 0
+                AND EXISTS (
+                  SELECT 1 FROM farm_members WHERE farm_id = farms.id AND user_id = $${paramIndex++}
+                  AND role IN ('owner', 'manager') AND is_deleted = 0
+                ) RETURNING *`;
       params.push(farmId, userId);
 
       const result = await DatabaseHelper.executeQuery(query, params);
@@ -175,7 +204,11 @@ class FarmsService {
   static async deleteFarm(farmId, userId) {
     try {
       const result = await DatabaseHelper.executeQuery(
-        "UPDATE farms SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND created_by = $2 AND is_deleted = 0 RETURNING *",
+        `UPDATE farms SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND is_deleted = 0
+                 AND EXISTS (
+                   SELECT 1 FROM farm_members WHERE farm_id = farms.id AND user_id = $2 AND role = 'owner' AND is_deleted = 0
+                 ) RETURNING *`,
         [farmId, userId]
       );
       if (result.rows.length === 0) {
@@ -195,6 +228,7 @@ class FarmsService {
         "UPDATE pigs SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE farm_id = $1 AND is_deleted = 0",
         [farmId]
       );
+      await CacheService.invalidateFarm(farmId, "pigStats", "rows");
       logger.info(`Farm ${farmId} soft deleted by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -1,6 +1,17 @@
 import { DatabaseHelper } from "../config/database.js";
 import logger from "../middleware/logger.js";
 import { ValidationError } from "../middleware/errors.js";
+import { convertFeedAmount } from "../utils/feedUnits.js";
+import { FEED_STOCK_ALERT_DEFAULTS } from "../utils/constants.js";
+import AlertService from "./alerts.services.js";
+import AuditService from "./audit.services.js";
+import dayjs from "dayjs";
+import {
+  resolveTimezone,
+  getLocalDateString,
+  addLocalDays,
+  toAlertStartDate,
+} from "../utils/timezone.js";
 
 class FeedingService {
   static async createFeedingRecord(data, userId) {
@@ -30,32 +41,149 @@ class FeedingService {
         }
       }
 
-      const result = await DatabaseHelper.executeQuery(
-        `INSERT INTO feeding_records (
+      // record insert and stock drawdown share one transaction so stock never drifts from records
+      const client = await DatabaseHelper.getConnection();
+      let record;
+      try {
+        await client.query("BEGIN");
+        const result = await client.query(
+          `INSERT INTO feeding_records (
                     id, pig_id, pen_id, farm_id, feed_type, amount, unit, feeding_time, fed_by, notes, is_deleted, created_at
                 ) VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, $6, $7, $8, $9, 0, CURRENT_TIMESTAMP) RETURNING *`,
-        [
-          pig_id || null,
-          pen_id || null,
+          [
+            pig_id || null,
+            pen_id || null,
+            farm_id,
+            feed_type,
+            amount,
+            unit,
+            feeding_time,
+            userId || null,
+            notes || null,
+          ]
+        );
+        const drawdown = await FeedingService.drawDownInventory(client, {
           farm_id,
           feed_type,
           amount,
           unit,
-          feeding_time,
-          userId || null,
-          notes || null,
-        ]
-      );
-      logger.info(
-        `Feeding record created by user ${userId} for farm ${farm_id}`
-      );
-      return result.rows[0];
+        });
+        await client.query(
+          "UPDATE feeding_records SET inventory_drawdown = $2 WHERE id = $1",
+          [result.rows[0].id, JSON.stringify(drawdown)]
+        );
+        await client.query("COMMIT");
+
+        logger.info(
+          `Feeding record created by user ${userId} for farm ${farm_id}`
+        );
+        record = { ...result.rows[0], inventory_drawdown: drawdown };
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+      await AuditService.record({
+        farm_id: farm_id,
+        action: "create",
+        entity_type: "feeding_record",
+        entity_id: record.id,
+        new_values: record,
+        user_id: userId,
+      });
+
+      if (record.inventory_drawdown.deductions.length > 0) {
+        await FeedingService.checkFeedStockAlerts(farm_id).catch((error) =>
+          logger.warn(`Feed stock alert check failed for farm ${farm_id}: ${error.message}`)
+        );
+      }
+      return record;
     } catch (error) {
       logger.error(`Error creating feeding record: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Deduct fed quantity from the farm's feed_inventory batches of the same feed type.
+   * Batches closest to expiry are used first; amounts are converted into each batch's unit.
+   * Must be called with a client inside an open transaction.
+   */
+  static async drawDownInventory(client, { farm_id, feed_type, amount, unit }) {
+    let remaining = parseFloat(amount);
+    const deductions = [];
+    if (Number.isNaN(remaining) || remaining <= 0) {
+      return { deductions, shortfall: 0, unit };
+    }
+
+    const batches = await client.query(
+      `SELECT id, quantity, unit FROM feed_inventory
+                WHERE farm_id = $1 AND LOWER(feed_type) = LOWER($2) AND quantity > 0 AND is_deleted = 0
+                ORDER BY expiry_date ASC NULLS LAST, purchase_date ASC NULLS LAST, created_at ASC
+                FOR UPDATE`,
+      [farm_id, feed_type]
+    );
+
+    for (const batch of batches.rows) {
+      if (remaining <= 0) break;
+      const needed = convertFeedAmount(remaining, unit, batch.unit);
+      if (needed === null) {
+        logger.warn(
+          `Feed inventory batch ${batch.id} uses unit '${batch.unit}' which cannot be converted from '${unit}', skipping`
+        );
+        continue;
+      }
+
+      const available = parseFloat(batch.quantity);
+      const taken = Math.min(available, needed);
+      await client.query(
+        `UPDATE feed_inventory SET quantity = GREATEST(quantity - $2, 0), updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1`,
+        [batch.id, taken]
+      );
+      deductions.push({
+        inventory_id: batch.id,
+        quantity: taken,
+        unit: batch.unit,
+      });
+      remaining -= convertFeedAmount(taken, batch.unit, unit);
+    }
+
+    const shortfall = remaining > 0 ? remaining : 0;
+    if (shortfall > 0) {
+      logger.warn(
+        `Insufficient ${feed_type} stock for farm ${farm_id}: ${shortfall} ${unit} not covered by inventory`
+      );
+    }
+    return { deductions, shortfall, unit };
+  }
+
+  /**
+   * Return to feed_inventory what a feeding record drew down, batch by batch.
+   * Records created before draw-downs were stored have nothing to return and are left as they are.
+   * Must be called with a client inside an open transaction.
+   * @returns {Promise<boolean>} - Whether the record's draw-down was known and reversed
+   */
+  static async restockInventory(client, record) {
+    const deductions = record.inventory_drawdown?.deductions;
+    if (!Array.isArray(deductions)) {
+      logger.warn(
+        `Feeding record ${record.id} has no stored inventory draw-down, stock left unchanged`
+      );
+      return false;
+    }
+
+    for (const deduction of deductions) {
+      await client.query(
+        `UPDATE feed_inventory SET quantity = quantity + $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1`,
+        [deduction.inventory_id, deduction.quantity]
+      );
+    }
+    return true;
+  }
+
   static async getFeedingById(id) {
     try {
       const result = await DatabaseHelper.executeQuery(
@@ -109,14 +237,37 @@ class FeedingService {
 
   static async deleteFeedingRecord(id, userId) {
     try {
-      const result = await DatabaseHelper.executeQuery(
-        "UPDATE feeding_records SET is_deleted = 1 WHERE id = $1 AND is_deleted = 0 RETURNING *",
-        [id]
-      );
-      if (result.rows.length === 0)
-        throw new ValidationError("Feeding record not found");
+      // the delete and the stock it gives back share one transaction
+      const client = await DatabaseHelper.getConnection();
+      let record;
+      try {
+        await client.query("BEGIN");
+        const result = await client.query(
+          "UPDATE feeding_records SET is_deleted = 1 WHERE id = $1 AND is_deleted = 0 RETURNING *",
+          [id]
+        );
+        if (result.rows.length === 0)
+          throw new ValidationError("Feeding record not found");
+        record = result.rows[0];
+        await FeedingService.restockInventory(client, record);
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+      await AuditService.record({
+        farm_id: record.farm_id,
+        action: "delete",
+        entity_type: "feeding_record",
+        entity_id: id,
+        old_values: { ...record, is_deleted: 0 },
+        new_values: record,
+        user_id: userId,
+      });
       logger.info(`Feeding record ${id} deleted by user ${userId}`);
-      return result.rows[0];
+      return record;
     } catch (error) {
       logger.error(`Error deleting feeding record ${id}: ${error.message}`);
       throw error;
@@ -127,8 +278,24 @@ class FeedingService {
     try {
       const { pig_id, pen_id, feed_type, amount, unit, feeding_time, notes } =
         data;
-      const result = await DatabaseHelper.executeQuery(
-        `UPDATE feeding_records SET
+
+      // the record change and the stock correction share one transaction
+      const client = await DatabaseHelper.getConnection();
+      let currentRecord;
+      let record;
+      let restocked = false;
+      try {
+        await client.query("BEGIN");
+        const current = await client.query(
+          "SELECT * FROM feeding_records WHERE id = $1 AND is_deleted = 0 FOR UPDATE",
+          [id]
+        );
+        if (current.rows.length === 0)
+          throw new ValidationError("Feeding record not found");
+        currentRecord = current.rows[0];
+
+        const result = await client.query(
+          `UPDATE feeding_records SET
                     pig_id = COALESCE($2, pig_id),
                     pen_id = COALESCE($3, pen_id),
                     feed_type = COALESCE($4, feed_type),
@@ -138,21 +305,64 @@ class FeedingService {
                     notes = COALESCE($8, notes),
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $1 AND is_deleted = 0 RETURNING *`,
-        [
-          id,
-          pig_id || null,
-          pen_id || null,
-          feed_type || null,
-          amount || null,
-          unit || null,
-          feeding_time || null,
-          notes || null,
-        ]
-      );
-      if (result.rows.length === 0)
-        throw new ValidationError("Feeding record not found");
+          [
+            id,
+            pig_id || null,
+            pen_id || null,
+            feed_type || null,
+            amount || null,
+            unit || null,
+            feeding_time || null,
+            notes || null,
+          ]
+        );
+        record = result.rows[0];
+
+        // a changed quantity or feed gives back the old draw-down and draws the corrected one
+        const stockChanged =
+          record.feed_type.toLowerCase() !== currentRecord.feed_type.toLowerCase() ||
+          record.unit !== currentRecord.unit ||
+          parseFloat(record.amount) !== parseFloat(currentRecord.amount);
+        if (stockChanged) {
+          restocked = await FeedingService.restockInventory(client, currentRecord);
+        }
+        if (restocked) {
+          const drawdown = await FeedingService.drawDownInventory(client, {
+            farm_id: record.farm_id,
+            feed_type: record.feed_type,
+            amount: record.amount,
+            unit: record.unit,
+          });
+          const stored = await client.query(
+            "UPDATE feeding_records SET inventory_drawdown = $2 WHERE id = $1 RETURNING *",
+            [id, JSON.stringify(drawdown)]
+          );
+          record = stored.rows[0];
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+      await AuditService.record({
+        farm_id: currentRecord.farm_id,
+        action: "update",
+        entity_type: "feeding_record",
+        entity_id: id,
+        old_values: currentRecord,
+        new_values: record,
+        user_id: userId,
+      });
       logger.info(`Feeding record ${id} updated by user ${userId}`);
-      return result.rows[0];
+
+      if (restocked) {
+        await FeedingService.checkFeedStockAlerts(record.farm_id).catch((error) =>
+          logger.warn(`Feed stock alert check failed for farm ${record.farm_id}: ${error.message}`)
+        );
+      }
+      return record;
     } catch (error) {
       logger.error(`Error updating feeding record ${id}: ${error.message}`);
       throw error;
@@ -164,6 +374,7 @@ class FeedingService {
     // times can be either an array of times or a richer object with frequency details
     const {
       pig_id,
+      farm_id,
       daily_amount,
       feed_type,
       times,
@@ -181,12 +392,15 @@ class FeedingService {
     try {
       // validate pig exists
       const pigResult = await DatabaseHelper.executeQuery(
-        "SELECT pig_id FROM pigs WHERE pig_id = $1 AND is_deleted = 0",
+        "SELECT pig_id, farm_id FROM pigs WHERE pig_id = $1 AND is_deleted = 0",
         [pig_id]
       );
       if (pigResult.rows.length === 0) {
         throw new ValidationError("Pig not found");
       }
+      if (farm_id && pigResult.rows[0].farm_id !== farm_id) {
+        throw new ValidationError("Pig not found for provided farm");
+      }
 
       const timesPayload =
         typeof times === "string"
@@ -207,6 +421,14 @@ class FeedingService {
           is_active ? 1 : 0,
         ]
       );
+      await AuditService.record({
+        farm_id: pigResult.rows[0].farm_id,
+        action: "create",
+        entity_type: "feeding_schedule",
+        entity_id: result.rows[0].id,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(
         `Feeding schedule created by user ${userId} for pig ${pig_id}`
       );
@@ -242,8 +464,28 @@ class FeedingService {
     }
   }
 
+  /**
+   * A schedule together with the farm of its pig
+   * @returns {Promise<Object>} - { schedule, farm_id }
+   */
+  static async getScheduleWithFarm(id) {
+    const result = await DatabaseHelper.executeQuery(
+      `SELECT fs.*, p.farm_id AS pig_farm_id
+                FROM feeding_schedules fs
+                JOIN pigs p ON fs.pig_id = p.pig_id
+                WHERE fs.id = $1 AND fs.is_deleted = 0`,
+      [id]
+    );
+    if (result.rows.length === 0)
+      throw new ValidationError("Feeding schedule not found");
+    const { pig_farm_id, ...schedule } = result.rows[0];
+    return { schedule, farm_id: pig_farm_id };
+  }
+
   static async updateFeedingSchedule(id, data, userId) {
     try {
+      // schedules hang off a pig, the farm comes from the pig
+      const currentSchedule = await FeedingService.getScheduleWithFarm(id);
       const {
         daily_amount,
         feed_type,
@@ -282,6 +524,15 @@ class FeedingService {
       );
       if (result.rows.length === 0)
         throw new ValidationError("Feeding schedule not found");
+      await AuditService.record({
+        farm_id: currentSchedule.farm_id,
+        action: "update",
+        entity_type: "feeding_schedule",
+        entity_id: id,
+        old_values: currentSchedule.schedule,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(`Feeding schedule ${id} updated by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -292,12 +543,23 @@ class FeedingService {
 
   static async deleteFeedingSchedule(id, userId) {
     try {
+      // schedules hang off a pig, the farm comes from the pig
+      const currentSchedule = await FeedingService.getScheduleWithFarm(id);
       const result = await DatabaseHelper.executeQuery(
         "UPDATE feeding_schedules SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND is_deleted = 0 RETURNING *",
         [id]
       );
       if (result.rows.length === 0)
         throw new ValidationError("Feeding schedule not found");
+      await AuditService.record({
+        farm_id: currentSchedule.farm_id,
+        action: "delete",
+        entity_type: "feeding_schedule",
+        entity_id: id,
+        old_values: currentSchedule.schedule,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(`Feeding schedule ${id} deleted by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -305,6 +567,346 @@ class FeedingService {
       throw error;
     }
   }
+
+  /** Feed inventory functions */
+  static async createFeedInventory(farmId, data, userId) {
+    const {
+      feed_type,
+      brand,
+      quantity,
+      unit,
+      cost_per_unit,
+      purchase_date,
+      expiry_date,
+      supplier,
+      notes,
+    } = data;
+    if (!farmId || !feed_type || quantity === undefined || !unit) {
+      throw new ValidationError("Missing required feed inventory fields");
+    }
+
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `INSERT INTO feed_inventory (
+                    id, farm_id, feed_type, brand, quantity, unit, cost_per_unit, purchase_date, expiry_date, supplier, notes, is_deleted, created_at, updated_at
+                ) VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING *`,
+        [
+          farmId,
+          feed_type,
+          brand || null,
+          quantity,
+          unit,
+          cost_per_unit ?? null,
+          purchase_date || null,
+          expiry_date || null,
+          supplier || null,
+          notes || null,
+        ]
+      );
+      await AuditService.record({
+        farm_id: farmId,
+        action: "create",
+        entity_type: "feed_inventory",
+        entity_id: result.rows[0].id,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
+      logger.info(
+        `Feed inventory batch created by user ${userId} for farm ${farmId}`
+      );
+      if (expiry_date) {
+        await FeedingService.checkFeedStockAlerts(farmId).catch((error) =>
+          logger.warn(`Feed stock alert check failed for farm ${farmId}: ${error.message}`)
+        );
+      }
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error creating feed inventory: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async getFeedInventory(
+    farmId,
+    { feed_type, include_empty = false, limit, offset } = {}
+  ) {
+    try {
+      let query =
+        "SELECT * FROM feed_inventory WHERE farm_id = $1 AND is_deleted = 0";
+      const params = [farmId];
+      let idx = 2;
+      if (feed_type) {
+        query += ` AND LOWER(feed_type) = LOWER($${idx++})`;
+        params.push(feed_type);
+      }
+      if (!include_empty) {
+        query += " AND quantity > 0";
+      }
+      query += " ORDER BY expiry_date ASC NULLS LAST, created_at ASC";
+      if (limit !== undefined) {
+        query += ` LIMIT $${idx++}`;
+        params.push(limit);
+      }
+      if (offset !== undefined) {
+        query += ` OFFSET $${idx++}`;
+        params.push(offset);
+      }
+      const result = await DatabaseHelper.executeQuery(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error(
+        `Error fetching feed inventory for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  static async getFeedInventoryById(farmId, id) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        "SELECT * FROM feed_inventory WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
+        [id, farmId]
+      );
+      if (result.rows.length === 0)
+        throw new ValidationError("Feed inventory item not found");
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error fetching feed inventory ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async updateFeedInventory(farmId, id, data, userId) {
+    try {
+      const currentItem = await FeedingService.getFeedInventoryById(farmId, id);
+      const {
+        feed_type,
+        brand,
+        quantity,
+        unit,
+        cost_per_unit,
+        purchase_date,
+        expiry_date,
+        supplier,
+        notes,
+      } = data;
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE feed_inventory SET
+                    feed_type = COALESCE($3, feed_type),
+                    brand = COALESCE($4, brand),
+                    quantity = COALESCE($5, quantity),
+                    unit = COALESCE($6, unit),
+                    cost_per_unit = COALESCE($7, cost_per_unit),
+                    purchase_date = COALESCE($8, purchase_date),
+                    expiry_date = COALESCE($9, expiry_date),
+                    supplier = COALESCE($10, supplier),
+                    notes = COALESCE($11, notes),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0 RETURNING *`,
+        [
+          id,
+          farmId,
+          feed_type || null,
+          brand || null,
+          quantity ?? null,
+          unit || null,
+          cost_per_unit ?? null,
+          purchase_date || null,
+          expiry_date || null,
+          supplier || null,
+          notes || null,
+        ]
+      );
+      if (result.rows.length === 0)
+        throw new ValidationError("Feed inventory item not found");
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "feed_inventory",
+        entity_id: id,
+        old_values: currentItem,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
+      logger.info(`Feed inventory ${id} updated by user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error updating feed inventory ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async deleteFeedInventory(farmId, id, userId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        "UPDATE feed_inventory SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND farm_id = $2 AND is_deleted = 0 RETURNING *",
+        [id, farmId]
+      );
+      if (result.rows.length === 0)
+        throw new ValidationError("Feed inventory item not found");
+      await AuditService.record({
+        farm_id: farmId,
+        action: "delete",
+        entity_type: "feed_inventory",
+        entity_id: id,
+        old_values: { ...result.rows[0], is_deleted: 0 },
+        new_values: result.rows[0],
+        user_id: userId,
+      });
+      logger.info(`Feed inventory ${id} deleted by user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error deleting feed inventory ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Raise feed_stock alerts for a farm:
+   *  - a feed type whose projected days-of-cover (stock / trailing daily consumption)
+   *    is below the farm's min_days_of_cover
+   *  - a batch whose expiry_date is within expiry_warning_days
+   * Thresholds come from farms.settings.feed_stock_alerts, falling back to FEED_STOCK_ALERT_DEFAULTS.
+   * Alerts are not duplicated while an earlier one for the same feed type/batch is still open.
+   */
+  static async checkFeedStockAlerts(farmId) {
+    try {
+      const farmResult = await DatabaseHelper.executeQuery(
+        "SELECT id, created_by, settings, timezone FROM farms WHERE id = $1 AND is_deleted = 0",
+        [farmId]
+      );
+      if (farmResult.rows.length === 0) {
+        throw new ValidationError("Farm not found");
+      }
+      const farm = farmResult.rows[0];
+      const thresholds = {
+        ...FEED_STOCK_ALERT_DEFAULTS,
+        ...(farm.settings?.feed_stock_alerts || {}),
+      };
+
+      const inventoryResult = await DatabaseHelper.executeQuery(
+        `SELECT id, feed_type, quantity, unit, expiry_date FROM feed_inventory
+                WHERE farm_id = $1 AND is_deleted = 0
+                ORDER BY created_at ASC`,
+        [farmId]
+      );
+      const consumptionResult = await DatabaseHelper.executeQuery(
+        `SELECT feed_type, amount, unit FROM feeding_records
+                WHERE farm_id = $1 AND is_deleted = 0
+                AND feeding_time >= CURRENT_TIMESTAMP - ($2 || ' days')::interval`,
+        [farmId, String(thresholds.consumption_window_days)]
+      );
+      const openAlertsResult = await DatabaseHelper.executeQuery(
+        `SELECT id, name FROM alerts
+                WHERE farm_id = $1 AND alert_type = 'feed_stock'
+                AND status IN ('pending', 'sent') AND is_active = true AND is_deleted = false`,
+        [farmId]
+      );
+      const openAlerts = new Map(
+        openAlertsResult.rows.map((alert) => [alert.name, alert.id])
+      );
+
+      // Stock per feed type, expressed in the unit of the type's first batch
+      const stockByType = new Map();
+      for (const batch of inventoryResult.rows) {
+        const key = batch.feed_type.toLowerCase();
+        if (!stockByType.has(key)) {
+          stockByType.set(key, {
+            feed_type: batch.feed_type,
+            unit: batch.unit,
+            stock: 0,
+            consumed: 0,
+          });
+        }
+        const entry = stockByType.get(key);
+        const quantity = convertFeedAmount(batch.quantity, batch.unit, entry.unit);
+        if (quantity !== null) entry.stock += quantity;
+      }
+
+      for (const record of consumptionResult.rows) {
+        const entry = stockByType.get(record.feed_type.toLowerCase());
+        if (!entry) continue;
+        const consumed = convertFeedAmount(
+          record.amount,
+          record.unit || "grams",
+          entry.unit
+        );
+        if (consumed !== null) entry.consumed += consumed;
+      }
+
+      const timezone = resolveTimezone(farm.timezone);
+      const today = getLocalDateString(new Date(), timezone);
+      const created = [];
+
+      for (const entry of stockByType.values()) {
+        const name = `Low Feed Stock: ${entry.feed_type}`;
+        const dailyUsage = entry.consumed / thresholds.consumption_window_days;
+        if (dailyUsage <= 0) continue;
+
+        const daysOfCover = entry.stock / dailyUsage;
+        if (daysOfCover >= thresholds.min_days_of_cover) {
+          // stock recovered, close any open low-stock alert
+          if (openAlerts.has(name)) {
+            await AlertService.updateAlertStatus(openAlerts.get(name), "completed");
+          }
+          continue;
+        }
+        if (openAlerts.has(name)) continue;
+
+        const alert = await AlertService.createAlert({
+          farm_id: farmId,
+          user_id: farm.created_by,
+          name,
+          alert_start_date: toAlertStartDate(today),
+          alert_type: "feed_stock",
+          severity: daysOfCover < thresholds.min_days_of_cover / 2 ? "high" : "medium",
+          message: `${entry.feed_type} stock (${entry.stock.toFixed(2)} ${entry.unit}) covers about ${daysOfCover.toFixed(1)} days at the current usage of ${dailyUsage.toFixed(2)} ${entry.unit}/day. Reorder threshold is ${thresholds.min_days_of_cover} days.`,
+          timezone,
+        });
+        if (!alert) continue;
+        created.push(alert);
+      }
+
+      const expiryLimit = addLocalDays(today, thresholds.expiry_warning_days, timezone);
+      for (const batch of inventoryResult.rows) {
+        if (!batch.expiry_date || parseFloat(batch.quantity) <= 0) continue;
+        // expiry_date is a DATE column, pg hands it back as local midnight
+        const expiryDate = dayjs(batch.expiry_date).format("YYYY-MM-DD");
+        if (expiryDate > expiryLimit) continue;
+
+        const name = `Feed Batch Expiring: ${batch.feed_type} (${expiryDate})`;
+        if (openAlerts.has(name)) continue;
+
+        const expired = expiryDate < today;
+        const alert = await AlertService.createAlert({
+          farm_id: farmId,
+          user_id: farm.created_by,
+          name,
+          alert_start_date: toAlertStartDate(today),
+          alert_end_date: toAlertStartDate(expiryDate),
+          alert_type: "feed_stock",
+          severity: expired ? "high" : "medium",
+          message: expired
+            ? `${batch.quantity} ${batch.unit} of ${batch.feed_type} expired on ${expiryDate}.`
+            : `${batch.quantity} ${batch.unit} of ${batch.feed_type} expires on ${expiryDate}. Use or rotate this batch first.`,
+          timezone,
+        });
+        if (!alert) continue;
+        openAlerts.set(name, alert.id);
+        created.push(alert);
+      }
+
+      if (created.length > 0) {
+        logger.info(`Created ${created.length} feed stock alerts for farm ${farmId}`);
+      }
+      return created;
+    } catch (error) {
+      logger.error(
+        `Error checking feed stock alerts for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
 }
 
 export default FeedingService;
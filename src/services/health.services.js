@@ -1,27 +1,52 @@
 import { DatabaseHelper } from '../config/database.js';
 import logger from '../middleware/logger.js';
 import { ValidationError } from '../middleware/errors.js';
+import AuditService from './audit.services.js';
+
+// health_records only reference the pig, so the farm for the audit trail comes from the pig
+const getHealthRecordWithFarm = async (id) => {
+  const result = await DatabaseHelper.executeQuery(
+    `SELECT hr.*, p.farm_id AS pig_farm_id FROM health_records hr
+      JOIN pigs p ON hr.pig_id = p.pig_id
+      WHERE hr.id = $1 AND hr.is_deleted = 0`,
+    [id]
+  );
+  if (result.rows.length === 0) throw new ValidationError('Health record not found');
+  const { pig_farm_id, ...record } = result.rows[0];
+  return { record, farm_id: pig_farm_id };
+};
 
 class HealthService {
   static async createHealthRecord(data, userId) {
-    const { pig_id, type, description, date, next_due, status, veterinarian, notes } = data;
+    const { pig_id, farm_id, type, description, date, next_due, status, veterinarian, notes, vaccination_schedule_id } = data;
     if (!pig_id || !type || !description || !date) {
       throw new ValidationError('Missing required health fields');
     }
 
     try {
       const pigResult = await DatabaseHelper.executeQuery(
-        'SELECT pig_id FROM pigs WHERE pig_id = $1 AND is_deleted = 0',
+        'SELECT pig_id, farm_id FROM pigs WHERE pig_id = $1 AND is_deleted = 0',
         [pig_id]
       );
       if (pigResult.rows.length === 0) throw new ValidationError('Pig not found');
+      if (farm_id && pigResult.rows[0].farm_id !== farm_id) {
+        throw new ValidationError('Pig not found for provided farm');
+      }
 
       const result = await DatabaseHelper.executeQuery(
-        `INSERT INTO health_records (id, pig_id, type, description, date, next_due, status, veterinarian, notes, is_deleted, created_at, updated_at)
-          VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, COALESCE($6,'completed'), $7, $8, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING *`,
-        [pig_id, type, description, date, next_due || null, status || null, veterinarian || null, notes || null]
+        `INSERT INTO health_records (id, pig_id, type, description, date, next_due, status, veterinarian, notes, vaccination_schedule_id, is_deleted, created_at, updated_at)
+          VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, COALESCE($6,'completed'), $7, $8, $9, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING *`,
+        [pig_id, type, description, date, next_due || null, status || null, veterinarian || null, notes || null, vaccination_schedule_id || null]
       );
 
+      await AuditService.record({
+        farm_id: pigResult.rows[0].farm_id,
+        action: 'create',
+        entity_type: 'health_record',
+        entity_id: result.rows[0].id,
+        new_values: result.rows[0],
+        user_id: userId
+      });
       logger.info(`Health record created by user ${userId} for pig ${pig_id}`);
       return result.rows[0];
     } catch (err) {
@@ -62,6 +87,7 @@ class HealthService {
 
   static async updateHealthRecord(id, data, userId) {
     try {
+      const current = await getHealthRecordWithFarm(id);
       const { type, description, date, next_due, status, veterinarian, notes } = data;
       const result = await DatabaseHelper.executeQuery(
         `UPDATE health_records SET
@@ -77,6 +103,15 @@ class HealthService {
         [id, type || null, description || null, date || null, next_due || null, status || null, veterinarian || null, notes || null]
       );
       if (result.rows.length === 0) throw new ValidationError('Health record not found');
+      await AuditService.record({
+        farm_id: current.farm_id,
+        action: 'update',
+        entity_type: 'health_record',
+        entity_id: id,
+        old_values: current.record,
+        new_values: result.rows[0],
+        user_id: userId
+      });
       logger.info(`Health record ${id} updated by user ${userId}`);
       return result.rows[0];
     } catch (err) {
@@ -87,8 +122,18 @@ class HealthService {
 
   static async deleteHealthRecord(id, userId) {
     try {
+      const current = await getHealthRecordWithFarm(id);
       const result = await DatabaseHelper.executeQuery('UPDATE health_records SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND is_deleted = 0 RETURNING *', [id]);
       if (result.rows.length === 0) throw new ValidationError('Health record not found');
+      await AuditService.record({
+        farm_id: current.farm_id,
+        action: 'delete',
+        entity_type: 'health_record',
+        entity_id: id,
+        old_values: current.record,
+        new_values: result.rows[0],
+        user_id: userId
+      });
       logger.info(`Health record ${id} deleted by user ${userId}`);
       return result.rows[0];
     } catch (err) {
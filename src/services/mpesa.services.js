@@ -6,12 +6,27 @@ import axios from 'axios';
 
 dotenv.config();
 
+// STK query result code Daraja returns while the customer has not finished the prompt
+const STK_PENDING_RESULT_CODES = ['4999'];
+// Daraja error code for an STK query sent before the transaction has been processed
+const STK_PROCESSING_ERROR_CODE = '500.001.1001';
+
 class MpesaService {
+  /**
+   * Daraja API root. MPESA_BASE_URL points the service at another host, e.g. a local mock Daraja server.
+   */
+  static baseUrl() {
+    if (process.env.MPESA_BASE_URL) {
+      return process.env.MPESA_BASE_URL.replace(/\/+$/, '');
+    }
+    return process.env.MPESA_ENV === 'production'
+      ? 'https://api.safaricom.co.ke'
+      : 'https://sandbox.safaricom.co.ke';
+  }
+
   static async getAccessToken() {
     try {
-      const url = process.env.MPESA_ENV === 'production' 
-        ? 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials' 
-        : 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials';
+      const url = `${this.baseUrl()}/oauth/v1/generate?grant_type=client_credentials`;
       
       const authHeader = Buffer.from(
         `${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`
@@ -52,7 +67,38 @@ class MpesaService {
     return { password, timestamp };
   }
 
-  static async initiateSTKPush(phoneNumber, amount, reference, description) {
+  /**
+   * Address Daraja posts back to, with a per-request token appended as the last path segment
+   * so the delivery can be tied to the request that handed it out.
+   */
+  static tokenUrl(url, token) {
+    if (!url) return url;
+    const base = url.replace(/\/+$/, '');
+    return token ? `${base}/${token}` : base;
+  }
+
+  /**
+   * Callback address for an STK push
+   */
+  static callbackUrl(token) {
+    return this.tokenUrl(process.env.MPESA_CALLBACK_URL || 'https://e067abdeea34.ngrok-free.app', token);
+  }
+
+  /**
+   * Whether a callback may come from this address. MPESA_CALLBACK_IP_ALLOWLIST is a comma-separated
+   * list of Safaricom addresses; when it is not set every address is allowed.
+   */
+  static isAllowedCallbackIp(ip) {
+    const allowlist = (process.env.MPESA_CALLBACK_IP_ALLOWLIST || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    if (allowlist.length === 0) return true;
+    if (!ip) return false;
+    return allowlist.includes(ip.replace(/^::ffff:/, ''));
+  }
+
+  static async initiateSTKPush(phoneNumber, amount, reference, description, callbackToken = null) {
     try {
       // Validate phone number format
       const cleanPhone = phoneNumber.toString().replace(/\D/g, '');
@@ -63,9 +109,7 @@ class MpesaService {
       const accessToken = await this.getAccessToken();
       const { password, timestamp } = this.generateMpesaPassword();
       
-      const url = process.env.MPESA_ENV === 'production' 
-        ? 'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest' 
-        : 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest';
+      const url = `${this.baseUrl()}/mpesa/stkpush/v1/processrequest`;
       
       // Ensure amount is a positive integer
       const processedAmount = Math.max(1, Math.round(Number(amount)));
@@ -79,7 +123,7 @@ class MpesaService {
         PartyA: cleanPhone,
         PartyB: process.env.MPESA_SHORTCODE,
         PhoneNumber: cleanPhone,
-        CallBackURL: process.env.MPESA_CALLBACK_URL || 'https://e067abdeea34.ngrok-free.app',
+        CallBackURL: this.callbackUrl(callbackToken),
         AccountReference: reference || 'account',
         TransactionDesc: description || 'Payment'
       };
@@ -103,7 +147,10 @@ class MpesaService {
       }
       
       logger.info(`M-Pesa STK Push initiated successfully for reference ${reference}`);
-      return response.data.CheckoutRequestID;
+      return {
+        checkoutRequestID: response.data.CheckoutRequestID,
+        merchantRequestID: response.data.MerchantRequestID
+      };
     } catch (error) {
       // Enhanced error logging
       if (error.response) {
@@ -126,9 +173,7 @@ class MpesaService {
       const accessToken = await this.getAccessToken();
       const { password, timestamp } = this.generateMpesaPassword();
       
-      const url = process.env.MPESA_ENV === 'production' 
-        ? 'https://api.safaricom.co.ke/mpesa/stkpushquery/v1/query' 
-        : 'https://sandbox.safaricom.co.ke/mpesa/stkpushquery/v1/query';
+      const url = `${this.baseUrl()}/mpesa/stkpushquery/v1/query`;
       
       const bodyData = {
         BusinessShortCode: process.env.MPESA_SHORTCODE,
@@ -143,7 +188,8 @@ class MpesaService {
         headers: {
           Authorization: `Bearer ${accessToken}`,
           'Content-Type': 'application/json'
-        }
+        },
+        timeout: 30000
       });
       
       logger.debug(`STK Query Response: ${JSON.stringify(response.data)}`);
@@ -160,6 +206,31 @@ class MpesaService {
     }
   }
 
+  /**
+   * Outcome of an STK push according to an STK query.
+   * @returns {Promise<Object>} - { state: 'success' | 'failed' | 'pending', resultCode, resultDesc, merchantRequestID }
+   */
+  static async resolveSTKPush(checkoutRequestID) {
+    try {
+      const response = await this.querySTKPush(checkoutRequestID);
+      const resultCode = String(response.ResultCode);
+      let state = 'failed';
+      if (resultCode === '0') state = 'success';
+      else if (STK_PENDING_RESULT_CODES.includes(resultCode)) state = 'pending';
+      return {
+        state,
+        resultCode,
+        resultDesc: response.ResultDesc,
+        merchantRequestID: response.MerchantRequestID
+      };
+    } catch (error) {
+      if (error.response?.data?.errorCode === STK_PROCESSING_ERROR_CODE) {
+        return { state: 'pending', resultCode: null, resultDesc: error.response.data.errorMessage };
+      }
+      throw error;
+    }
+  }
+
   static processCallback(callbackData) {
     try {
       const { Body } = callbackData;
@@ -215,8 +286,152 @@ class MpesaService {
     throw new Error('B2B method not implemented yet');
   }
 
-  static async transactionStatus(/* params */) {
-    throw new Error('Transaction status query not implemented yet');
+  /**
+   * POST an initiator-authenticated request (transaction status, reversal). Daraja only acknowledges
+   * these; the outcome is posted to the request's ResultURL later.
+   * @returns {Promise<Object>} - Daraja acknowledgement with ConversationID and OriginatorConversationID
+   */
+  static async initiatorRequest(path, bodyData, label) {
+    if (!process.env.MPESA_INITIATOR_NAME || !process.env.MPESA_SECURITY_CREDENTIAL || !bodyData.ResultURL) {
+      throw new Error(`M-Pesa ${label} is not configured`);
+    }
+
+    const accessToken = await this.getAccessToken();
+    const url = `${this.baseUrl()}${path}`;
+    const payload = {
+      Initiator: process.env.MPESA_INITIATOR_NAME,
+      SecurityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+      ...bodyData,
+      QueueTimeOutURL: bodyData.QueueTimeOutURL || bodyData.ResultURL
+    };
+
+    logger.debug(`M-Pesa ${label} Request Payload: ${JSON.stringify({ ...payload, SecurityCredential: '***' })}`);
+
+    const response = await axios.post(url, payload, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    logger.debug(`M-Pesa ${label} Response: ${JSON.stringify(response.data)}`);
+
+    if (response.data.ResponseCode !== '0') {
+      throw new Error(`M-Pesa ${label} failed: ${response.data.ResponseDescription || response.data.errorMessage || 'Unknown error'}`);
+    }
+
+    logger.info(`M-Pesa ${label} accepted: ${response.data.OriginatorConversationID}`);
+    return response.data;
+  }
+
+  /**
+   * Ask M-Pesa for the status of a transaction. The answer is asynchronous: Daraja posts it to
+   * MPESA_TRANSACTION_STATUS_RESULT_URL/<resultToken>, see processTransactionStatusResult.
+   * @param {Object} params - { transactionId } (M-Pesa receipt) or { originalConversationId } (e.g. the STK MerchantRequestID),
+   * and { resultToken } the secret appended to the result URLs
+   * @returns {Promise<Object>} - Daraja acknowledgement with ConversationID and OriginatorConversationID
+   */
+  static async transactionStatus({ transactionId, originalConversationId, resultToken, remarks, occasion } = {}) {
+    try {
+      if (!transactionId && !originalConversationId) {
+        throw new Error('A transaction id or original conversation id is required');
+      }
+
+      return await this.initiatorRequest('/mpesa/transactionstatus/v1/query', {
+        CommandID: 'TransactionStatusQuery',
+        TransactionID: transactionId || '',
+        OriginalConversationID: originalConversationId || '',
+        PartyA: process.env.MPESA_SHORTCODE,
+        IdentifierType: '4',
+        ResultURL: this.tokenUrl(process.env.MPESA_TRANSACTION_STATUS_RESULT_URL, resultToken),
+        QueueTimeOutURL: this.tokenUrl(process.env.MPESA_TRANSACTION_STATUS_TIMEOUT_URL, resultToken),
+        Remarks: remarks || 'Payment reconciliation',
+        Occasion: occasion || ''
+      }, 'transaction status query');
+    } catch (error) {
+      logger.error(`Error querying M-Pesa transaction status: ${error.message} - Status: ${error.response?.status} - Data: ${JSON.stringify(error.response?.data)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reverse (refund) an M-Pesa payment. The outcome is posted to MPESA_REVERSAL_RESULT_URL/<resultToken>,
+   * see processReversalResult.
+   * @param {Object} params - { transactionId } M-Pesa receipt number, { amount } to reverse,
+   * { resultToken } the secret appended to the result URLs
+   * @returns {Promise<Object>} - Daraja acknowledgement with ConversationID and OriginatorConversationID
+   */
+  static async reversal({ transactionId, amount, resultToken, remarks, occasion } = {}) {
+    try {
+      if (!transactionId) {
+        throw new Error('The M-Pesa receipt number of the payment is required');
+      }
+
+      return await this.initiatorRequest('/mpesa/reversal/v1/request', {
+        CommandID: 'TransactionReversal',
+        TransactionID: transactionId,
+        Amount: Math.max(1, Math.round(Number(amount))),
+        ReceiverParty: process.env.MPESA_SHORTCODE,
+        RecieverIdentifierType: '11',
+        ResultURL: this.tokenUrl(process.env.MPESA_REVERSAL_RESULT_URL, resultToken),
+        QueueTimeOutURL: this.tokenUrl(process.env.MPESA_REVERSAL_TIMEOUT_URL, resultToken),
+        Remarks: remarks || 'Refund',
+        Occasion: occasion || ''
+      }, 'reversal');
+    } catch (error) {
+      logger.error(`Error requesting M-Pesa reversal: ${error.message} - Status: ${error.response?.status} - Data: ${JSON.stringify(error.response?.data)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the result Daraja posts to the reversal ResultURL
+   */
+  static processReversalResult(resultData) {
+    const { Result } = resultData || {};
+    if (!Result) {
+      throw new Error('Invalid reversal result format');
+    }
+
+    return {
+      success: Number(Result.ResultCode) === 0,
+      resultCode: Result.ResultCode,
+      resultDesc: Result.ResultDesc,
+      originatorConversationID: Result.OriginatorConversationID,
+      conversationID: Result.ConversationID,
+      transactionID: Result.TransactionID
+    };
+  }
+
+  /**
+   * Parse the result Daraja posts to the transaction status ResultURL
+   */
+  static processTransactionStatusResult(resultData) {
+    const { Result } = resultData || {};
+    if (!Result) {
+      throw new Error('Invalid transaction status result format');
+    }
+
+    const parameters = Result.ResultParameters?.ResultParameter || [];
+    const list = Array.isArray(parameters) ? parameters : [parameters];
+    const value = (key) => list.find(item => item.Key === key)?.Value;
+    // DebitPartyName looks like "254712345678 - JOHN DOE"
+    const debitParty = String(value('DebitPartyName') || '');
+    const transactionStatus = value('TransactionStatus');
+
+    return {
+      success: Number(Result.ResultCode) === 0 && transactionStatus === 'Completed',
+      resultCode: Result.ResultCode,
+      resultDesc: Result.ResultDesc,
+      originatorConversationID: Result.OriginatorConversationID,
+      conversationID: Result.ConversationID,
+      transactionStatus,
+      mpesaReceiptNumber: value('ReceiptNo') || Result.TransactionID,
+      amount: value('Amount'),
+      transactionDate: value('FinalisedTime') || value('InitiatedTime'),
+      phoneNumber: debitParty.split(' - ')[0] || undefined
+    };
   }
 }
 
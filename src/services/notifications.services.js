@@ -0,0 +1,185 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+import { v4 as uuidv4, validate as isUuid } from "uuid";
+
+const NOTIFICATION_PRIORITIES = ["low", "medium", "high"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Expired notifications stay in the table but drop out of the inbox
+const ACTIVE_NOTIFICATION = "is_deleted = 0 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)";
+
+class NotificationsService {
+  /**
+   * Add a notification to a user's in-app inbox
+   * @param {Object} notification - user_id, type, title, message, data, priority, expires_at
+   * @returns {Promise<Object>} - Created notification
+   */
+  static async createNotification({
+    user_id,
+    type,
+    title,
+    message,
+    data = {},
+    priority = "medium",
+    expires_at = null,
+  }) {
+    if (!user_id || !type || !title || !message) {
+      throw new ValidationError("Missing required notification fields");
+    }
+
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `INSERT INTO notifications (id, user_id, type, title, message, data, priority, expires_at, created_at, is_deleted)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, 0)
+                 RETURNING *`,
+        [
+          uuidv4(),
+          user_id,
+          type,
+          title.slice(0, 200),
+          message,
+          JSON.stringify(data || {}),
+          NOTIFICATION_PRIORITIES.includes(priority) ? priority : "medium",
+          expires_at,
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error(
+        `Error creating ${type} notification for user ${user_id}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * A page of the user's inbox, newest first
+   * @param {string} userId - User UUID
+   * @param {Object} filters - is_read, type, limit, offset
+   * @returns {Promise<Object>} - { notifications, total, unread, limit, offset }
+   */
+  static async getNotifications(userId, { is_read, type, limit, offset } = {}) {
+    const pageSize = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const skip = offset || 0;
+
+    try {
+      let where = `WHERE user_id = $1 AND ${ACTIVE_NOTIFICATION}`;
+      const params = [userId];
+      if (is_read !== undefined) {
+        params.push(is_read);
+        where += ` AND is_read = $${params.length}`;
+      }
+      if (type) {
+        params.push(type);
+        where += ` AND type = $${params.length}`;
+      }
+
+      const countResult = await DatabaseHelper.executeQuery(
+        `SELECT COUNT(*) AS total FROM notifications ${where}`,
+        params
+      );
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT id, type, title, message, data, priority, is_read, read_at, expires_at, created_at
+                 FROM notifications ${where}
+                 ORDER BY created_at DESC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, pageSize, skip]
+      );
+      const unread = await NotificationsService.getUnreadCount(userId);
+
+      return {
+        notifications: result.rows,
+        total: parseInt(countResult.rows[0].total, 10),
+        unread,
+        limit: pageSize,
+        offset: skip,
+      };
+    } catch (error) {
+      logger.error(
+        `Error fetching notifications for user ${userId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Number of unread notifications in the user's inbox
+   * @param {string} userId - User UUID
+   * @returns {Promise<number>}
+   */
+  static async getUnreadCount(userId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT COUNT(*) AS unread FROM notifications
+                 WHERE user_id = $1 AND is_read = false AND ${ACTIVE_NOTIFICATION}`,
+        [userId]
+      );
+      return parseInt(result.rows[0].unread, 10);
+    } catch (error) {
+      logger.error(
+        `Error counting unread notifications for user ${userId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {string} userId - User UUID
+   * @param {string} notificationId - Notification UUID
+   * @returns {Promise<Object>} - Updated notification
+   */
+  static async markAsRead(userId, notificationId) {
+    if (!isUuid(notificationId)) {
+      throw new ValidationError("Notification not found");
+    }
+
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE notifications
+                 SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+                 WHERE id = $1 AND user_id = $2 AND is_deleted = 0
+                 RETURNING *`,
+        [notificationId, userId]
+      );
+      if (result.rows.length === 0) {
+        throw new ValidationError("Notification not found");
+      }
+      return result.rows[0];
+    } catch (error) {
+      logger.error(
+        `Error marking notification ${notificationId} as read: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every unread notification of the user as read
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { updated }
+   */
+  static async markAllAsRead(userId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE notifications
+                 SET is_read = true, read_at = CURRENT_TIMESTAMP
+                 WHERE user_id = $1 AND is_read = false AND is_deleted = 0`,
+        [userId]
+      );
+      logger.info(
+        `Marked ${result.rowCount} notifications as read for user ${userId}`
+      );
+      return { updated: result.rowCount };
+    } catch (error) {
+      logger.error(
+        `Error marking notifications as read for user ${userId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+}
+
+export default NotificationsService;
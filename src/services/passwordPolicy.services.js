@@ -0,0 +1,125 @@
+import bcrypt from 'bcrypt';
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+
+const envFlag = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    return value === 'true' || value === '1';
+};
+
+/**
+ * Password rules, configurable per deployment
+ */
+const PASSWORD_POLICY = {
+    min_length: parseInt(process.env.PASSWORD_MIN_LENGTH || 8),
+    require_uppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+    require_lowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+    require_number: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+    require_symbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+    // how many recent passwords (including the current one) cannot be reused; 0 turns the check off
+    history_count: parseInt(process.env.PASSWORD_HISTORY_COUNT || 5)
+};
+
+class PasswordPolicyService {
+    static get policy() {
+        return { ...PASSWORD_POLICY };
+    }
+
+    /**
+     * Check a new password against the strength rules
+     * @param {string} password - The new password
+     * @param {Object} [account] - { email, name }, which the password must not contain
+     * @throws {ValidationError} - Listing every rule the password breaks
+     */
+    static assertStrong(password, { email, name } = {}) {
+        const failures = [];
+        const value = String(password || '');
+
+        if (value.length < PASSWORD_POLICY.min_length) {
+            failures.push(`at least ${PASSWORD_POLICY.min_length} characters`);
+        }
+        if (PASSWORD_POLICY.require_uppercase && !/[A-Z]/.test(value)) {
+            failures.push('an uppercase letter');
+        }
+        if (PASSWORD_POLICY.require_lowercase && !/[a-z]/.test(value)) {
+            failures.push('a lowercase letter');
+        }
+        if (PASSWORD_POLICY.require_number && !/\d/.test(value)) {
+            failures.push('a number');
+        }
+        if (PASSWORD_POLICY.require_symbol && !/[^A-Za-z0-9]/.test(value)) {
+            failures.push('a symbol');
+        }
+
+        const forbidden = [];
+        const lower = value.toLowerCase();
+        const emailName = email ? email.split('@')[0].toLowerCase() : '';
+        if (emailName.length >= 3 && lower.includes(emailName)) {
+            forbidden.push('your email address');
+        }
+        const personalName = (name || '').trim().toLowerCase();
+        if (personalName.length >= 3 && lower.includes(personalName)) {
+            forbidden.push('your name');
+        }
+
+        const messages = [];
+        if (failures.length > 0) messages.push(`Password must contain ${failures.join(', ')}`);
+        if (forbidden.length > 0) messages.push(`Password must not contain ${forbidden.join(' or ')}`);
+        if (messages.length > 0) {
+            throw new ValidationError(messages.join('. '), [
+                ...failures.map(rule => `must contain ${rule}`),
+                ...forbidden.map(rule => `must not contain ${rule}`)
+            ]);
+        }
+    }
+
+    /**
+     * Reject a password that matches one of the user's last history_count passwords
+     */
+    static async assertNotReused(userId, password) {
+        if (PASSWORD_POLICY.history_count <= 0) return;
+
+        const result = await DatabaseHelper.executeQuery(
+            `SELECT password_hash FROM password_history
+             WHERE user_id = $1
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            [userId, PASSWORD_POLICY.history_count]
+        );
+        for (const row of result.rows) {
+            if (await bcrypt.compare(password, row.password_hash)) {
+                throw new ValidationError(
+                    `Password was used recently. Choose one that is different from your last ${PASSWORD_POLICY.history_count} passwords.`
+                );
+            }
+        }
+    }
+
+    /**
+     * Add the user's new password hash to their history and drop entries beyond history_count
+     */
+    static async recordPassword(userId, passwordHash) {
+        try {
+            await DatabaseHelper.executeQuery(
+                `INSERT INTO password_history (id, user_id, password_hash, created_at)
+                 VALUES (uuid_generate_v4(), $1, $2, CURRENT_TIMESTAMP)`,
+                [userId, passwordHash]
+            );
+            await DatabaseHelper.executeQuery(
+                `DELETE FROM password_history
+                 WHERE user_id = $1 AND id NOT IN (
+                    SELECT id FROM password_history WHERE user_id = $1
+                    ORDER BY created_at DESC LIMIT $2
+                 )`,
+                [userId, Math.max(PASSWORD_POLICY.history_count, 1)]
+            );
+        } catch (error) {
+            logger.error(`Error recording password history for user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default PasswordPolicyService;
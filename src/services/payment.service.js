@@ -1,25 +1,65 @@
 // services/payment.service.js
+import crypto from 'crypto';
 import { DatabaseHelper } from '../config/database.js';
 import logger from '../middleware/logger.js';
-import { ValidationError } from '../middleware/errors.js';
+import { NotFoundError, ValidationError } from '../middleware/errors.js';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
 import MpesaService from './mpesa.services.js';
 import CardService from './card.services.js';
+import NotificationsService from './notifications.services.js';
+import PlansService, { BILLING_PERIOD_INTERVALS } from './plans.services.js';
+import ReceiptsService from './receipts.services.js';
 
 dotenv.config();
 
+// Pending STK payments are reconciled once their callback is this late
+const MPESA_RECONCILE_AFTER_MINUTES = parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES || 5);
+// ...and given up on when still unresolved after this long
+const MPESA_PENDING_EXPIRY_HOURS = parseInt(process.env.MPESA_PENDING_EXPIRY_HOURS || 24);
+const MPESA_RECONCILE_BATCH_SIZE = 50;
+
+// Statuses a payment may move to from each status. Only pending -> success/failed and the
+// refund statuses ever happen; success is set by providers, refunds by refundPayment.
+export const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['success', 'failed'],
+  success: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  failed: [],
+  refunded: []
+};
+// What a payer may do to their own payment through PATCH /payments/:paymentId/status: abandon it
+const USER_STATUS_TRANSITIONS = {
+  pending: ['failed']
+};
+
+const assertStatusTransition = (from, to, transitions = PAYMENT_STATUS_TRANSITIONS) => {
+  const allowed = transitions[from] || [];
+  if (!allowed.includes(to)) {
+    throw new ValidationError(
+      `A ${from} payment cannot be set to ${to}` +
+      (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : '')
+    );
+  }
+};
+
+const hashCallbackToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Metadata keys only the server writes; clients must not be able to preset them
+const SERVER_METADATA_KEYS = ['merchant_request_id', 'status_query', 'mpesa_receipt', 'confirmed_via', 'confirmed_amount'];
+const withoutServerMetadata = (metadata = {}) =>
+  Object.fromEntries(Object.entries(metadata || {}).filter(([key]) => !SERVER_METADATA_KEYS.includes(key)));
+
 class PaymentService {
   static async createPayment(paymentData, userId, farmId = null) {
-    const { plan, amount, payment_mode, phone_number, currency, metadata = {}, tier } = paymentData;
-    
-    if (!plan || !amount || !payment_mode || !currency) {
-      throw new ValidationError('Plan, amount, payment_mode, and currency are required');
+    const { plan_id, payment_mode, phone_number, metadata = {} } = paymentData;
+    const currency = paymentData.currency || (payment_mode === 'mpesa' ? 'KES' : 'USD');
+
+    if (!plan_id || !payment_mode) {
+      throw new ValidationError('plan_id and payment_mode are required');
     }
 
     const paymentId = uuidv4();
-    let finalAmount = amount;
-    let finalCurrency = currency;
     const validModes = ['mpesa', 'dpogroup', 'card', 'stripe', 'paypal'];
     
     if (!validModes.includes(payment_mode)) {
@@ -27,9 +67,19 @@ class PaymentService {
     }
 
     let transactionId = null;
-    let status = 'pending';
 
     try {
+      // Price and subscription period come from the plan catalogue, never from the client
+      const { plan, amount } = await PlansService.quote(plan_id, currency);
+      const { subscription_startdate, subscription_enddate, ...clientMetadata } = withoutServerMetadata(metadata);
+      const paymentMetadata = {
+        ...clientMetadata,
+        initiated_at: new Date().toISOString(),
+        tier: plan.tier,
+        billing_period: plan.billing_period
+      };
+      const description = `Subscription for ${plan.name}`;
+
       // Handle different payment modes
       if (payment_mode === 'mpesa') {
         if (!phone_number || !phone_number.startsWith('254')) {
@@ -39,276 +89,335 @@ class PaymentService {
           throw new ValidationError('M-Pesa payments must be in KES');
         }
 
+        // Secret part of this payment's CallbackURL, proving a callback comes from whoever we gave it to
+        const callbackToken = crypto.randomBytes(24).toString('hex');
+
         // Initiate STK Push
-        const checkoutRequestID = await MpesaService.initiateSTKPush(
+        const { checkoutRequestID, merchantRequestID } = await MpesaService.initiateSTKPush(
           phone_number,
-          finalAmount,
+          amount,
           `Pig Master`,
-          `Subscription for ${tier || plan}`
+          description,
+          callbackToken
         );
 
         transactionId = checkoutRequestID;
 
         // Insert as pending - temporary until callback confirms
-        const result = await DatabaseHelper.executeQuery(
-          `INSERT INTO payments (
-            id, user_id, farm_id, plan, amount, currency, payment_mode, phone_number,
-            transaction_id, status, metadata, created_at, updated_at, is_deleted, is_active
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0, 1)
-          RETURNING *`,
-          [
-            paymentId,
-            userId,
-            farmId,
-            plan,
-            finalAmount, 
-            finalCurrency,
-            payment_mode,
-            phone_number || null,
-            transactionId,
-            'pending', // Temporary pending record
-            JSON.stringify({ 
-              ...metadata, 
-              initiated_at: new Date().toISOString(),
-              tier: tier || plan
-            })
-          ]
-        );
+        const payment = await this.insertPayment({
+          id: paymentId,
+          userId,
+          farmId,
+          plan,
+          amount,
+          currency,
+          payment_mode,
+          phone_number,
+          transactionId,
+          status: 'pending',
+          callbackTokenHash: hashCallbackToken(callbackToken),
+          // needed to ask for the transaction status when the callback never arrives
+          metadata: { ...paymentMetadata, merchant_request_id: merchantRequestID }
+        });
 
         logger.info(`M-Pesa STK Push initiated for payment ${paymentId}. Awaiting callback confirmation.`);
         
         // Return pending payment - DO NOT upgrade user yet
         return { 
-          ...result.rows[0], 
+          ...payment, 
           message: 'Payment initiated. Please complete the payment on your phone.',
           stk_push_response: transactionId 
         };
+      }
 
-      } else if (payment_mode === 'card' || payment_mode === 'stripe') {
-        if (!metadata.card_details) {
-          throw new ValidationError('Card details are required for card/stripe payment');
+      if (payment_mode === 'card' || payment_mode === 'stripe') {
+        if (metadata.card_details) {
+          throw new ValidationError('Card details must not be sent to this API. Confirm the payment with Stripe using the returned client_secret.');
         }
-        
-        // Process card payment synchronously
-        transactionId = await CardService.processPayment(
-          metadata.card_details,
-          finalAmount,
-          finalCurrency,
-          `Payment_${paymentId}`,
-          `Subscription for ${tier || plan}`
-        );
-        
-        status = 'success'; // Card payments are immediate
-
-        const result = await DatabaseHelper.executeQuery(
-          `INSERT INTO payments (
-            id, user_id, farm_id, plan, amount, currency, payment_mode, phone_number,
-            transaction_id, status, metadata, created_at, updated_at, is_deleted, is_active
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0, 1)
-          RETURNING *`,
-          [
-            paymentId,
+
+        if (CardService.isConfigured()) {
+          const intent = await CardService.createPaymentIntent({
+            amount,
+            currency,
+            reference: `Payment_${paymentId}`,
+            description,
+            metadata: { payment_id: paymentId, user_id: userId, plan_id: plan.id }
+          });
+
+          // Pending until the Stripe webhook reports the client-confirmed PaymentIntent
+          const payment = await this.insertPayment({
+            id: paymentId,
             userId,
             farmId,
             plan,
-            finalAmount, 
-            finalCurrency,
+            amount,
+            currency,
             payment_mode,
-            phone_number || null,
-            transactionId,
-            status,
-            JSON.stringify({ 
-              ...metadata, 
-              initiated_at: new Date().toISOString(),
-              tier: tier || plan
-            })
-          ]
-        );
+            phone_number,
+            transactionId: intent.id,
+            status: 'pending',
+            metadata: paymentMetadata
+          });
 
-        // Upgrade user immediately for successful card payments
-        if (status === 'success') {
-          await this.upgradeUserTier(userId, plan, metadata);
+          return {
+            ...payment,
+            client_secret: intent.client_secret,
+            message: 'Payment initiated. Confirm it with Stripe using the client_secret.'
+          };
         }
 
-        return { 
-          ...result.rows[0], 
-          message: 'Payment successful',
-          stk_push_response: transactionId 
-        };
-
+        if (process.env.NODE_ENV === 'production') {
+          throw new ValidationError('Card payments are not available');
+        }
+        logger.info('Card processing in mock mode');
+        transactionId = `SIM_CARD_${uuidv4()}`;
       } else {
-        // Other payment modes (simulated for now)
+        // DPO Group and PayPal have no provider yet, so they are only simulated outside production
+        if (process.env.NODE_ENV === 'production') {
+          throw new ValidationError(`${payment_mode} payments are not available`);
+        }
+        logger.info(`${payment_mode} processing in mock mode`);
         transactionId = `SIM_${uuidv4()}`;
-        status = 'success';
-
-        const result = await DatabaseHelper.executeQuery(
-          `INSERT INTO payments (
-            id, user_id, farm_id, plan, amount, currency, payment_mode, phone_number,
-            transaction_id, status, metadata, created_at, updated_at, is_deleted, is_active
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0, 1)
-          RETURNING *`,
-          [
-            paymentId,
-            userId,
-            farmId,
-            plan,
-            finalAmount, 
-            finalCurrency,
-            payment_mode,
-            phone_number || null,
-            transactionId,
-            status,
-            JSON.stringify({ 
-              ...metadata, 
-              initiated_at: new Date().toISOString(),
-              tier: tier || plan
-            })
-          ]
-        );
+      }
 
-        if (status === 'success') {
-          await this.upgradeUserTier(userId, plan, metadata);
-        }
+      // Simulated payments complete immediately
+      const payment = await this.insertPayment({
+        id: paymentId,
+        userId,
+        farmId,
+        plan,
+        amount,
+        currency,
+        payment_mode,
+        phone_number,
+        transactionId,
+        status: 'success',
+        metadata: paymentMetadata
+      });
 
-        return { 
-          ...result.rows[0], 
-          message: 'Payment successful',
-          stk_push_response: transactionId 
-        };
-      }
+      const confirmedPayment = await this.upgradeUserTier(payment);
+      await this.notifyPaymentConfirmed(confirmedPayment);
+
+      return { 
+        ...confirmedPayment, 
+        message: 'Payment successful',
+        stk_push_response: transactionId 
+      };
     } catch (error) {
       logger.error(`Error creating payment: ${error.message}`);
       throw error;
     }
   }
 
-  static async upgradeUserTier(userId, plan, metadata) {
-    if (plan === 'free') {
-      logger.info(`No upgrade needed for free plan for user ${userId}`);
-      return;
-    }
+  static async insertPayment({ id, userId, farmId, plan, amount, currency, payment_mode, phone_number, transactionId, status, metadata, callbackTokenHash = null }) {
+    const result = await DatabaseHelper.executeQuery(
+      `INSERT INTO payments (
+        id, user_id, farm_id, plan, plan_id, amount, currency, payment_mode, phone_number,
+        transaction_id, status, metadata, callback_token_hash, created_at, updated_at, is_deleted, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0, 1)
+      RETURNING *`,
+      [
+        id,
+        userId,
+        farmId,
+        plan.tier,
+        plan.id,
+        amount,
+        currency,
+        payment_mode,
+        phone_number || null,
+        transactionId,
+        status,
+        JSON.stringify(metadata),
+        callbackTokenHash
+      ]
+    );
+    return result.rows[0];
+  }
 
-    if (!metadata.subscription_startdate || !metadata.subscription_enddate) {
-      throw new ValidationError('Subscription start and end dates are required in metadata');
+  /**
+   * Move the payer to the paid tier and extend their subscription by the plan's billing period.
+   * Renewing the current tier before it runs out extends from subscription_end; switching tier starts now.
+   * @param {Object} payment - Confirmed payments row
+   * @returns {Promise<Object>} - The payment with period_start and period_end set
+   */
+  static async upgradeUserTier(payment) {
+    const { user_id: userId, plan: tier } = payment;
+    if (tier === 'free') {
+      logger.info(`No upgrade needed for free plan for user ${userId}`);
+      return payment;
     }
 
     try {
+      // payments started before the plan catalogue have no plan_id; those bought a month
+      const billingPeriod = payment.plan_id
+        ? (await PlansService.getPlan(payment.plan_id, { includeInactive: true })).billing_period
+        : 'monthly';
+      const interval = BILLING_PERIOD_INTERVALS[billingPeriod];
+
       // Get role_id for the plan
       const roleResult = await DatabaseHelper.executeQuery(
         'SELECT id FROM roles WHERE name = $1 AND is_active = 1 AND is_deleted = 0',
-        [plan]
+        [tier]
       );
 
       if (roleResult.rows.length === 0) {
-        throw new ValidationError(`Role for plan ${plan} not found`);
+        throw new ValidationError(`Role for plan ${tier} not found`);
       }
 
       const roleId = roleResult.rows[0].id;
 
-      // Use dates from metadata
-      const startDate = metadata.subscription_startdate;
-      const endDate = metadata.subscription_enddate;
-
-      // Update user's role_id, subscription_start, subscription_end
+      // SET expressions see the row before the update, so the CASEs compare against the current tier
       const updateResult = await DatabaseHelper.executeQuery(
         `UPDATE users 
          SET role_id = $1, 
-             subscription_start = $2, 
-             subscription_end = $3, 
+             subscription_start = CASE
+               WHEN role_id = $1 AND subscription_end > CURRENT_TIMESTAMP
+               THEN COALESCE(subscription_start, CURRENT_TIMESTAMP)
+               ELSE CURRENT_TIMESTAMP
+             END,
+             subscription_end = GREATEST(
+               CASE WHEN role_id = $1 THEN subscription_end END,
+               CURRENT_TIMESTAMP
+             ) + $2::interval,
              updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $4 AND is_deleted = 0 
-         RETURNING *`,
-        [roleId, startDate, endDate, userId]
+         WHERE id = $3 AND is_deleted = 0 
+         RETURNING subscription_end - $2::interval AS period_start, subscription_end AS period_end`,
+        [roleId, interval, userId]
       );
 
       if (updateResult.rows.length === 0) {
         throw new ValidationError('User not found');
       }
 
-      logger.info(`User ${userId} upgraded to ${plan} tier (role_id: ${roleId}) from ${startDate} to ${endDate}`);
+      const { period_start: periodStart, period_end: periodEnd } = updateResult.rows[0];
+      const paymentResult = await DatabaseHelper.executeQuery(
+        `UPDATE payments SET period_start = $1, period_end = $2 WHERE id = $3 RETURNING *`,
+        [periodStart, periodEnd, payment.id]
+      );
+
+      logger.info(`User ${userId} upgraded to ${tier} tier (role_id: ${roleId}) from ${periodStart.toISOString()} to ${periodEnd.toISOString()}`);
+      return paymentResult.rows[0];
     } catch (error) {
       logger.error(`Error upgrading user tier for ${userId}: ${error.message}`);
       throw error;
     }
   }
 
-  static async handleMpesaCallback(callbackData) {
+  /**
+   * Put a payment confirmation in the payer's in-app inbox and email them the receipt.
+   * Never fails the payment flow; the payment is already recorded.
+   */
+  static async notifyPaymentConfirmed(payment) {
     try {
-      logger.info(`Received M-Pesa callback: ${JSON.stringify(callbackData)}`);
-      
+      const receipt = payment.metadata?.mpesa_receipt || payment.transaction_id;
+      await NotificationsService.createNotification({
+        user_id: payment.user_id,
+        type: 'payment_confirmation',
+        title: 'Payment Confirmed',
+        message: `Your payment of ${payment.currency} ${payment.amount} for the ${payment.plan} plan was received${receipt ? ` (ref ${receipt})` : ''}.`,
+        data: {
+          payment_id: payment.id,
+          farm_id: payment.farm_id,
+          plan: payment.plan,
+          amount: payment.amount,
+          currency: payment.currency,
+          receipt
+        },
+        priority: 'medium'
+      });
+    } catch (error) {
+      logger.warn(`Payment confirmation notification for ${payment.id} not created: ${error.message}`);
+    }
+
+    // not awaited: provider callbacks and webhooks must not wait on the mail server
+    ReceiptsService.sendReceipt(payment).catch((error) =>
+      logger.warn(`Receipt for payment ${payment.id} not sent: ${error.message}`)
+    );
+  }
+
+  /**
+   * Handle an STK push callback. Every delivery is kept in payment_events, whatever its outcome;
+   * repeated deliveries for a payment that is no longer pending are acknowledged without effect.
+   * @param {Object} callbackData - Raw callback body
+   * @param {Object} [context] - { token, sourceIp } the CallbackURL token and the caller's address
+   * @returns {Promise<Object>} - { success, message, rejected, duplicate, payment, reason }
+   */
+  static async handleMpesaCallback(callbackData, { token = null, sourceIp = null } = {}) {
+    const event = { source: 'mpesa_callback', payload: callbackData, sourceIp, outcome: 'error' };
+    try {
+      logger.info(`Received M-Pesa callback from ${sourceIp}: ${JSON.stringify(callbackData)}`);
+
+      if (!MpesaService.isAllowedCallbackIp(sourceIp)) {
+        logger.warn(`Rejected M-Pesa callback from ${sourceIp}: address not allowed`);
+        Object.assign(event, { outcome: 'rejected', detail: `Source address ${sourceIp} is not allowed` });
+        return { success: false, rejected: true, message: 'Callback rejected' };
+      }
+
       const processed = MpesaService.processCallback(callbackData);
       const transactionId = processed.checkoutRequestID;
+      event.transactionId = transactionId;
 
-      // Find the pending payment
       const payment = await DatabaseHelper.executeQuery(
-        'SELECT * FROM payments WHERE transaction_id = $1 AND is_deleted = 0 AND status = \'pending\'',
+        'SELECT * FROM payments WHERE transaction_id = $1 AND payment_mode = \'mpesa\' AND is_deleted = 0',
         [transactionId]
       );
 
       if (payment.rows.length === 0) {
-        logger.warn(`No pending payment found for transaction ${transactionId}`);
+        logger.warn(`No payment found for transaction ${transactionId}`);
+        event.outcome = 'not_found';
         return { success: false, message: 'Payment not found' };
       }
 
       const paymentRecord = payment.rows[0];
+      event.paymentId = paymentRecord.id;
+
+      if (!this.verifyCallbackToken(paymentRecord, token)) {
+        logger.warn(`Rejected M-Pesa callback for payment ${paymentRecord.id} from ${sourceIp}: invalid callback token`);
+        Object.assign(event, { outcome: 'rejected', detail: 'Invalid callback token' });
+        return { success: false, rejected: true, message: 'Callback rejected' };
+      }
+
+      if (paymentRecord.status !== 'pending') {
+        logger.info(`Duplicate M-Pesa callback for payment ${paymentRecord.id}, already ${paymentRecord.status}`);
+        Object.assign(event, { outcome: 'duplicate', detail: `Payment already ${paymentRecord.status}` });
+        return { success: true, duplicate: true, message: 'Callback already processed', payment: paymentRecord };
+      }
 
       if (processed.success) {
         // Verify amount and phone number for security
         if (Number(processed.amount) !== Number(paymentRecord.amount) || Number(processed.phoneNumber) !==  Number(paymentRecord.phone_number)) {
           logger.error(`Data mismatch in callback for payment ${paymentRecord.id}: amount ${processed.amount} vs ${paymentRecord.amount}, phone ${processed.phoneNumber} vs ${paymentRecord.phone_number}`);
+          Object.assign(event, {
+            outcome: 'mismatch',
+            detail: `amount ${processed.amount} vs ${paymentRecord.amount}, phone ${processed.phoneNumber} vs ${paymentRecord.phone_number}`
+          });
           return { success: false, message: 'Data mismatch in callback' };
         }
 
-        // Update payment status to success and add metadata
-        const mpesaMetadata = {
+        const confirmedPayment = await this.confirmPendingPayment(paymentRecord, {
           mpesa_receipt: processed.mpesaReceiptNumber,
           confirmed_amount: processed.amount,
           transaction_date: processed.transactionDate,
-          phone_number: processed.phoneNumber
-        };
-
-        const updatedPayment = await DatabaseHelper.executeQuery(
-          `UPDATE payments 
-           SET status = $1, 
-               metadata = metadata || $2::jsonb,
-               updated_at = CURRENT_TIMESTAMP 
-           WHERE id = $3 
-           RETURNING *`,
-          ['success', JSON.stringify(mpesaMetadata), paymentRecord.id]
-        );
-
-        logger.info(`Payment ${paymentRecord.id} confirmed successfully via M-Pesa`);
-
-        // NOW upgrade user tier after confirmation
-        try {
-          const fullMetadata = { ...paymentRecord.metadata || {}, ...mpesaMetadata };
-          await this.upgradeUserTier(paymentRecord.user_id, paymentRecord.plan, fullMetadata);
-          logger.info(`User ${paymentRecord.user_id} upgraded to ${paymentRecord.plan} after successful M-Pesa payment`);
-        } catch (upgradeError) {
-          logger.error(`Failed to upgrade user ${paymentRecord.user_id} after payment: ${upgradeError.message}`);
-          // Payment is successful but upgrade failed - mark for manual review
-          await DatabaseHelper.executeQuery(
-            `UPDATE payments 
-             SET metadata = metadata || $1::jsonb
-             WHERE id = $2`,
-            [JSON.stringify({ upgrade_error: upgradeError.message }), paymentRecord.id]
-          );
+          phone_number: processed.phoneNumber,
+          confirmed_via: 'callback'
+        });
+        if (!confirmedPayment) {
+          // a concurrent delivery or the reconciliation job got there first
+          event.outcome = 'duplicate';
+          return { success: true, duplicate: true, message: 'Callback already processed' };
         }
 
+        event.outcome = 'confirmed';
         return { 
           success: true, 
           message: 'Payment confirmed and user upgraded',
-          payment: updatedPayment.rows[0]
+          payment: confirmedPayment
         };
 
       } else {
-        // Payment failed or cancelled - DELETE the pending record (no failed records kept)
-        await DatabaseHelper.executeQuery(
-          `DELETE FROM payments WHERE id = $1`,
-          [paymentRecord.id]
-        );
-
-        logger.warn(`Payment initiation ${paymentRecord.id} failed or cancelled: ${processed.resultDesc}. Record deleted.`);
+        const failedPayment = await this.failPendingPayment(paymentRecord, processed.resultDesc, { result_code: processed.resultCode });
+        Object.assign(event, { outcome: failedPayment ? 'failed' : 'duplicate', detail: processed.resultDesc });
 
         return { 
           success: false, 
@@ -318,6 +427,507 @@ class PaymentService {
       }
     } catch (error) {
       logger.error(`Error handling M-Pesa callback: ${error.message}`);
+      event.detail = error.message;
+      throw error;
+    } finally {
+      await this.recordPaymentEvent(event);
+    }
+  }
+
+  /**
+   * Whether a callback carries the token embedded in the payment's CallbackURL. Payments initiated
+   * before callback tokens were introduced have none and accept no callback; reconciliation settles them.
+   */
+  static verifyCallbackToken(payment, token) {
+    if (!payment.callback_token_hash || !token) return false;
+
+    const expected = Buffer.from(payment.callback_token_hash, 'hex');
+    const provided = Buffer.from(hashCallbackToken(token), 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * A payment as shown to its payer, without the secrets and M-Pesa query details kept for callbacks
+   */
+  static toPayerView(payment) {
+    if (!payment) return payment;
+    const { callback_token_hash, status_query_token_hash, metadata, ...rest } = payment;
+    const { status_query, ...payerMetadata } = metadata || {};
+    return { ...rest, metadata: payerMetadata };
+  }
+
+  /**
+   * Keep a raw provider delivery and what became of it. Never fails the delivery itself.
+   * @param {Object} event - { source, payload, outcome, paymentId, transactionId, sourceIp, detail }
+   */
+  static async recordPaymentEvent({ source, payload, outcome, paymentId = null, transactionId = null, sourceIp = null, detail = null }) {
+    try {
+      await DatabaseHelper.executeQuery(
+        `INSERT INTO payment_events (payment_id, source, transaction_id, outcome, detail, source_ip, payload)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [paymentId, source, transactionId, outcome, detail, sourceIp, JSON.stringify(payload ?? {})]
+      );
+    } catch (error) {
+      logger.error(`Failed to record ${source} event (${outcome}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a pending payment successful, then upgrade and notify the payer. Provider callbacks and
+   * webhooks, M-Pesa status results and the reconciliation job all confirm through here; only the
+   * first one to reach a still-pending payment applies it.
+   * @param {Object} paymentRecord - Pending payments row
+   * @param {Object} confirmation - Confirmation details merged into the payment metadata, with confirmed_via
+   * @returns {Promise<Object|null>} - The confirmed payment, or null when it was no longer pending
+   */
+  static async confirmPendingPayment(paymentRecord, confirmation) {
+    const updatedPayment = await DatabaseHelper.executeQuery(
+      `UPDATE payments 
+       SET status = $1, 
+           metadata = metadata || $2::jsonb,
+           updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $3 AND status = 'pending'
+       RETURNING *`,
+      ['success', JSON.stringify(confirmation), paymentRecord.id]
+    );
+
+    if (updatedPayment.rows.length === 0) {
+      logger.warn(`Payment ${paymentRecord.id} was already processed, skipping confirmation`);
+      return null;
+    }
+
+    logger.info(`Payment ${paymentRecord.id} confirmed successfully via ${paymentRecord.payment_mode} (${confirmation.confirmed_via})`);
+
+    // NOW upgrade user tier after confirmation
+    let confirmedPayment = updatedPayment.rows[0];
+    try {
+      confirmedPayment = await this.upgradeUserTier(confirmedPayment);
+      logger.info(`User ${paymentRecord.user_id} upgraded to ${paymentRecord.plan} after successful ${paymentRecord.payment_mode} payment`);
+    } catch (upgradeError) {
+      logger.error(`Failed to upgrade user ${paymentRecord.user_id} after payment: ${upgradeError.message}`);
+      // Payment is successful but upgrade failed - mark for manual review
+      await DatabaseHelper.executeQuery(
+        `UPDATE payments 
+         SET metadata = metadata || $1::jsonb
+         WHERE id = $2`,
+        [JSON.stringify({ upgrade_error: upgradeError.message }), paymentRecord.id]
+      );
+    }
+
+    await this.notifyPaymentConfirmed(confirmedPayment);
+    return confirmedPayment;
+  }
+
+  /**
+   * Mark a pending payment failed, keeping the record and the reason
+   * @returns {Promise<Object|null>} - The failed payment, or null when it was no longer pending
+   */
+  static async failPendingPayment(paymentRecord, reason, details = {}) {
+    const result = await DatabaseHelper.executeQuery(
+      `UPDATE payments 
+       SET status = 'failed', 
+           metadata = metadata || $1::jsonb,
+           updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $2 AND status = 'pending'
+       RETURNING *`,
+      [JSON.stringify({ ...details, failure_reason: reason || null, failed_at: new Date().toISOString() }), paymentRecord.id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    logger.warn(`Payment ${paymentRecord.id} failed or cancelled: ${reason}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Handle the transaction status result Daraja posts after MpesaService.transactionStatus.
+   * The token in the ResultURL identifies the payment; results without a known token are rejected.
+   * Like callbacks, every delivery is kept in payment_events and repeats are acknowledged without effect.
+   * @param {Object} resultData - Raw result body
+   * @param {Object} [context] - { token, sourceIp } the ResultURL token and the caller's address
+   */
+  static async handleTransactionStatusResult(resultData, { token = null, sourceIp = null } = {}) {
+    const event = { source: 'mpesa_transaction_status', payload: resultData, sourceIp, outcome: 'error' };
+    try {
+      logger.info(`Received M-Pesa transaction status result from ${sourceIp}: ${JSON.stringify(resultData)}`);
+
+      if (!MpesaService.isAllowedCallbackIp(sourceIp)) {
+        logger.warn(`Rejected M-Pesa transaction status result from ${sourceIp}: address not allowed`);
+        Object.assign(event, { outcome: 'rejected', detail: `Source address ${sourceIp} is not allowed` });
+        return { success: false, rejected: true, message: 'Result rejected' };
+      }
+
+      const processed = MpesaService.processTransactionStatusResult(resultData);
+      event.transactionId = processed.mpesaReceiptNumber || null;
+      const payment = token
+        ? await DatabaseHelper.executeQuery(
+          `SELECT * FROM payments 
+           WHERE payment_mode = 'mpesa' AND is_deleted = 0 AND status_query_token_hash = $1`,
+          [hashCallbackToken(token)]
+        )
+        : { rows: [] };
+
+      if (payment.rows.length === 0) {
+        logger.warn(`Rejected M-Pesa transaction status result ${processed.originatorConversationID} from ${sourceIp}: unknown result token`);
+        Object.assign(event, { outcome: 'rejected', detail: 'Unknown result token' });
+        return { success: false, rejected: true, message: 'Result rejected' };
+      }
+
+      const paymentRecord = payment.rows[0];
+      event.paymentId = paymentRecord.id;
+
+      const queryId = paymentRecord.metadata?.status_query?.originator_conversation_id;
+      if (queryId && queryId !== processed.originatorConversationID) {
+        logger.warn(`Rejected M-Pesa transaction status result for payment ${paymentRecord.id}: conversation ${processed.originatorConversationID} is not ${queryId}`);
+        Object.assign(event, { outcome: 'rejected', detail: `Unexpected conversation ${processed.originatorConversationID}` });
+        return { success: false, rejected: true, message: 'Result rejected' };
+      }
+
+      if (paymentRecord.status !== 'pending') {
+        Object.assign(event, { outcome: 'duplicate', detail: `Payment already ${paymentRecord.status}` });
+        return { success: true, duplicate: true, message: 'Result already processed', payment: paymentRecord };
+      }
+
+      if (processed.success) {
+        if (Number(processed.amount) !== Number(paymentRecord.amount) ||
+          (processed.phoneNumber && Number(processed.phoneNumber) !== Number(paymentRecord.phone_number))) {
+          logger.error(`Data mismatch in transaction status for payment ${paymentRecord.id}: amount ${processed.amount} vs ${paymentRecord.amount}, phone ${processed.phoneNumber} vs ${paymentRecord.phone_number}`);
+          Object.assign(event, {
+            outcome: 'mismatch',
+            detail: `amount ${processed.amount} vs ${paymentRecord.amount}, phone ${processed.phoneNumber} vs ${paymentRecord.phone_number}`
+          });
+          return { success: false, message: 'Data mismatch in transaction status' };
+        }
+
+        const confirmedPayment = await this.confirmPendingPayment(paymentRecord, {
+          mpesa_receipt: processed.mpesaReceiptNumber,
+          confirmed_amount: processed.amount,
+          transaction_date: processed.transactionDate,
+          phone_number: processed.phoneNumber,
+          confirmed_via: 'transaction_status'
+        });
+        event.outcome = confirmedPayment ? 'confirmed' : 'duplicate';
+        return confirmedPayment
+          ? { success: true, message: 'Payment confirmed and user upgraded', payment: confirmedPayment }
+          : { success: true, duplicate: true, message: 'Result already processed' };
+      }
+
+      if (processed.transactionStatus) {
+        // M-Pesa knows the transaction and it did not complete
+        const failedPayment = await this.failPendingPayment(paymentRecord, `${processed.transactionStatus}: ${processed.resultDesc}`, { result_code: processed.resultCode });
+        Object.assign(event, { outcome: failedPayment ? 'failed' : 'duplicate', detail: processed.resultDesc });
+        return { success: false, message: 'Payment failed or cancelled', reason: processed.resultDesc };
+      }
+
+      // The query itself failed; the payment is left for reconciliation to expire
+      logger.warn(`Transaction status query for payment ${paymentRecord.id} failed: ${processed.resultDesc}`);
+      Object.assign(event, { outcome: 'unresolved', detail: processed.resultDesc });
+      return { success: false, message: 'Transaction status unavailable', reason: processed.resultDesc };
+    } catch (error) {
+      logger.error(`Error handling M-Pesa transaction status result: ${error.message}`);
+      event.detail = error.message;
+      throw error;
+    } finally {
+      await this.recordPaymentEvent(event);
+    }
+  }
+
+  /**
+   * Handle a Stripe webhook delivery. The signature is checked against the raw body, every delivery
+   * is kept in payment_events, and redeliveries for a payment that is no longer pending have no effect.
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Stripe-Signature header
+   * @param {Object} [context] - { sourceIp }
+   * @returns {Promise<Object>} - { success, message, rejected, duplicate, payment }
+   */
+  static async handleStripeWebhook(rawBody, signature, { sourceIp = null } = {}) {
+    const event = { source: 'stripe_webhook', payload: {}, sourceIp, outcome: 'error' };
+    try {
+      let stripeEvent;
+      try {
+        stripeEvent = CardService.constructWebhookEvent(rawBody, signature);
+      } catch (error) {
+        logger.warn(`Rejected Stripe webhook from ${sourceIp}: ${error.message}`);
+        Object.assign(event, { outcome: 'rejected', detail: error.message, payload: { raw: rawBody ? rawBody.toString('utf8') : null } });
+        return { success: false, rejected: true, message: error.message };
+      }
+
+      event.payload = stripeEvent;
+      logger.info(`Received Stripe webhook ${stripeEvent.id} (${stripeEvent.type})`);
+
+      if (['refund.updated', 'refund.failed', 'charge.refund.updated'].includes(stripeEvent.type)) {
+        return await this.handleStripeRefundUpdate(stripeEvent.data.object, event);
+      }
+
+      const handledTypes = ['payment_intent.succeeded', 'payment_intent.payment_failed', 'payment_intent.canceled'];
+      if (!handledTypes.includes(stripeEvent.type)) {
+        Object.assign(event, { outcome: 'ignored', detail: stripeEvent.type });
+        return { success: true, message: `Event ${stripeEvent.type} ignored` };
+      }
+
+      const intent = stripeEvent.data.object;
+      event.transactionId = intent.id;
+
+      const payment = await DatabaseHelper.executeQuery(
+        `SELECT * FROM payments WHERE transaction_id = $1 AND payment_mode IN ('card', 'stripe') AND is_deleted = 0`,
+        [intent.id]
+      );
+
+      if (payment.rows.length === 0) {
+        logger.warn(`No payment found for PaymentIntent ${intent.id}`);
+        event.outcome = 'not_found';
+        return { success: false, message: 'Payment not found' };
+      }
+
+      const paymentRecord = payment.rows[0];
+      event.paymentId = paymentRecord.id;
+
+      if (paymentRecord.status !== 'pending') {
+        Object.assign(event, { outcome: 'duplicate', detail: `Payment already ${paymentRecord.status}` });
+        return { success: true, duplicate: true, message: 'Event already processed', payment: paymentRecord };
+      }
+
+      if (stripeEvent.type === 'payment_intent.payment_failed') {
+        // the customer may retry the same PaymentIntent, so the payment stays pending
+        const reason = intent.last_payment_error?.message || 'Payment attempt failed';
+        await DatabaseHelper.executeQuery(
+          `UPDATE payments SET metadata = metadata || $1::jsonb, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+          [JSON.stringify({ last_payment_error: reason }), paymentRecord.id]
+        );
+        Object.assign(event, { outcome: 'unresolved', detail: reason });
+        return { success: false, message: 'Payment attempt failed', reason };
+      }
+
+      if (stripeEvent.type === 'payment_intent.canceled') {
+        const failedPayment = await this.failPendingPayment(paymentRecord, intent.cancellation_reason || 'PaymentIntent canceled');
+        Object.assign(event, { outcome: failedPayment ? 'failed' : 'duplicate', detail: intent.cancellation_reason });
+        return { success: false, message: 'Payment canceled' };
+      }
+
+      const expectedAmount = CardService.toMinorUnits(paymentRecord.amount, paymentRecord.currency);
+      if (Number(intent.amount_received) !== expectedAmount || String(intent.currency).toUpperCase() !== paymentRecord.currency) {
+        logger.error(`Data mismatch in Stripe webhook for payment ${paymentRecord.id}: ${intent.amount_received} ${intent.currency} vs ${expectedAmount} ${paymentRecord.currency}`);
+        Object.assign(event, {
+          outcome: 'mismatch',
+          detail: `${intent.amount_received} ${intent.currency} vs ${expectedAmount} ${paymentRecord.currency}`
+        });
+        return { success: false, message: 'Data mismatch in webhook' };
+      }
+
+      const confirmedPayment = await this.confirmPendingPayment(paymentRecord, {
+        stripe_charge: intent.latest_charge || null,
+        confirmed_amount: Number(paymentRecord.amount),
+        stripe_event: stripeEvent.id,
+        confirmed_via: 'stripe_webhook'
+      });
+      event.outcome = confirmedPayment ? 'confirmed' : 'duplicate';
+      return confirmedPayment
+        ? { success: true, message: 'Payment confirmed and user upgraded', payment: confirmedPayment }
+        : { success: true, duplicate: true, message: 'Event already processed' };
+    } catch (error) {
+      logger.error(`Error handling Stripe webhook: ${error.message}`);
+      event.detail = error.message;
+      throw error;
+    } finally {
+      await this.recordPaymentEvent(event);
+    }
+  }
+
+  /**
+   * Settle a pending Stripe refund from a refund webhook. A refund Stripe fails after it was
+   * applied is not undone here; it is logged for manual review.
+   * @param {Object} stripeRefund - Stripe refund object of the event
+   * @param {Object} event - payment_events entry of the delivery, filled in here
+   */
+  static async handleStripeRefundUpdate(stripeRefund, event) {
+    event.transactionId = stripeRefund.id;
+    // the refund id in the metadata finds refunds whose webhook beat the provider_reference update
+    const refundResult = await DatabaseHelper.executeQuery(
+      `SELECT * FROM payment_refunds WHERE provider = 'stripe' AND (provider_reference = $1 OR id::text = $2)`,
+      [stripeRefund.id, stripeRefund.metadata?.refund_id || null]
+    );
+    if (refundResult.rows.length === 0) {
+      logger.warn(`No refund found for Stripe refund ${stripeRefund.id}`);
+      event.outcome = 'not_found';
+      return { success: false, message: 'Refund not found' };
+    }
+
+    const refund = refundResult.rows[0];
+    event.paymentId = refund.payment_id;
+    const failed = ['failed', 'canceled'].includes(stripeRefund.status);
+
+    if (failed && refund.status === 'succeeded') {
+      logger.error(`Stripe refund ${stripeRefund.id} ${stripeRefund.status} after refund ${refund.id} was applied; review payment ${refund.payment_id}`);
+      Object.assign(event, { outcome: 'mismatch', detail: `Applied refund ${stripeRefund.status}: ${stripeRefund.failure_reason || 'no reason given'}` });
+      return { success: false, message: 'Applied refund failed' };
+    }
+
+    if (refund.status !== 'pending') {
+      Object.assign(event, { outcome: 'duplicate', detail: `Refund already ${refund.status}` });
+      return { success: true, duplicate: true, message: 'Event already processed' };
+    }
+
+    if (failed) {
+      const reason = stripeRefund.failure_reason || `Stripe refund ${stripeRefund.status}`;
+      await this.failRefund(refund.id, reason);
+      Object.assign(event, { outcome: 'failed', detail: reason });
+      return { success: false, message: 'Refund failed', reason };
+    }
+
+    if (stripeRefund.status !== 'succeeded') {
+      Object.assign(event, { outcome: 'unresolved', detail: stripeRefund.status });
+      return { success: true, message: `Refund ${stripeRefund.status}` };
+    }
+
+    const applied = await this.applyRefund(refund.id, stripeRefund.id);
+    event.outcome = applied ? 'confirmed' : 'duplicate';
+    return { success: true, message: 'Refund applied', payment: applied?.payment };
+  }
+
+  /**
+   * Ask M-Pesa for the status of a pending STK payment, once per payment. The query's ResultURL
+   * carries a secret token whose hash is stored first, so the result can be checked as soon as it arrives.
+   * @returns {Promise<Object|null>} - The payment with metadata.status_query set, or null when no query was sent
+   */
+  static async requestMpesaTransactionStatus(payment) {
+    const merchantRequestID = payment.metadata?.merchant_request_id;
+    if (!merchantRequestID) {
+      return null;
+    }
+
+    const resultToken = crypto.randomBytes(24).toString('hex');
+    const claimed = await DatabaseHelper.executeQuery(
+      `UPDATE payments SET status_query_token_hash = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'pending' AND status_query_token_hash IS NULL
+       RETURNING id`,
+      [hashCallbackToken(resultToken), payment.id]
+    );
+    if (claimed.rows.length === 0) {
+      return null;
+    }
+
+    let acknowledgement;
+    try {
+      acknowledgement = await MpesaService.transactionStatus({
+        originalConversationId: merchantRequestID,
+        resultToken,
+        occasion: payment.id
+      });
+    } catch (error) {
+      logger.warn(`Transaction status query for payment ${payment.id} not sent: ${error.message}`);
+      // the next reconciliation run may try again
+      await DatabaseHelper.executeQuery(
+        'UPDATE payments SET status_query_token_hash = NULL WHERE id = $1',
+        [payment.id]
+      );
+      return null;
+    }
+
+    const result = await DatabaseHelper.executeQuery(
+      `UPDATE payments 
+       SET metadata = metadata || $1::jsonb, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $2 AND status = 'pending'
+       RETURNING *`,
+      [
+        JSON.stringify({
+          status_query: {
+            originator_conversation_id: acknowledgement.OriginatorConversationID,
+            conversation_id: acknowledgement.ConversationID,
+            requested_at: new Date().toISOString()
+          }
+        }),
+        payment.id
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Settle a pending STK payment from an STK query, applying the same outcome as the callback would.
+   * When the STK query has no answer, a transaction status query is sent instead; its result is
+   * handled by handleTransactionStatusResult.
+   * @returns {Promise<Object>} - { status: 'success' | 'failed' | 'pending' | 'already_processed' | 'status_query_sent', payment, reason }
+   * @throws {Error} - When M-Pesa could not be asked at all
+   */
+  static async reconcileMpesaPayment(payment) {
+    let outcome;
+    try {
+      outcome = await MpesaService.resolveSTKPush(payment.transaction_id);
+    } catch (error) {
+      const queried = await this.requestMpesaTransactionStatus(payment);
+      if (!queried) throw error;
+      return { status: 'status_query_sent', payment: queried };
+    }
+
+    if (outcome.state === 'success') {
+      const confirmedPayment = await this.confirmPendingPayment(payment, {
+        confirmed_via: 'stk_query',
+        result_desc: outcome.resultDesc
+      });
+      return confirmedPayment
+        ? { status: 'success', payment: confirmedPayment }
+        : { status: 'already_processed', payment };
+    }
+
+    if (outcome.state === 'failed') {
+      await this.failPendingPayment(payment, outcome.resultDesc, { result_code: outcome.resultCode });
+      return { status: 'failed', reason: outcome.resultDesc };
+    }
+
+    return { status: 'pending', payment };
+  }
+
+  /**
+   * Reconcile pending STK payments whose callback is over MPESA_RECONCILE_AFTER_MINUTES late.
+   * Payments still unresolved after MPESA_PENDING_EXPIRY_HOURS are marked failed.
+   * @returns {Promise<Object>} - Counts per outcome
+   */
+  static async reconcilePendingMpesaPayments(now = new Date()) {
+    try {
+      const pending = await DatabaseHelper.executeQuery(
+        `SELECT * FROM payments 
+         WHERE status = 'pending' AND payment_mode = 'mpesa' AND is_deleted = 0
+           AND transaction_id IS NOT NULL
+           AND created_at < $1::timestamptz - ($2 || ' minutes')::interval
+         ORDER BY created_at
+         LIMIT $3`,
+        [now, String(MPESA_RECONCILE_AFTER_MINUTES), MPESA_RECONCILE_BATCH_SIZE]
+      );
+
+      const counts = { mpesa_confirmed: 0, mpesa_failed: 0, mpesa_expired: 0, mpesa_pending: 0 };
+      const expiresBefore = now.getTime() - MPESA_PENDING_EXPIRY_HOURS * 60 * 60 * 1000;
+
+      for (const payment of pending.rows) {
+        let outcome;
+        try {
+          outcome = await this.reconcileMpesaPayment(payment);
+        } catch (error) {
+          logger.warn(`Could not reconcile M-Pesa payment ${payment.id}: ${error.message}`);
+          outcome = { status: 'pending' };
+        }
+
+        if (outcome.status === 'success') {
+          counts.mpesa_confirmed += 1;
+        } else if (outcome.status === 'failed') {
+          counts.mpesa_failed += 1;
+        } else if (outcome.status === 'already_processed') {
+          continue;
+        } else if (new Date(payment.created_at).getTime() < expiresBefore) {
+          await this.failPendingPayment(payment, `No confirmation from M-Pesa within ${MPESA_PENDING_EXPIRY_HOURS} hours`);
+          counts.mpesa_expired += 1;
+        } else {
+          counts.mpesa_pending += 1;
+        }
+      }
+
+      if (pending.rows.length > 0) {
+        logger.info(`M-Pesa reconciliation: ${JSON.stringify(counts)}`);
+      }
+      return counts;
+    } catch (error) {
+      logger.error(`Error reconciling M-Pesa payments: ${error.message}`);
       throw error;
     }
   }
@@ -372,84 +982,48 @@ class PaymentService {
       }
 
       // Query M-Pesa API for pending M-Pesa payments
+      let outcome;
       try {
-        const mpesaStatus = await MpesaService.querySTKPush(payment.transaction_id);
-        logger.info(`M-Pesa status check for ${paymentId}: ${JSON.stringify(mpesaStatus)}`);
-        
-        // Check query success (ResponseCode '0')
-        if (mpesaStatus.ResponseCode !== '0') {
-          throw new Error(`Query failed: ${mpesaStatus.ResponseDescription || 'Unknown error'}`);
-        }
-
-        // Check transaction result (ResultCode '0' for success)
-        if (mpesaStatus.ResultCode === '0') {
-          // Extract metadata
-          const callbackMetadata = mpesaStatus.CallbackMetadata?.Item || [];
-          const amount = callbackMetadata.find(item => item.Name === 'Amount')?.Value;
-          const mpesaReceiptNumber = callbackMetadata.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-          const transactionDate = callbackMetadata.find(item => item.Name === 'TransactionDate')?.Value;
-          const phoneNumber = callbackMetadata.find(item => item.Name === 'PhoneNumber')?.Value;
-
-          // Verify amount and phone for security
-          if (amount !== payment.amount || String(phoneNumber) !== payment.phone_number) {
-            logger.error(`Data mismatch in query for payment ${paymentId}: amount ${amount} vs ${payment.amount}, phone ${phoneNumber} vs ${payment.phone_number}`);
-            throw new Error('Data mismatch in query response');
-          }
-
-          // Update to success with metadata
-          const mpesaMetadata = {
-            mpesa_receipt: mpesaReceiptNumber,
-            confirmed_amount: amount,
-            transaction_date: transactionDate,
-            phone_number: phoneNumber
-          };
-
-          const updatedPayment = await DatabaseHelper.executeQuery(
-            `UPDATE payments 
-             SET status = $1, 
-                 metadata = metadata || $2::jsonb,
-                 updated_at = CURRENT_TIMESTAMP 
-             WHERE id = $3 
-             RETURNING *`,
-            ['success', JSON.stringify(mpesaMetadata), paymentId]
-          );
-
-          // Upgrade user
-          const fullMetadata = { ...payment.metadata || {}, ...mpesaMetadata };
-          await this.upgradeUserTier(payment.user_id, payment.plan, fullMetadata);
-
-          return updatedPayment.rows[0];
-        } else {
-          // Failure (e.g., ResultCode '1032' for cancel, or others)
-          await DatabaseHelper.executeQuery(
-            `DELETE FROM payments WHERE id = $1`,
-            [paymentId]
-          );
-          throw new ValidationError(`Payment failed: ${mpesaStatus.ResultDesc || 'Unknown error'}`);
-        }
+        outcome = await this.reconcileMpesaPayment(payment);
       } catch (queryError) {
         logger.warn(`Could not query M-Pesa status for ${paymentId}: ${queryError.message}`);
         // Assume still pending if query fails (e.g., transaction processing)
         return payment;
       }
+
+      if (outcome.status === 'failed') {
+        throw new ValidationError(`Payment failed: ${outcome.reason || 'Unknown error'}`);
+      }
+      if (outcome.status === 'already_processed') {
+        return this.getPaymentById(paymentId, userId);
+      }
+      return outcome.payment;
     } catch (error) {
       logger.error(`Error checking payment status ${paymentId}: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Status change requested by the payer. Only the transitions in USER_STATUS_TRANSITIONS are allowed;
+   * confirmations come from providers and refunds from refundPayment.
+   * @throws {ValidationError} - When the payment is not found or the transition is not allowed
+   */
   static async updatePaymentStatus(paymentId, status, userId, metadata = {}) {
     try {
+      const payment = await this.getPaymentById(paymentId, userId);
+      assertStatusTransition(payment.status, status, USER_STATUS_TRANSITIONS);
+
       const result = await DatabaseHelper.executeQuery(
         `UPDATE payments 
          SET status = $1, metadata = metadata || $2::jsonb, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $3 AND user_id = $4 AND is_deleted = 0 
+         WHERE id = $3 AND user_id = $4 AND is_deleted = 0 AND status = $5
          RETURNING *`,
-        [status, JSON.stringify(metadata), paymentId, userId]
+        [status, JSON.stringify(withoutServerMetadata(metadata)), paymentId, userId, payment.status]
       );
       
       if (result.rows.length === 0) {
-        throw new ValidationError('Payment not found or unauthorized');
+        throw new ValidationError('Payment status changed in the meantime, please retry');
       }
       
       return result.rows[0];
@@ -458,6 +1032,310 @@ class PaymentService {
       throw error;
     }
   }
+
+  /**
+   * Refund a successful payment through its provider, in full or in part. Stripe and simulated
+   * payments are refunded straight away; an M-Pesa reversal completes when Daraja posts its result.
+   * @param {string} paymentId - Payment UUID
+   * @param {Object} params - { amount, reason }; amount defaults to everything not yet refunded
+   * @param {Object} admin - req.user of the admin requesting the refund
+   * @returns {Promise<Object>} - { payment, refund }
+   */
+  static async refundPayment(paymentId, { amount, reason } = {}, admin) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        'SELECT * FROM payments WHERE id = $1 AND is_deleted = 0',
+        [paymentId]
+      );
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Payment not found');
+      }
+      const payment = result.rows[0];
+
+      if (!['success', 'partially_refunded'].includes(payment.status)) {
+        throw new ValidationError(`Only successful payments can be refunded; this payment is ${payment.status}`);
+      }
+
+      const inFlight = await DatabaseHelper.executeQuery(
+        `SELECT id FROM payment_refunds WHERE payment_id = $1 AND status = 'pending'`,
+        [paymentId]
+      );
+      if (inFlight.rows.length > 0) {
+        throw new ValidationError('A refund of this payment is already in progress');
+      }
+
+      const refundable = Number(payment.amount) - Number(payment.refunded_amount || 0);
+      const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new ValidationError(`Refund amount must be between 0 and ${refundable} ${payment.currency}`);
+      }
+
+      let inserted;
+      try {
+        inserted = await DatabaseHelper.executeQuery(
+          `INSERT INTO payment_refunds (payment_id, amount, currency, reason, provider, requested_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [paymentId, refundAmount, payment.currency, reason || null, this.refundProvider(payment), admin.id]
+        );
+      } catch (error) {
+        // idx_payment_refunds_one_pending: another request got its refund in after the check above
+        if (error.code === '23505') {
+          throw new ValidationError('A refund of this payment is already in progress');
+        }
+        throw error;
+      }
+      let refund = inserted.rows[0];
+
+      let providerResult;
+      try {
+        providerResult = await this.requestProviderRefund(payment, refund);
+      } catch (error) {
+        await this.failRefund(refund.id, error.message);
+        throw error;
+      }
+
+      if (providerResult.completed) {
+        const applied = await this.applyRefund(refund.id, providerResult.reference);
+        return { payment: applied.payment, refund: applied.refund };
+      }
+
+      const updated = await DatabaseHelper.executeQuery(
+        `UPDATE payment_refunds SET provider_reference = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
+        [providerResult.reference, refund.id]
+      );
+      refund = updated.rows[0];
+      logger.info(`Refund ${refund.id} of ${refundAmount} ${payment.currency} for payment ${paymentId} requested by ${admin.id}`);
+      return { payment, refund };
+    } catch (error) {
+      logger.error(`Error refunding payment ${paymentId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static refundProvider(payment) {
+    if (String(payment.transaction_id || '').startsWith('SIM_')) return 'simulated';
+    if (payment.payment_mode === 'mpesa') return 'mpesa';
+    if (payment.payment_mode === 'card' || payment.payment_mode === 'stripe') return 'stripe';
+    return 'simulated';
+  }
+
+  /**
+   * Ask the payment's provider to return the money
+   * @returns {Promise<Object>} - { completed, reference } completed when the money is already on its way back
+   */
+  static async requestProviderRefund(payment, refund) {
+    const provider = refund.provider;
+
+    if (provider === 'stripe') {
+      const stripeRefund = await CardService.refundPayment(payment.transaction_id, refund.amount, payment.currency, { refund_id: refund.id });
+      if (['failed', 'canceled'].includes(stripeRefund.status)) {
+        throw new ValidationError(`Stripe refund ${stripeRefund.id} ${stripeRefund.status}`);
+      }
+      // pending and requires_action refunds are settled by their refund.updated webhook
+      return { completed: stripeRefund.status === 'succeeded', reference: stripeRefund.id };
+    }
+
+    if (provider === 'mpesa') {
+      const receipt = payment.metadata?.mpesa_receipt;
+      if (!receipt) {
+        throw new ValidationError('The M-Pesa receipt number of this payment is unknown, so it cannot be reversed automatically');
+      }
+      // the ResultURL token is stored first, so the result can be checked as soon as it arrives
+      const resultToken = crypto.randomBytes(24).toString('hex');
+      await DatabaseHelper.executeQuery(
+        'UPDATE payment_refunds SET result_token_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [hashCallbackToken(resultToken), refund.id]
+      );
+      const acknowledgement = await MpesaService.reversal({
+        transactionId: receipt,
+        amount: refund.amount,
+        resultToken,
+        remarks: refund.reason || 'Refund',
+        occasion: refund.id
+      });
+      return { completed: false, reference: acknowledgement.OriginatorConversationID };
+    }
+
+    // simulated payments never took real money
+    return { completed: true, reference: `SIM_REFUND_${refund.id}` };
+  }
+
+  /**
+   * Record a completed refund on its payment: add the amount to refunded_amount, move the status to
+   * partially_refunded or refunded, and give back the matching share of the subscription period.
+   * A fully refunded payment whose period is then over takes the payer back to the free plan.
+   * @returns {Promise<Object|null>} - { payment, refund }, or null when the refund was already settled
+   */
+  static async applyRefund(refundId, providerReference = null) {
+    const settled = await DatabaseHelper.executeQuery(
+      `UPDATE payment_refunds 
+       SET status = 'succeeded', provider_reference = COALESCE($2, provider_reference), updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [refundId, providerReference]
+    );
+    if (settled.rows.length === 0) {
+      return null;
+    }
+    const refund = settled.rows[0];
+
+    const paymentResult = await DatabaseHelper.executeQuery(
+      'SELECT * FROM payments WHERE id = $1',
+      [refund.payment_id]
+    );
+    const payment = paymentResult.rows[0];
+
+    const amount = Number(payment.amount);
+    const refundedBefore = Number(payment.refunded_amount || 0);
+    const refundedAmount = Math.min(refundedBefore + Number(refund.amount), amount);
+    const status = refundedAmount >= amount ? 'refunded' : 'partially_refunded';
+    assertStatusTransition(payment.status, status);
+
+    // the period still paid for shrinks in proportion to the money given back
+    let removedSeconds = 0;
+    if (payment.period_start && payment.period_end && amount > refundedBefore) {
+      const remainingSeconds = (new Date(payment.period_end) - new Date(payment.period_start)) / 1000;
+      removedSeconds = Math.round(remainingSeconds * Number(refund.amount) / (amount - refundedBefore));
+    }
+
+    const updated = await DatabaseHelper.executeQuery(
+      `UPDATE payments 
+       SET status = $1,
+           refunded_amount = $2,
+           period_end = period_end - make_interval(secs => $3::double precision),
+           updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $4
+       RETURNING *`,
+      [status, refundedAmount, removedSeconds, payment.id]
+    );
+
+    if (removedSeconds > 0) {
+      await this.shortenSubscription(payment, removedSeconds);
+    }
+
+    logger.info(`Refund ${refund.id} of ${refund.amount} ${refund.currency} applied to payment ${payment.id} (now ${status})`);
+
+    NotificationsService.createNotification({
+      user_id: payment.user_id,
+      type: 'payment_refunded',
+      title: 'Payment Refunded',
+      message: `${refund.currency} ${refund.amount} of your ${payment.plan} plan payment was refunded.`,
+      data: { payment_id: payment.id, refund_id: refund.id, amount: refund.amount, currency: refund.currency },
+      priority: 'medium'
+    }).catch((error) =>
+      logger.warn(`Refund notification for payment ${payment.id} not created: ${error.message}`)
+    );
+
+    return { payment: updated.rows[0], refund };
+  }
+
+  /**
+   * Take a refunded share of a payment's period off the payer's subscription. Later renewals were
+   * chained onto subscription_end, so they move back by the same amount. Payers who have since
+   * switched tier started a new period and keep it. A subscription that is then over is revoked.
+   */
+  static async shortenSubscription(payment, removedSeconds) {
+    const result = await DatabaseHelper.executeQuery(
+      `UPDATE users u
+       SET subscription_end = u.subscription_end - make_interval(secs => $1::double precision),
+           role_id = CASE
+             WHEN u.subscription_end - make_interval(secs => $1::double precision) <= CURRENT_TIMESTAMP
+             THEN (SELECT id FROM roles WHERE name = 'free' AND is_deleted = 0)
+             ELSE u.role_id
+           END,
+           updated_at = CURRENT_TIMESTAMP
+       FROM roles r
+       WHERE u.id = $2 AND u.role_id = r.id AND r.name = $3 AND u.subscription_end IS NOT NULL
+       RETURNING u.subscription_end, u.subscription_end <= CURRENT_TIMESTAMP AS revoked`,
+      [removedSeconds, payment.user_id, payment.plan]
+    );
+
+    if (result.rows.length === 0) {
+      logger.info(`User ${payment.user_id} is no longer on the ${payment.plan} tier; subscription left unchanged`);
+      return;
+    }
+    const { subscription_end: subscriptionEnd, revoked } = result.rows[0];
+    if (revoked) {
+      logger.info(`User ${payment.user_id} moved to the free tier after the refund of payment ${payment.id}`);
+    } else {
+      logger.info(`Subscription of user ${payment.user_id} now ends ${new Date(subscriptionEnd).toISOString()}`);
+    }
+  }
+
+  static async failRefund(refundId, reason) {
+    await DatabaseHelper.executeQuery(
+      `UPDATE payment_refunds 
+       SET status = 'failed', failure_reason = $1, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $2 AND status = 'pending'`,
+      [reason, refundId]
+    );
+    logger.warn(`Refund ${refundId} failed: ${reason}`);
+  }
+
+  /**
+   * Handle the reversal result Daraja posts after MpesaService.reversal. The token in the ResultURL
+   * identifies the refund; results without a known token are rejected.
+   * @param {Object} resultData - Raw result body
+   * @param {Object} [context] - { token, sourceIp } the ResultURL token and the caller's address
+   */
+  static async handleReversalResult(resultData, { token = null, sourceIp = null } = {}) {
+    const event = { source: 'mpesa_reversal', payload: resultData, sourceIp, outcome: 'error' };
+    try {
+      logger.info(`Received M-Pesa reversal result from ${sourceIp}: ${JSON.stringify(resultData)}`);
+
+      if (!MpesaService.isAllowedCallbackIp(sourceIp)) {
+        logger.warn(`Rejected M-Pesa reversal result from ${sourceIp}: address not allowed`);
+        Object.assign(event, { outcome: 'rejected', detail: `Source address ${sourceIp} is not allowed` });
+        return { success: false, rejected: true, message: 'Result rejected' };
+      }
+
+      const processed = MpesaService.processReversalResult(resultData);
+      event.transactionId = processed.transactionID || null;
+
+      const refundResult = token
+        ? await DatabaseHelper.executeQuery(
+          `SELECT * FROM payment_refunds WHERE provider = 'mpesa' AND result_token_hash = $1`,
+          [hashCallbackToken(token)]
+        )
+        : { rows: [] };
+      if (refundResult.rows.length === 0) {
+        logger.warn(`Rejected M-Pesa reversal result ${processed.originatorConversationID} from ${sourceIp}: unknown result token`);
+        Object.assign(event, { outcome: 'rejected', detail: 'Unknown result token' });
+        return { success: false, rejected: true, message: 'Result rejected' };
+      }
+
+      const refund = refundResult.rows[0];
+      event.paymentId = refund.payment_id;
+
+      if (refund.provider_reference && refund.provider_reference !== processed.originatorConversationID) {
+        logger.warn(`Rejected M-Pesa reversal result for refund ${refund.id}: conversation ${processed.originatorConversationID} is not ${refund.provider_reference}`);
+        Object.assign(event, { outcome: 'rejected', detail: `Unexpected conversation ${processed.originatorConversationID}` });
+        return { success: false, rejected: true, message: 'Result rejected' };
+      }
+
+      if (refund.status !== 'pending') {
+        Object.assign(event, { outcome: 'duplicate', detail: `Refund already ${refund.status}` });
+        return { success: true, duplicate: true, message: 'Result already processed' };
+      }
+
+      if (!processed.success) {
+        await this.failRefund(refund.id, processed.resultDesc);
+        Object.assign(event, { outcome: 'failed', detail: processed.resultDesc });
+        return { success: false, message: 'Reversal failed', reason: processed.resultDesc };
+      }
+
+      const applied = await this.applyRefund(refund.id, processed.transactionID || null);
+      event.outcome = applied ? 'confirmed' : 'duplicate';
+      return { success: true, message: 'Refund applied', payment: applied?.payment };
+    } catch (error) {
+      logger.error(`Error handling M-Pesa reversal result: ${error.message}`);
+      event.detail = error.message;
+      throw error;
+    } finally {
+      await this.recordPaymentEvent(event);
+    }
+  }
 }
 
-export default PaymentService;
\ No newline at end of file
+export default PaymentService;
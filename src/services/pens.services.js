@@ -1,6 +1,8 @@
 import { DatabaseHelper } from "../config/database.js";
 import logger from "../middleware/logger.js";
 import { ValidationError } from "../middleware/errors.js";
+import AuditService from "./audit.services.js";
+import EntitlementsService from "./entitlements.services.js";
 
 class PensService {
   static async createPen(penData, userId) {
@@ -35,6 +37,7 @@ class PensService {
       if (farmResult.rows.length === 0) {
         throw new ValidationError("Farm not found");
       }
+      await EntitlementsService.assertWithinLimits(farm_id, { max_pens: 1 });
       const rowResult = await DatabaseHelper.executeQuery(
         "SELECT levels, capacity, name AS row_name FROM rows WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
         [row_id, farm_id]
@@ -112,6 +115,14 @@ class PensService {
                  RETURNING *`,
         insertValues
       );
+      await AuditService.record({
+        farm_id,
+        action: "create",
+        entity_type: "pen",
+        entity_id: result.rows[0].id,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(`Pen ${penName} created by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -203,6 +214,14 @@ class PensService {
       name,
     } = penData;
     try {
+      const currentPen = await DatabaseHelper.executeQuery(
+        "SELECT * FROM pens WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
+        [id, farmId]
+      );
+      if (currentPen.rows.length === 0) {
+        throw new ValidationError("Pen not found");
+      }
+
       if (row_id) {
         const rowResult = await DatabaseHelper.executeQuery(
           "SELECT levels, name AS row_name FROM rows WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
@@ -273,6 +292,15 @@ class PensService {
       if (result.rows.length === 0) {
         throw new ValidationError("Pen not found");
       }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "pen",
+        entity_id: id,
+        old_values: currentPen.rows[0],
+        new_values: result.rows[0],
+        user_id: userId,
+      });
       logger.info(`Pen ${id} updated by user ${userId}`);
       return result.rows[0];
     } catch (error) {
@@ -283,6 +311,14 @@ class PensService {
 
   static async deletePen(id, farmId, userId) {
     try {
+      const currentPen = await DatabaseHelper.executeQuery(
+        "SELECT * FROM pens WHERE id = $1 AND farm_id = $2 AND is_deleted = 0",
+        [id, farmId]
+      );
+      if (currentPen.rows.length === 0) {
+        throw new ValidationError("Pen not found");
+      }
+
       const pigResult = await DatabaseHelper.executeQuery(
         "SELECT 1 FROM pigs WHERE pen_id = $1 AND farm_id = $2 AND is_deleted = 0",
         [id, farmId]
@@ -323,6 +359,16 @@ class PensService {
           `Pen ${id} permanently deleted by user ${userId} to free up position`
         );
       }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "delete",
+        entity_type: "pen",
+        entity_id: id,
+        old_values: currentPen.rows[0],
+        // null when the pen was removed outright
+        new_values: historyResult.rows.length > 0 ? result.rows[0] : null,
+        user_id: userId,
+      });
       return result.rows[0];
     } catch (error) {
       logger.error(`Error deleting pen ${id}: ${error.message}`);
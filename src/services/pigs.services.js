@@ -2,6 +2,9 @@ import { DatabaseHelper } from "../config/database.js";
 import logger from "../middleware/logger.js";
 import { ValidationError } from "../middleware/errors.js";
 import { v4 as uuidv4 } from "uuid";
+import AuditService from "./audit.services.js";
+import CacheService, { CACHE_KEYS } from "./cache.services.js";
+import EntitlementsService from "./entitlements.services.js";
 
 class PigsService {
   static async createPig(pigData, userId) {
@@ -47,6 +50,7 @@ class PigsService {
       if (existingPig.rows.length > 0) {
         throw new ValidationError("Pig ID already exists");
       }
+      await EntitlementsService.assertWithinLimits(farm_id, { max_pigs: 1 });
 
       // Validate pen
       let is_occupied = false;
@@ -136,6 +140,15 @@ class PigsService {
           [uuidv4(), pen_id, pig.pig_id, farm_id]
         );
       }
+      await AuditService.record({
+        farm_id,
+        action: "create",
+        entity_type: "pig",
+        entity_id: pig.pig_id,
+        new_values: pig,
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farm_id, "pigStats");
       logger.info(`Pig ${pig_id} created by user ${userId}`);
       return pig;
     } catch (error) {
@@ -355,6 +368,16 @@ class PigsService {
       const updatedPig = result.rows[0];
 
       // Removing this section because I dont think addign piglets to a pig should remove the pig from the pen.
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "pig",
+        entity_id: pigId,
+        old_values: pig,
+        new_values: updatedPig,
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farmId, "pigStats");
       logger.info(`Pig ${pigId} updated by user ${userId}`);
       return updatedPig;
     } catch (error) {
@@ -382,7 +405,7 @@ class PigsService {
 
     try {
       const pigResult = await DatabaseHelper.executeQuery(
-        "SELECT id, pig_id, pen_id FROM pigs WHERE pig_id = $1 AND farm_id = $2 AND is_deleted = 0",
+        "SELECT * FROM pigs WHERE pig_id = $1 AND farm_id = $2 AND is_deleted = 0",
         [pigId, farmId]
       );
       if (pigResult.rows.length === 0) {
@@ -448,6 +471,19 @@ class PigsService {
           );
         }
       }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "delete",
+        entity_type: "pig",
+        entity_id: pigId,
+        old_values: pig,
+        new_values: {
+          ...deletedPig,
+          removal: { reason, date, sale_amount, sale_weight, sold_to, sale_type, currency },
+        },
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farmId, "pigStats");
       logger.info(`Pig ${pigId} soft deleted by user ${userId}`);
       return deletedPig;
     } catch (error) {
@@ -456,6 +492,72 @@ class PigsService {
     }
   }
 
+  /**
+   * Herd statistics of a farm: counts by gender, pregnancy and breed.
+   * Cached; every mutation of a farm's pigs or breeding records invalidates the entry.
+   */
+  static async getPigStatistics(farmId) {
+    try {
+      return await CacheService.remember(CACHE_KEYS.pigStats(farmId), async () => {
+        const statsQuery = `
+              SELECT 
+                  COUNT(*) as total_pigs,
+                  COUNT(CASE WHEN r.gender = 'male' THEN 1 END) as male_count,
+                  COUNT(CASE WHEN r.gender = 'female' THEN 1 END) as female_count,
+                  COUNT(CASE WHEN r.is_pregnant = true THEN 1 END) as pregnant_count,
+                  COUNT(CASE WHEN r.gender = 'male' AND EXISTS(
+                      SELECT 1 FROM breeding_records br 
+                      WHERE br.boar_id = r.pig_id AND br.farm_id = r.farm_id AND br.is_deleted = 0
+                  ) THEN 1 END) as breeder_boar_count,
+                  JSON_AGG(
+                      JSON_BUILD_OBJECT(
+                          'breed', COALESCE(r.breed, 'Unknown'),
+                          'gender', r.gender
+                      )
+                  ) as breed_gender_data
+              FROM pigs r
+              WHERE r.farm_id = $1 AND r.is_deleted = 0
+          `;
+
+        const statsResult = await DatabaseHelper.executeQuery(statsQuery, [
+          farmId,
+        ]);
+        const stats = statsResult.rows[0];
+
+        // Process breed distribution
+        const breedDistribution = {};
+        if (stats.breed_gender_data) {
+          stats.breed_gender_data.forEach(item => {
+            const breed = item.breed || "Unknown";
+            if (!breedDistribution[breed]) {
+              breedDistribution[breed] = { males: 0, females: 0, total: 0 };
+            }
+            if (item.gender === "male") {
+              breedDistribution[breed].males++;
+            } else if (item.gender === "female") {
+              breedDistribution[breed].females++;
+            }
+            breedDistribution[breed].total++;
+          });
+        }
+
+        return {
+          totalPigs: Number.parseInt(stats.total_pigs),
+          maleCount: Number.parseInt(stats.male_count),
+          femaleCount: Number.parseInt(stats.female_count),
+          pregnantCount: Number.parseInt(stats.pregnant_count),
+          breederBoarCount: Number.parseInt(stats.breeder_boar_count),
+          breedDistribution: breedDistribution,
+        };
+      });
+    } catch (error) {
+      logger.error(
+        `Error fetching pig statistics for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
   static async getAllPigDetails(farmId, options = {}) {
     try {
       const {
@@ -538,49 +640,8 @@ class PigsService {
         }
       }
 
-      // Get overall farm statistics (unfiltered)
-      const statsQuery = `
-            SELECT 
-                COUNT(*) as total_pigs,
-                COUNT(CASE WHEN r.gender = 'male' THEN 1 END) as male_count,
-                COUNT(CASE WHEN r.gender = 'female' THEN 1 END) as female_count,
-                COUNT(CASE WHEN r.is_pregnant = true THEN 1 END) as pregnant_count,
-                COUNT(CASE WHEN r.gender = 'male' AND EXISTS(
-                    SELECT 1 FROM breeding_records br 
-                    WHERE br.boar_id = r.pig_id AND br.farm_id = r.farm_id AND br.is_deleted = 0
-                ) THEN 1 END) as breeder_boar_count,
-                JSON_AGG(
-                    JSON_BUILD_OBJECT(
-                        'breed', COALESCE(r.breed, 'Unknown'),
-                        'gender', r.gender
-                    )
-                ) as breed_gender_data
-            FROM pigs r
-            ${baseWhereClause}
-        `;
-
-      const statsResult = await DatabaseHelper.executeQuery(
-        statsQuery,
-        baseParams
-      );
-      const stats = statsResult.rows[0];
-
-      // Process breed distribution
-      const breedDistribution = {};
-      if (stats.breed_gender_data) {
-        stats.breed_gender_data.forEach(item => {
-          const breed = item.breed || "Unknown";
-          if (!breedDistribution[breed]) {
-            breedDistribution[breed] = { males: 0, females: 0, total: 0 };
-          }
-          if (item.gender === "male") {
-            breedDistribution[breed].males++;
-          } else if (item.gender === "female") {
-            breedDistribution[breed].females++;
-          }
-          breedDistribution[breed].total++;
-        });
-      }
+      // Overall farm statistics (unfiltered), cached per farm
+      const statistics = await PigsService.getPigStatistics(farmId);
 
       // Get filtered count for pagination
       const countQuery = `
@@ -681,14 +742,7 @@ class PigsService {
           hasNextPage: page < Math.ceil(filteredTotalItems / limit),
           hasPreviousPage: page > 1,
         },
-        statistics: {
-          totalPigs: Number.parseInt(stats.total_pigs),
-          maleCount: Number.parseInt(stats.male_count),
-          femaleCount: Number.parseInt(stats.female_count),
-          pregnantCount: Number.parseInt(stats.pregnant_count),
-          breederBoarCount: Number.parseInt(stats.breeder_boar_count),
-          breedDistribution: breedDistribution,
-        },
+        statistics,
       };
     } catch (error) {
       logger.error(
@@ -827,6 +881,15 @@ class PigsService {
         [uuidv4(), new_pen_id, pigId, farmId]
       );
 
+      await AuditService.record({
+        farm_id: farmId,
+        action: "transfer",
+        entity_type: "pig",
+        entity_id: pigId,
+        old_values: { ...currentPig, pen_name: oldPenName },
+        new_values: { ...transferredPig, pen_name: newPenName, transfer_reason, transfer_notes },
+        user_id: userId,
+      });
       logger.info(`Pig ${pigId} transferred from ${oldPenName} to ${newPenName} by user ${userId}`);
 
       return {
@@ -0,0 +1,70 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+
+export const PLAN_CURRENCIES = ["KES", "USD", "UGX"];
+
+// Length of the subscription period each billing period buys, as a Postgres interval
+export const BILLING_PERIOD_INTERVALS = {
+  monthly: "1 month",
+  annual: "1 year",
+};
+
+class PlansService {
+  /**
+   * Active plans, cheapest tier and shortest period first
+   * @param {Object} [options] - { currency } to only return plans sold in that currency, with its price as amount
+   */
+  static async getPlans({ currency } = {}) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `SELECT id, tier, name, billing_period, prices FROM subscription_plans
+                 WHERE is_active = true
+                 ORDER BY array_position(ARRAY['standard', 'advanced'], tier::text),
+                          array_position(ARRAY['monthly', 'annual'], billing_period::text)`
+      );
+      if (!currency) return result.rows;
+
+      return result.rows
+        .filter((plan) => plan.prices?.[currency] !== undefined)
+        .map((plan) => ({ ...plan, currency, amount: Number(plan.prices[currency]) }));
+    } catch (error) {
+      logger.error(`Error fetching subscription plans: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} planId - subscription_plans.id, e.g. standard_monthly
+   * @param {Object} [options] - { includeInactive } to also find plans no longer sold, for payments made before
+   * @throws {ValidationError} - When the plan does not exist or is no longer sold
+   */
+  static async getPlan(planId, { includeInactive = false } = {}) {
+    const result = await DatabaseHelper.executeQuery(
+      `SELECT * FROM subscription_plans WHERE id = $1${includeInactive ? "" : " AND is_active = true"}`,
+      [planId]
+    );
+    if (result.rows.length === 0) {
+      throw new ValidationError(`Unknown subscription plan: ${planId}`);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Server-side price of a plan
+   * @returns {Promise<Object>} - { plan, currency, amount }
+   * @throws {ValidationError} - When the plan is not sold in the currency
+   */
+  static async quote(planId, currency) {
+    const plan = await PlansService.getPlan(planId);
+    const amount = plan.prices?.[currency];
+    if (amount === undefined) {
+      throw new ValidationError(
+        `The ${plan.name} plan is not available in ${currency}. Available currencies: ${Object.keys(plan.prices).join(", ")}`
+      );
+    }
+    return { plan, currency, amount: Number(amount) };
+  }
+}
+
+export default PlansService;
@@ -0,0 +1,308 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+import { PdfDocument } from "../utils/pdf.js";
+import EmailService from "./email.services.js";
+
+// Payments that took money and so have a receipt
+const RECEIPT_STATUSES = ["success", "partially_refunded", "refunded"];
+const PAYMENT_METHODS = {
+  mpesa: "M-Pesa",
+  card: "Card",
+  stripe: "Card",
+  dpogroup: "DPO Group",
+  paypal: "PayPal",
+};
+
+const invoicePrefix = () => process.env.INVOICE_PREFIX || "INV";
+
+// Plan prices include VAT; VAT_RATE is a percentage (16 is Kenyan standard-rated VAT)
+const vatRate = () => {
+  const parsed = Number.parseFloat(process.env.VAT_RATE ?? "16");
+  return Number.isNaN(parsed) ? 16 : Math.max(parsed, 0);
+};
+
+const seller = () => ({
+  name: process.env.BUSINESS_NAME || "Pig Farm",
+  address: process.env.BUSINESS_ADDRESS || "",
+  taxPin: process.env.BUSINESS_TAX_PIN || "",
+  email: process.env.BUSINESS_EMAIL || process.env.EMAIL_USER || "",
+  phone: process.env.BUSINESS_PHONE || "",
+});
+
+const formatMoney = (currency, value) =>
+  `${currency} ${Number(value).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" })
+    : "";
+
+class ReceiptsService {
+  /**
+   * Give a completed payment the next invoice number, once. Also fixes the VAT rate the receipt shows.
+   * @returns {Promise<Object>} - The payments row with invoice_number, invoice_issued_at and vat_rate
+   * @throws {ValidationError} - When the payment has not completed
+   */
+  static async issueInvoiceNumber(paymentId) {
+    const result = await DatabaseHelper.executeQuery(
+      `UPDATE payments
+             SET invoice_number = COALESCE(
+                   invoice_number,
+                   $2 || '-' || to_char(CURRENT_TIMESTAMP, 'YYYY') || '-' || lpad(nextval('invoice_number_seq')::text, 6, '0')
+                 ),
+                 invoice_issued_at = COALESCE(invoice_issued_at, CURRENT_TIMESTAMP),
+                 vat_rate = COALESCE(vat_rate, $3)
+             WHERE id = $1 AND is_deleted = 0 AND status = ANY($4)
+             RETURNING *`,
+      [paymentId, invoicePrefix(), vatRate(), RECEIPT_STATUSES]
+    );
+    if (result.rows.length === 0) {
+      throw new ValidationError("Receipts are only available for completed payments");
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Everything a receipt shows: seller, payer and farm, line item, VAT breakdown and payment reference
+   * @param {Object} payment - payments row with an invoice number
+   */
+  static async getReceiptData(payment) {
+    const details = await DatabaseHelper.executeQuery(
+      `SELECT u.name AS user_name, u.email AS user_email, u.phone AS user_phone,
+                    f.name AS farm_name, f.location AS farm_location, f.settings->>'tax_pin' AS farm_tax_pin,
+                    sp.name AS plan_name, sp.billing_period
+             FROM users u
+             LEFT JOIN farms f ON f.id = $2
+             LEFT JOIN subscription_plans sp ON sp.id = $3
+             WHERE u.id = $1`,
+      [payment.user_id, payment.farm_id, payment.plan_id]
+    );
+    const row = details.rows[0] || {};
+
+    const total = Number(payment.amount);
+    const rate = Number(payment.vat_rate ?? vatRate());
+    const subtotal = Math.round((total / (1 + rate / 100)) * 100) / 100;
+    const refunded = Number(payment.refunded_amount || 0);
+    const isMpesa = payment.payment_mode === "mpesa";
+
+    return {
+      seller: seller(),
+      invoiceNumber: payment.invoice_number,
+      issuedAt: payment.invoice_issued_at,
+      status: payment.status,
+      buyer: {
+        name: row.user_name || "",
+        email: row.user_email || "",
+        phone: payment.phone_number || row.user_phone || "",
+        farmName: row.farm_name || "",
+        farmLocation: row.farm_location || "",
+        taxPin: row.farm_tax_pin || "",
+      },
+      item: {
+        description: row.plan_name
+          ? `${row.plan_name} subscription (${row.billing_period})`
+          : `${payment.plan} subscription`,
+        periodStart: payment.period_start,
+        periodEnd: payment.period_end,
+      },
+      currency: payment.currency,
+      subtotal,
+      vatRate: rate,
+      vat: Math.round((total - subtotal) * 100) / 100,
+      total,
+      refunded,
+      paymentMethod: PAYMENT_METHODS[payment.payment_mode] || payment.payment_mode,
+      referenceLabel: isMpesa ? "M-Pesa receipt" : "Transaction reference",
+      reference: (isMpesa && payment.metadata?.mpesa_receipt) || payment.transaction_id || "",
+      paidAt: payment.created_at,
+    };
+  }
+
+  /**
+   * @param {Object} data - From getReceiptData
+   * @returns {Buffer} - PDF receipt
+   */
+  static renderReceiptPdf(data) {
+    const doc = new PdfDocument({ title: `Receipt ${data.invoiceNumber}` });
+    const left = 50;
+    const right = 545;
+    const money = (value) => formatMoney(data.currency, value);
+
+    doc.text("RECEIPT", left, 70, { size: 22, bold: true });
+    doc.text(data.seller.name, right, 60, { size: 12, bold: true, align: "right" });
+    let y = 76;
+    for (const line of [
+      data.seller.address,
+      data.seller.taxPin && `PIN: ${data.seller.taxPin}`,
+      data.seller.email,
+      data.seller.phone,
+    ].filter(Boolean)) {
+      doc.text(line, right, y, { size: 9, align: "right", gray: 0.3 });
+      y += 13;
+    }
+
+    y = Math.max(y, 110) + 20;
+    doc.text("Receipt number", left, y, { size: 9, gray: 0.4 });
+    doc.text(data.invoiceNumber, left + 110, y, { size: 10, bold: true });
+    doc.text("Date", left, y + 16, { size: 9, gray: 0.4 });
+    doc.text(formatDate(data.issuedAt), left + 110, y + 16);
+    doc.text("Paid", left, y + 32, { size: 9, gray: 0.4 });
+    doc.text(formatDate(data.paidAt), left + 110, y + 32);
+
+    doc.text("Billed to", 330, y, { size: 9, gray: 0.4 });
+    let billedY = y + 16;
+    for (const line of [
+      data.buyer.farmName,
+      data.buyer.farmLocation,
+      data.buyer.taxPin && `PIN: ${data.buyer.taxPin}`,
+      data.buyer.name,
+      data.buyer.email,
+      data.buyer.phone,
+    ].filter(Boolean)) {
+      doc.text(line, 330, billedY, { size: 10 });
+      billedY += 14;
+    }
+
+    y = Math.max(y + 48, billedY) + 30;
+    doc.text("Description", left, y, { size: 9, bold: true });
+    doc.text("Period", 300, y, { size: 9, bold: true });
+    doc.text("Amount", right, y, { size: 9, bold: true, align: "right" });
+    doc.rule(left, right, y + 8);
+
+    y += 26;
+    doc.text(data.item.description, left, y);
+    if (data.item.periodStart && data.item.periodEnd) {
+      doc.text(`${formatDate(data.item.periodStart)} - ${formatDate(data.item.periodEnd)}`, 300, y);
+    }
+    doc.text(money(data.subtotal), right, y, { align: "right" });
+    doc.rule(left, right, y + 12);
+
+    y += 32;
+    const totals = [
+      ["Subtotal (excl. VAT)", money(data.subtotal)],
+      [`VAT ${data.vatRate}%`, money(data.vat)],
+    ];
+    for (const [label, value] of totals) {
+      doc.text(label, 380, y, { size: 10, gray: 0.3 });
+      doc.text(value, right, y, { align: "right" });
+      y += 18;
+    }
+    doc.rule(380, right, y - 6);
+    doc.text("Total", 380, y + 8, { size: 12, bold: true });
+    doc.text(money(data.total), right, y + 8, { size: 12, bold: true, align: "right" });
+    y += 30;
+
+    if (data.refunded > 0) {
+      doc.text("Refunded", 380, y, { size: 10, gray: 0.3 });
+      doc.text(`- ${money(data.refunded)}`, right, y, { align: "right" });
+      doc.text("Net paid", 380, y + 18, { size: 10, bold: true });
+      doc.text(money(data.total - data.refunded), right, y + 18, { bold: true, align: "right" });
+      y += 36;
+    }
+
+    y += 20;
+    doc.text("Payment", left, y, { size: 9, bold: true });
+    doc.rule(left, right, y + 8);
+    doc.text("Method", left, y + 26, { size: 9, gray: 0.4 });
+    doc.text(data.paymentMethod, left + 110, y + 26);
+    doc.text(data.referenceLabel, left, y + 42, { size: 9, gray: 0.4 });
+    doc.text(data.reference, left + 110, y + 42, { bold: true });
+
+    doc.text(
+      `Amounts include VAT at ${data.vatRate}%. Thank you for your business.`,
+      left,
+      790,
+      { size: 8, gray: 0.4 }
+    );
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * PDF receipt of one of the user's payments
+   * @returns {Promise<Object>} - { filename, content, payment }
+   * @throws {ValidationError} - When the payment is not the user's or has not completed
+   */
+  static async generateReceipt(paymentId, userId) {
+    try {
+      const owned = await DatabaseHelper.executeQuery(
+        "SELECT id FROM payments WHERE id = $1 AND user_id = $2 AND is_deleted = 0",
+        [paymentId, userId]
+      );
+      if (owned.rows.length === 0) {
+        throw new ValidationError("Payment not found");
+      }
+
+      const payment = await ReceiptsService.issueInvoiceNumber(paymentId);
+      const data = await ReceiptsService.getReceiptData(payment);
+      return {
+        filename: `receipt-${payment.invoice_number}.pdf`,
+        content: ReceiptsService.renderReceiptPdf(data),
+        payment,
+      };
+    } catch (error) {
+      logger.error(`Error generating receipt for payment ${paymentId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue the invoice number of a just-completed payment and email the receipt to the payer.
+   * Never fails the payment flow; the receipt can still be downloaded later.
+   */
+  static async sendReceipt(payment) {
+    try {
+      const issued = await ReceiptsService.issueInvoiceNumber(payment.id);
+      const data = await ReceiptsService.getReceiptData(issued);
+      if (!data.buyer.email) return;
+
+      const content = ReceiptsService.renderReceiptPdf(data);
+      const emailService = new EmailService({}, logger);
+      const emailResult = await emailService.sendEmail(
+        {
+          to: data.buyer.email,
+          subject: `Receipt ${data.invoiceNumber} - Pig Farm`,
+          text: `We received your payment of ${formatMoney(data.currency, data.total)}. ${data.referenceLabel}: ${data.reference}. Your receipt ${data.invoiceNumber} is attached.`,
+          templatePath: "src/templates/payment-receipt.html",
+          appName: "Pig Farm",
+          name: data.buyer.name || "there",
+          farmName: data.buyer.farmName || "your farm",
+          planName: data.item.description,
+          invoiceNumber: data.invoiceNumber,
+          issuedAt: formatDate(data.issuedAt),
+          period:
+            data.item.periodStart && data.item.periodEnd
+              ? `${formatDate(data.item.periodStart)} - ${formatDate(data.item.periodEnd)}`
+              : "-",
+          total: formatMoney(data.currency, data.total),
+          vat: formatMoney(data.currency, data.vat),
+          vatRate: String(data.vatRate),
+          paymentMethod: data.paymentMethod,
+          referenceLabel: data.referenceLabel,
+          reference: data.reference,
+          attachments: [
+            {
+              filename: `receipt-${data.invoiceNumber}.pdf`,
+              content,
+              contentType: "application/pdf",
+            },
+          ],
+          user_id: payment.user_id,
+          farm_id: payment.farm_id,
+        },
+        "payment_receipt"
+      );
+      if (!emailResult.success) {
+        logger.warn(`Failed to send receipt ${data.invoiceNumber} to ${data.buyer.email}: ${emailResult.message}`);
+      }
+    } catch (error) {
+      logger.warn(`Receipt for payment ${payment.id} not sent: ${error.message}`);
+    }
+  }
+}
+
+export default ReceiptsService;
@@ -0,0 +1,308 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+import { convertFeedAmount } from "../utils/feedUnits.js";
+import {
+  getFiscalYear,
+  getFiscalYearRange,
+  getDateRangeForReport,
+  formatDateForDatabase,
+} from "../utils/dateHelpers.js";
+
+const GROUP_BY_OPTIONS = ["month", "quarter", "pen", "row"];
+const REPORT_RANGES = ["week", "month", "quarter", "year", "all"];
+const UNALLOCATED = "unallocated";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Fiscal quarter label for a date, e.g. "FY2025 Q2"
+ * Quarters follow FISCAL_YEAR_START_MONTH, same as getFiscalYear
+ */
+const getFiscalQuarterKey = (date) => {
+  const fiscalYearStartMonth = parseInt(process.env.FISCAL_YEAR_START_MONTH || 1);
+  const month = date.getMonth() + 1;
+  const quarter = Math.floor(((month - fiscalYearStartMonth + 12) % 12) / 3) + 1;
+  return `FY${getFiscalYear(date)} Q${quarter}`;
+};
+
+const emptyGroup = (key, label) => ({
+  key,
+  label,
+  revenue: 0,
+  feed_cost: 0,
+  acquisition_cost: 0,
+  cost_of_sales: 0,
+  gross_profit: 0,
+  gross_margin: null,
+  operating_expenses: 0,
+  net_profit: 0,
+});
+
+class ReportsService {
+  /**
+   * Resolve the reporting window.
+   * Explicit from/to wins, then a named range (getDateRangeForReport),
+   * otherwise the requested (or current) fiscal year.
+   */
+  static resolveReportRange({ from, to, range, fiscal_year }) {
+    if (from || to) {
+      const { startISO } = getDateRangeForReport("all");
+      return {
+        from: from ? formatDateForDatabase(from) : startISO,
+        to: to ? formatDateForDatabase(to) : formatDateForDatabase(new Date()),
+      };
+    }
+    if (range) {
+      if (!REPORT_RANGES.includes(range)) {
+        throw new ValidationError(
+          `Invalid range: ${range}. Must be one of ${REPORT_RANGES.join(", ")}`
+        );
+      }
+      const { startISO, endISO } = getDateRangeForReport(range);
+      return { from: startISO, to: endISO };
+    }
+    const fiscalYear = fiscal_year ? parseInt(fiscal_year, 10) : getFiscalYear();
+    if (isNaN(fiscalYear)) {
+      throw new ValidationError("fiscal_year must be a valid year");
+    }
+    const { start, end } = getFiscalYearRange(fiscalYear);
+    return {
+      from: formatDateForDatabase(start),
+      to: formatDateForDatabase(end),
+      fiscal_year: fiscalYear,
+    };
+  }
+
+  /**
+   * Farm profit-and-loss statement
+   * Revenue comes from earnings_records; cost of sales is feed consumed (feeding_records priced
+   * at feed_inventory.cost_per_unit) plus pigs.acquisition_cost; operating expenses come from expenses.
+   * Expenses in the "feed" category are left out because feed is already costed from consumption.
+   * @param {string} farmId - Farm UUID
+   * @param {Object} options - from, to, range, fiscal_year, group_by
+   * @returns {Promise<Object>} - Period, per-group lines and totals
+   */
+  static async getProfitAndLoss(farmId, { from, to, range, fiscal_year, group_by = "month" } = {}) {
+    if (!GROUP_BY_OPTIONS.includes(group_by)) {
+      throw new ValidationError(
+        `Invalid group_by: ${group_by}. Must be one of ${GROUP_BY_OPTIONS.join(", ")}`
+      );
+    }
+
+    try {
+      const period = ReportsService.resolveReportRange({ from, to, range, fiscal_year });
+      if (period.from > period.to) {
+        throw new ValidationError("from must be on or before to");
+      }
+
+      const farmResult = await DatabaseHelper.executeQuery(
+        "SELECT id, currency FROM farms WHERE id = $1 AND is_deleted = 0",
+        [farmId]
+      );
+      if (farmResult.rows.length === 0) {
+        throw new ValidationError("Farm not found");
+      }
+      const currency = farmResult.rows[0].currency;
+
+      const pensResult = await DatabaseHelper.executeQuery(
+        `SELECT p.id, p.name, p.row_id, r.name AS row_name
+                FROM pens p
+                LEFT JOIN rows r ON p.row_id = r.id
+                WHERE p.farm_id = $1`,
+        [farmId]
+      );
+      const pens = new Map(pensResult.rows.map((pen) => [pen.id, pen]));
+
+      const earningsResult = await DatabaseHelper.executeQuery(
+        `SELECT er.amount, er.currency, er.date, COALESCE(er.pen_id, p.pen_id) AS pen_id
+                FROM earnings_records er
+                LEFT JOIN pigs p ON er.pig_id = p.pig_id
+                WHERE er.farm_id = $1 AND er.is_deleted = 0
+                AND er.date BETWEEN $2 AND $3`,
+        [farmId, period.from, period.to]
+      );
+      const expensesResult = await DatabaseHelper.executeQuery(
+        `SELECT category, amount, currency, date
+                FROM expenses
+                WHERE farm_id = $1 AND is_deleted = 0
+                AND date BETWEEN $2 AND $3`,
+        [farmId, period.from, period.to]
+      );
+      const feedingResult = await DatabaseHelper.executeQuery(
+        `SELECT feed_type, amount, unit, feeding_time, pen_id
+                FROM feeding_records
+                WHERE farm_id = $1 AND is_deleted = 0
+                AND feeding_time::date BETWEEN $2 AND $3`,
+        [farmId, period.from, period.to]
+      );
+      const inventoryResult = await DatabaseHelper.executeQuery(
+        `SELECT feed_type, unit, cost_per_unit, COALESCE(purchase_date, created_at::date) AS purchase_date
+                FROM feed_inventory
+                WHERE farm_id = $1 AND cost_per_unit IS NOT NULL
+                ORDER BY purchase_date ASC NULLS FIRST, created_at ASC`,
+        [farmId]
+      );
+      const acquisitionsResult = await DatabaseHelper.executeQuery(
+        `SELECT acquisition_cost, COALESCE(acquisition_date, created_at::date) AS acquisition_date, pen_id
+                FROM pigs
+                WHERE farm_id = $1 AND is_deleted = 0 AND acquisition_cost > 0
+                AND COALESCE(acquisition_date, created_at::date) BETWEEN $2 AND $3`,
+        [farmId, period.from, period.to]
+      );
+
+      const groups = new Map();
+      const resolveGroup = (date, penId) => {
+        let key;
+        let label;
+        if (group_by === "month") {
+          key = formatDateForDatabase(date).slice(0, 7);
+          label = key;
+        } else if (group_by === "quarter") {
+          key = getFiscalQuarterKey(new Date(date));
+          label = key;
+        } else {
+          const pen = penId ? pens.get(penId) : null;
+          if (group_by === "pen") {
+            key = pen ? pen.id : UNALLOCATED;
+            label = pen ? pen.name : "Unallocated";
+          } else {
+            key = pen?.row_id || UNALLOCATED;
+            label = pen?.row_id ? pen.row_name : "Unallocated";
+          }
+        }
+        if (!groups.has(key)) groups.set(key, emptyGroup(key, label));
+        return groups.get(key);
+      };
+
+      const otherCurrencies = new Set();
+      const expensesByCategory = {};
+      let excludedFeedPurchases = 0;
+      let unpricedFeedRecords = 0;
+
+      for (const earning of earningsResult.rows) {
+        if (earning.currency && earning.currency !== currency) {
+          otherCurrencies.add(earning.currency);
+        }
+        resolveGroup(earning.date, earning.pen_id).revenue += parseFloat(earning.amount);
+      }
+
+      for (const expense of expensesResult.rows) {
+        if (expense.currency && expense.currency !== currency) {
+          otherCurrencies.add(expense.currency);
+        }
+        const amount = parseFloat(expense.amount);
+        if (expense.category?.toLowerCase() === "feed") {
+          excludedFeedPurchases += amount;
+          continue;
+        }
+        // expenses are not tied to a pen, so pen/row reports carry them as unallocated
+        resolveGroup(expense.date, null).operating_expenses += amount;
+        expensesByCategory[expense.category] =
+          (expensesByCategory[expense.category] || 0) + amount;
+      }
+
+      // Price each feeding at the latest batch of that feed bought on or before the feeding date
+      const batchesByType = new Map();
+      for (const batch of inventoryResult.rows) {
+        const key = batch.feed_type.toLowerCase();
+        if (!batchesByType.has(key)) batchesByType.set(key, []);
+        batchesByType.get(key).push(batch);
+      }
+      for (const record of feedingResult.rows) {
+        const batches = batchesByType.get(record.feed_type.toLowerCase()) || [];
+        const fedOn = formatDateForDatabase(record.feeding_time);
+        const priced =
+          [...batches]
+            .reverse()
+            .find((batch) => formatDateForDatabase(batch.purchase_date) <= fedOn) ||
+          batches[0];
+        const quantity = priced
+          ? convertFeedAmount(record.amount, record.unit || "grams", priced.unit)
+          : null;
+        if (quantity === null) {
+          unpricedFeedRecords++;
+          continue;
+        }
+        resolveGroup(record.feeding_time, record.pen_id).feed_cost +=
+          quantity * parseFloat(priced.cost_per_unit);
+      }
+
+      for (const pig of acquisitionsResult.rows) {
+        resolveGroup(pig.acquisition_date, pig.pen_id).acquisition_cost += parseFloat(
+          pig.acquisition_cost
+        );
+      }
+
+      const totals = emptyGroup("total", "Total");
+      const lines = [...groups.values()]
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .map((group) => {
+          group.cost_of_sales = group.feed_cost + group.acquisition_cost;
+          group.gross_profit = group.revenue - group.cost_of_sales;
+          group.net_profit = group.gross_profit - group.operating_expenses;
+          for (const field of [
+            "revenue",
+            "feed_cost",
+            "acquisition_cost",
+            "cost_of_sales",
+            "gross_profit",
+            "operating_expenses",
+            "net_profit",
+          ]) {
+            totals[field] += group[field];
+            group[field] = roundMoney(group[field]);
+          }
+          group.gross_margin =
+            group.revenue > 0
+              ? roundMoney((group.gross_profit / group.revenue) * 100)
+              : null;
+          return group;
+        });
+
+      totals.gross_margin =
+        totals.revenue > 0
+          ? roundMoney((totals.gross_profit / totals.revenue) * 100)
+          : null;
+      for (const field of Object.keys(totals)) {
+        if (typeof totals[field] === "number" && field !== "gross_margin") {
+          totals[field] = roundMoney(totals[field]);
+        }
+      }
+      for (const category of Object.keys(expensesByCategory)) {
+        expensesByCategory[category] = roundMoney(expensesByCategory[category]);
+      }
+
+      const warnings = [];
+      if (otherCurrencies.size > 0) {
+        warnings.push(
+          `Records in ${[...otherCurrencies].join(", ")} are summed as ${currency} without conversion`
+        );
+      }
+      if (unpricedFeedRecords > 0) {
+        warnings.push(
+          `${unpricedFeedRecords} feeding records could not be priced (no matching inventory batch with cost_per_unit or incompatible unit)`
+        );
+      }
+
+      return {
+        farm_id: farmId,
+        currency,
+        period,
+        group_by,
+        lines,
+        totals,
+        expenses_by_category: expensesByCategory,
+        excluded_feed_purchases: roundMoney(excludedFeedPurchases),
+        warnings,
+      };
+    } catch (error) {
+      logger.error(
+        `Error building profit and loss report for farm ${farmId}: ${error.message}`
+      );
+      throw error;
+    }
+  }
+}
+
+export default ReportsService;
@@ -1,6 +1,9 @@
 import { DatabaseHelper } from "../config/database.js";
 import logger from "../middleware/logger.js";
 import { ValidationError } from "../middleware/errors.js";
+import AuditService from "./audit.services.js";
+import CacheService, { CACHE_KEYS } from "./cache.services.js";
+import EntitlementsService from "./entitlements.services.js";
 
 class RowsService {
   static generateLevels(numLevels) {
@@ -44,6 +47,11 @@ class RowsService {
       if (existingRow.rows.length > 0) {
         throw new ValidationError("Row already exists");
       }
+      // a new row comes with one pen per unit of capacity
+      await EntitlementsService.assertWithinLimits(farm_id, {
+        max_rows: 1,
+        max_pens: capacity,
+      });
 
       // Insert row
       const rowResult = await DatabaseHelper.executeQuery(
@@ -86,6 +94,15 @@ class RowsService {
         [result.rows.id]
       );
       result.pens = penResults.rows;
+      await AuditService.record({
+        farm_id,
+        action: "create",
+        entity_type: "row",
+        entity_id: result.rows.id,
+        new_values: { ...result.rows, pen_count: result.pens.length },
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farm_id, "rows");
       logger.info(
         `Row ${result.rows.id} (${name}) created with ${
           pens.length
@@ -128,6 +145,16 @@ class RowsService {
         "UPDATE rows SET capacity = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND farm_id = $3 AND is_deleted = 0 RETURNING *",
         [newCapacity, row_id, farmId]
       );
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "row",
+        entity_id: row_id,
+        old_values: currentRow,
+        new_values: updatedRowResult.rows[0],
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farmId, "rows");
       logger.info(
         `Row ${row_id} (${currentRow.name}) expanded by ${additionalCapacity} pens to total capacity ${newCapacity} by user ${userId}`
       );
@@ -156,11 +183,13 @@ class RowsService {
 
   static async getAllRows(farmId) {
     try {
-      const result = await DatabaseHelper.executeQuery(
-        "SELECT * FROM rows WHERE farm_id = $1 AND is_deleted = 0 ORDER BY created_at DESC",
-        [farmId]
-      );
-      return result.rows;
+      return await CacheService.remember(CACHE_KEYS.rows(farmId), async () => {
+        const result = await DatabaseHelper.executeQuery(
+          "SELECT * FROM rows WHERE farm_id = $1 AND is_deleted = 0 ORDER BY created_at DESC",
+          [farmId]
+        );
+        return result.rows;
+      });
     } catch (error) {
       logger.error(`Error fetching rows for farm ${farmId}: ${error.message}`);
       throw error;
@@ -170,6 +199,7 @@ class RowsService {
   static async updateRow(rowId, farmId, rowData, userId) {
     const { capacity, description, levels, name } = rowData ?? {};
     try {
+      const currentRow = await RowsService.getRowById(rowId, farmId);
       const result = await DatabaseHelper.executeQuery(
         "UPDATE rows SET capacity = $1, description = $2, levels = $3, name = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 AND farm_id = $6 AND is_deleted = 0 RETURNING *",
         [capacity, description || null, levels, name, rowId, farmId]
@@ -177,6 +207,16 @@ class RowsService {
       if (result.rows.length === 0) {
         throw new ValidationError("Row not found");
       }
+      await AuditService.record({
+        farm_id: farmId,
+        action: "update",
+        entity_type: "row",
+        entity_id: rowId,
+        old_values: currentRow,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farmId, "rows");
       logger.info(
         `Row ${rowId} (${result.rows[0].name}) updated by user ${userId}`
       );
@@ -189,6 +229,8 @@ class RowsService {
 
   static async deleteRow(rowId, farmId, userId) {
     try {
+      const currentRow = await RowsService.getRowById(rowId, farmId);
+
       // Check if row has pens with pigs inside first. If they have pigs, cannot delete
       const pigs = await DatabaseHelper.executeQuery(
         `SELECT * FROM pigs
@@ -213,6 +255,16 @@ class RowsService {
         "UPDATE pens SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE row_id = $1 AND farm_id = $2 AND is_deleted = 0",
         [rowId, farmId]
       );
+      await AuditService.record({
+        farm_id: farmId,
+        action: "delete",
+        entity_type: "row",
+        entity_id: rowId,
+        old_values: currentRow,
+        new_values: result.rows[0],
+        user_id: userId,
+      });
+      await CacheService.invalidateFarm(farmId, "rows");
       logger.info(
         `Row ${rowId} (${result.rows[0].name}) soft deleted by user ${userId}`
       );
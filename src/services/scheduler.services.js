@@ -0,0 +1,228 @@
+import os from "os";
+import cron from "node-cron";
+import dayjs from "dayjs";
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import { ValidationError } from "../middleware/errors.js";
+import AlertService from "./alerts.services.js";
+import ExpensesService from "./expenses.services.js";
+import FeedingService from "./feeding.services.js";
+import VaccinationService from "./vaccination.services.js";
+import SessionsService from "./sessions.services.js";
+import SubscriptionsService from "./subscriptions.services.js";
+import PaymentService from "./payment.service.js";
+import { resolveTimezone } from "../utils/timezone.js";
+
+// Local hour (in the farm's timezone) from which a farm's daily jobs may run
+const DAILY_JOB_HOUR = parseInt(process.env.DAILY_JOB_HOUR || 6);
+// A "running" lease older than this is treated as abandoned (crashed instance) and can be taken over
+const LEASE_TIMEOUT_MINUTES = parseInt(process.env.JOB_LEASE_TIMEOUT_MINUTES || 30);
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Daily per-farm jobs, run in this order once the farm's local day has reached DAILY_JOB_HOUR.
+ * Alert dispatch goes last so alerts raised by the earlier jobs are included.
+ */
+const DAILY_JOBS = [
+  {
+    name: "recurring_expenses",
+    run: (farm, runDate) =>
+      ExpensesService.generateRecurringExpenses(farm.id, runDate),
+  },
+  {
+    name: "vaccinations",
+    run: (farm, runDate) =>
+      VaccinationService.processDueVaccinations(farm.id, runDate),
+  },
+  {
+    name: "feed_stock_alerts",
+    run: (farm) => FeedingService.checkFeedStockAlerts(farm.id),
+  },
+  {
+    name: "alert_dispatch",
+    run: (farm) => AlertService.processDueAlerts(farm.id, farm.timezone),
+  },
+];
+
+/**
+ * Housekeeping jobs that are not tied to a farm. They are idempotent, so they run on every
+ * tick without a lease.
+ */
+const MAINTENANCE_JOBS = [
+  {
+    name: "auth_token_cleanup",
+    run: () => SessionsService.purgeExpired(),
+  },
+  {
+    name: "subscription_reminders",
+    run: (now) => SubscriptionsService.sendRenewalReminders(now),
+  },
+  {
+    name: "subscription_downgrades",
+    run: (now) => SubscriptionsService.downgradeLapsed(now),
+  },
+  {
+    name: "mpesa_reconciliation",
+    run: (now) => PaymentService.reconcilePendingMpesaPayments(now),
+  },
+];
+
+class SchedulerService {
+  static task = null;
+  static ticking = false;
+
+  static get jobNames() {
+    return [...DAILY_JOBS, ...MAINTENANCE_JOBS].map((job) => job.name);
+  }
+
+  /**
+   * Claim the lease row for a job run. Returns true when this instance owns the run.
+   * A run that failed, or whose owner stopped renewing it, may be claimed again.
+   */
+  static async acquireLease(jobName, farmId, runDate) {
+    const result = await DatabaseHelper.executeQuery(
+      `INSERT INTO scheduled_job_runs (job_name, farm_id, run_date, status, locked_by, started_at)
+                VALUES ($1, $2, $3, 'running', $4, CURRENT_TIMESTAMP)
+                ON CONFLICT (job_name, farm_id, run_date) DO UPDATE
+                SET status = 'running',
+                    locked_by = EXCLUDED.locked_by,
+                    started_at = CURRENT_TIMESTAMP,
+                    finished_at = NULL,
+                    error = NULL,
+                    attempts = scheduled_job_runs.attempts + 1
+                WHERE scheduled_job_runs.status = 'failed'
+                   OR (scheduled_job_runs.status = 'running'
+                       AND scheduled_job_runs.started_at < CURRENT_TIMESTAMP - ($5 || ' minutes')::interval)
+                RETURNING id`,
+      [jobName, farmId, runDate, INSTANCE_ID, String(LEASE_TIMEOUT_MINUTES)]
+    );
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  static async releaseLease(leaseId, status, { result = null, error = null } = {}) {
+    await DatabaseHelper.executeQuery(
+      `UPDATE scheduled_job_runs
+                SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+                WHERE id = $1`,
+      [leaseId, status, result ? JSON.stringify(result) : null, error]
+    );
+  }
+
+  /**
+   * Run the daily jobs for every farm whose local day has reached DAILY_JOB_HOUR.
+   * Each job/farm/local-date runs at most once across all instances thanks to the lease row.
+   * @param {Object} options
+   * @param {string} [options.farmId] - Only this farm
+   * @param {string} [options.job] - Only this job
+   * @param {boolean} [options.force] - Ignore DAILY_JOB_HOUR (the lease still applies)
+   * @returns {Promise<Array>} - One entry per job that ran
+   */
+  static async runDueJobs({ farmId, job, force = false, now = new Date() } = {}) {
+    const jobs = job ? DAILY_JOBS.filter((item) => item.name === job) : DAILY_JOBS;
+    // maintenance jobs are skipped when the run is limited to one farm
+    const maintenanceJobs = farmId
+      ? []
+      : MAINTENANCE_JOBS.filter((item) => !job || item.name === job);
+    if (jobs.length === 0 && maintenanceJobs.length === 0) {
+      throw new ValidationError(
+        `Unknown job: ${job}. Must be one of ${SchedulerService.jobNames.join(", ")}`
+      );
+    }
+
+    try {
+      const results = [];
+      for (const item of maintenanceJobs) {
+        try {
+          const counts = await item.run(now);
+          results.push({ job: item.name, status: "completed", ...counts });
+        } catch (error) {
+          logger.error(`Job ${item.name} failed: ${error.message}`);
+          results.push({ job: item.name, status: "failed", error: error.message });
+        }
+      }
+      if (jobs.length === 0) return results;
+
+      let query = "SELECT id, name, timezone FROM farms WHERE is_deleted = 0";
+      const params = [];
+      if (farmId) {
+        query += " AND id = $1";
+        params.push(farmId);
+      }
+      const farms = await DatabaseHelper.executeQuery(query, params);
+
+      for (const row of farms.rows) {
+        const farm = { ...row, timezone: resolveTimezone(row.timezone) };
+        const localNow = dayjs(now).tz(farm.timezone);
+        if (!force && localNow.hour() < DAILY_JOB_HOUR) continue;
+        const runDate = localNow.format("YYYY-MM-DD");
+
+        for (const item of jobs) {
+          const leaseId = await SchedulerService.acquireLease(item.name, farm.id, runDate);
+          if (!leaseId) continue;
+
+          try {
+            const output = await item.run(farm, runDate);
+            const summary = {
+              count: Array.isArray(output) ? output.length : undefined,
+            };
+            await SchedulerService.releaseLease(leaseId, "completed", { result: summary });
+            results.push({ job: item.name, farm_id: farm.id, run_date: runDate, status: "completed", ...summary });
+          } catch (error) {
+            logger.error(
+              `Job ${item.name} failed for farm ${farm.id} (${runDate}): ${error.message}`
+            );
+            await SchedulerService.releaseLease(leaseId, "failed", { error: error.message });
+            results.push({ job: item.name, farm_id: farm.id, run_date: runDate, status: "failed", error: error.message });
+          }
+        }
+      }
+
+      if (results.length > 0) {
+        logger.info(`Scheduler ran ${results.length} jobs on ${INSTANCE_ID}`);
+      }
+      return results;
+    } catch (error) {
+      logger.error(`Error running scheduled jobs: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the in-process scheduler. It ticks every 15 minutes (SCHEDULER_CRON) so each farm's
+   * jobs start shortly after DAILY_JOB_HOUR in its own timezone.
+   * Not started on Vercel, where Vercel Cron calls /api/v1/jobs/run instead. Hobby plans only allow
+   * daily crons, so that call passes force=true and runs every farm's day at 04:00 UTC whatever its local hour.
+   */
+  static start() {
+    if (process.env.VERCEL === "1" || process.env.SCHEDULER_ENABLED === "false") {
+      logger.info("In-process scheduler disabled");
+      return null;
+    }
+    if (SchedulerService.task) return SchedulerService.task;
+
+    const expression = process.env.SCHEDULER_CRON || "*/15 * * * *";
+    SchedulerService.task = cron.schedule(expression, async () => {
+      // skip a tick if the previous one is still running on this instance
+      if (SchedulerService.ticking) return;
+      SchedulerService.ticking = true;
+      try {
+        await SchedulerService.runDueJobs();
+      } catch (error) {
+        logger.error(`Scheduler tick failed: ${error.message}`);
+      } finally {
+        SchedulerService.ticking = false;
+      }
+    });
+    logger.info(`Scheduler started (${expression}) on ${INSTANCE_ID}`);
+    return SchedulerService.task;
+  }
+
+  static stop() {
+    if (SchedulerService.task) {
+      SchedulerService.task.stop();
+      SchedulerService.task = null;
+    }
+  }
+}
+
+export default SchedulerService;
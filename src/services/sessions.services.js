@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { validate as isUuid } from 'uuid';
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError, UnauthorizedError } from '../middleware/errors.js';
+
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_EXPIRY_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS || 30);
+// Revoked and expired sessions stay listed this long before the cleanup job removes them
+const SESSION_RETENTION_DAYS = 30;
+// last_seen_at is written at most this often per session
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+class SessionsService {
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { userId: user.id, roleId: user.role_id, sid: sessionId, type: 'access' },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_EXPIRY }
+        );
+    }
+
+    /**
+     * Store a new refresh token for the session and push the session's expiry forward
+     * @returns {Promise<string>} - The raw refresh token; only its hash is stored
+     */
+    static async issueRefreshToken(sessionId) {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * DAY_IN_MS);
+
+        await DatabaseHelper.executeQuery(
+            `INSERT INTO refresh_tokens (id, session_id, token_hash, expires_at, created_at)
+             VALUES (uuid_generate_v4(), $1, $2, $3, CURRENT_TIMESTAMP)`,
+            [sessionId, SessionsService.hashToken(refreshToken), expiresAt]
+        );
+        await DatabaseHelper.executeQuery(
+            'UPDATE user_sessions SET expires_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [sessionId, expiresAt]
+        );
+        return refreshToken;
+    }
+
+    /**
+     * Start a session for a user who just signed in
+     * @param {Object} user - { id, role_id }
+     * @param {Object} [client] - { userAgent, ip } of the signing-in device
+     * @returns {Promise<Object>} - { token, refresh_token, session_id }
+     */
+    static async createSession(user, { userAgent, ip } = {}) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO user_sessions (id, user_id, user_agent, ip_address, last_seen_at, expires_at, created_at, updated_at)
+                 VALUES (uuid_generate_v4(), $1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                 RETURNING id`,
+                [user.id, userAgent ? userAgent.slice(0, 500) : null, ip || null]
+            );
+            const sessionId = result.rows[0].id;
+            const refreshToken = await SessionsService.issueRefreshToken(sessionId);
+
+            return {
+                token: SessionsService.signAccessToken(user, sessionId),
+                refresh_token: refreshToken,
+                session_id: sessionId
+            };
+        } catch (error) {
+            logger.error(`Error creating session for user ${user.id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and refresh token.
+     * A refresh token that was already used means it leaked (or was replayed), so the
+     * whole session is revoked and the device has to sign in again.
+     * @returns {Promise<Object>} - { token, refresh_token, session_id }
+     */
+    static async refreshSession(refreshToken, { userAgent, ip } = {}) {
+        if (!refreshToken) {
+            throw new ValidationError('Refresh token is required');
+        }
+
+        try {
+            const tokenResult = await DatabaseHelper.executeQuery(
+                `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at,
+                        s.user_id, s.revoked_at, s.expires_at AS session_expires_at
+                 FROM refresh_tokens rt
+                 JOIN user_sessions s ON rt.session_id = s.id
+                 WHERE rt.token_hash = $1`,
+                [SessionsService.hashToken(refreshToken)]
+            );
+            if (tokenResult.rows.length === 0) {
+                throw new UnauthorizedError('Invalid refresh token');
+            }
+            const stored = tokenResult.rows[0];
+
+            if (stored.revoked_at) {
+                throw new UnauthorizedError('Session has been revoked');
+            }
+            if (stored.used_at) {
+                await SessionsService.revokeSessionById(stored.session_id, 'token_reuse');
+                logger.warn(`Refresh token reuse detected, session ${stored.session_id} of user ${stored.user_id} revoked`);
+                throw new UnauthorizedError('Refresh token has already been used. Please log in again.');
+            }
+            if (new Date(stored.expires_at) <= new Date() || new Date(stored.session_expires_at) <= new Date()) {
+                throw new UnauthorizedError('Session has expired. Please log in again.');
+            }
+
+            // only one request can use the token, even when two arrive at the same time
+            const claimed = await DatabaseHelper.executeQuery(
+                'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL RETURNING id',
+                [stored.id]
+            );
+            if (claimed.rows.length === 0) {
+                await SessionsService.revokeSessionById(stored.session_id, 'token_reuse');
+                logger.warn(`Refresh token reuse detected, session ${stored.session_id} of user ${stored.user_id} revoked`);
+                throw new UnauthorizedError('Refresh token has already been used. Please log in again.');
+            }
+
+            const userResult = await DatabaseHelper.executeQuery(
+                'SELECT id, role_id FROM users WHERE id = $1 AND is_deleted = 0 AND is_active = 1',
+                [stored.user_id]
+            );
+            if (userResult.rows.length === 0) {
+                await SessionsService.revokeSessionById(stored.session_id, 'user_inactive');
+                throw new UnauthorizedError('User not found or inactive');
+            }
+
+            const nextRefreshToken = await SessionsService.issueRefreshToken(stored.session_id);
+            await DatabaseHelper.executeQuery(
+                `UPDATE user_sessions
+                 SET last_seen_at = CURRENT_TIMESTAMP,
+                     ip_address = COALESCE($2, ip_address),
+                     user_agent = COALESCE($3, user_agent)
+                 WHERE id = $1`,
+                [stored.session_id, ip || null, userAgent ? userAgent.slice(0, 500) : null]
+            );
+
+            return {
+                token: SessionsService.signAccessToken(userResult.rows[0], stored.session_id),
+                refresh_token: nextRefreshToken,
+                session_id: stored.session_id
+            };
+        } catch (error) {
+            logger.error(`Refresh session error: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that the session was used, at most once every LAST_SEEN_INTERVAL_MS
+     * @param {Object} session - { id, last_seen_at }
+     */
+    static async touchSession(session, ip) {
+        const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+        if (Date.now() - lastSeen < LAST_SEEN_INTERVAL_MS) return;
+
+        await DatabaseHelper.executeQuery(
+            `UPDATE user_sessions
+             SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+             WHERE id = $1`,
+            [session.id, ip || null]
+        );
+    }
+
+    /**
+     * Active sessions of the user, most recently used first
+     * @param {string} currentSessionId - Session of the request, flagged with is_current
+     */
+    static async getSessions(userId, currentSessionId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT id, user_agent, ip_address, last_seen_at, expires_at, created_at
+                 FROM user_sessions
+                 WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                 ORDER BY last_seen_at DESC`,
+                [userId]
+            );
+            return result.rows.map(session => ({
+                ...session,
+                is_current: session.id === currentSessionId
+            }));
+        } catch (error) {
+            logger.error(`Error fetching sessions of user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async revokeSessionById(sessionId, reason) {
+        await DatabaseHelper.executeQuery(
+            `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+             WHERE id = $1 AND revoked_at IS NULL`,
+            [sessionId, reason]
+        );
+    }
+
+    /**
+     * Sign one of the user's devices out
+     */
+    static async revokeSession(userId, sessionId, reason = 'revoked') {
+        if (!isUuid(sessionId)) {
+            throw new ValidationError('Session not found');
+        }
+
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+                 WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+                 RETURNING id`,
+                [sessionId, userId, reason]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Session not found');
+            }
+            logger.info(`Session ${sessionId} of user ${userId} revoked (${reason})`);
+            return { id: sessionId, revoked: true };
+        } catch (error) {
+            logger.error(`Error revoking session ${sessionId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Sign the user out everywhere, except the session given in exceptSessionId
+     * @returns {Promise<Object>} - { revoked } number of sessions signed out
+     */
+    static async revokeAllSessions(userId, { exceptSessionId = null, reason = 'revoked' } = {}) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+                 WHERE user_id = $1 AND revoked_at IS NULL
+                 AND ($2::uuid IS NULL OR id <> $2::uuid)`,
+                [userId, exceptSessionId, reason]
+            );
+            logger.info(`${result.rowCount} sessions of user ${userId} revoked (${reason})`);
+            return { revoked: result.rowCount };
+        } catch (error) {
+            logger.error(`Error revoking sessions of user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete expired blacklist entries and refresh tokens, and sessions that ended
+     * more than SESSION_RETENTION_DAYS ago. Run by the scheduler.
+     * @returns {Promise<Object>} - Number of rows deleted per table
+     */
+    static async purgeExpired() {
+        try {
+            const blacklist = await DatabaseHelper.executeQuery(
+                'DELETE FROM token_blacklist WHERE expires_at < CURRENT_TIMESTAMP'
+            );
+            const refreshTokens = await DatabaseHelper.executeQuery(
+                'DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP'
+            );
+            const sessions = await DatabaseHelper.executeQuery(
+                `DELETE FROM user_sessions
+                 WHERE COALESCE(revoked_at, expires_at) < CURRENT_TIMESTAMP - ($1 || ' days')::interval`,
+                [String(SESSION_RETENTION_DAYS)]
+            );
+
+            const counts = {
+                token_blacklist: blacklist.rowCount,
+                refresh_tokens: refreshTokens.rowCount,
+                user_sessions: sessions.rowCount
+            };
+            logger.info(`Purged expired auth tokens: ${JSON.stringify(counts)}`);
+            return counts;
+        } catch (error) {
+            logger.error(`Error purging expired auth tokens: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default SessionsService;
@@ -0,0 +1,335 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import twilio from 'twilio';
+import { v4 as uuidv4 } from 'uuid';
+import { DatabaseHelper } from '../config/database.js';
+import FarmsService from './farms.services.js';
+import { getLocalDateString } from '../utils/timezone.js';
+
+// Twilio message statuses mapped onto the statuses kept in sms_logs
+const TWILIO_STATUS_MAP = {
+    accepted: 'queued',
+    scheduled: 'queued',
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'delivered',
+    undelivered: 'undelivered',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
+/**
+ * Sends SMS through the Twilio API
+ */
+export class TwilioSmsTransport {
+    constructor(config = {}) {
+        this.name = 'twilio';
+        this.config = {
+            accountSid: process.env.TWILIO_ACCOUNT_SID,
+            authToken: process.env.TWILIO_AUTH_TOKEN,
+            from: process.env.TWILIO_FROM_NUMBER,
+            messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+            ...config
+        };
+        this.client = null;
+    }
+
+    /**
+     * @param {Object} message - { to, body, statusCallback }
+     * @returns {Promise<Object>} - { id, status } as reported by Twilio
+     */
+    async send({ to, body, statusCallback }) {
+        const { accountSid, authToken, from, messagingServiceSid } = this.config;
+        if (!accountSid || !authToken || (!from && !messagingServiceSid)) {
+            throw new Error('Twilio is not configured');
+        }
+        if (!this.client) {
+            this.client = twilio(accountSid, authToken);
+        }
+
+        const message = await this.client.messages.create({
+            to,
+            body,
+            ...(messagingServiceSid ? { messagingServiceSid } : { from }),
+            ...(statusCallback && { statusCallback })
+        });
+        return { id: message.sid, status: message.status };
+    }
+}
+
+/**
+ * Writes messages to the log instead of sending them (local development, SMS_TRANSPORT=log)
+ */
+export class LogSmsTransport {
+    constructor(logger) {
+        this.name = 'log';
+        this.logger = logger || console;
+    }
+
+    async send({ to, body }) {
+        const id = `log-${uuidv4()}`;
+        this.logger.info(`SMS ${id} to ${to}: ${body}`);
+        return { id, status: 'delivered' };
+    }
+}
+
+/**
+ * SMS Service with a per-farm daily quota.
+ * The transport is pluggable: anything with `name` and `async send({ to, body, statusCallback })`
+ * returning `{ id, status }` can be passed in or set with setTransport().
+ */
+class SmsService {
+    constructor(config = {}, logger, transport) {
+        this.config = {
+            dailyFarmLimit: parseInt(process.env.SMS_DAILY_FARM_LIMIT || 20),
+            maxLength: parseInt(process.env.SMS_MAX_LENGTH || 480),
+            defaultCountryCode: process.env.SMS_DEFAULT_COUNTRY_CODE || '254',
+            statusCallbackUrl: process.env.SMS_STATUS_CALLBACK_URL || SmsService.defaultStatusCallbackUrl(),
+            ...config
+        };
+        this.logger = logger || console;
+        this.transport = transport || null;
+    }
+
+    static defaultStatusCallbackUrl() {
+        const baseUrl = process.env.NODE_ENV === 'production' ? process.env.PROD_BACKEND_URL : process.env.DEV_BACKEND_URL;
+        return baseUrl ? `${baseUrl.replace(/\/$/, '')}/api/v1/alerts/sms/status` : null;
+    }
+
+    /**
+     * Replace the transport (e.g. with a local fake)
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            this.transport = process.env.SMS_TRANSPORT === 'log'
+                ? new LogSmsTransport(this.logger)
+                : new TwilioSmsTransport();
+        }
+        return this.transport;
+    }
+
+    /**
+     * Normalise a stored phone number to E.164 (+254712345678).
+     * Local numbers starting with 0 get SMS_DEFAULT_COUNTRY_CODE.
+     * @returns {string|null} - null when the number cannot be used
+     */
+    normalizePhone(phone) {
+        if (!phone) return null;
+        const trimmed = String(phone).trim();
+        let digits = trimmed.replace(/\D/g, '');
+        if (!trimmed.startsWith('+')) {
+            if (digits.startsWith('00')) {
+                digits = digits.slice(2);
+            } else if (digits.startsWith('0')) {
+                digits = `${this.config.defaultCountryCode}${digits.slice(1)}`;
+            }
+        }
+        return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+
+    /**
+     * SMS taken from a farm's quota on the farm's current local day
+     */
+    async getStatus(farmId) {
+        try {
+            const today = await this.getFarmDate(farmId);
+            const result = await DatabaseHelper.executeQuery(`
+                SELECT used FROM sms_daily_usage WHERE farm_id = $1 AND date = $2
+            `, [farmId, today]);
+            const count = parseInt(result.rows[0]?.used, 10) || 0;
+
+            return {
+                date: today,
+                smsSentToday: count,
+                dailyLimit: this.config.dailyFarmLimit,
+                remainingQuota: Math.max(this.config.dailyFarmLimit - count, 0)
+            };
+        } catch (error) {
+            this.logger.error(`Error getting SMS status for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getFarmDate(farmId) {
+        const timezone = await FarmsService.getFarmTimezone(farmId);
+        return getLocalDateString(new Date(), timezone);
+    }
+
+    /**
+     * Take one SMS from the farm's quota for the day. The check and the increment are a single
+     * conditional upsert, so concurrent sends cannot go past the limit.
+     * @returns {Promise<boolean>} - false when the quota is used up
+     */
+    async reserveQuota(farmId, date) {
+        const result = await DatabaseHelper.executeQuery(`
+            INSERT INTO sms_daily_usage (farm_id, date, used)
+            SELECT $1::uuid, $2::date, 1 WHERE $3::integer > 0
+            ON CONFLICT (farm_id, date) DO UPDATE
+            SET used = sms_daily_usage.used + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE sms_daily_usage.used < $3::integer
+            RETURNING used
+        `, [farmId, date, this.config.dailyFarmLimit]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Give back a reserved slot when the provider did not take the message
+     */
+    async releaseQuota(farmId, date) {
+        await DatabaseHelper.executeQuery(`
+            UPDATE sms_daily_usage
+            SET used = GREATEST(used - 1, 0), updated_at = CURRENT_TIMESTAMP
+            WHERE farm_id = $1 AND date = $2
+        `, [farmId, date]);
+    }
+
+    /**
+     * Log an SMS attempt to the database
+     */
+    async logSmsSend({ user_id, farm_id, alert_id, to, body, date, provider, providerMessageId, status, errorMessage }) {
+        const result = await DatabaseHelper.executeQuery(`
+            INSERT INTO sms_logs (
+                id, user_id, farm_id, alert_id, to_phone, message, provider, provider_message_id,
+                status, error_message, date, is_active, is_deleted, created_at, updated_at
+            ) VALUES (
+                uuid_generate_v4(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 1, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+            ) RETURNING *
+        `, [
+            user_id || null,
+            farm_id || null,
+            alert_id || null,
+            to,
+            body,
+            provider,
+            providerMessageId || null,
+            status,
+            errorMessage || null,
+            date
+        ]);
+        return result.rows[0];
+    }
+
+    /**
+     * Send an SMS, subject to the farm's daily quota.
+     * Like EmailService.sendEmail this resolves with { success, status, message } instead of throwing.
+     * @param {Object} options - { to, body, user_id, farm_id, alert_id }
+     */
+    async sendSms(options) {
+        const { to, body, user_id, farm_id, alert_id } = options;
+        try {
+            const phone = this.normalizePhone(to);
+            if (!phone) {
+                return { success: false, status: 'invalid_phone', message: `Invalid phone number: ${to}` };
+            }
+            if (!body) {
+                return { success: false, status: 'error', message: 'SMS body is required' };
+            }
+
+            let date = new Date().toISOString().split('T')[0];
+            if (farm_id) {
+                date = await this.getFarmDate(farm_id);
+                if (!(await this.reserveQuota(farm_id, date))) {
+                    this.logger.error(`Daily SMS limit of ${this.config.dailyFarmLimit} reached for farm ${farm_id}`);
+                    return { success: false, status: 'limit_reached', message: 'Daily SMS limit reached' };
+                }
+            }
+
+            const text = body.length > this.config.maxLength ? `${body.slice(0, this.config.maxLength - 3)}...` : body;
+            const transport = this.getTransport();
+            const entry = { user_id, farm_id, alert_id, to: phone, body: text, date, provider: transport.name };
+
+            let sent;
+            try {
+                sent = await transport.send({
+                    to: phone,
+                    body: text,
+                    statusCallback: transport.name === 'twilio' ? this.config.statusCallbackUrl : null
+                });
+            } catch (error) {
+                if (farm_id) {
+                    await this.releaseQuota(farm_id, date);
+                }
+                await this.logSmsSend({ ...entry, status: 'failed', errorMessage: error.message });
+                throw error;
+            }
+
+            const log = await this.logSmsSend({
+                ...entry,
+                providerMessageId: sent.id,
+                status: TWILIO_STATUS_MAP[sent.status] || 'queued'
+            });
+            this.logger.info(`SMS ${log.id} sent to ${phone} for farm ${farm_id || 'none'}`);
+            return { success: true, status: log.status, message: 'SMS sent successfully', log };
+        } catch (error) {
+            this.logger.error(`Error sending SMS: ${error.message}`);
+            return { success: false, status: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Apply a delivery status reported by the provider (Twilio status callback)
+     * @param {Object} update - { provider_message_id, status, error_code, error_message }
+     * @returns {Promise<Object|null>} - Updated log row, or null when the message is unknown
+     */
+    async updateDeliveryStatus({ provider = 'twilio', provider_message_id, status, error_code, error_message }) {
+        try {
+            const mapped = TWILIO_STATUS_MAP[status];
+            if (!provider_message_id || !mapped) {
+                this.logger.error(`Ignoring SMS status update ${status} for ${provider_message_id}`);
+                return null;
+            }
+
+            // never move a message back from a final state to queued/sent
+            const result = await DatabaseHelper.executeQuery(`
+                UPDATE sms_logs
+                SET status = $3,
+                    error_code = COALESCE($4, error_code),
+                    error_message = COALESCE($5, error_message),
+                    delivered_at = CASE WHEN $3 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+                WHERE provider = $1 AND provider_message_id = $2
+                AND (status IN ('queued', 'sent') OR $3 IN ('delivered', 'undelivered', 'failed'))
+                RETURNING *
+            `, [provider, provider_message_id, mapped, error_code ? String(error_code) : null, error_message || null]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            this.logger.error(`Error updating SMS status for ${provider_message_id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * SMS history for a farm, newest first
+     */
+    async getLogs(farmId, { status, limit = 50, offset = 0 } = {}) {
+        try {
+            let query = `
+                SELECT id, user_id, alert_id, to_phone, message, provider, status, error_code,
+                    error_message, date, delivered_at, created_at, updated_at
+                FROM sms_logs
+                WHERE farm_id = $1 AND is_deleted = 0
+            `;
+            const params = [farmId];
+            if (status) {
+                query += ` AND status = $${params.length + 1}`;
+                params.push(status);
+            }
+            query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+            params.push(parseInt(limit, 10) || 50, parseInt(offset, 10) || 0);
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            this.logger.error(`Error fetching SMS logs for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default SmsService;
@@ -0,0 +1,236 @@
+import { DatabaseHelper } from "../config/database.js";
+import logger from "../middleware/logger.js";
+import EmailService from "./email.services.js";
+import NotificationsService from "./notifications.services.js";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+// Days before the end of a subscription or trial on which the owner is reminded
+const REMINDER_DAYS = [7, 3, 1];
+const PAID_TIERS = ["standard", "advanced"];
+// Roles that are never limited by subscriptions (see requireActiveSubscription)
+const STAFF_ROLES = ["admin", "superadmin"];
+
+const parseDays = (value, fallback, min) => {
+  const parsed = Number.parseInt(value ?? String(fallback), 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(parsed, min);
+};
+
+const trialPeriodDays = () => parseDays(process.env.TRIAL_PERIOD, 30, 1);
+// Read-only days after a subscription or trial ends; 0 blocks access straight away
+const gracePeriodDays = () => parseDays(process.env.SUBSCRIPTION_GRACE_DAYS, 7, 0);
+
+const formatDays = (days) => `${days} day${days === 1 ? "" : "s"}`;
+
+class SubscriptionsService {
+  /**
+   * Subscription state of an authenticated user, attached to requests as req.accessControl
+   * @param {Object} user - users row with subscription_end and farm_created_at (their default farm)
+   * @returns {Object} - { trialPeriodDays, trialEndsAt, isTrialActive, hasActiveSubscription,
+   *   gracePeriodDays, accessEndsAt, graceEndsAt, isInGracePeriod }
+   */
+  static getAccessControl(user, now = new Date()) {
+    const trialDays = trialPeriodDays();
+    const graceDays = gracePeriodDays();
+
+    let trialEndsAt = null;
+    let isTrialActive = false;
+    if (user.farm_created_at) {
+      const farmCreatedAt = new Date(user.farm_created_at);
+      if (!Number.isNaN(farmCreatedAt.getTime())) {
+        trialEndsAt = new Date(farmCreatedAt.getTime() + trialDays * DAY_IN_MS);
+        isTrialActive = now.getTime() <= trialEndsAt.getTime();
+      }
+    } else {
+      // No farm yet; allow access while they set up
+      isTrialActive = true;
+    }
+
+    let subscriptionEndsAt = null;
+    let hasActiveSubscription = false;
+    if (user.subscription_end) {
+      const subscriptionEndDate = new Date(user.subscription_end);
+      if (!Number.isNaN(subscriptionEndDate.getTime())) {
+        subscriptionEndsAt = subscriptionEndDate;
+        hasActiveSubscription = subscriptionEndDate.getTime() >= now.getTime();
+      }
+    }
+
+    // the grace period follows whichever of the trial and the subscription ended last
+    const ends = [trialEndsAt, subscriptionEndsAt].filter(Boolean).map((date) => date.getTime());
+    const accessEndsAt = ends.length > 0 ? new Date(Math.max(...ends)) : null;
+    const graceEndsAt = accessEndsAt ? new Date(accessEndsAt.getTime() + graceDays * DAY_IN_MS) : null;
+    const isInGracePeriod =
+      !hasActiveSubscription &&
+      !isTrialActive &&
+      graceEndsAt !== null &&
+      now.getTime() <= graceEndsAt.getTime();
+
+    return {
+      trialPeriodDays: trialDays,
+      trialEndsAt: trialEndsAt ? trialEndsAt.toISOString() : null,
+      isTrialActive,
+      hasActiveSubscription,
+      gracePeriodDays: graceDays,
+      accessEndsAt: accessEndsAt ? accessEndsAt.toISOString() : null,
+      graceEndsAt: graceEndsAt ? graceEndsAt.toISOString() : null,
+      isInGracePeriod,
+    };
+  }
+
+  /**
+   * Remind users 7, 3 and 1 days before their paid subscription or trial ends, by email and
+   * in-app notification. Safe to run often: each reminder is recorded and sent once.
+   * @returns {Promise<Object>} - { reminders_sent }
+   */
+  static async sendRenewalReminders(now = new Date()) {
+    try {
+      const horizon = String(Math.max(...REMINDER_DAYS));
+      const subscriptions = await DatabaseHelper.executeQuery(
+        `SELECT u.id, u.email, u.name, r.name AS tier, u.subscription_end AS ends_at
+                 FROM users u
+                 JOIN roles r ON u.role_id = r.id
+                 WHERE u.is_deleted = 0 AND u.is_active = 1
+                   AND r.name = ANY($1)
+                   AND u.subscription_end > $2
+                   AND u.subscription_end <= $2::timestamptz + ($3 || ' days')::interval`,
+        [PAID_TIERS, now, horizon]
+      );
+      const trials = await DatabaseHelper.executeQuery(
+        `SELECT u.id, u.email, u.name, r.name AS tier,
+                        f.created_at + ($4 || ' days')::interval AS ends_at
+                 FROM users u
+                 JOIN roles r ON u.role_id = r.id
+                 JOIN farms f ON u.farm_id = f.id
+                 WHERE u.is_deleted = 0 AND u.is_active = 1
+                   AND r.name <> ALL($1)
+                   AND (u.subscription_end IS NULL OR u.subscription_end < $2)
+                   AND f.created_at + ($4 || ' days')::interval > $2
+                   AND f.created_at + ($4 || ' days')::interval <= $2::timestamptz + ($3 || ' days')::interval`,
+        [STAFF_ROLES, now, horizon, String(trialPeriodDays())]
+      );
+
+      let sent = 0;
+      const due = [
+        ...subscriptions.rows.map((user) => ({ ...user, kind: "subscription" })),
+        ...trials.rows.map((user) => ({ ...user, kind: "trial" })),
+      ];
+      for (const user of due) {
+        const daysLeft = Math.max(
+          Math.ceil((new Date(user.ends_at).getTime() - now.getTime()) / DAY_IN_MS),
+          1
+        );
+        // the closest reminder day not yet passed, e.g. 5 days left sends the 7-day reminder
+        const daysBefore = Math.min(...REMINDER_DAYS.filter((days) => days >= daysLeft));
+        const claim = await DatabaseHelper.executeQuery(
+          `INSERT INTO subscription_reminders (user_id, kind, period_end, days_before)
+                   VALUES ($1, $2, $3, $4)
+                   ON CONFLICT (user_id, kind, period_end, days_before) DO NOTHING
+                   RETURNING id`,
+          [user.id, user.kind, user.ends_at, daysBefore]
+        );
+        if (claim.rows.length === 0) continue;
+
+        await SubscriptionsService.sendReminder(user, daysLeft);
+        sent += 1;
+      }
+
+      if (sent > 0) {
+        logger.info(`Sent ${sent} subscription renewal reminders`);
+      }
+      return { reminders_sent: sent };
+    } catch (error) {
+      logger.error(`Error sending subscription renewal reminders: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async sendReminder(user, daysLeft) {
+    const planName = user.kind === "trial" ? "free trial" : `${user.tier} subscription`;
+    const endsAt = new Date(user.ends_at).toUTCString();
+    const graceDays = gracePeriodDays();
+    const clientUrl =
+      process.env.NODE_ENV === "production"
+        ? process.env.PROD_CLIENT_BASE_URL
+        : process.env.DEV_CLIENT_BASE_URL;
+    const renewUrl = `${clientUrl}/billing`;
+
+    await NotificationsService.createNotification({
+      user_id: user.id,
+      type: "subscription_reminder",
+      title: `Your ${planName} ends in ${formatDays(daysLeft)}`,
+      message: `Your ${planName} ends on ${endsAt}. Renew to keep adding and updating records.`,
+      data: { kind: user.kind, tier: user.tier, ends_at: user.ends_at },
+      priority: daysLeft <= 1 ? "high" : "medium",
+    }).catch((error) =>
+      logger.warn(`Renewal reminder notification for user ${user.id} not created: ${error.message}`)
+    );
+
+    try {
+      const emailService = new EmailService({}, logger);
+      const emailResult = await emailService.sendEmail(
+        {
+          to: user.email,
+          subject: `Your ${planName} ends in ${formatDays(daysLeft)} - Pig Farm`,
+          text: `Your ${planName} ends on ${endsAt}. After that your farms are read-only for ${graceDays} days. Renew here: ${renewUrl}`,
+          templatePath: "src/templates/subscription-reminder.html",
+          appName: "Pig Farm",
+          heading: `Your ${planName} ends in ${formatDays(daysLeft)}`,
+          name: user.name || "there",
+          planName,
+          endsAt,
+          daysLeft: formatDays(daysLeft),
+          graceDays,
+          renewUrl,
+          user_id: user.id,
+        },
+        "subscription_reminder"
+      );
+      if (!emailResult.success) {
+        logger.warn(`Failed to send renewal reminder to ${user.email}: ${emailResult.message}`);
+      }
+    } catch (error) {
+      logger.warn(`Email service error for ${user.email}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move users whose paid subscription ended more than SUBSCRIPTION_GRACE_DAYS ago to the free role
+   * @returns {Promise<Object>} - { downgraded }
+   */
+  static async downgradeLapsed(now = new Date()) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE users u
+                 SET role_id = (SELECT id FROM roles WHERE name = 'free' AND is_deleted = 0),
+                     updated_at = CURRENT_TIMESTAMP
+                 FROM roles r
+                 WHERE u.role_id = r.id
+                   AND r.name = ANY($1)
+                   AND u.is_deleted = 0
+                   AND u.subscription_end < $2::timestamptz - ($3 || ' days')::interval
+                 RETURNING u.id, u.email, r.name AS previous_tier, u.subscription_end`,
+        [PAID_TIERS, now, String(gracePeriodDays())]
+      );
+
+      for (const user of result.rows) {
+        logger.info(`User ${user.id} downgraded from ${user.previous_tier} to free after the subscription lapsed`);
+        await NotificationsService.createNotification({
+          user_id: user.id,
+          type: "subscription_lapsed",
+          title: "Your subscription has ended",
+          message: `Your ${user.previous_tier} subscription ended on ${new Date(user.subscription_end).toUTCString()} and your account is now on the free plan. Renew to get your ${user.previous_tier} features back.`,
+          data: { previous_tier: user.previous_tier, subscription_end: user.subscription_end },
+          priority: "high",
+        }).catch((error) =>
+          logger.warn(`Lapse notification for user ${user.id} not created: ${error.message}`)
+        );
+      }
+      return { downgraded: result.rows.length };
+    } catch (error) {
+      logger.error(`Error downgrading lapsed subscriptions: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+export default SubscriptionsService;
@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError, UnauthorizedError } from '../middleware/errors.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Pig Farm';
+const RECOVERY_CODE_COUNT = 10;
+// Time allowed between the password step and the code step of a login
+const CHALLENGE_EXPIRY = '5m';
+
+// AES-256-GCM key for the stored TOTP secrets
+const encryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+class TwoFactorService {
+    static encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+    }
+
+    static decryptSecret(stored) {
+        const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    static hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+    }
+
+    static async getSettings(userId) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT * FROM user_two_factor WHERE user_id = $1',
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async isEnabled(userId) {
+        const settings = await TwoFactorService.getSettings(userId);
+        return Boolean(settings?.is_enabled);
+    }
+
+    static async getStatus(userId) {
+        try {
+            const settings = await TwoFactorService.getSettings(userId);
+            const codes = await DatabaseHelper.executeQuery(
+                'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+                [userId]
+            );
+            return {
+                enabled: Boolean(settings?.is_enabled),
+                enabled_at: settings?.enabled_at || null,
+                recovery_codes_remaining: settings?.is_enabled ? parseInt(codes.rows[0].remaining, 10) : 0
+            };
+        } catch (error) {
+            logger.error(`Error fetching two-factor status of user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Start enrollment: store a new secret (not yet enabled) and return it with the
+     * otpauth:// URI the client shows as a QR code. Calling it again replaces the pending secret.
+     * @param {Object} user - { id, email }
+     * @returns {Promise<Object>} - { secret, otpauth_url }
+     */
+    static async setup(user) {
+        try {
+            const settings = await TwoFactorService.getSettings(user.id);
+            if (settings?.is_enabled) {
+                throw new ValidationError('Two-factor authentication is already enabled');
+            }
+
+            const secret = generateSecret();
+            await DatabaseHelper.executeQuery(
+                `INSERT INTO user_two_factor (id, user_id, secret, is_enabled, created_at, updated_at)
+                 VALUES (uuid_generate_v4(), $1, $2, false, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                 ON CONFLICT (user_id) DO UPDATE
+                 SET secret = EXCLUDED.secret, last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE user_two_factor.is_enabled = false`,
+                [user.id, TwoFactorService.encryptSecret(secret)]
+            );
+
+            logger.info(`Two-factor enrollment started for user ${user.id}`);
+            return {
+                secret,
+                otpauth_url: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+            };
+        } catch (error) {
+            logger.error(`Error starting two-factor setup for user ${user.id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Finish enrollment with the first code from the authenticator app
+     * @returns {Promise<Object>} - { recovery_codes } shown to the user once
+     */
+    static async enable(userId, code) {
+        try {
+            const settings = await TwoFactorService.getSettings(userId);
+            if (!settings) {
+                throw new ValidationError('Start two-factor setup first');
+            }
+            if (settings.is_enabled) {
+                throw new ValidationError('Two-factor authentication is already enabled');
+            }
+
+            const step = verifyCode(TwoFactorService.decryptSecret(settings.secret), code);
+            if (step === null) {
+                throw new ValidationError('Invalid authentication code');
+            }
+
+            await DatabaseHelper.executeQuery(
+                `UPDATE user_two_factor
+                 SET is_enabled = true, enabled_at = CURRENT_TIMESTAMP, last_used_step = $2
+                 WHERE user_id = $1`,
+                [userId, step]
+            );
+            const recoveryCodes = await TwoFactorService.replaceRecoveryCodes(userId);
+
+            logger.info(`Two-factor authentication enabled for user ${userId}`);
+            return { recovery_codes: recoveryCodes };
+        } catch (error) {
+            logger.error(`Error enabling two-factor for user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a code from the authenticator app or an unused recovery code.
+     * Each TOTP code and each recovery code is accepted once.
+     * @returns {Promise<string|null>} - 'totp' or 'recovery_code', or null when the code is not valid
+     */
+    static async verify(userId, code) {
+        const settings = await TwoFactorService.getSettings(userId);
+        if (!settings?.is_enabled || !code) return null;
+
+        const step = verifyCode(TwoFactorService.decryptSecret(settings.secret), code);
+        if (step !== null) {
+            const accepted = await DatabaseHelper.executeQuery(
+                `UPDATE user_two_factor SET last_used_step = $2
+                 WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+                 RETURNING id`,
+                [userId, step]
+            );
+            return accepted.rows.length > 0 ? 'totp' : null;
+        }
+
+        const recovery = await DatabaseHelper.executeQuery(
+            `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+             RETURNING id`,
+            [userId, TwoFactorService.hashRecoveryCode(code)]
+        );
+        if (recovery.rows.length > 0) {
+            logger.info(`Recovery code used by user ${userId}`);
+            return 'recovery_code';
+        }
+        return null;
+    }
+
+    static async disable(userId, code) {
+        try {
+            if (!(await TwoFactorService.isEnabled(userId))) {
+                throw new ValidationError('Two-factor authentication is not enabled');
+            }
+            if (!(await TwoFactorService.verify(userId, code))) {
+                throw new ValidationError('Invalid authentication code');
+            }
+
+            await DatabaseHelper.executeQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+            await DatabaseHelper.executeQuery('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+
+            logger.info(`Two-factor authentication disabled for user ${userId}`);
+            return { enabled: false };
+        } catch (error) {
+            logger.error(`Error disabling two-factor for user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async regenerateRecoveryCodes(userId, code) {
+        try {
+            if (!(await TwoFactorService.isEnabled(userId))) {
+                throw new ValidationError('Two-factor authentication is not enabled');
+            }
+            if (!(await TwoFactorService.verify(userId, code))) {
+                throw new ValidationError('Invalid authentication code');
+            }
+
+            const recoveryCodes = await TwoFactorService.replaceRecoveryCodes(userId);
+            logger.info(`Recovery codes regenerated for user ${userId}`);
+            return { recovery_codes: recoveryCodes };
+        } catch (error) {
+            logger.error(`Error regenerating recovery codes for user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the user's recovery codes with a new set. Only hashes are stored.
+     * @returns {Promise<string[]>} - The new codes, formatted xxxxx-xxxxx
+     */
+    static async replaceRecoveryCodes(userId) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+
+        await DatabaseHelper.executeQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+        await DatabaseHelper.executeQuery(
+            `INSERT INTO two_factor_recovery_codes (id, user_id, code_hash, created_at)
+             SELECT uuid_generate_v4(), $1, code_hash, CURRENT_TIMESTAMP FROM unnest($2::text[]) AS code_hash`,
+            [userId, codes.map(TwoFactorService.hashRecoveryCode)]
+        );
+        return codes;
+    }
+
+    /**
+     * Short-lived token proving the first login step (password or SSO) succeeded
+     */
+    static signChallenge(userId) {
+        return jwt.sign(
+            { userId, type: 'two_factor_challenge' },
+            process.env.JWT_SECRET,
+            { expiresIn: CHALLENGE_EXPIRY }
+        );
+    }
+
+    /**
+     * @returns {string} - The user id the challenge was issued for
+     */
+    static verifyChallenge(token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded.type !== 'two_factor_challenge') {
+                throw new Error('Wrong token type');
+            }
+            return decoded.userId;
+        } catch (error) {
+            throw new UnauthorizedError('Login challenge is invalid or has expired. Please log in again.');
+        }
+    }
+}
+
+export default TwoFactorService;
@@ -0,0 +1,258 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import AlertService from './alerts.services.js';
+import FarmsService from './farms.services.js';
+import dayjs from 'dayjs';
+import { resolveTimezone, getLocalDateString, addLocalDays, toAlertStartDate } from '../utils/timezone.js';
+
+// Pigs whose next dose falls within this many days are treated as due
+const VACCINATION_LOOKAHEAD_DAYS = parseInt(process.env.VACCINATION_LOOKAHEAD_DAYS || 1);
+
+class VaccinationService {
+  static async createSchedule(farmId, data, userId) {
+    const { vaccine_name, description, frequency_days, age_start_days = 0, is_active = true } = data;
+    if (!farmId || !vaccine_name || !frequency_days) {
+      throw new ValidationError('Missing required vaccination schedule fields');
+    }
+
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        `INSERT INTO vaccination_schedules (id, farm_id, vaccine_name, description, frequency_days, age_start_days, is_active, is_deleted, created_at, updated_at)
+          VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, $6, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING *`,
+        [farmId, vaccine_name, description || null, frequency_days, age_start_days, is_active ? 1 : 0]
+      );
+      logger.info(`Vaccination schedule created by user ${userId} for farm ${farmId}`);
+      return result.rows[0];
+    } catch (err) {
+      logger.error(`Error creating vaccination schedule: ${err.message}`);
+      throw err;
+    }
+  }
+
+  static async getSchedules(farmId, { is_active } = {}) {
+    try {
+      let query = 'SELECT * FROM vaccination_schedules WHERE farm_id = $1 AND is_deleted = 0';
+      const params = [farmId];
+      if (is_active !== undefined) { query += ' AND is_active = $2'; params.push(is_active ? 1 : 0); }
+      query += ' ORDER BY age_start_days ASC, vaccine_name ASC';
+
+      const result = await DatabaseHelper.executeQuery(query, params);
+      return result.rows;
+    } catch (err) {
+      logger.error(`Error fetching vaccination schedules for farm ${farmId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  static async getScheduleById(farmId, id) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        'SELECT * FROM vaccination_schedules WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+        [id, farmId]
+      );
+      if (result.rows.length === 0) throw new ValidationError('Vaccination schedule not found');
+      return result.rows[0];
+    } catch (err) {
+      logger.error(`Error fetching vaccination schedule ${id}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  static async updateSchedule(farmId, id, data, userId) {
+    try {
+      const { vaccine_name, description, frequency_days, age_start_days, is_active } = data;
+      const result = await DatabaseHelper.executeQuery(
+        `UPDATE vaccination_schedules SET
+            vaccine_name = COALESCE($3, vaccine_name),
+            description = COALESCE($4, description),
+            frequency_days = COALESCE($5, frequency_days),
+            age_start_days = COALESCE($6, age_start_days),
+            is_active = COALESCE($7, is_active),
+            updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND farm_id = $2 AND is_deleted = 0 RETURNING *`,
+        [
+          id,
+          farmId,
+          vaccine_name || null,
+          description || null,
+          frequency_days || null,
+          age_start_days ?? null,
+          is_active === undefined ? null : is_active ? 1 : 0,
+        ]
+      );
+      if (result.rows.length === 0) throw new ValidationError('Vaccination schedule not found');
+      logger.info(`Vaccination schedule ${id} updated by user ${userId}`);
+      return result.rows[0];
+    } catch (err) {
+      logger.error(`Error updating vaccination schedule ${id}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  static async deleteSchedule(farmId, id, userId) {
+    try {
+      const result = await DatabaseHelper.executeQuery(
+        'UPDATE vaccination_schedules SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND farm_id = $2 AND is_deleted = 0 RETURNING *',
+        [id, farmId]
+      );
+      if (result.rows.length === 0) throw new ValidationError('Vaccination schedule not found');
+      logger.info(`Vaccination schedule ${id} deleted by user ${userId}`);
+      return result.rows[0];
+    } catch (err) {
+      logger.error(`Error deleting vaccination schedule ${id}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Work out which pigs are due a dose under each active programme of a farm.
+   * The next dose is the last completed vaccination for that programme + frequency_days,
+   * or birth_date + age_start_days when the pig has never had it.
+   * Pigs that already have a pending/scheduled record for the programme are skipped.
+   * @param {string} farmId - Farm UUID
+   * @param {Date|string} asOf - Reference day (defaults to today in the farm's timezone)
+   * @param {string} [timezone] - Farm timezone, looked up when omitted
+   * @returns {Promise<Array>} - [{ schedule, pig_id, pen_id, due_date, last_vaccinated, overdue }]
+   */
+  static async getDueVaccinations(farmId, asOf = new Date(), timezone = null) {
+    try {
+      const farmTimezone = timezone || (await FarmsService.getFarmTimezone(farmId));
+      const today = dayjs(getLocalDateString(asOf, farmTimezone));
+      const horizon = today.add(VACCINATION_LOOKAHEAD_DAYS, 'day');
+
+      const schedules = await VaccinationService.getSchedules(farmId, { is_active: true });
+      if (schedules.length === 0) return [];
+
+      const pigsResult = await DatabaseHelper.executeQuery(
+        `SELECT pig_id, pen_id, birth_date FROM pigs
+          WHERE farm_id = $1 AND is_deleted = 0 AND COALESCE(status, 'active') = 'active'`,
+        [farmId]
+      );
+
+      // Latest completed dose and any open record per pig + programme. Records entered by hand
+      // without a schedule link are matched on the vaccine name in their description.
+      const recordsResult = await DatabaseHelper.executeQuery(
+        `SELECT hr.pig_id, vs.id AS schedule_id,
+            MAX(hr.date) FILTER (WHERE hr.status = 'completed') AS last_vaccinated,
+            BOOL_OR(hr.status IN ('pending', 'scheduled')) AS has_open_record
+          FROM health_records hr
+          INNER JOIN pigs p ON p.pig_id = hr.pig_id AND p.farm_id = $1
+          INNER JOIN vaccination_schedules vs ON vs.farm_id = $1 AND vs.is_deleted = 0
+            AND (hr.vaccination_schedule_id = vs.id
+              OR (hr.vaccination_schedule_id IS NULL AND hr.description ILIKE '%' || vs.vaccine_name || '%'))
+          WHERE hr.type = 'vaccination' AND hr.is_deleted = 0
+          GROUP BY hr.pig_id, vs.id`,
+        [farmId]
+      );
+      const history = new Map(
+        recordsResult.rows.map(row => [`${row.pig_id}:${row.schedule_id}`, row])
+      );
+
+      const due = [];
+      for (const schedule of schedules) {
+        for (const pig of pigsResult.rows) {
+          const record = history.get(`${pig.pig_id}:${schedule.id}`);
+          if (record?.has_open_record) continue;
+
+          const dueDate = record?.last_vaccinated
+            ? dayjs(record.last_vaccinated).add(schedule.frequency_days, 'day')
+            : dayjs(pig.birth_date).add(schedule.age_start_days || 0, 'day');
+          if (dueDate.isAfter(horizon, 'day')) continue;
+
+          due.push({
+            schedule,
+            pig_id: pig.pig_id,
+            pen_id: pig.pen_id,
+            due_date: dueDate.format('YYYY-MM-DD'),
+            last_vaccinated: record?.last_vaccinated ? dayjs(record.last_vaccinated).format('YYYY-MM-DD') : null,
+            overdue: dueDate.isBefore(today, 'day'),
+          });
+        }
+      }
+      return due;
+    } catch (err) {
+      logger.error(`Error computing due vaccinations for farm ${farmId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Daily vaccination job: for every due pig create a pending health record pre-filled
+   * from the programme and a 'vaccination' alert for the farm owner.
+   * @param {string|null} farmId - Limit to one farm, or null for every farm with an active programme
+   * @returns {Promise<Array>} - Created { health_record, alert } pairs
+   */
+  static async processDueVaccinations(farmId = null, asOf = new Date()) {
+    try {
+      let farmIds = [farmId];
+      if (!farmId) {
+        const farmsResult = await DatabaseHelper.executeQuery(
+          `SELECT DISTINCT f.id FROM farms f
+            INNER JOIN vaccination_schedules vs ON vs.farm_id = f.id AND vs.is_active = 1 AND vs.is_deleted = 0
+            WHERE f.is_deleted = 0`
+        );
+        farmIds = farmsResult.rows.map(row => row.id);
+      }
+
+      const created = [];
+      for (const id of farmIds) {
+        const farmResult = await DatabaseHelper.executeQuery(
+          'SELECT created_by, timezone FROM farms WHERE id = $1 AND is_deleted = 0',
+          [id]
+        );
+        if (farmResult.rows.length === 0) continue;
+        const ownerId = farmResult.rows[0].created_by;
+        const timezone = resolveTimezone(farmResult.rows[0].timezone);
+        const today = getLocalDateString(asOf, timezone);
+
+        const dueList = await VaccinationService.getDueVaccinations(id, asOf, timezone);
+        for (const item of dueList) {
+          const { schedule } = item;
+          const recordResult = await DatabaseHelper.executeQuery(
+            `INSERT INTO health_records (id, pig_id, type, description, date, next_due, status, notes, vaccination_schedule_id, is_deleted, created_at, updated_at)
+              VALUES (uuid_generate_v4(), $1, 'vaccination', $2, $3, $4, 'pending', $5, $6, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING *`,
+            [
+              item.pig_id,
+              `${schedule.vaccine_name} vaccination`,
+              item.due_date,
+              addLocalDays(item.due_date, schedule.frequency_days, timezone),
+              schedule.description || null,
+              schedule.id,
+            ]
+          );
+
+          // notify the day before and on the due date; overdue doses are notified today
+          const dayBefore = addLocalDays(item.due_date, -1, timezone);
+          const notifyOn = item.overdue
+            ? [today]
+            : [...new Set([dayBefore < today ? today : dayBefore, item.due_date])];
+          const alert = await AlertService.createAlert({
+            farm_id: id,
+            user_id: ownerId,
+            pig_id: item.pig_id,
+            pen_id: item.pen_id,
+            name: `Vaccination Due: ${schedule.vaccine_name} for ${item.pig_id}`,
+            alert_start_date: toAlertStartDate(item.due_date),
+            alert_type: 'vaccination',
+            severity: item.overdue ? 'high' : 'medium',
+            message: item.overdue
+              ? `${item.pig_id} is overdue for ${schedule.vaccine_name} (due ${item.due_date}).`
+              : `${item.pig_id} is due for ${schedule.vaccine_name} on ${item.due_date}.`,
+            notify_on: notifyOn,
+            timezone,
+          });
+          created.push({ health_record: recordResult.rows[0], alert });
+        }
+      }
+
+      logger.info(`Created ${created.length} due vaccination records${farmId ? ` for farm ${farmId}` : ''}`);
+      return created;
+    } catch (err) {
+      logger.error(`Error processing due vaccinations: ${err.message}`);
+      throw err;
+    }
+  }
+}
+
+export default VaccinationService;
@@ -52,4 +52,41 @@ export const resetPasswordSchema = Joi.object({
         'string.min': 'Confirm password must be at least 6 characters',
         'any.required': 'Confirm password is required',
     }),
-}).strict();
\ No newline at end of file
+}).strict();
+export const refreshTokenSchema = Joi.object({
+    refresh_token: Joi.string().required().messages({
+        'any.required': 'Refresh token is required'
+    })
+}).strict();
+
+// A code from the authenticator app, or a recovery code
+export const twoFactorCodeSchema = Joi.object({
+    code: Joi.string().max(20).required().messages({
+        'any.required': 'Authentication code is required'
+    })
+}).strict();
+
+export const twoFactorLoginSchema = Joi.object({
+    two_factor_token: Joi.string().required().messages({
+        'any.required': 'Two-factor token is required'
+    }),
+    code: Joi.string().max(20).required().messages({
+        'any.required': 'Authentication code is required'
+    })
+}).strict();
+
+// Sign-up from a farm invitation: the email and farm come from the invitation token
+export const invitationRegisterSchema = Joi.object({
+    password: Joi.string().min(8).required().messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'any.required': 'Password is required'
+    }),
+    name: Joi.string().max(100).required().messages({
+        'string.max': 'Name cannot exceed 100 characters',
+        'any.required': 'Name is required'
+    }),
+    phone: Joi.string().max(20).required().messages({
+        'string.max': 'Phone number cannot exceed 20 characters',
+        'any.required': 'Phone is required'
+    })
+}).strict();
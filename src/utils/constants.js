@@ -2,3 +2,58 @@ export const PEN_LEVELS = ["A", "B", "C"];
 export const PEN_SIZES = ["small", "medium", "large"];
 export const PEN_MATERIALS = ["wire", "wood", "plastic"];
 export const DEFAULT_FEATURES = ["water bottle", "feeder", "nesting box"];
+
+// Feed stock alert defaults, overridable per farm via farms.settings.feed_stock_alerts
+export const FEED_STOCK_ALERT_DEFAULTS = {
+  min_days_of_cover: 7,
+  expiry_warning_days: 14,
+  consumption_window_days: 30,
+};
+
+// Schedules supported for recurring expenses, mapped to a dayjs step
+export const EXPENSE_RECURRING_FREQUENCIES = {
+  daily: { amount: 1, unit: "day" },
+  weekly: { amount: 1, unit: "week" },
+  biweekly: { amount: 2, unit: "week" },
+  monthly: { amount: 1, unit: "month" },
+  quarterly: { amount: 3, unit: "month" },
+  yearly: { amount: 1, unit: "year" },
+};
+
+// Roles a user can hold on a farm (farm_members.role)
+export const FARM_ROLES = ["owner", "manager", "worker", "vet", "accountant", "viewer"];
+
+// Which farm roles may use each group of farm-scoped routes
+export const FARM_ACCESS = {
+  view: FARM_ROLES,
+  livestock: ["owner", "manager", "worker"],
+  health: ["owner", "manager", "worker", "vet"],
+  finance_view: ["owner", "manager", "accountant", "viewer"],
+  finance: ["owner", "manager", "accountant"],
+  manage: ["owner", "manager"],
+  owner: ["owner"],
+};
+
+// Quotas and features per subscription tier (roles.name). A farm gets the tier of its owner;
+// null means unlimited. Features of a tier include those of the tiers below it.
+const FREE_FEATURES = ["basic_records", "view_reports"];
+const STANDARD_FEATURES = [...FREE_FEATURES, "analytics", "exports", "multi_user"];
+const ADVANCED_FEATURES = [...STANDARD_FEATURES, "unlimited_pigs", "sms_alerts", "integrations", "automation"];
+const UNLIMITED = { max_pigs: null, max_rows: null, max_pens: null, max_users: null, alerts_per_month: null };
+
+export const TIER_ENTITLEMENTS = {
+  free: {
+    limits: { max_pigs: 50, max_rows: 3, max_pens: 30, max_users: 1, alerts_per_month: 100 },
+    features: FREE_FEATURES,
+  },
+  standard: {
+    limits: { max_pigs: 500, max_rows: 20, max_pens: 300, max_users: 5, alerts_per_month: 1000 },
+    features: STANDARD_FEATURES,
+  },
+  advanced: { limits: UNLIMITED, features: ADVANCED_FEATURES },
+  admin: { limits: UNLIMITED, features: [...ADVANCED_FEATURES, "all"] },
+  superadmin: { limits: UNLIMITED, features: [...ADVANCED_FEATURES, "all"] },
+};
+
+// Lowest to highest; a farm with several owners gets the highest of their tiers
+export const TIER_ORDER = ["free", "standard", "advanced", "admin", "superadmin"];
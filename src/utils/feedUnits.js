@@ -0,0 +1,122 @@
+/**
+ * Feed Unit Helpers
+ * Converts feed quantities between the units used on feeding records
+ * and the units feed is stocked in (feed_inventory.unit)
+ */
+
+/**
+ * Base unit factors, grouped by dimension.
+ * Mass is expressed in grams, volume in millilitres.
+ */
+const UNIT_FACTORS = {
+  mass: {
+    g: 1,
+    kg: 1000,
+    t: 1000000,
+    lb: 453.59237,
+    oz: 28.349523125,
+  },
+  volume: {
+    ml: 1,
+    l: 1000,
+  },
+};
+
+/**
+ * Spellings accepted from clients, mapped to the canonical unit
+ */
+const UNIT_ALIASES = {
+  g: "g",
+  gram: "g",
+  grams: "g",
+  kg: "kg",
+  kgs: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  t: "t",
+  ton: "t",
+  tons: "t",
+  tonne: "t",
+  tonnes: "t",
+  lb: "lb",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+  oz: "oz",
+  ounce: "oz",
+  ounces: "oz",
+  ml: "ml",
+  millilitre: "ml",
+  millilitres: "ml",
+  milliliter: "ml",
+  milliliters: "ml",
+  l: "l",
+  litre: "l",
+  litres: "l",
+  liter: "l",
+  liters: "l",
+};
+
+/**
+ * Resolve a unit string to its canonical unit and dimension
+ * @param {string} unit - Unit as entered (e.g. 'grams', 'Kg')
+ * @returns {object|null} Object with unit and dimension, or null if unknown
+ */
+export const normalizeFeedUnit = (unit) => {
+  if (!unit) return null;
+  const canonical = UNIT_ALIASES[String(unit).trim().toLowerCase()];
+  if (!canonical) return null;
+
+  const dimension = Object.keys(UNIT_FACTORS).find(
+    (key) => UNIT_FACTORS[key][canonical] !== undefined
+  );
+  return { unit: canonical, dimension };
+};
+
+/**
+ * Check whether two units can be converted into each other
+ * @param {string} fromUnit - Source unit
+ * @param {string} toUnit - Target unit
+ * @returns {boolean} True if both units are known and share a dimension
+ */
+export const areFeedUnitsCompatible = (fromUnit, toUnit) => {
+  const from = normalizeFeedUnit(fromUnit);
+  const to = normalizeFeedUnit(toUnit);
+  if (from && to) {
+    return from.dimension === to.dimension;
+  }
+  // Unknown units (e.g. 'bags') only match themselves
+  return (
+    Boolean(fromUnit && toUnit) &&
+    String(fromUnit).trim().toLowerCase() === String(toUnit).trim().toLowerCase()
+  );
+};
+
+/**
+ * Convert a feed quantity from one unit to another
+ * @param {number|string} amount - Quantity to convert
+ * @param {string} fromUnit - Unit the quantity is expressed in
+ * @param {string} toUnit - Unit to convert into
+ * @returns {number|null} Converted quantity, or null if the units are incompatible
+ */
+export const convertFeedAmount = (amount, fromUnit, toUnit) => {
+  const value = parseFloat(amount);
+  if (Number.isNaN(value)) return null;
+  if (!areFeedUnitsCompatible(fromUnit, toUnit)) return null;
+
+  const from = normalizeFeedUnit(fromUnit);
+  const to = normalizeFeedUnit(toUnit);
+  if (!from || !to) {
+    // Same unknown unit on both sides
+    return value;
+  }
+
+  const factors = UNIT_FACTORS[from.dimension];
+  return (value * factors[from.unit]) / factors[to.unit];
+};
+
+export default {
+  normalizeFeedUnit,
+  areFeedUnitsCompatible,
+  convertFeedAmount,
+};
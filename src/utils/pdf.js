@@ -0,0 +1,139 @@
+/**
+ * PDF Helpers
+ * Minimal PDF 1.4 writer for simple text documents such as receipts: A4 pages, the built-in
+ * Helvetica fonts, text and horizontal rules. Text is WinAnsi encoded; characters outside
+ * Latin-1 are printed as "?".
+ */
+
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) of the printable ASCII characters 32-126, from the standard AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+// Width used for Latin-1 characters above ASCII
+const DEFAULT_WIDTH = 556;
+
+const toLatin1 = (text) => String(text ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+const escapeText = (text) => text.replace(/([\\()])/g, "\\$1");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Width of a string in points
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size
+ * @param {boolean} [bold] - Helvetica-Bold instead of Helvetica
+ */
+export const textWidth = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of toLatin1(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return (total * size) / 1000;
+};
+
+/**
+ * A document built page by page. Coordinates are in points from the top-left corner.
+ */
+export class PdfDocument {
+  constructor({ title = "", width = A4_WIDTH, height = A4_HEIGHT } = {}) {
+    this.title = title;
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * @param {string} text - Text to draw on one line
+   * @param {number} x - Left edge, or right edge with align "right"
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} [options] - { size, bold, align: "left" | "right", gray: 0 (black) to 1 (white) }
+   */
+  text(text, x, y, { size = 10, bold = false, align = "left", gray = 0 } = {}) {
+    const value = toLatin1(text);
+    const left = align === "right" ? x - textWidth(value, size, bold) : x;
+    this.page.push(
+      `BT ${gray} g /${bold ? "F2" : "F1"} ${size} Tf ${round(left)} ${round(this.height - y)} Td (${escapeText(value)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Horizontal rule from x1 to x2
+   */
+  rule(x1, x2, y, { width = 0.5, gray = 0.6 } = {}) {
+    const pdfY = round(this.height - y);
+    this.page.push(`${gray} G ${width} w ${round(x1)} ${pdfY} m ${round(x2)} ${pdfY} l S`);
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} - PDF file contents
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularFontId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const boldFontId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+    const infoId = add(`<< /Title (${escapeText(toLatin1(this.title))}) /Producer (Pig Farm) >>`);
+
+    const pageIds = this.pages.map((operations) => {
+      const stream = operations.join("\n");
+      const contentId = add(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+          `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+    let output = "%PDF-1.4\n";
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, "latin1");
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, "latin1");
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, "latin1");
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Timezone Helpers
+ * Farm-local calendar handling for alerts and schedules.
+ * Alert days are stored as the farm-local calendar date (notify_on) and
+ * alert_start_date keeps the existing "YYYY-MM-DDT00:00:00Z" convention for that local date.
+ */
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Timezone used when a farm has none (or an invalid one) stored
+ */
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Africa/Nairobi";
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. 'Africa/Kampala')
+ * @param {string} tz - Timezone name
+ * @returns {boolean} True if the runtime recognises the timezone
+ */
+export const isValidTimezone = (tz) => {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Return the timezone if valid, otherwise DEFAULT_TIMEZONE
+ * @param {string} tz - Timezone name
+ * @returns {string} Usable timezone
+ */
+export const resolveTimezone = (tz) =>
+  isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+
+/**
+ * Interpret a date in a timezone. Plain 'YYYY-MM-DD' strings are taken as that
+ * calendar day in the timezone; anything else is treated as an instant.
+ * @param {string|Date} date - Date to interpret
+ * @param {string} tz - Timezone name
+ * @returns {dayjs.Dayjs} Date in the timezone
+ */
+export const parseLocalDate = (date, tz) => {
+  const zone = resolveTimezone(tz);
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return dayjs.tz(date, zone);
+  }
+  return dayjs(date).tz(zone);
+};
+
+/**
+ * Get UTC date as YYYY-MM-DD
+ * @param {string|Date} date - Date to format
+ * @returns {string} UTC calendar date
+ */
+export const getUTCDateString = (date) => dayjs(date).utc().format("YYYY-MM-DD");
+
+/**
+ * Get the calendar date in a timezone as YYYY-MM-DD
+ * @param {string|Date} date - Date to format (defaults to now)
+ * @param {string} tz - Timezone name
+ * @returns {string} Local calendar date
+ */
+export const getLocalDateString = (date = new Date(), tz = DEFAULT_TIMEZONE) =>
+  parseLocalDate(date, tz).format("YYYY-MM-DD");
+
+/**
+ * Format a date for display in a timezone (e.g. 'March 4, 2025')
+ * @param {string|Date} date - Date to format
+ * @param {string} tz - Timezone name
+ * @returns {string} Display date
+ */
+export const formatLocalDate = (date, tz = DEFAULT_TIMEZONE) =>
+  parseLocalDate(date, tz).format("MMMM D, YYYY");
+
+/**
+ * Add days to a date in a timezone and return the local calendar date
+ * @param {string|Date} date - Start date
+ * @param {number} days - Days to add (negative to subtract)
+ * @param {string} tz - Timezone name
+ * @returns {string} Local calendar date (YYYY-MM-DD)
+ */
+export const addLocalDays = (date, days, tz = DEFAULT_TIMEZONE) =>
+  parseLocalDate(date, tz).add(days, "day").format("YYYY-MM-DD");
+
+/**
+ * Build an alert_start_date for a farm-local calendar day
+ * @param {string} localDate - Local calendar date (YYYY-MM-DD)
+ * @returns {string} Timestamp string stored in alerts.alert_start_date
+ */
+export const toAlertStartDate = (localDate) => `${localDate}T00:00:00Z`;
+
+export default {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  parseLocalDate,
+  getUTCDateString,
+  getLocalDateString,
+  formatLocalDate,
+  addLocalDays,
+  toAlertStartDate,
+};
@@ -4,7 +4,14 @@ import {
   PEN_SIZES,
   PEN_MATERIALS,
   DEFAULT_FEATURES,
+  EXPENSE_RECURRING_FREQUENCIES,
+  FARM_ROLES,
 } from "./constants.js";
+import { isValidTimezone } from "./timezone.js";
+
+// Farm timezones must be IANA names (e.g. "Africa/Nairobi") so alert dates resolve correctly
+const ianaTimezone = (value, helpers) =>
+  isValidTimezone(value) ? value : helpers.error("timezone.invalid");
 
 export const penSchema = Joi.object({
   id: Joi.string().max(50).required(),
@@ -299,9 +306,10 @@ export const farmSchema = Joi.object({
     "string.base": "Description must be a string",
     "string.max": "Description must be 500 characters or less",
   }),
-  timezone: Joi.string().max(50).default("UTC").messages({
+  timezone: Joi.string().max(50).default("UTC").custom(ianaTimezone).messages({
     "string.base": "Timezone must be a string",
     "string.max": "Timezone must be 50 characters or less",
+    "timezone.invalid": "Timezone must be a valid IANA timezone (e.g. Africa/Nairobi)",
   }),
   breeds: Joi.array()
     .items(
@@ -363,9 +371,10 @@ export const farmUpdateSchema = Joi.object({
     "string.base": "Description must be a string",
     "string.max": "Description must be 500 characters or less",
   }),
-  timezone: Joi.string().max(50).optional().messages({
+  timezone: Joi.string().max(50).optional().custom(ianaTimezone).messages({
     "string.base": "Timezone must be a string",
     "string.max": "Timezone must be 50 characters or less",
+    "timezone.invalid": "Timezone must be a valid IANA timezone (e.g. Africa/Nairobi)",
   }),
   breeds: Joi.array()
     .items(
@@ -395,6 +404,18 @@ export const farmUpdateSchema = Joi.object({
     .messages({
       "array.base": "Colors must be an array",
     }),
+  settings: Joi.object({
+    feed_stock_alerts: Joi.object({
+      min_days_of_cover: Joi.number().min(0).optional(),
+      expiry_warning_days: Joi.number().integer().min(0).optional(),
+      consumption_window_days: Joi.number().integer().min(1).optional(),
+    }).optional(),
+  })
+    .unknown(true)
+    .optional()
+    .messages({
+      "object.base": "Settings must be an object",
+    }),
 });
 export const resendVerificationSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -404,9 +425,9 @@ export const resendVerificationSchema = Joi.object({
 });
 
 export const paymentSchema = Joi.object({
-  plan: Joi.string().valid("standard", "advanced", "free"), // Added 'free' to match DB
-  amount: Joi.number().positive(),
-  currency: Joi.string().length(3).default("USD"), // Added currency, default USD
+  // id from GET /payments/plans; the amount and subscription period are set server-side
+  plan_id: Joi.string().max(50).required(),
+  currency: Joi.string().valid("KES", "USD", "UGX").optional(), // KES for M-Pesa, USD otherwise
   payment_mode: Joi.string().valid(
     "mpesa",
     "dpogroup",
@@ -415,8 +436,22 @@ export const paymentSchema = Joi.object({
     "paypal"
   ),
   phone_number: Joi.string().optional(),
-  metadata: Joi.object().unknown(true).optional(), // Allow any keys in metadata
-  tier: Joi.string().optional(),
+  // Allow any keys in metadata, except card details: cards are confirmed with Stripe on the client
+  metadata: Joi.object({ card_details: Joi.forbidden() }).unknown(true).optional(),
+});
+
+// Payer-requested status change; the allowed transitions are enforced by PaymentService
+export const paymentStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid("pending", "success", "failed", "partially_refunded", "refunded")
+    .required(),
+  metadata: Joi.object({ card_details: Joi.forbidden() }).unknown(true).optional(),
+});
+
+// Admin refund; amount defaults to everything not yet refunded
+export const refundSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional(),
+  reason: Joi.string().max(500).optional(),
 });
 
 // Health records schema
@@ -441,6 +476,7 @@ export const healthSchema = Joi.object({
     .default("completed"),
   veterinarian: Joi.string().max(100).allow(null).optional(),
   notes: Joi.string().allow(null).optional(),
+  vaccination_schedule_id: Joi.string().uuid().allow(null).optional(),
 });
 
 export const healthUpdateSchema = Joi.object({
@@ -508,7 +544,7 @@ export const feedingRecordSchema = Joi.object({
 });
 
 export const vaccinationScheduleSchema = Joi.object({
-  farm_id: Joi.string().uuid().required(),
+  farm_id: Joi.string().uuid().optional(),
   vaccine_name: Joi.string().max(100).required(),
   description: Joi.string().allow(null).optional(),
   frequency_days: Joi.number().integer().min(1).required(),
@@ -534,3 +570,87 @@ export const feedingRecordUpdateSchema = Joi.object({
   fed_by: Joi.string().uuid().allow(null).optional(),
   notes: Joi.string().allow(null).optional(),
 }).min(1);
+
+// Feed inventory schema
+export const feedInventorySchema = Joi.object({
+  farm_id: Joi.string().uuid().optional(),
+  feed_type: Joi.string().max(50).required(),
+  brand: Joi.string().max(50).allow(null).optional(),
+  quantity: Joi.number().min(0).required(),
+  unit: Joi.string().max(20).required(),
+  cost_per_unit: Joi.number().min(0).allow(null).optional(),
+  purchase_date: Joi.date().allow(null).optional(),
+  expiry_date: Joi.date().allow(null).optional(),
+  supplier: Joi.string().max(100).allow(null).optional(),
+  notes: Joi.string().allow(null).optional(),
+});
+
+export const feedInventoryUpdateSchema = Joi.object({
+  feed_type: Joi.string().max(50).optional(),
+  brand: Joi.string().max(50).allow(null).optional(),
+  quantity: Joi.number().min(0).optional(),
+  unit: Joi.string().max(20).optional(),
+  cost_per_unit: Joi.number().min(0).allow(null).optional(),
+  purchase_date: Joi.date().allow(null).optional(),
+  expiry_date: Joi.date().allow(null).optional(),
+  supplier: Joi.string().max(100).allow(null).optional(),
+  notes: Joi.string().allow(null).optional(),
+}).min(1);
+
+// Expenses schema
+export const expenseSchema = Joi.object({
+  farm_id: Joi.string().uuid().optional(),
+  category: Joi.string().max(50).required(),
+  description: Joi.string().required(),
+  amount: Joi.number().min(0).required(),
+  currency: Joi.string()
+    .length(3)
+    .pattern(/^[A-Z]{3}$/)
+    .default("USD"),
+  date: Joi.date().required(),
+  vendor: Joi.string().max(100).allow(null).optional(),
+  payment_method: Joi.string().max(20).allow(null).optional(),
+  receipt_url: Joi.string().uri().max(500).allow(null).optional(),
+  is_recurring: Joi.boolean().default(false),
+  recurring_frequency: Joi.string()
+    .valid(...Object.keys(EXPENSE_RECURRING_FREQUENCIES))
+    .when("is_recurring", {
+      is: true,
+      then: Joi.required(),
+      otherwise: Joi.allow(null).optional(),
+    }),
+  notes: Joi.string().allow(null).optional(),
+});
+
+export const expenseUpdateSchema = Joi.object({
+  category: Joi.string().max(50).optional(),
+  description: Joi.string().optional(),
+  amount: Joi.number().min(0).optional(),
+  currency: Joi.string()
+    .length(3)
+    .pattern(/^[A-Z]{3}$/)
+    .optional(),
+  date: Joi.date().optional(),
+  vendor: Joi.string().max(100).allow(null).optional(),
+  payment_method: Joi.string().max(20).allow(null).optional(),
+  receipt_url: Joi.string().uri().max(500).allow(null).optional(),
+  is_recurring: Joi.boolean().optional(),
+  recurring_frequency: Joi.string()
+    .valid(...Object.keys(EXPENSE_RECURRING_FREQUENCIES))
+    .allow(null)
+    .optional(),
+  notes: Joi.string().allow(null).optional(),
+}).min(1);
+
+export const farmMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string()
+    .valid(...FARM_ROLES)
+    .required(),
+});
+
+export const farmMemberRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...FARM_ROLES)
+    .required(),
+});
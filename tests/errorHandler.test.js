@@ -0,0 +1,73 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { createDatabaseMock } from "./helpers/database.js";
+
+const db = createDatabaseMock();
+jest.unstable_mockModule("../src/config/database.js", () => db.module);
+
+const { default: EntitlementsService } = await import("../src/services/entitlements.services.js");
+const { errorHandler } = await import("../src/middleware/errorHandler.js");
+const { ValidationError } = await import("../src/middleware/errors.js");
+
+const FARM_ID = "6f1c2b1e-3d4a-4c5b-9e8f-1a2b3c4d5e6f";
+
+const appThrowing = (handler) => {
+  const app = express();
+  app.post("/", async (req, res, next) => {
+    try {
+      await handler();
+      res.status(201).json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe("errorHandler", () => {
+  beforeEach(() => {
+    db.reset();
+    db.respond((sql) => {
+      if (sql.startsWith("SELECT r.name FROM farm_members")) {
+        return { rows: [{ name: "free" }] };
+      }
+      if (sql.startsWith("SELECT (SELECT COUNT(*) FROM pigs")) {
+        return { rows: [{ pigs: "50", rows: "1", pens: "4", members: "1", pending_invitations: "0", alerts_this_month: "3" }] };
+      }
+      return undefined;
+    });
+  });
+
+  it("answers a plan limit with a 402 naming the limit", async () => {
+    const app = appThrowing(() => EntitlementsService.assertWithinLimits(FARM_ID, { max_pigs: 1 }));
+
+    const response = await request(app).post("/");
+
+    expect(response.status).toBe(402);
+    expect(response.body).toEqual({
+      success: false,
+      message: "Your free plan allows up to 50 pigs per farm. Upgrade your plan to add more.",
+      errors: [{ limit: "max_pigs", tier: "free", allowed: 50, current: 50, requested: 1 }],
+    });
+  });
+
+  it("leaves errors out when an operational error has no details", async () => {
+    const response = await request(appThrowing(() => {
+      throw new ValidationError("Invalid farmId");
+    })).post("/");
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, message: "Invalid farmId" });
+  });
+
+  it("never exposes the details of unexpected errors", async () => {
+    const response = await request(appThrowing(() => {
+      throw Object.assign(new Error("connection refused"), { errors: [{ host: "db.internal" }] });
+    })).post("/");
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ success: false, message: "Internal Server Error" });
+  });
+});
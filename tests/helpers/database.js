@@ -0,0 +1,41 @@
+import { jest } from "@jest/globals";
+
+/**
+ * Stand-in for src/config/database.js so services run without PostgreSQL.
+ * Register it with jest.unstable_mockModule before importing the service under test, then
+ * answer queries with respond((sql, params) => ({ rows })). Unanswered queries return no rows.
+ */
+export const createDatabaseMock = () => {
+  let handler = () => undefined;
+
+  const query = jest.fn(async (sql, params = []) => {
+    const result = await handler(sql.replace(/\s+/g, " ").trim(), params);
+    return result || { rows: [] };
+  });
+  const client = { query, release: jest.fn() };
+
+  return {
+    query,
+    respond(fn) {
+      handler = fn;
+    },
+    reset() {
+      handler = () => undefined;
+      query.mockClear();
+    },
+    module: {
+      pool: { connect: async () => client },
+      DatabaseHelper: {
+        executeQuery: query,
+        getConnection: async () => client,
+        executeTransaction: async (queries) => {
+          const results = [];
+          for (const { query: sql, params } of queries) {
+            results.push(await query(sql, params));
+          }
+          return results;
+        },
+      },
+    },
+  };
+};
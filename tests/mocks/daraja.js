@@ -0,0 +1,141 @@
+import http from "http";
+import axios from "axios";
+
+const STK_RESULTS = {
+  success: { status: 200, ResultCode: "0", ResultDesc: "The service request is processed successfully." },
+  cancelled: { status: 200, ResultCode: "1032", ResultDesc: "Request cancelled by user" },
+  // Daraja's answer while the customer has not finished the prompt
+  awaiting: { status: 200, ResultCode: "4999", ResultDesc: "The transaction is still under processing" },
+  processing: { status: 500, errorCode: "500.001.1001", errorMessage: "The transaction is being processed" },
+  error: { status: 500, errorCode: "500.003.02", errorMessage: "System is busy. Please try again in few minutes." },
+};
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+/**
+ * Local stand-in for Safaricom's Daraja API; point MpesaService at it with MPESA_BASE_URL.
+ * STK query answers are set per CheckoutRequestID. Transaction status queries are acknowledged and,
+ * like on Daraja, their result is then posted to the query's ResultURL.
+ */
+export const createMockDaraja = () => {
+  const stkResults = new Map();
+  const transactionStatusResults = new Map();
+  const requests = [];
+  const deliveries = [];
+  let conversations = 0;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = req.method === "POST" ? await readJson(req) : {};
+    const path = req.url.split("?")[0];
+    requests.push({ method: req.method, path, body });
+
+    if (path === "/oauth/v1/generate") {
+      return send(res, 200, { access_token: "mock-access-token", expires_in: "3599" });
+    }
+
+    if (path === "/mpesa/stkpushquery/v1/query") {
+      const result = STK_RESULTS[stkResults.get(body.CheckoutRequestID) || "processing"];
+      if (result.status !== 200) {
+        return send(res, result.status, {
+          requestId: `mock-${requests.length}`,
+          errorCode: result.errorCode,
+          errorMessage: result.errorMessage,
+        });
+      }
+      return send(res, 200, {
+        ResponseCode: "0",
+        ResponseDescription: "The service request has been accepted successsfully",
+        MerchantRequestID: `MR-${body.CheckoutRequestID}`,
+        CheckoutRequestID: body.CheckoutRequestID,
+        ResultCode: result.ResultCode,
+        ResultDesc: result.ResultDesc,
+      });
+    }
+
+    if (path === "/mpesa/transactionstatus/v1/query") {
+      conversations += 1;
+      const originatorConversationID = `AG_MOCK_${conversations}`;
+      send(res, 200, {
+        OriginatorConversationID: originatorConversationID,
+        ConversationID: `AG_CONV_${conversations}`,
+        ResponseCode: "0",
+        ResponseDescription: "Accept the service request successfully.",
+      });
+
+      const result = transactionStatusResults.get(body.OriginalConversationID);
+      if (result && body.ResultURL) {
+        const resultBody = {
+          Result: {
+            ResultType: 0,
+            ResultCode: result.ResultCode ?? 0,
+            ResultDesc: result.ResultDesc || "The service request is processed successfully.",
+            OriginatorConversationID: originatorConversationID,
+            ConversationID: `AG_CONV_${conversations}`,
+            TransactionID: result.receipt,
+            ResultParameters: {
+              ResultParameter: [
+                { Key: "ReceiptNo", Value: result.receipt },
+                { Key: "DebitPartyName", Value: `${result.phone} - JOHN DOE` },
+                { Key: "TransactionStatus", Value: result.status || "Completed" },
+                { Key: "Amount", Value: result.amount },
+                { Key: "FinalisedTime", Value: 20261019101500 },
+              ],
+            },
+          },
+        };
+        deliveries.push(
+          axios
+            .post(body.ResultURL, resultBody, { validateStatus: () => true })
+            .then((response) => ({ url: body.ResultURL, status: response.status, data: response.data }))
+        );
+      }
+      return undefined;
+    }
+
+    return send(res, 404, { errorCode: "404.001.03", errorMessage: "Invalid Access Token" });
+  });
+
+  return {
+    requests,
+    deliveries,
+    /** STK query outcome for a CheckoutRequestID: success, cancelled, awaiting, processing or error */
+    setStkResult(checkoutRequestID, outcome) {
+      stkResults.set(checkoutRequestID, outcome);
+    },
+    /** Result posted back for a transaction status query about an STK MerchantRequestID */
+    setTransactionStatusResult(merchantRequestID, result) {
+      transactionStatusResults.set(merchantRequestID, result);
+    },
+    reset() {
+      stkResults.clear();
+      transactionStatusResults.clear();
+      requests.length = 0;
+      deliveries.length = 0;
+    },
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    async stop() {
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
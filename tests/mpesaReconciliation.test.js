@@ -0,0 +1,265 @@
+import { jest, describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import crypto from "crypto";
+import express from "express";
+import axios from "axios";
+import { createDatabaseMock } from "./helpers/database.js";
+import { createMockDaraja } from "./mocks/daraja.js";
+
+const db = createDatabaseMock();
+jest.unstable_mockModule("../src/config/database.js", () => db.module);
+
+const { default: PaymentService } = await import("../src/services/payment.service.js");
+const { default: paymentRoutes } = await import("../src/routes/payments.routes.js");
+
+const NOW = new Date("2026-10-19T10:00:00Z");
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString();
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// payments and payment_events kept in memory; each statement is applied atomically like in PostgreSQL
+const payments = new Map();
+const events = [];
+
+const pendingPayment = (id, overrides = {}) => {
+  const payment = {
+    id,
+    user_id: "user-1",
+    farm_id: null,
+    plan: "pro",
+    amount: "1500.00",
+    currency: "KES",
+    payment_mode: "mpesa",
+    phone_number: "254712345678",
+    transaction_id: `ws_CO_${id}`,
+    status: "pending",
+    status_query_token_hash: null,
+    metadata: { merchant_request_id: `MR-${id}` },
+    created_at: minutesAgo(30),
+    ...overrides,
+  };
+  payments.set(id, payment);
+  return payment;
+};
+
+const updatePending = (id, changes) => {
+  const payment = payments.get(id);
+  if (!payment || payment.status !== "pending") return { rows: [] };
+  Object.assign(payment, changes(payment));
+  return { rows: [{ ...payment }] };
+};
+
+const respond = (sql, params) => {
+  if (sql.startsWith("SELECT * FROM payments WHERE status = 'pending' AND payment_mode = 'mpesa'")) {
+    const rows = [...payments.values()].filter((payment) => payment.status === "pending" && payment.transaction_id);
+    return { rows: rows.map((payment) => ({ ...payment })) };
+  }
+  if (sql.startsWith("SELECT * FROM payments WHERE transaction_id = $1 AND payment_mode = 'mpesa'")) {
+    const payment = [...payments.values()].find((row) => row.transaction_id === params[0]);
+    return { rows: payment ? [{ ...payment }] : [] };
+  }
+  if (sql.startsWith("SELECT * FROM payments WHERE payment_mode = 'mpesa' AND is_deleted = 0 AND status_query_token_hash = $1")) {
+    const payment = [...payments.values()].find((row) => row.status_query_token_hash === params[0]);
+    return { rows: payment ? [{ ...payment }] : [] };
+  }
+  if (sql.startsWith("UPDATE payments SET status = $1, metadata = metadata || $2::jsonb")) {
+    return updatePending(params[2], (payment) => ({ status: params[0], metadata: { ...payment.metadata, ...JSON.parse(params[1]) } }));
+  }
+  if (sql.startsWith("UPDATE payments SET status = 'failed'")) {
+    return updatePending(params[1], (payment) => ({ status: "failed", metadata: { ...payment.metadata, ...JSON.parse(params[0]) } }));
+  }
+  if (sql.startsWith("UPDATE payments SET status_query_token_hash = $1")) {
+    const payment = payments.get(params[1]);
+    if (!payment || payment.status !== "pending" || payment.status_query_token_hash) return { rows: [] };
+    payment.status_query_token_hash = params[0];
+    return { rows: [{ id: payment.id }] };
+  }
+  if (sql.startsWith("UPDATE payments SET status_query_token_hash = NULL")) {
+    payments.get(params[0]).status_query_token_hash = null;
+    return { rows: [] };
+  }
+  if (sql.startsWith("UPDATE payments SET metadata = metadata || $1::jsonb, updated_at")) {
+    return updatePending(params[1], (payment) => ({ metadata: { ...payment.metadata, ...JSON.parse(params[0]) } }));
+  }
+  if (sql.startsWith("INSERT INTO payment_events")) {
+    events.push({ payment_id: params[0], source: params[1], outcome: params[3], detail: params[4] });
+    return { rows: [] };
+  }
+  return undefined;
+};
+
+describe("M-Pesa reconciliation against a mock Daraja server", () => {
+  const daraja = createMockDaraja();
+  let app;
+  let appUrl;
+
+  beforeAll(async () => {
+    const darajaUrl = await daraja.start();
+
+    const router = express();
+    router.use(express.json());
+    router.use("/api/v1/payments", paymentRoutes);
+    app = await new Promise((resolve) => {
+      const server = router.listen(0, "127.0.0.1", () => resolve(server));
+    });
+    appUrl = `http://127.0.0.1:${app.address().port}`;
+
+    Object.assign(process.env, {
+      MPESA_BASE_URL: darajaUrl,
+      MPESA_CONSUMER_KEY: "consumer-key",
+      MPESA_CONSUMER_SECRET: "consumer-secret",
+      MPESA_SHORTCODE: "174379",
+      MPESA_INITIATOR_NAME: "testapi",
+      MPESA_SECURITY_CREDENTIAL: "credential",
+      MPESA_TRANSACTION_STATUS_RESULT_URL: `${appUrl}/api/v1/payments/mpesa/transaction-status/result`,
+    });
+  });
+
+  afterAll(async () => {
+    await daraja.stop();
+    await new Promise((resolve) => app.close(resolve));
+  });
+
+  beforeEach(() => {
+    payments.clear();
+    events.length = 0;
+    daraja.reset();
+    db.reset();
+    db.respond(respond);
+    jest.restoreAllMocks();
+    jest.spyOn(PaymentService, "upgradeUserTier").mockImplementation(async (payment) => payment);
+    jest.spyOn(PaymentService, "notifyPaymentConfirmed").mockResolvedValue(undefined);
+  });
+
+  it("confirms and upgrades a payment the STK query reports as paid", async () => {
+    pendingPayment("pay-1");
+    daraja.setStkResult("ws_CO_pay-1", "success");
+
+    const counts = await PaymentService.reconcilePendingMpesaPayments(NOW);
+
+    expect(counts).toMatchObject({ mpesa_confirmed: 1, mpesa_failed: 0, mpesa_pending: 0 });
+    expect(payments.get("pay-1")).toMatchObject({ status: "success", metadata: { confirmed_via: "stk_query" } });
+    expect(PaymentService.upgradeUserTier).toHaveBeenCalledWith(expect.objectContaining({ id: "pay-1" }));
+    expect(daraja.requests.find((request) => request.path === "/mpesa/stkpushquery/v1/query").body)
+      .toMatchObject({ BusinessShortCode: "174379", CheckoutRequestID: "ws_CO_pay-1" });
+  });
+
+  it("fails a payment the customer cancelled", async () => {
+    pendingPayment("pay-1");
+    daraja.setStkResult("ws_CO_pay-1", "cancelled");
+
+    const counts = await PaymentService.reconcilePendingMpesaPayments(NOW);
+
+    expect(counts).toMatchObject({ mpesa_confirmed: 0, mpesa_failed: 1 });
+    expect(payments.get("pay-1")).toMatchObject({
+      status: "failed",
+      metadata: { result_code: "1032", failure_reason: "Request cancelled by user" },
+    });
+    expect(PaymentService.upgradeUserTier).not.toHaveBeenCalled();
+  });
+
+  it("leaves payments M-Pesa is still processing pending", async () => {
+    pendingPayment("pay-1");
+    pendingPayment("pay-2");
+    daraja.setStkResult("ws_CO_pay-1", "awaiting");
+    daraja.setStkResult("ws_CO_pay-2", "processing");
+
+    const counts = await PaymentService.reconcilePendingMpesaPayments(NOW);
+
+    expect(counts).toMatchObject({ mpesa_pending: 2, mpesa_confirmed: 0, mpesa_failed: 0 });
+    expect(payments.get("pay-1").status).toBe("pending");
+    expect(payments.get("pay-2").status).toBe("pending");
+  });
+
+  it("expires a payment still unresolved after the expiry window", async () => {
+    pendingPayment("pay-1", { created_at: minutesAgo(25 * 60) });
+    daraja.setStkResult("ws_CO_pay-1", "processing");
+
+    const counts = await PaymentService.reconcilePendingMpesaPayments(NOW);
+
+    expect(counts).toMatchObject({ mpesa_expired: 1, mpesa_pending: 0 });
+    expect(payments.get("pay-1").status).toBe("failed");
+  });
+
+  it("confirms through a transaction status query when the STK query fails", async () => {
+    pendingPayment("pay-1");
+    daraja.setStkResult("ws_CO_pay-1", "error");
+    daraja.setTransactionStatusResult("MR-pay-1", { receipt: "TJK4ABC123", phone: "254712345678", amount: 1500 });
+
+    const counts = await PaymentService.reconcilePendingMpesaPayments(NOW);
+    expect(counts.mpesa_pending).toBe(1);
+
+    const query = daraja.requests.find((request) => request.path === "/mpesa/transactionstatus/v1/query");
+    expect(query.body).toMatchObject({ CommandID: "TransactionStatusQuery", OriginalConversationID: "MR-pay-1" });
+    const token = query.body.ResultURL.split("/").pop();
+    expect(query.body.ResultURL).toBe(`${appUrl}/api/v1/payments/mpesa/transaction-status/result/${token}`);
+    expect(payments.get("pay-1").status_query_token_hash).toBe(hash(token));
+
+    const [delivery] = await Promise.all(daraja.deliveries);
+    expect(delivery.status).toBe(200);
+    expect(payments.get("pay-1")).toMatchObject({
+      status: "success",
+      metadata: { confirmed_via: "transaction_status", mpesa_receipt: "TJK4ABC123" },
+    });
+    expect(PaymentService.upgradeUserTier).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects status results posted with another token or for another query", async () => {
+    pendingPayment("pay-1");
+    daraja.setStkResult("ws_CO_pay-1", "error");
+    await PaymentService.reconcilePendingMpesaPayments(NOW);
+
+    const query = daraja.requests.find((request) => request.path === "/mpesa/transactionstatus/v1/query");
+    const forged = (originatorConversationID) => ({
+      Result: {
+        ResultCode: 0,
+        OriginatorConversationID: originatorConversationID,
+        ResultParameters: {
+          ResultParameter: [
+            { Key: "ReceiptNo", Value: "FORGED1" },
+            { Key: "TransactionStatus", Value: "Completed" },
+            { Key: "Amount", Value: 1500 },
+          ],
+        },
+      },
+    });
+    const post = (url, body) => axios.post(url, body, { validateStatus: () => true });
+
+    const wrongToken = await post(`${appUrl}/api/v1/payments/mpesa/transaction-status/result/not-the-token`, forged("AG_MOCK_1"));
+    const otherQuery = await post(query.body.ResultURL, forged("AG_SOMEONE_ELSE"));
+
+    expect(wrongToken.status).toBe(403);
+    expect(otherQuery.status).toBe(403);
+    expect(payments.get("pay-1").status).toBe("pending");
+    expect(events.map((event) => event.outcome)).toEqual(["rejected", "rejected"]);
+  });
+
+  it("accepts no STK callback for a payment initiated before callback tokens, leaving it to reconciliation", async () => {
+    pendingPayment("pay-1");
+    const callback = {
+      Body: {
+        stkCallback: {
+          MerchantRequestID: "MR-pay-1",
+          CheckoutRequestID: "ws_CO_pay-1",
+          ResultCode: 0,
+          ResultDesc: "The service request is processed successfully.",
+          CallbackMetadata: {
+            Item: [
+              { Name: "Amount", Value: 1500 },
+              { Name: "MpesaReceiptNumber", Value: "FORGED1" },
+              { Name: "PhoneNumber", Value: 254712345678 },
+            ],
+          },
+        },
+      },
+    };
+
+    const result = await PaymentService.handleMpesaCallback(callback, { token: "any-token", sourceIp: "127.0.0.1" });
+
+    expect(result).toMatchObject({ rejected: true });
+    expect(payments.get("pay-1").status).toBe("pending");
+    expect(events).toEqual([expect.objectContaining({ payment_id: "pay-1", outcome: "rejected" })]);
+
+    daraja.setStkResult("ws_CO_pay-1", "success");
+    await PaymentService.reconcilePendingMpesaPayments(NOW);
+    expect(payments.get("pay-1")).toMatchObject({ status: "success", metadata: { confirmed_via: "stk_query" } });
+  });
+});
@@ -0,0 +1,138 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+import { createDatabaseMock } from "./helpers/database.js";
+
+const db = createDatabaseMock();
+jest.unstable_mockModule("../src/config/database.js", () => db.module);
+
+const { default: SmsService } = await import("../src/services/sms.services.js");
+
+const FARM_ID = "6f1c2b1e-3d4a-4c5b-9e8f-1a2b3c4d5e6f";
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Local fake of the SMS provider: records every message and answers like Twilio
+ */
+class FakeSmsTransport {
+  constructor() {
+    this.name = "fake";
+    this.sent = [];
+    this.failWith = null;
+  }
+
+  async send(message) {
+    // let concurrent sends interleave, as a real HTTP call would
+    await new Promise((resolve) => setImmediate(resolve));
+    if (this.failWith) throw new Error(this.failWith);
+    this.sent.push(message);
+    return { id: `SM${this.sent.length}`, status: "queued" };
+  }
+}
+
+// sms_daily_usage and sms_logs kept in memory; each statement is applied atomically like in PostgreSQL
+const usage = new Map();
+const logs = [];
+
+const respond = (sql, params) => {
+  if (sql.startsWith("SELECT timezone FROM farms")) {
+    return { rows: [{ timezone: "Africa/Nairobi" }] };
+  }
+  if (sql.startsWith("INSERT INTO sms_daily_usage")) {
+    const [farmId, date, limit] = params;
+    const key = `${farmId}|${date}`;
+    const used = usage.get(key) || 0;
+    if (used >= limit) return { rows: [] };
+    usage.set(key, used + 1);
+    return { rows: [{ used: used + 1 }] };
+  }
+  if (sql.startsWith("UPDATE sms_daily_usage")) {
+    const key = `${params[0]}|${params[1]}`;
+    usage.set(key, Math.max((usage.get(key) || 0) - 1, 0));
+    return { rows: [] };
+  }
+  if (sql.startsWith("SELECT used FROM sms_daily_usage")) {
+    const used = usage.get(`${params[0]}|${params[1]}`);
+    return { rows: used === undefined ? [] : [{ used }] };
+  }
+  if (sql.startsWith("INSERT INTO sms_logs")) {
+    const row = {
+      id: `log-${logs.length + 1}`,
+      to_phone: params[3],
+      provider: params[5],
+      provider_message_id: params[6],
+      status: params[7],
+      error_message: params[8],
+      date: params[9],
+    };
+    logs.push(row);
+    return { rows: [row] };
+  }
+  return undefined;
+};
+
+describe("SmsService", () => {
+  let transport;
+  let service;
+
+  beforeEach(() => {
+    usage.clear();
+    logs.length = 0;
+    db.reset();
+    db.respond(respond);
+    transport = new FakeSmsTransport();
+    service = new SmsService({ dailyFarmLimit: 2 }, silentLogger, transport);
+  });
+
+  it("sends through the transport and logs the provider message id", async () => {
+    const result = await service.sendSms({ to: "0712345678", body: "Vaccination due", farm_id: FARM_ID });
+
+    expect(result.success).toBe(true);
+    expect(transport.sent).toEqual([{ to: "+254712345678", body: "Vaccination due", statusCallback: null }]);
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({ provider: "fake", provider_message_id: "SM1", status: "queued" });
+
+    const status = await service.getStatus(FARM_ID);
+    expect(status).toMatchObject({ smsSentToday: 1, dailyLimit: 2, remainingQuota: 1 });
+  });
+
+  it("refuses to send once the farm's daily quota is used up", async () => {
+    await service.sendSms({ to: "+254712345678", body: "one", farm_id: FARM_ID });
+    await service.sendSms({ to: "+254712345678", body: "two", farm_id: FARM_ID });
+    const result = await service.sendSms({ to: "+254712345678", body: "three", farm_id: FARM_ID });
+
+    expect(result).toMatchObject({ success: false, status: "limit_reached" });
+    expect(transport.sent).toHaveLength(2);
+  });
+
+  it("never goes past the quota when alerts are sent concurrently", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 6 }, (_, index) =>
+        service.sendSms({ to: "+254712345678", body: `alert ${index}`, farm_id: FARM_ID })
+      )
+    );
+
+    expect(results.filter((result) => result.success)).toHaveLength(2);
+    expect(results.filter((result) => result.status === "limit_reached")).toHaveLength(4);
+    expect(transport.sent).toHaveLength(2);
+  });
+
+  it("gives the slot back when the provider rejects the message", async () => {
+    transport.failWith = "Provider unavailable";
+    const failed = await service.sendSms({ to: "+254712345678", body: "one", farm_id: FARM_ID });
+
+    expect(failed).toMatchObject({ success: false, status: "error", message: "Provider unavailable" });
+    expect(logs[0]).toMatchObject({ status: "failed", provider_message_id: null });
+    expect((await service.getStatus(FARM_ID)).remainingQuota).toBe(2);
+
+    transport.failWith = null;
+    await service.sendSms({ to: "+254712345678", body: "two", farm_id: FARM_ID });
+    await service.sendSms({ to: "+254712345678", body: "three", farm_id: FARM_ID });
+    expect(transport.sent).toHaveLength(2);
+  });
+
+  it("rejects numbers that cannot be normalised without using the quota", async () => {
+    const result = await service.sendSms({ to: "12", body: "hello", farm_id: FARM_ID });
+
+    expect(result.status).toBe("invalid_phone");
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
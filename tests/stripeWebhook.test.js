@@ -0,0 +1,202 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from "@jest/globals";
+import fs from "fs";
+import { createDatabaseMock } from "./helpers/database.js";
+
+const db = createDatabaseMock();
+jest.unstable_mockModule("../src/config/database.js", () => db.module);
+
+const { default: PaymentService } = await import("../src/services/payment.service.js");
+const { default: CardService } = await import("../src/services/card.services.js");
+
+// payment_intent.succeeded delivery as Stripe sends it, signed with FIXTURE_SECRET at FIXTURE_SIGNED_AT
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/stripe/${name}`, import.meta.url), "utf8");
+const RAW_BODY = fixture("payment_intent.succeeded.json");
+const SIGNATURE = fixture("payment_intent.succeeded.signature").trim();
+const FIXTURE_SECRET = "whsec_fixture";
+const FIXTURE_SIGNED_AT = 1792404000;
+
+let payment;
+const events = [];
+
+const respond = (sql, params) => {
+  if (sql.startsWith("SELECT * FROM payments WHERE transaction_id = $1")) {
+    return { rows: payment.transaction_id === params[0] ? [{ ...payment }] : [] };
+  }
+  if (sql.startsWith("UPDATE payments SET status = $1, metadata = metadata || $2::jsonb")) {
+    if (payment.id !== params[2] || payment.status !== "pending") return { rows: [] };
+    Object.assign(payment, { status: params[0], metadata: { ...payment.metadata, ...JSON.parse(params[1]) } });
+    return { rows: [{ ...payment }] };
+  }
+  if (sql.startsWith("INSERT INTO payment_events")) {
+    events.push({ payment_id: params[0], source: params[1], transaction_id: params[2], outcome: params[3], detail: params[4] });
+    return { rows: [] };
+  }
+  return undefined;
+};
+
+const deliver = (body = RAW_BODY, signature = SIGNATURE) =>
+  PaymentService.handleStripeWebhook(Buffer.from(body), signature, { sourceIp: "127.0.0.1" });
+
+describe("PaymentService.handleStripeWebhook", () => {
+  beforeAll(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = FIXTURE_SECRET;
+  });
+
+  beforeEach(() => {
+    payment = {
+      id: "pay-1",
+      user_id: "user-1",
+      plan: "pro",
+      amount: "10.00",
+      currency: "USD",
+      payment_mode: "card",
+      transaction_id: "pi_3QfixtureIntent01",
+      status: "pending",
+      metadata: {},
+    };
+    events.length = 0;
+    db.reset();
+    db.respond(respond);
+    jest.spyOn(Date, "now").mockReturnValue((FIXTURE_SIGNED_AT + 30) * 1000);
+    jest.spyOn(PaymentService, "upgradeUserTier").mockImplementation(async (confirmed) => confirmed);
+    jest.spyOn(PaymentService, "notifyPaymentConfirmed").mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("confirms the payment for a correctly signed delivery", async () => {
+    const result = await deliver();
+
+    expect(result).toMatchObject({ success: true, payment: { id: "pay-1", status: "success" } });
+    expect(payment.metadata).toMatchObject({
+      confirmed_via: "stripe_webhook",
+      stripe_event: "evt_3QfixtureSucceeded01",
+      stripe_charge: "ch_3QfixtureCharge01",
+    });
+    expect(PaymentService.upgradeUserTier).toHaveBeenCalledTimes(1);
+    expect(events).toEqual([expect.objectContaining({ payment_id: "pay-1", outcome: "confirmed" })]);
+  });
+
+  it("acknowledges a redelivery without confirming twice", async () => {
+    await deliver();
+    const result = await deliver();
+
+    expect(result).toMatchObject({ success: true, duplicate: true });
+    expect(PaymentService.upgradeUserTier).toHaveBeenCalledTimes(1);
+    expect(events.map((event) => event.outcome)).toEqual(["confirmed", "duplicate"]);
+  });
+
+  it("rejects a delivery whose body was changed after signing", async () => {
+    const tampered = RAW_BODY.replace('"amount_received": 1000', '"amount_received": 100000');
+    const result = await deliver(tampered);
+
+    expect(result).toMatchObject({ success: false, rejected: true, message: "Invalid Stripe signature" });
+    expect(payment.status).toBe("pending");
+    expect(events).toEqual([expect.objectContaining({ outcome: "rejected", detail: "Invalid Stripe signature" })]);
+  });
+
+  it("rejects a delivery with a forged signature", async () => {
+    const forged = SIGNATURE.replace(/v1=(.)/, (_, first) => `v1=${first === "0" ? "1" : "0"}`);
+    const result = await deliver(RAW_BODY, forged);
+
+    expect(result).toMatchObject({ rejected: true, message: "Invalid Stripe signature" });
+    expect(payment.status).toBe("pending");
+  });
+
+  it("rejects a replay outside the timestamp tolerance", async () => {
+    Date.now.mockReturnValue((FIXTURE_SIGNED_AT + 301) * 1000);
+    const result = await deliver();
+
+    expect(result).toMatchObject({ rejected: true, message: "Stripe signature timestamp is outside the tolerance" });
+    expect(payment.status).toBe("pending");
+  });
+
+  it("leaves the payment pending when the amount received does not match", async () => {
+    payment.amount = "20.00";
+    const result = await deliver();
+
+    expect(result).toMatchObject({ success: false, message: "Data mismatch in webhook" });
+    expect(payment.status).toBe("pending");
+    expect(PaymentService.upgradeUserTier).not.toHaveBeenCalled();
+    expect(events).toEqual([expect.objectContaining({ outcome: "mismatch", detail: "1000 usd vs 2000 USD" })]);
+  });
+});
+
+describe("Stripe refunds", () => {
+  let refund;
+
+  const refundEvent = (type, object) => {
+    const body = JSON.stringify({ id: `evt_${type}`, object: "event", type, data: { object } });
+    return [body, CardService.generateWebhookSignature(body, FIXTURE_SECRET, FIXTURE_SIGNED_AT)];
+  };
+  const stripeRefund = (status, extra = {}) => ({
+    id: "re_3QfixtureRefund01",
+    object: "refund",
+    status,
+    metadata: { refund_id: "refund-1" },
+    ...extra,
+  });
+
+  beforeEach(() => {
+    refund = { id: "refund-1", payment_id: "pay-1", provider: "stripe", provider_reference: null, status: "pending" };
+    events.length = 0;
+    db.reset();
+    db.respond((sql, params) => {
+      if (sql.startsWith("SELECT * FROM payment_refunds WHERE provider = 'stripe'")) {
+        const matches = refund.provider_reference === params[0] || refund.id === params[1];
+        return { rows: matches ? [{ ...refund }] : [] };
+      }
+      return respond(sql, params);
+    });
+    jest.spyOn(Date, "now").mockReturnValue((FIXTURE_SIGNED_AT + 30) * 1000);
+    jest.spyOn(PaymentService, "applyRefund").mockImplementation(async (refundId) => {
+      refund.status = "succeeded";
+      return { refund: { ...refund, id: refundId }, payment: { id: "pay-1", status: "refunded" } };
+    });
+    jest.spyOn(PaymentService, "failRefund").mockImplementation(async () => {
+      refund.status = "failed";
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("keeps a refund Stripe has not completed pending", async () => {
+    jest.spyOn(CardService, "refundPayment").mockResolvedValue(stripeRefund("pending"));
+    const cardPayment = { id: "pay-1", transaction_id: "pi_3QfixtureIntent01", currency: "USD" };
+
+    const result = await PaymentService.requestProviderRefund(cardPayment, { ...refund, amount: "10.00" });
+
+    expect(result).toEqual({ completed: false, reference: "re_3QfixtureRefund01" });
+    expect(CardService.refundPayment).toHaveBeenCalledWith("pi_3QfixtureIntent01", "10.00", "USD", { refund_id: "refund-1" });
+  });
+
+  it("applies a pending refund once Stripe reports it succeeded", async () => {
+    const result = await deliver(...refundEvent("charge.refund.updated", stripeRefund("succeeded")));
+
+    expect(result).toMatchObject({ success: true, message: "Refund applied" });
+    expect(PaymentService.applyRefund).toHaveBeenCalledWith("refund-1", "re_3QfixtureRefund01");
+    expect(events).toEqual([expect.objectContaining({ payment_id: "pay-1", outcome: "confirmed" })]);
+  });
+
+  it("fails a pending refund Stripe could not complete", async () => {
+    const result = await deliver(...refundEvent("refund.failed", stripeRefund("failed", { failure_reason: "expired_or_canceled_card" })));
+
+    expect(result).toMatchObject({ success: false, reason: "expired_or_canceled_card" });
+    expect(PaymentService.failRefund).toHaveBeenCalledWith("refund-1", "expired_or_canceled_card");
+    expect(PaymentService.applyRefund).not.toHaveBeenCalled();
+  });
+
+  it("flags an applied refund that Stripe later fails", async () => {
+    refund.status = "succeeded";
+    refund.provider_reference = "re_3QfixtureRefund01";
+    const result = await deliver(...refundEvent("refund.updated", stripeRefund("failed", { metadata: {} })));
+
+    expect(result).toMatchObject({ success: false, message: "Applied refund failed" });
+    expect(PaymentService.failRefund).not.toHaveBeenCalled();
+    expect(events).toEqual([expect.objectContaining({ outcome: "mismatch" })]);
+  });
+});